@@ -4,16 +4,28 @@
  */
 
 import { Strategy } from './Strategy.js';
+import { SeededRandom } from '../utils/Random.js';
+import { SeatEngine } from './SeatEngine.js';
+import { generateCardActions, generateLegalActions } from '../core/LegalActions.js';
 
 export class AIPlayer {
-    constructor(gameEngine, difficulty = 'medium') {
-        this.gameEngine = gameEngine;
+    /**
+     * 构造函数
+     * @param {GameEngine|SeatEngine} gameEngine - 游戏引擎（真实引擎会被包装为 ai 座位）
+     * @param {string} difficulty - 难度级别
+     * @param {Object} options - 配置项
+     * @param {boolean} options.thinkingDelay - 是否模拟思考时间，批量模拟时设为false
+     */
+    constructor(gameEngine, difficulty = 'medium', options = {}) {
+        this.gameEngine = SeatEngine.wrap(gameEngine, 'ai'); // 只能通过观察视图读取局面
         this.difficulty = difficulty;
-        this.strategy = new Strategy(difficulty);
+        this.thinkingDelay = options.thinkingDelay !== false;
+        this.rng = this.gameEngine?.rng || new SeededRandom();
+        this.strategy = new Strategy(difficulty, this.rng);
         
         // 产品级AI配置 - 增强用户体验
         this.config = {
-            thinkingTime: this.getThinkingTime(difficulty),
+            thinkingTime: this.thinkingDelay ? this.getThinkingTime(difficulty) : 0,
             maxDepth: this.getMaxDepth(difficulty),
             randomness: this.getRandomness(difficulty),
             personality: this.initializePersonality(difficulty),
@@ -182,6 +194,8 @@ export class AIPlayer {
      * @returns {Promise} 思考完成Promise
      */
     async simulateThinking() {
+        if (!this.thinkingDelay) return;
+
         const actualTime = this.config.thinkingTime + 
             (Math.random() - 0.5) * 400; // ±200ms随机变化
         
@@ -197,9 +211,9 @@ export class AIPlayer {
     analyzeGameState() {
         const gameState = this.gameEngine.gameState;
         const revealedCards = gameState.cardsData.filter(card => card.isRevealed);
-        const aiCards = revealedCards.filter(card => card.owner === 'ai');
-        const playerCards = revealedCards.filter(card => card.owner === 'player');
-        const neutralCards = revealedCards.filter(card => !card.owner);
+        const aiCards = revealedCards.filter(card => card.owner === 'ai' && card.position.row >= 0);
+        const playerCards = revealedCards.filter(card => card.owner === 'player' && card.position.row >= 0);
+        const actions = gameState.phase === 'playing' ? generateLegalActions(gameState, 'ai') : [];
         
         // 计算材料优势
         const materialAdvantage = this.evaluateMaterialAdvantage();
@@ -210,18 +224,19 @@ export class AIPlayer {
         // 计算控制区域
         const controlAnalysis = this.analyzeControl();
         
+        // 观察视图中未翻开的卡牌只有位置，按棋盘上的背面卡牌计数
         return {
-            revealedCards,
-            aiCards,
-            playerCards,
-            neutralCards,
+            phase: gameState.phase,
+            unrevealedCards: gameState.getUnrevealedPositions().length,
+            aiCards: aiCards.length,
+            playerCards: playerCards.length,
+            canFlip: actions.some(action => action.type === 'flip'),
+            canMove: actions.some(action => action.type !== 'flip'),
             materialAdvantage,
             positionAdvantage,
             controlAnalysis,
             totalCards: gameState.cardsData.length,
-            revealedCount: revealedCards.length,
-            aiCount: aiCards.length,
-            playerCount: playerCards.length
+            revealedCount: revealedCards.length
         };
     }
     
@@ -331,6 +346,10 @@ export class AIPlayer {
             const gameState = this.gameEngine.gameState;
             const aiFaction = gameState.aiFaction;
             
+            if (gameState.phase !== 'playing') {
+                return { action: 'wait', reason: '无可用操作：对局未在进行' };
+            }
+            
             if (!aiFaction) {
                 this.logThinking('🎯 阵营未确定，优先翻牌', 'faction_unknown');
                 return this.makeSimpleFlipDecision();
@@ -353,15 +372,55 @@ export class AIPlayer {
                 return defenseDecision;
             }
             
-            return this.makeSimpleFlipDecision();
+            return this.makeSimpleFlipDecision() || this.makeFallbackMoveDecision();
             
         } catch (error) {
             this.logThinking('❌ 决策引擎异常', 'decision_error', error);
             console.error('AI决策制定错误:', error);
-            return this.makeSimpleFlipDecision();
+            return this.makeSimpleFlipDecision() || this.makeFallbackMoveDecision();
         }
     }
 
+    /**
+     * 兜底决策：没有可翻的牌、攻击和防御都不合适时，从合法行动中随机走一步（优先不发生战斗的移动）
+     * @returns {Object} 移动决策，没有合法行动时为等待
+     */
+    makeFallbackMoveDecision() {
+        const actions = generateLegalActions(this.gameEngine.gameState, 'ai');
+        const moves = actions.filter(action => action.type === 'move');
+        const candidates = moves.length > 0 ? moves : actions.filter(action => action.type === 'attack');
+        if (candidates.length === 0) {
+            return { action: 'wait', reason: '无可用操作' };
+        }
+
+        const { from, to } = this.rng.pick(candidates);
+        return {
+            action: 'move',
+            from: { ...from },
+            to: { ...to },
+            reasoning: '没有可翻的牌，选择合法走子'
+        };
+    }
+
+    /**
+     * 选择翻牌位置
+     * @returns {Object|null} 位置 { row, col }，没有未翻开的卡牌时为null
+     */
+    chooseFlipPosition() {
+        const decision = this.makeSimpleFlipDecision();
+        return decision ? decision.position : null;
+    }
+
+    /**
+     * 计算位置价值：相邻位置越多越灵活
+     * @param {number} row - 行坐标
+     * @param {number} col - 列坐标
+     * @returns {number} 位置价值（0-3）
+     */
+    calculatePositionValue(row, col) {
+        return this.gameEngine.ruleSet.getAdjacentPositions(row, col).length * 0.75;
+    }
+
     /**
      * 深度战略分析 - 临时禁用
      * @returns {Object} 战略分析结果
@@ -898,7 +957,7 @@ export class AIPlayer {
         }
         
         // 随机选择一个未翻开的卡牌
-        const randomCard = unrevealedCards[Math.floor(Math.random() * unrevealedCards.length)];
+        const randomCard = this.rng.pick(unrevealedCards);
         
         return {
             action: 'flip',
@@ -1006,7 +1065,8 @@ export class AIPlayer {
         strategicBonus += counterBonus;
         
         // 计算未知牌中己方和敌方的比例
-        const unknownCards = gameState.cardsData.filter(card => !card.isRevealed);
+        // 只知道尚未出现的卡牌身份集合，不知道它们各自在哪个位置
+        const unknownCards = gameState.getUnseenCards();
         const unknownAICards = unknownCards.filter(card => card.faction === aiFaction);
         const unknownPlayerCards = unknownCards.filter(card => card.faction === playerFaction);
         
@@ -1037,19 +1097,14 @@ export class AIPlayer {
         let counterBonus = 0;
         const gameState = this.gameEngine.gameState;
         const aiFaction = gameState.aiFaction;
-        const unknownAICards = gameState.cardsData.filter(card => 
-            !card.isRevealed && card.faction === aiFaction
-        );
+        const unknownAICards = gameState.getUnseenCards().filter(card => card.faction === aiFaction);
         
         // 计算翻出能克制威胁牌的己方牌的概率
         threatEnemies.forEach(threat => {
             const distance = this.getDistance(position, threat.position);
             if (distance <= 2) {
                 // 计算有多少张未知己方牌能克制这个威胁
-                const counters = unknownAICards.filter(card => {
-                    const result = this.gameEngine.battleResolver.resolveBattle(card, threat);
-                    return result === 'win';
-                });
+                const counters = unknownAICards.filter(card => card.battleWith(threat, gameState.ruleSet) === 'win');
                 
                 if (counters.length > 0) {
                     const probability = counters.length / unknownAICards.length;
@@ -1466,29 +1521,12 @@ export class AIPlayer {
     }
     
     /**
-     * 获取卡牌的有效移动位置
+     * 获取卡牌的有效移动位置（空位和可攻击的敌方卡牌，由 generateCardActions 生成）
      * @param {Object} card - 卡牌对象
      * @returns {Array} 有效移动位置数组
      */
     getValidMoves(card) {
-        const moves = [];
-        const { row, col } = card.position;
-        
-        // 检查四个方向的移动
-        const directions = [
-            { row: row - 1, col: col },
-            { row: row + 1, col: col },
-            { row: row, col: col - 1 },
-            { row: row, col: col + 1 }
-        ];
-        
-        for (const dir of directions) {
-            if (this.isValidPosition(dir.row, dir.col) && this.isValidMoveTarget(dir.row, dir.col)) {
-                moves.push(dir);
-            }
-        }
-        
-        return moves;
+        return generateCardActions(this.gameEngine.gameState, card).map(action => ({ ...action.to }));
     }
     
     /**
@@ -1501,53 +1539,16 @@ export class AIPlayer {
         return row >= 0 && row < 5 && col >= 0 && col < 4;
     }
     
-    /**
-     * 检查移动目标是否有效
-     * @param {number} row - 行
-     * @param {number} col - 列
-     * @returns {boolean} 是否有效
-     */
-    isValidMoveTarget(row, col) {
-        const gameState = this.gameEngine.gameState;
-        const targetCard = gameState.getCardAt(row, col);
-        
-        // 空位置或敌方卡牌都可以作为移动目标
-        return !targetCard || targetCard.owner !== 'ai';
-    }
-    
     /**
      * 获取安全的移动位置
      * @param {Object} card - 卡牌对象
      * @returns {Array} 安全移动位置数组
      */
     getSafeMoves(card) {
-        const moves = this.getValidMoves(card);
-        const safeMoves = [];
-        
-        for (const move of moves) {
-            const targetCard = this.gameEngine.gameState.getCardAt(move.row, move.col);
-            if (!targetCard) {
-                // 空位置是安全的
-                safeMoves.push(move);
-            } else if (targetCard.owner !== 'ai' && this.canWinBattle(card, targetCard)) {
-                // 可以战胜的敌方卡牌也是安全的
-                safeMoves.push(move);
-            }
-        }
-        
-        return safeMoves;
-    }
-    
-    /**
-     * 检查AI卡牌是否能战胜目标卡牌
-     * @param {Object} aiCard - AI卡牌
-     * @param {Object} targetCard - 目标卡牌
-     * @returns {boolean} 是否能战胜
-     */
-    canWinBattle(aiCard, targetCard) {
-        // 使用游戏引擎的战斗规则
-        const battleResult = this.gameEngine.battleResolver.resolveBattle(aiCard, targetCard);
-        return battleResult === 'win';
+        // 空位置是安全的，可以战胜的敌方卡牌也是安全的
+        return generateCardActions(this.gameEngine.gameState, card)
+            .filter(action => action.type === 'move' || action.outcome.winner === 'attacker')
+            .map(action => ({ ...action.to }));
     }
     
     /**
@@ -2717,27 +2718,23 @@ export class AIPlayer {
      * @returns {Array} 移动选项数组
      */
     evaluateMoveOptions() {
-        const aiCards = this.getAIRevealedCards();
+        const gameState = this.gameEngine.gameState;
         const allMoves = [];
         
-        aiCards.forEach(card => {
-            const validMoves = this.gameEngine.getValidMoves(
-                card.position.row, 
-                card.position.col
-            );
-            
-            validMoves.forEach(move => {
-                const evaluation = this.evaluateMove(card, move);
+        // 走子和攻击由合法行动生成，胜负取自规则集算出的战斗结果
+        this.getAIRevealedCards().forEach(card => {
+            generateCardActions(gameState, card).forEach(action => {
+                const to = { ...action.to };
+                const outcome = action.outcome || null;
                 allMoves.push({
-                    from: card.position,
-                    to: { row: move.row, col: move.col },
-                    card: card,
-                    type: move.type,
-                    score: evaluation.score,
-                    confidence: evaluation.confidence,
-                    reasoning: evaluation.reasoning,
-                    canWin: evaluation.canWin,
-                    isSpecialRule: evaluation.isSpecialRule
+                    from: { ...card.position },
+                    to,
+                    card,
+                    type: outcome ? 'battle' : 'move',
+                    score: this.evaluateMove(card, to),
+                    canWin: outcome ? outcome.winner === 'attacker' : false,
+                    isSpecialRule: outcome ? outcome.basis === 'special' : false,
+                    ruleType: outcome && outcome.specialRule ? outcome.specialRule.ruleType : null
                 });
             });
         });
@@ -2878,20 +2875,29 @@ export class AIPlayer {
      * @returns {Promise<Object>} 执行结果
      */
     async executeDecision(decision) {
+        if (!decision) {
+            throw new Error('没有可执行的决策');
+        }
+
+        // 兼容两种决策格式：{ position, from, to } 与 { row, col, fromRow, fromCol, toRow, toCol }
+        const position = decision.position || { row: decision.row, col: decision.col };
+        const from = decision.from || { row: decision.fromRow, col: decision.fromCol };
+        const to = decision.to || { row: decision.toRow, col: decision.toCol };
+
         switch (decision.action) {
             case 'flip':
                 return this.gameEngine.flipCard(
-                    decision.position.row, 
-                    decision.position.col,
+                    position.row, 
+                    position.col,
                     'ai'  // 明确指定是AI在翻牌
                 );
                 
             case 'move':
                 return this.gameEngine.moveCard(
-                    decision.from.row, 
-                    decision.from.col,
-                    decision.to.row, 
-                    decision.to.col,
+                    from.row, 
+                    from.col,
+                    to.row, 
+                    to.col,
                     'ai'  // 明确指定是AI在移动卡牌
                 );
                 
@@ -3482,7 +3488,10 @@ export class AIPlayer {
     isCardInvincible(card, enemyCards) {
         for (const enemy of enemyCards) {
             if (this.canEliminate(enemy, card)) {
-                        return false;
+                return false;
+            }
+        }
+        return true;
     }
     
     /**
@@ -3622,9 +3631,6 @@ export class AIPlayer {
         
         return safety;
     }
-}
-        return true;
-    }
 
     /**
      * 计算保护优先级
@@ -3735,7 +3741,7 @@ export class AIPlayer {
             bestFlip.position.row === undefined || bestFlip.position.col === undefined) {
             
             // 降级策略：随机选择一张隐藏卡牌
-            const randomCard = hiddenCards[Math.floor(Math.random() * hiddenCards.length)];
+            const randomCard = this.rng.pick(hiddenCards);
             if (randomCard && randomCard.position) {
                 return {
                     action: 'flip',
@@ -4260,24 +4266,18 @@ export class AIPlayer {
      * @returns {Object} 翻牌决策
      */
     makeSimpleFlipDecision() {
-        const gameState = this.gameEngine.gameState;
-        const hiddenCards = gameState.cardsData.filter(card => !card.isRevealed);
+        const hiddenPositions = this.gameEngine.gameState.getUnrevealedPositions();
         
-        if (hiddenCards.length === 0) {
+        if (hiddenPositions.length === 0) {
             return null;
         }
         
         // 随机选择一张隐藏卡牌
-        const randomCard = hiddenCards[Math.floor(Math.random() * hiddenCards.length)];
-        
-        if (!randomCard || !randomCard.position) {
-            return null;
-        }
+        const position = this.rng.pick(hiddenPositions);
         
         return {
             action: 'flip',
-            row: randomCard.position.row,
-            col: randomCard.position.col,
+            position: { row: position.row, col: position.col },
             reasoning: '简单翻牌策略'
         };
     }
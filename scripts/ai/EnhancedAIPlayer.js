@@ -5,17 +5,32 @@
 
 import { EnhancedStrategy } from './EnhancedStrategy.js';
 import { ChessMasterStrategy } from './ChessMasterStrategy.js';
+import { SeededRandom } from '../utils/Random.js';
+import { SeatEngine } from './SeatEngine.js';
+import { ObservationView } from '../core/ObservationView.js';
+import { Rating } from '../core/Rating.js';
+import { generateLegalActions, toStrategyMove } from '../core/LegalActions.js';
 
 export class EnhancedAIPlayer {
-    constructor(gameEngine, difficulty = 'medium') {
-        this.gameEngine = gameEngine;
+    /**
+     * 构造函数
+     * @param {GameEngine|SeatEngine} gameEngine - 游戏引擎（真实引擎会被包装为 ai 座位）
+     * @param {string} difficulty - 难度级别
+     * @param {Object} options - 配置项
+     * @param {boolean} options.thinkingDelay - 是否保留思考时间，批量模拟时设为false
+     * @param {boolean} options.thinkingLog - 是否记录思考日志，批量模拟时设为false以节省内存
+     */
+    constructor(gameEngine, difficulty = 'medium', options = {}) {
+        this.gameEngine = SeatEngine.wrap(gameEngine, 'ai'); // 只能通过观察视图读取局面
         this.difficulty = difficulty;
-        this.strategy = new EnhancedStrategy(difficulty);
+        this.thinkingDelay = options.thinkingDelay !== false;
+        this.rng = this.gameEngine?.rng || new SeededRandom();
+        this.strategy = new EnhancedStrategy(difficulty, this.rng);
         this.chessMasterStrategy = new ChessMasterStrategy(difficulty);
         
         // AI配置
         this.config = {
-            thinkingTime: this.getThinkingTime(difficulty),
+            thinkingTime: this.thinkingDelay ? this.getThinkingTime(difficulty) : 0,
             maxDepth: this.getMaxDepth(difficulty),
             enableLearning: true,
             enableAdaptation: true
@@ -23,16 +38,11 @@ export class EnhancedAIPlayer {
         
         // 思考日志
         this.thinkingLog = [];
-        this.enableThinkingLog = true;
+        this.enableThinkingLog = options.thinkingLog !== false;
         
         // 决策历史
         this.decisionHistory = [];
         
-        // 【新增】失败学习机制 - 类人类智能的关键特征
-        this.failureMemory = new Map(); // 记录无效移动
-        this.successMemory = new Map(); // 记录成功移动
-        this.maxFailureMemorySize = 100; // 限制内存大小
-        
         // 性能统计
         this.stats = {
             totalMoves: 0,
@@ -40,9 +50,7 @@ export class EnhancedAIPlayer {
             losses: 0,
             battles: 0,
             flips: 0,
-            averageDecisionTime: 0,
-            invalidMovesAvoided: 0, // 避免的无效移动次数
-            learningEfficiency: 0   // 学习效率
+            averageDecisionTime: 0
         };
         
         // 初始化
@@ -60,17 +68,29 @@ export class EnhancedAIPlayer {
     }
 
     /**
-     * 根据难度获取思考时间 - 大幅优化响应速度
+     * 根据难度获取思考时间
+     * 只决定出手节奏，不代表棋力：各难度的实际强弱以 getRating 的等级分为准
+     * @param {string} difficulty - 难度级别
+     * @returns {number} 毫秒
      */
     getThinkingTime(difficulty) {
         const times = {
-            easy: 400,      // 从600ms降低到400ms
-            medium: 600,    // 从800ms降低到600ms
-            hard: 800       // 从1200ms降低到800ms
+            easy: 400,
+            medium: 600,
+            hard: 800
         };
         return times[difficulty] || times.medium;
     }
 
+    /**
+     * 难度档位的等级分（自我对弈校准，见 Rating.js 的 AI_TIER_RATINGS）
+     * @param {string} difficulty - 难度级别
+     * @returns {Object|null} { rating, rd }
+     */
+    getRating(difficulty = this.difficulty) {
+        return Rating.getTierRating('enhanced', difficulty);
+    }
+
     /**
      * 根据难度获取最大搜索深度
      */
@@ -84,24 +104,19 @@ export class EnhancedAIPlayer {
     }
 
     /**
-     * 执行AI回合 - 【重要修复】添加预演验证机制
+     * 执行AI回合
      */
     async executeTurn() {
         const startTime = performance.now();
         this.logThinking('开始AI回合', 'turn_start');
         
         try {
-            // 获取可用移动
-            const availableMoves = this.getAvailableMoves();
-            
-            // 【新增】预演验证所有移动
-            const validatedMoves = this.validateMovesWithGameEngine(availableMoves);
+            // 获取可用移动（均为合法行动，无需再交给引擎预演验证）
+            const validatedMoves = this.getAvailableMoves();
             
             this.logThinking('可用移动分析', 'moves_analysis', {
-                totalMoves: availableMoves.length,
-                validatedMoves: validatedMoves.length,
-                moveTypes: this.categorizeMoves(validatedMoves),
-                filteredOut: availableMoves.length - validatedMoves.length
+                totalMoves: validatedMoves.length,
+                moveTypes: this.categorizeMoves(validatedMoves)
             });
             
             if (validatedMoves.length === 0) {
@@ -112,7 +127,6 @@ export class EnhancedAIPlayer {
             let decision;
             
             try {
-                // 【修复】使用经过验证的移动进行决策
                 const chessMasterDecision = this.chessMasterStrategy.makeStrategicDecision(
                     this.gameEngine.gameState, 
                     validatedMoves
@@ -145,7 +159,7 @@ export class EnhancedAIPlayer {
                     decision = flipMoves[0];
                     this.logThinking('🛡️ 降级策略：选择翻牌', 'fallback_flip');
                 } else {
-                    decision = availableMoves[0];
+                    decision = validatedMoves[0];
                     this.logThinking('🛡️ 降级策略：选择第一个可用选项', 'fallback_first');
                 }
             }
@@ -221,350 +235,27 @@ export class EnhancedAIPlayer {
     }
 
     /**
-     * 获取可用移动
+     * 获取可用移动：由 generateLegalActions 生成的合法行动，转换为策略模块使用的着法格式
+     * 攻击只保留能取胜的（自杀防护：不拿小牌攻击大牌，也不主动同归于尽）
      */
     getAvailableMoves() {
-        const gameState = this.gameEngine.gameState;
-        const moves = [];
-        
-        // 获取AI的卡牌
-        const aiCards = gameState.cardsData.filter(card => 
-            card.isRevealed && card.owner === 'ai'
-        );
-        
-        // 获取可翻牌的位置
-        const unflippedPositions = this.getUnflippedPositions();
-        unflippedPositions.forEach(pos => {
-            moves.push({
-                type: 'flip',
-                position: pos,
-                description: '翻牌'
-            });
-        });
-        
-        // 获取AI卡牌的移动和攻击选项
-        aiCards.forEach(card => {
-            // 移动选项
-            const movePositions = this.getValidMovePositions(card);
-            movePositions.forEach(pos => {
-                moves.push({
-                    type: 'move',
-                    from: card.position,
-                    to: pos,
-                    card: card,
-                    description: `移动${card.name}到(${pos.row},${pos.col})`
-                });
-            });
-            
-            // 攻击选项
-            const attackTargets = this.getValidAttackTargets(card);
-            attackTargets.forEach(target => {
-                moves.push({
-                    type: 'attack',
-                    from: card.position,
-                    to: target.position,
-                    card: card,
-                    target: target,
-                    canWin: this.canWinBattle(card, target),
-                    targetLevel: target.level,
-                    description: `${card.name}攻击${target.name}`,
-                    isSpecialRule: this.isSpecialRuleAttack(card, target)
-                });
-            });
-        });
-        
-        return moves;
-    }
-
-    /**
-     * 获取未翻牌的位置
-     */
-    getUnflippedPositions() {
-        const gameState = this.gameEngine.gameState;
-        const positions = [];
-        
-        for (let row = 0; row < 5; row++) {
-            for (let col = 0; col < 4; col++) {
-                const card = gameState.cardsData.find(c => 
-                    c.position.row === row && c.position.col === col
-                );
-                
-                if (card && !card.isRevealed) {
-                    positions.push({ row, col });
-                }
-            }
-        }
-        
-        return positions;
-    }
-
-    /**
-     * 获取有效移动位置 - 【重要修复】添加游戏引擎验证
-     */
-    getValidMovePositions(card) {
-        const gameState = this.gameEngine.gameState;
-        const positions = [];
-        const { row, col } = card.position;
-        
-        // 检查四个方向的移动
-        const directions = [
-            { dr: -1, dc: 0 }, // 上
-            { dr: 1, dc: 0 },  // 下
-            { dr: 0, dc: -1 }, // 左
-            { dr: 0, dc: 1 }   // 右
-        ];
-        
-        directions.forEach(({ dr, dc }) => {
-            const newRow = row + dr;
-            const newCol = col + dc;
-            
-            // 【关键修复】使用游戏引擎的验证逻辑
-            if (this.gameEngine.isValidMove(row, col, newRow, newCol)) {
-                positions.push({ row: newRow, col: newCol });
-                this.logThinking(`✅ 有效移动: (${row},${col}) → (${newRow},${newCol})`, 'move_validation');
-            } else {
-                this.logThinking(`❌ 无效移动: (${row},${col}) → (${newRow},${newCol})`, 'move_validation');
-            }
-        });
-        
-        return positions;
-    }
-
-    /**
-     * 获取有效攻击目标 - 【重要修复】添加自杀防护
-     */
-    getValidAttackTargets(card) {
-        const gameState = this.gameEngine.gameState;
-        const targets = [];
-        const { row, col } = card.position;
-        
-        // 检查四个方向的攻击
-        const directions = [
-            { dr: -1, dc: 0 }, // 上
-            { dr: 1, dc: 0 },  // 下
-            { dr: 0, dc: -1 }, // 左
-            { dr: 0, dc: 1 }   // 右
-        ];
-        
-        directions.forEach(({ dr, dc }) => {
-            const targetRow = row + dr;
-            const targetCol = col + dc;
-            
-            // 【关键修复】先验证移动有效性，再检查攻击目标
-            if (this.gameEngine.isValidMove(row, col, targetRow, targetCol)) {
-                const targetCard = gameState.cardsData.find(c => 
-                    c.position.row === targetRow && c.position.col === targetCol
-                );
-                
-                if (targetCard && targetCard.isRevealed && targetCard.owner !== card.owner) {
-                    // 【重要修复】添加自杀防护：只允许有意义的攻击
-                    if (this.isAttackMeaningful(card, targetCard)) {
-                        targets.push(targetCard);
-                        this.logThinking(`⚔️ 有效攻击目标: ${card.name}(${card.level}级) → ${targetCard.name}(${targetCard.level}级)`, 'attack_validation');
-                    } else {
-                        this.logThinking(`🚫 阻止自杀攻击: ${card.name}(${card.level}级) 攻击 ${targetCard.name}(${targetCard.level}级)`, 'suicide_prevention');
-                    }
-                }
-            }
-        });
-        
-        return targets;
+        return generateLegalActions(this.gameEngine.gameState, 'ai')
+            .filter(action => action.type !== 'attack' || this.isAttackMeaningful(action))
+            .map(toStrategyMove);
     }
 
     /**
-     * 【优化】检查是否可以获胜 - 完整战斗规则理解
-     */
-    canWinBattle(attacker, target) {
-        this.logThinking(`🎯 战斗分析: ${attacker.name}(${attacker.level}) vs ${target.name}(${target.level})`, 'battle_analysis');
-        
-        // 正常规则：等级低的吃等级高的（数字越小等级越高）
-        if (attacker.level < target.level) {
-            this.logThinking(`✅ 正常规则胜利: ${attacker.level} < ${target.level}`, 'battle_normal_win');
-            return true;
-        }
-        
-        // 特殊规则：8级小王虎可吃1级龙王，8级变形龙可吃1级虎王
-        if (attacker.level === 8 && target.level === 1) {
-            if ((attacker.faction === 'tiger' && target.faction === 'dragon') ||
-                (attacker.faction === 'dragon' && target.faction === 'tiger')) {
-                this.logThinking(`🔥 特殊规则胜利: 8级${attacker.faction}吃1级${target.faction}`, 'battle_special_win');
-                return true;
-            }
-        }
-        
-        // 同等级对战：平局，双方都被消灭
-        if (attacker.level === target.level) {
-            this.logThinking(`⚡ 同等级对战: 双方都被消灭`, 'battle_draw');
-            return false; // 技术上不算"获胜"，但是战斗可以进行
-        }
-        
-        this.logThinking(`❌ 战斗失败: ${attacker.level} > ${target.level}且无特殊规则`, 'battle_lose');
-        return false;
-    }
-
-    /**
-     * 检查是否为特殊规则攻击
-     */
-    isSpecialRuleAttack(attacker, target) {
-        return attacker.level === 8 && target.level === 1 &&
-               ((attacker.faction === 'tiger' && target.faction === 'dragon') ||
-                (attacker.faction === 'dragon' && target.faction === 'tiger'));
-    }
-    
-    /**
-     * 【新增】检查攻击是否有意义 - 全局防止小牌攻击大牌
-     * @param {Object} attacker - 攻击者
-     * @param {Object} target - 攻击目标
+     * 检查攻击是否有意义：战斗结果为攻击方获胜（含特殊规则）
+     * @param {Object} action - 攻击行动（附带战斗结果）
      * @returns {boolean} 是否有意义
      */
-    isAttackMeaningful(attacker, target) {
-        // 【核心防护】严格禁止小牌攻击大牌（除了特殊规则）
-        
-        // 1. 等级高的攻击等级低的 = 绝对禁止（小牌攻击大牌）
-        if (attacker.level > target.level) {
-            console.log(`🚫 AI全局防护：禁止小牌攻击大牌 - ${attacker.name}(等级${attacker.level}) 攻击 ${target.name}(等级${target.level})`);
-            return false;
-        }
-        
-        // 2. 相同等级攻击 = 禁止（同归于尽）
-        if (attacker.level === target.level) {
-            console.log(`🚫 AI全局防护：禁止同归于尽 - ${attacker.name}(等级${attacker.level}) 攻击 ${target.name}(等级${target.level})`);
-            return false;
-        }
-        
-        // 3. 等级低的攻击等级高的 = 允许（大牌吃小牌）
-        if (attacker.level < target.level) {
-            console.log(`✅ AI允许攻击：大牌吃小牌 - ${attacker.name}(等级${attacker.level}) 攻击 ${target.name}(等级${target.level})`);
-            return true;
-        }
-        
-        // 4. 特殊规则：8级小王虎可吃1级龙王，8级变形龙可吃1级虎王
-        if (this.isSpecialRuleAttack(attacker, target)) {
-            console.log(`🔥 AI特殊规则：${attacker.name}(等级${attacker.level}) 攻击 ${target.name}(等级${target.level})`);
-            return true;
-        }
-        
-        // 5. 其他情况 = 禁止
-        console.log(`🚫 AI全局防护：未知情况禁止攻击 - ${attacker.name}(等级${attacker.level}) 攻击 ${target.name}(等级${target.level})`);
-        return false;
-    }
-
-    /**
-     * 【新增核心方法】预演验证所有移动 - 类人类智能的关键
-     */
-    validateMovesWithGameEngine(moves) {
-        const validMoves = [];
-        
-        moves.forEach(move => {
-            const moveKey = this.generateMoveKey(move);
-            
-            // 【学习机制1】检查是否是已知的无效移动
-            if (this.failureMemory.has(moveKey)) {
-                this.stats.invalidMovesAvoided++;
-                this.logThinking(`🧠 学习避免: ${move.description} (之前失败过)`, 'learning_avoidance');
-                return; // 跳过这个移动
-            }
-            
-            let isValid = false;
-            
-            try {
-                if (move.type === 'flip') {
-                    // 翻牌验证：检查位置是否有未翻开的牌
-                    const card = this.gameEngine.gameState.getCardAt(move.position.row, move.position.col);
-                    isValid = card && !card.isRevealed;
-                    
-                } else if (move.type === 'move' || move.type === 'attack') {
-                    // 移动/攻击验证：使用游戏引擎的验证逻辑
-                    isValid = this.gameEngine.isValidMove(
-                        move.from.row, move.from.col, 
-                        move.to.row, move.to.col
-                    );
-                }
-                
-                if (isValid) {
-                    validMoves.push(move);
-                    // 【学习机制2】记录成功的移动
-                    this.recordSuccessfulMove(moveKey, move);
-                    this.logThinking(`✅ 验证通过: ${move.description}`, 'move_validation_success');
-                } else {
-                    // 【学习机制3】记录失败的移动
-                    this.recordFailedMove(moveKey, move, '验证失败');
-                    this.logThinking(`❌ 验证失败: ${move.description}`, 'move_validation_failed');
-                }
-                
-            } catch (error) {
-                // 【学习机制4】记录异常的移动
-                this.recordFailedMove(moveKey, move, error.message);
-                this.logThinking(`⚠️ 验证异常: ${move.description} - ${error.message}`, 'move_validation_error');
-            }
-        });
-        
-        // 更新学习效率统计
-        this.updateLearningEfficiency();
-        
-        return validMoves;
-    }
-
-    /**
-     * 【新增】生成移动的唯一标识符
-     */
-    generateMoveKey(move) {
-        if (move.type === 'flip') {
-            return `flip_${move.position.row}_${move.position.col}`;
-        } else {
-            return `${move.type}_${move.from.row}_${move.from.col}_${move.to.row}_${move.to.col}`;
-        }
-    }
-
-    /**
-     * 【新增】记录失败的移动
-     */
-    recordFailedMove(moveKey, move, reason) {
-        const failureData = {
-            move,
-            reason,
-            timestamp: Date.now(),
-            attempts: (this.failureMemory.get(moveKey)?.attempts || 0) + 1
-        };
-        
-        this.failureMemory.set(moveKey, failureData);
-        
-        // 限制内存大小
-        if (this.failureMemory.size > this.maxFailureMemorySize) {
-            const oldestKey = this.failureMemory.keys().next().value;
-            this.failureMemory.delete(oldestKey);
-        }
-        
-        this.logThinking(`🧠 学习记录失败: ${moveKey} - ${reason}`, 'learning_record_failure');
-    }
-
-    /**
-     * 【新增】记录成功的移动
-     */
-    recordSuccessfulMove(moveKey, move) {
-        const successData = {
-            move,
-            timestamp: Date.now(),
-            uses: (this.successMemory.get(moveKey)?.uses || 0) + 1
-        };
-        
-        this.successMemory.set(moveKey, successData);
-        
-        // 如果之前记录为失败，现在成功了，删除失败记录
-        if (this.failureMemory.has(moveKey)) {
-            this.failureMemory.delete(moveKey);
-            this.logThinking(`🎯 纠正学习: ${moveKey} 从失败转为成功`, 'learning_correction');
-        }
-    }
-
-    /**
-     * 【新增】更新学习效率统计
-     */
-    updateLearningEfficiency() {
-        const totalMemories = this.failureMemory.size + this.successMemory.size;
-        if (totalMemories > 0) {
-            this.stats.learningEfficiency = this.stats.invalidMovesAvoided / totalMemories;
-        }
+    isAttackMeaningful(action) {
+        const meaningful = action.outcome.winner === 'attacker';
+        this.logThinking(
+            `${meaningful ? '⚔️ 有效攻击目标' : '🚫 阻止自杀攻击'}: ${action.card.name}(${action.card.level}级) → ${action.target.name}(${action.target.level}级)`,
+            meaningful ? 'attack_validation' : 'suicide_prevention'
+        );
+        return meaningful;
     }
 
     /**
@@ -592,6 +283,20 @@ export class EnhancedAIPlayer {
         return this.strategy.selectStrategyBySituation(evaluation);
     }
 
+    /**
+     * 答复对方的和棋提议：快速评估的综合评分落后时同意，阵营未确定时拒绝
+     * @returns {Object} { accept, score, reason }
+     */
+    evaluateDrawOffer() {
+        const gameState = this.gameEngine.gameState;
+        if (!gameState.aiFaction) {
+            return { accept: false, score: 0, reason: '阵营尚未确定' };
+        }
+
+        const score = this.strategy.quickEvaluation(gameState).overallScore;
+        return { accept: score < 0, score, reason: score < 0 ? '局面落后' : '局面不落后' };
+    }
+
     /**
      * 执行决策
      */
@@ -773,6 +478,9 @@ export class EnhancedAIPlayer {
 
         this.thinkingLog.push(logEntry);
 
+        // 非浏览器环境（如Node批量模拟）没有调试界面
+        if (typeof window === 'undefined') return;
+
         // 实时广播到调试界面
         if (window.aiDebugger && typeof window.aiDebugger.onAIThinking === 'function') {
             window.aiDebugger.onAIThinking(logEntry);
@@ -813,8 +521,8 @@ export class EnhancedAIPlayer {
      */
     adjustDifficulty(newDifficulty) {
         this.difficulty = newDifficulty;
-        this.strategy = new EnhancedStrategy(newDifficulty);
-        this.config.thinkingTime = this.getThinkingTime(newDifficulty);
+        this.strategy = new EnhancedStrategy(newDifficulty, this.rng);
+        this.config.thinkingTime = this.thinkingDelay ? this.getThinkingTime(newDifficulty) : 0;
         this.config.maxDepth = this.getMaxDepth(newDifficulty);
         
         this.logThinking('难度调整完成', 'difficulty_adjustment', {
@@ -841,4 +549,36 @@ export class EnhancedAIPlayer {
         
         this.logThinking('统计重置完成', 'stats_reset');
     }
+
+    /**
+     * 导出AI记忆（引擎快照和存档使用，可JSON序列化）
+     * 包括决策历史、统计、策略的学习数据和随机数状态；思考日志只用于调试，不导出
+     * @returns {Object} AI记忆
+     */
+    snapshotMemory() {
+        // 决策历史中的观察视图按 toJSON 序列化
+        return JSON.parse(JSON.stringify({
+            decisionHistory: this.decisionHistory,
+            stats: this.stats,
+            strategy: this.strategy.snapshotMemory(),
+            rngState: this.rng.getState()
+        }));
+    }
+
+    /**
+     * 恢复 snapshotMemory 导出的AI记忆
+     * @param {Object} memory - snapshotMemory 的结果
+     */
+    restoreMemory(memory) {
+        const copy = JSON.parse(JSON.stringify(memory));
+        this.decisionHistory = copy.decisionHistory.map(entry => ({
+            ...entry,
+            gameState: ObservationView.fromJSON(entry.gameState)
+        }));
+        this.stats = copy.stats;
+        this.strategy.restoreMemory(copy.strategy);
+        if (copy.rngState !== undefined) {
+            this.rng.setState(copy.rngState);
+        }
+    }
 }
@@ -3,9 +3,18 @@
  * 基于产品经理优化方案重构的智能策略系统
  */
 
+import { SeededRandom } from '../utils/Random.js';
+import { generateCardActions } from '../core/LegalActions.js';
+
 export class EnhancedStrategy {
-    constructor(difficulty = 'medium') {
+    /**
+     * 构造函数
+     * @param {string} difficulty - 难度级别
+     * @param {SeededRandom} rng - 随机数生成器，默认随机种子
+     */
+    constructor(difficulty = 'medium', rng = new SeededRandom()) {
         this.difficulty = difficulty;
+        this.rng = rng;
         this.config = this.initializeConfig(difficulty);
         this.openingBook = this.initializeOpeningBook();
         this.tacticalLibrary = this.initializeTacticalLibrary();
@@ -148,6 +157,24 @@ export class EnhancedStrategy {
         }
     }
 
+    /**
+     * 导出学习数据和统计（引擎快照使用，可JSON序列化）
+     * @returns {Object} { learningData, stats }
+     */
+    snapshotMemory() {
+        return JSON.parse(JSON.stringify({ learningData: this.learningData, stats: this.stats }));
+    }
+
+    /**
+     * 恢复 snapshotMemory 导出的学习数据和统计
+     * @param {Object} memory - snapshotMemory 的结果
+     */
+    restoreMemory(memory) {
+        const { learningData, stats } = JSON.parse(JSON.stringify(memory));
+        this.learningData = learningData;
+        this.stats = stats;
+    }
+
     /**
      * 核心决策函数 - 产品级智能决策系统
      */
@@ -162,7 +189,7 @@ export class EnhancedStrategy {
             const decision = this.intelligentDecisionFramework(gameState, availableMoves, evaluation);
             
             // 3. 记录决策数据
-            this.recordDecision(decision, this.getCurrentStrategy(), evaluation);
+            this.recordDecision(decision, this.selectStrategyBySituation(evaluation), evaluation);
             
             const endTime = performance.now();
             this.stats.averageMoveTime = (this.stats.averageMoveTime + (endTime - startTime)) / 2;
@@ -338,7 +365,7 @@ export class EnhancedStrategy {
         const moveOpportunities = this.analyzeMoveOpportunities(aiCards, gameState);
         
         // 计算攻击机会
-        const attackOpportunities = this.analyzeAttackOpportunities(aiCards, playerCards);
+        const attackOpportunities = this.analyzeAttackOpportunities(aiCards, playerCards, gameState);
         
         return {
             materialAdvantage: totalValue > 0 ? materialAdvantage / totalValue : 0,
@@ -407,10 +434,9 @@ export class EnhancedStrategy {
         
         aiCards.forEach(card => {
             // 检查是否有好的移动目标
-            const validMoves = this.getValidMovePositions(card);
-            const bestMoveScore = Math.max(...validMoves.map(pos => 
-                this.evaluatePositionValue(pos)
-            ));
+            const validMoves = this.getValidMovePositions(card, gameState);
+            const bestMoveScore = validMoves.length > 0 ?
+                Math.max(...validMoves.map(pos => this.evaluatePositionValue(pos))) : 0;
             
             opportunities += bestMoveScore;
             
@@ -427,21 +453,21 @@ export class EnhancedStrategy {
     /**
      * 分析攻击机会 - 重新设计，更智能
      */
-    analyzeAttackOpportunities(aiCards, playerCards) {
+    analyzeAttackOpportunities(aiCards, playerCards, gameState) {
         if (aiCards.length === 0 || playerCards.length === 0) return 0;
         
         let opportunities = 0;
         
         aiCards.forEach(aiCard => {
-            const attackTargets = this.getValidAttackTargets(aiCard);
-            attackTargets.forEach(target => {
-                if (this.canWinBattle(aiCard, target)) {
+            const attacks = this.getValidAttackTargets(aiCard, gameState);
+            attacks.forEach(({ target, outcome }) => {
+                if (outcome.winner === 'attacker') {
                     // 计算攻击价值
                     const targetValue = 9 - target.level;
                     opportunities += targetValue * 3; // 提升权重
                     
                     // 特殊规则攻击加分
-                    if (this.isSpecialRuleAttack(aiCard, target)) {
+                    if (outcome.basis === 'special') {
                         opportunities += 5;
                     }
                     
@@ -797,73 +823,36 @@ export class EnhancedStrategy {
     }
 
     /**
-     * 获取有效移动位置（从策略类中移过来）
+     * 获取卡牌可以走到的空位（由 generateCardActions 生成）
+     * @param {Card} card - 己方已翻开的卡牌
+     * @param {ObservationView} gameState - 局面
+     * @returns {Array} 位置数组
      */
-    getValidMovePositions(card) {
-        const positions = [];
-        const { row, col } = card.position;
-        
-        // 检查四个方向的移动
-        const directions = [
-            { dr: -1, dc: 0 }, // 上
-            { dr: 1, dc: 0 },  // 下
-            { dr: 0, dc: -1 }, // 左
-            { dr: 0, dc: 1 }   // 右
-        ];
-        
-        directions.forEach(({ dr, dc }) => {
-            const newRow = row + dr;
-            const newCol = col + dc;
-            
-            if (newRow >= 0 && newRow < 5 && newCol >= 0 && newCol < 4) {
-                positions.push({ row: newRow, col: newCol });
-            }
-        });
-        
-        return positions;
+    getValidMovePositions(card, gameState) {
+        return generateCardActions(gameState, card)
+            .filter(action => action.type === 'move')
+            .map(action => action.to);
     }
 
     /**
-     * 获取有效攻击目标 - 修复实现
+     * 获取卡牌可以攻击的目标（由 generateCardActions 生成）
+     * @param {Card} card - 己方已翻开的卡牌
+     * @param {ObservationView} gameState - 局面
+     * @returns {Array} 攻击行动数组：{ target, outcome, ... }
      */
-    getValidAttackTargets(card) {
-        const targets = [];
-        const { row, col } = card.position;
-        
-        // 检查四个方向的攻击
-        const directions = [
-            { dr: -1, dc: 0 }, // 上
-            { dr: 1, dc: 0 },  // 下
-            { dr: 0, dc: -1 }, // 左
-            { dr: 0, dc: 1 }   // 右
-        ];
-        
-        directions.forEach(({ dr, dc }) => {
-            const targetRow = row + dr;
-            const targetCol = col + dc;
-            
-            if (targetRow >= 0 && targetRow < 5 && targetCol >= 0 && targetCol < 4) {
-                // 这里需要从gameState中获取目标卡牌信息
-                // 简化实现，返回位置信息
-                targets.push({ 
-                    position: { row: targetRow, col: targetCol },
-                    row: targetRow,
-                    col: targetCol
-                });
-            }
-        });
-        
-        return targets;
+    getValidAttackTargets(card, gameState) {
+        return generateCardActions(gameState, card).filter(action => action.type === 'attack');
     }
 
     /**
      * 快速局面评估 - 核心算法
      */
     quickEvaluation(gameState) {
-        const aiCards = gameState.cardsData.filter(card => 
+        // 只计棋盘上的卡牌：被消灭的卡牌同样是翻开的，不能算作子力
+        const aiCards = gameState.getCardsOnBoard().filter(card => 
             card.isRevealed && card.owner === 'ai'
         );
-        const playerCards = gameState.cardsData.filter(card => 
+        const playerCards = gameState.getCardsOnBoard().filter(card => 
             card.isRevealed && card.owner === 'player'
         );
         
@@ -1470,9 +1459,7 @@ export class EnhancedStrategy {
      * 随机选择
      */
     randomSelect(items) {
-        if (items.length === 0) return null;
-        const index = Math.floor(Math.random() * items.length);
-        return items[index];
+        return this.rng.pick(items);
     }
 
     /**
@@ -1603,39 +1590,6 @@ export class EnhancedStrategy {
                position.col === 0 || position.col === 3;
     }
 
-    /**
-     * 检查能否获胜战斗
-     */
-    canWinBattle(attacker, target) {
-        if (!attacker || !target) return false;
-        
-        // 正常规则：等级低的吃等级高的
-        if (attacker.level < target.level) {
-            return true;
-        }
-        
-        // 特殊规则：8级小王虎可吃1级龙王，8级变形龙可吃1级虎王
-        if (attacker.level === 8 && target.level === 1) {
-            if ((attacker.faction === 'tiger' && target.faction === 'dragon') ||
-                (attacker.faction === 'dragon' && target.faction === 'tiger')) {
-                return true;
-            }
-        }
-        
-        return false;
-    }
-
-    /**
-     * 检查是否为特殊规则攻击
-     */
-    isSpecialRuleAttack(attacker, target) {
-        if (!attacker || !target) return false;
-        
-        return attacker.level === 8 && target.level === 1 &&
-               ((attacker.faction === 'tiger' && target.faction === 'dragon') ||
-                (attacker.faction === 'dragon' && target.faction === 'tiger'));
-    }
-
     // ========== 智能决策支撑方法 ==========
 
     /**
@@ -1688,7 +1642,7 @@ export class EnhancedStrategy {
         
         aiCards.forEach(card => {
             // 检查卡牌是否在有效位置，能够发挥作用
-            const hasAttackOpportunity = this.getValidAttackTargets(card).length > 0;
+            const hasAttackOpportunity = this.getValidAttackTargets(card, gameState).length > 0;
             const isInGoodPosition = this.evaluatePositionValue(card.position) >= 2;
             
             if (hasAttackOpportunity || isInGoodPosition) {
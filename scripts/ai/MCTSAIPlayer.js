@@ -0,0 +1,309 @@
+/**
+ * MCTSAIPlayer类 - 信息集蒙特卡洛树搜索（ISMCTS）AI
+ * 每次迭代先把尚未出现的身份随机分配给未翻开的格子（确定化），再在同一棵以观察方信息集为根的树上
+ * 选择、扩展、模拟和回传。树节点按行动区分，翻出什么身份属于环境的随机性，不单独建节点；
+ * 不同确定化下可走的行动不同，选择时按"可用次数"计算UCB。不依赖手工调整的权重，
+ * 可选用 EnhancedStrategy.scoreMove 作为模拟策略。搜索结束后公开每个候选行动的访问次数和胜率
+ */
+
+import { EnhancedStrategy } from './EnhancedStrategy.js';
+import { SearchAIPlayer } from './SearchAIPlayer.js';
+import { EMPTY, HIDDEN, DEFENDER_LOST } from '../core/Position.js';
+import { Rating } from '../core/Rating.js';
+
+// 各难度的搜索参数：迭代次数、时间预算(毫秒)、UCB探索系数、单次模拟的最大步数、模拟策略
+const DIFFICULTY_SETTINGS = {
+    easy: { iterations: 200, timeBudget: 300, exploration: 1.4, rolloutDepth: 16, rolloutPolicy: 'random', maxFlips: Infinity },
+    medium: { iterations: 800, timeBudget: 1000, exploration: 1.0, rolloutDepth: 24, rolloutPolicy: 'random', maxFlips: Infinity },
+    hard: { iterations: 2500, timeBudget: 2500, exploration: 0.8, rolloutDepth: 32, rolloutPolicy: 'random', maxFlips: Infinity }
+};
+
+// 模拟未到终局时，局面评估按该尺度压缩为胜率
+const EVALUATION_SCALE = 8;
+
+// 使用策略模拟时，按该概率随机行动以保持多样性
+const ROLLOUT_EPSILON = 0.2;
+
+// 界面展示的候选行动数
+const TOP_CANDIDATES = 5;
+
+export class MCTSAIPlayer extends SearchAIPlayer {
+    /**
+     * 构造函数
+     * @param {GameEngine|SeatEngine} gameEngine - 游戏引擎（真实引擎会被包装为 ai 座位）
+     * @param {string} difficulty - 难度级别
+     * @param {Object} options - 配置项
+     * @param {boolean} options.thinkingDelay - 是否保留最短思考时间，批量模拟时设为false
+     * @param {number} options.iterations - 覆盖难度默认的迭代次数
+     * @param {number|null} options.timeBudget - 覆盖时间预算，null 表示只受迭代次数限制（结果可复现）
+     * @param {number} options.exploration - 覆盖UCB探索系数
+     * @param {number} options.rolloutDepth - 覆盖单次模拟的最大步数
+     * @param {string} options.rolloutPolicy - 模拟策略：random | strategy（EnhancedStrategy.scoreMove）
+     */
+    constructor(gameEngine, difficulty = 'medium', options = {}) {
+        super(gameEngine, difficulty, options);
+        this.rolloutStrategy = null;        // 按需创建的 EnhancedStrategy
+    }
+
+    /**
+     * 获取当前难度的默认搜索参数
+     * @returns {Object} 搜索参数
+     */
+    getDifficultySettings() {
+        return DIFFICULTY_SETTINGS[this.difficulty] || DIFFICULTY_SETTINGS.medium;
+    }
+
+    /**
+     * 难度档位的等级分（自我对弈校准，见 Rating.js 的 AI_TIER_RATINGS）
+     * @param {string} difficulty - 难度级别
+     * @returns {Object|null} { rating, rd }
+     */
+    getRating(difficulty = this.difficulty) {
+        return Rating.getTierRating('mcts', difficulty);
+    }
+
+    /**
+     * 运行ISMCTS，选出访问次数最多的行动
+     * @param {ObservationView} view - 观察视图
+     * @param {Object} context - 搜索上下文
+     * @returns {Object|null} 搜索行动
+     */
+    chooseAction(view, context = this.createSearchContext(view)) {
+        const state = this.createSearchState(view);
+        const actions = this.generateActions(state, context, true);
+
+        if (actions.length === 0) {
+            return null;
+        }
+
+        // 阵营未定（本局第一次翻牌）时无从评估，随机翻一张
+        if (actions.length === 1 || !state.factions.ai) {
+            const action = actions.length === 1 ? actions[0] : this.rng.pick(actions);
+            this.lastSearch = { iterations: 0, elapsed: 0, candidates: [] };
+            return action;
+        }
+
+        const root = this.createNode(null, null, null);
+        context.drawingMoves = new Set(actions
+            .filter(action => this.isDrawingMove(state, action, context))
+            .map(action => this.getActionKey(action)));
+        const { iterations } = context.settings;
+        let completed = 0;
+
+        while (completed < iterations) {
+            if (context.deadline !== null && performance.now() > context.deadline) break;
+            this.runIteration(root, this.determinize(state), context);
+            completed++;
+        }
+
+        const ranked = [...root.children.values()].sort((a, b) => b.visits - a.visits);
+        this.lastSearch = {
+            iterations: completed,
+            elapsed: performance.now() - context.startTime,
+            candidates: ranked.slice(0, TOP_CANDIDATES).map(node => ({
+                decision: this.toDecision(node.action, view, context),
+                visits: node.visits,
+                winRate: node.visits > 0 ? node.wins / node.visits : 0
+            }))
+        };
+
+        return ranked.length > 0 && ranked[0].visits > 0 ? ranked[0].action : actions[0];
+    }
+
+    /**
+     * 获取最近一次搜索中各候选行动的访问次数和胜率（ai 视角）
+     * @returns {Array} [{ decision, visits, winRate }]
+     */
+    getCandidateStatistics() {
+        return this.lastSearch ? [...this.lastSearch.candidates] : [];
+    }
+
+    /**
+     * 创建树节点
+     * @param {Object|null} parent - 父节点
+     * @param {Object|null} action - 进入该节点的行动
+     * @param {string|null} player - 执行该行动的一方
+     * @returns {Object} 节点
+     */
+    createNode(parent, action, player) {
+        return { parent, action, player, children: new Map(), visits: 0, wins: 0, availability: 0, isDraw: false };
+    }
+
+    /**
+     * 行动的唯一键
+     * @param {Object} action - 行动
+     * @returns {string} 键
+     */
+    getActionKey(action) {
+        return action.type === 'flip' ? `flip:${action.index}` : `${action.type}:${action.from}-${action.to}`;
+    }
+
+    /**
+     * 确定化：把尚未出现的身份随机分配给未翻开的格子
+     * @param {Position} state - 搜索局面
+     * @returns {Position} 确定化后的局面副本（未翻开的格子身份已知，pool 为空）
+     */
+    determinize(state) {
+        const identities = this.rng.shuffle(state.getPool());
+        const determinized = state.clone();
+        let next = 0;
+        determinized.cells.forEach((code, index) => {
+            if (code === HIDDEN) {
+                determinized.cells[index] = identities[next++];
+            }
+        });
+        determinized.poolSize = 0;
+        return determinized;
+    }
+
+    /**
+     * 执行一次迭代：选择 → 扩展 → 模拟 → 回传
+     * @param {Object} root - 根节点
+     * @param {Position} state - 确定化后的局面（原地执行行动，迭代结束后丢弃）
+     * @param {Object} context - 搜索上下文
+     */
+    runIteration(root, state, context) {
+        let node = root;
+
+        while (!node.isDraw && this.getTerminalScore(state, context, 0) === null) {
+            const actions = this.generateActions(state, context);
+            if (actions.length === 0) break;
+
+            const available = [];
+            const untried = [];
+            actions.forEach(action => {
+                const child = node.children.get(this.getActionKey(action));
+                if (child) {
+                    child.availability++;
+                    available.push(child);
+                } else {
+                    untried.push(action);
+                }
+            });
+
+            if (untried.length > 0) {
+                const action = this.rng.pick(untried);
+                const child = this.createNode(node, action, state.toMove);
+                child.availability = 1;
+                // 根节点上会立即判平的走子（重复局面等）不再往下展开
+                child.isDraw = node === root && context.drawingMoves.has(this.getActionKey(action));
+                node.children.set(this.getActionKey(action), child);
+                state.apply(action);
+                node = child;
+                break;
+            }
+
+            node = this.selectChild(available, context.settings.exploration);
+            state.apply(node.action);
+        }
+
+        const result = node.isDraw ? 0.5 : this.rollout(state, context);
+        for (let current = node; current; current = current.parent) {
+            current.visits++;
+            if (current.player) {
+                current.wins += current.player === 'ai' ? result : 1 - result;
+            }
+        }
+    }
+
+    /**
+     * UCB选择：胜率 + 探索项，探索项以子节点的可用次数代替父节点访问次数
+     * @param {Array} children - 当前确定化下可用的子节点
+     * @param {number} exploration - 探索系数
+     * @returns {Object} 子节点
+     */
+    selectChild(children, exploration) {
+        let best = null;
+        let bestValue = -Infinity;
+
+        children.forEach(child => {
+            const value = child.wins / child.visits +
+                exploration * Math.sqrt(Math.log(child.availability) / child.visits);
+            if (value > bestValue) {
+                best = child;
+                bestValue = value;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 模拟对局直到终局或步数上限
+     * @param {Position} state - 确定化后的局面
+     * @param {Object} context - 搜索上下文
+     * @returns {number} ai 一方的得分：胜1、平0.5、负0，未终局时为评估压缩后的胜率
+     */
+    rollout(state, context) {
+        for (let ply = 0; ply < context.settings.rolloutDepth; ply++) {
+            const terminal = this.getTerminalScore(state, context, 0);
+            if (terminal !== null) {
+                return terminal > 0 ? 1 : (terminal < 0 ? 0 : 0.5);
+            }
+
+            const actions = this.generateActions(state, context);
+            if (actions.length === 0) break;
+
+            state.apply(this.selectRolloutAction(state, actions, context));
+        }
+
+        const terminal = this.getTerminalScore(state, context, 0);
+        if (terminal !== null) {
+            return terminal > 0 ? 1 : (terminal < 0 ? 0 : 0.5);
+        }
+        return 1 / (1 + Math.exp(-this.evaluate(state, context) / EVALUATION_SCALE));
+    }
+
+    /**
+     * 模拟策略选择行动
+     * @param {Position} state - 确定化后的局面
+     * @param {Array} actions - 可用行动
+     * @param {Object} context - 搜索上下文
+     * @returns {Object} 行动
+     */
+    selectRolloutAction(state, actions, context) {
+        if (context.settings.rolloutPolicy !== 'strategy' || this.rng.chance(ROLLOUT_EPSILON)) {
+            return this.rng.pick(actions);
+        }
+
+        if (!this.rolloutStrategy) {
+            this.rolloutStrategy = new EnhancedStrategy(this.difficulty, this.rng);
+        }
+
+        // scoreMove 只用到已翻开卡牌数量判断对局阶段
+        const gameState = {
+            cardsData: Array.from(state.cells).filter(code => code !== EMPTY).map(code => ({ isRevealed: state.revealed[code] === 1 }))
+        };
+        let best = actions[0];
+        let bestScore = -Infinity;
+        actions.forEach(action => {
+            const score = this.rolloutStrategy.scoreMove(this.toStrategyMove(state, action), gameState);
+            if (score > bestScore) {
+                best = action;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 行动转换为 EnhancedStrategy 使用的着法格式
+     * @param {Position} state - 搜索局面
+     * @param {Object} action - 行动
+     * @returns {Object} 着法
+     */
+    toStrategyMove(state, action) {
+        if (action.type === 'flip') {
+            return { type: 'flip', position: state.getCoordinates(action.index) };
+        }
+
+        const move = { type: action.type, from: state.getCoordinates(action.from), to: state.getCoordinates(action.to) };
+        if (action.type === 'attack') {
+            const attacker = state.cells[action.from];
+            const defender = state.cells[action.to];
+            move.canWin = state.getOutcome(attacker, defender) === DEFENDER_LOST;
+            move.targetLevel = state.cards[defender].level;
+        }
+        return move;
+    }
+}
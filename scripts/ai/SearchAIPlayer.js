@@ -0,0 +1,732 @@
+/**
+ * SearchAIPlayer类 - 期望极大极小（Expectimax）搜索AI
+ * 以观察视图为根节点向前搜索：走子和攻击为决策节点（己方取极大、对方取极小，带Alpha-Beta剪枝），
+ * 翻牌为机会节点，按尚未出现的卡牌身份求期望，较深的机会节点只抽样部分身份（确定化抽样）。
+ * 战斗结果由 BattleResolver.simulateBattle 给出。迭代加深到难度对应的深度，
+ * 超出时间或节点预算时采用上一层完整搜索的结果。
+ * 搜索在同一个紧凑局面（Position）上执行和撤销行动，不复制局面
+ */
+
+import { Card } from '../core/Card.js';
+import { Position, EMPTY, ATTACKER_LOST, DEFENDER_LOST } from '../core/Position.js';
+import { SeededRandom } from '../utils/Random.js';
+import { SeatEngine } from './SeatEngine.js';
+import { Rating } from '../core/Rating.js';
+
+// 各难度的搜索参数：深度、时间预算(毫秒)、节点预算、深层机会节点抽样数、每个节点最多考虑的翻牌位置数
+const DIFFICULTY_SETTINGS = {
+    easy: { maxDepth: 2, timeBudget: 300, maxNodes: 3000, chanceSamples: 4, maxFlips: 4 },
+    medium: { maxDepth: 3, timeBudget: 1000, maxNodes: 20000, chanceSamples: 6, maxFlips: 6 },
+    hard: { maxDepth: 4, timeBudget: 2500, maxNodes: 80000, chanceSamples: 8, maxFlips: 8 }
+};
+
+// 胜负局面的分值，远大于任何子力评估
+const WIN_SCORE = 10000;
+
+// 未翻开的卡牌尚不能行动，子力按折扣计入
+const HIDDEN_WEIGHT = 0.8;
+
+// 行动方可立即吃子的收益按比例计入评估
+const THREAT_WEIGHT = 0.5;
+
+// 超出预算时抛出，中止当前一层迭代
+const SEARCH_ABORTED = Symbol('search_aborted');
+
+export class SearchAIPlayer {
+    /**
+     * 构造函数
+     * @param {GameEngine|SeatEngine} gameEngine - 游戏引擎（真实引擎会被包装为 ai 座位）
+     * @param {string} difficulty - 难度级别
+     * @param {Object} options - 配置项
+     * @param {boolean} options.thinkingDelay - 是否保留最短思考时间，批量模拟时设为false
+     * @param {boolean} options.thinkingLog - 是否记录思考日志
+     * @param {number} options.maxDepth - 覆盖难度默认的搜索深度
+     * @param {number|null} options.timeBudget - 覆盖时间预算，null 表示只受节点预算限制（结果可复现）
+     * @param {number} options.maxNodes - 覆盖节点预算
+     * @param {number} options.chanceSamples - 覆盖深层机会节点的抽样数
+     * @param {number} options.maxFlips - 覆盖每个节点考虑的翻牌位置数
+     */
+    constructor(gameEngine, difficulty = 'medium', options = {}) {
+        this.gameEngine = SeatEngine.wrap(gameEngine, 'ai'); // 只能通过观察视图读取局面
+        this.difficulty = difficulty;
+        this.thinkingDelay = options.thinkingDelay !== false;
+        this.rng = this.gameEngine?.rng || new SeededRandom();
+        this.options = options;
+        this.outcomeCache = new Map();      // 战斗结果缓存：'攻击方id>防守方id' -> 结果
+        this.lastSearch = null;             // 最近一次搜索的深度、评分和节点数
+
+        // 思考日志
+        this.thinkingLog = [];
+        this.enableThinkingLog = options.thinkingLog === true;
+
+        this.stats = {
+            totalMoves: 0,
+            flips: 0,
+            battles: 0,
+            averageDecisionTime: 0
+        };
+    }
+
+    /**
+     * 获取当前难度的搜索参数（可被构造选项覆盖）
+     * @returns {Object} 搜索参数
+     */
+    getSettings() {
+        const base = this.getDifficultySettings();
+        const settings = { ...base };
+        Object.keys(base).forEach(key => {
+            if (this.options[key] !== undefined) {
+                settings[key] = this.options[key];
+            }
+        });
+        return settings;
+    }
+
+    /**
+     * 获取当前难度的默认搜索参数
+     * @returns {Object} 搜索参数
+     */
+    getDifficultySettings() {
+        return DIFFICULTY_SETTINGS[this.difficulty] || DIFFICULTY_SETTINGS.medium;
+    }
+
+    /**
+     * 根据难度获取最大搜索深度
+     * @param {string} difficulty - 难度级别
+     * @returns {number} 搜索深度
+     */
+    getMaxDepth(difficulty = this.difficulty) {
+        return (DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.medium).maxDepth;
+    }
+
+    /**
+     * 根据难度获取最短思考时间（搜索本身耗时计入其中，实际棋力见 getRating）
+     * @param {string} difficulty - 难度级别
+     * @returns {number} 毫秒
+     */
+    getThinkingTime(difficulty = this.difficulty) {
+        const times = {
+            easy: 400,
+            medium: 600,
+            hard: 800
+        };
+        return times[difficulty] || times.medium;
+    }
+
+    /**
+     * 难度档位的等级分（自我对弈校准，见 Rating.js 的 AI_TIER_RATINGS）
+     * @param {string} difficulty - 难度级别
+     * @returns {Object|null} { rating, rd }
+     */
+    getRating(difficulty = this.difficulty) {
+        return Rating.getTierRating('search', difficulty);
+    }
+
+    /**
+     * 执行AI回合
+     * @returns {Promise<Object>} 执行结果
+     */
+    async executeTurn() {
+        const startTime = performance.now();
+
+        try {
+            const view = this.gameEngine.gameState;
+            const context = this.createSearchContext(view);
+            const action = this.chooseAction(view, context);
+
+            if (!action) {
+                return {
+                    success: false,
+                    action: 'error',
+                    decision: null,
+                    result: null,
+                    thinkingTime: performance.now() - startTime,
+                    message: 'AI无法找到有效决策',
+                    error: '没有可用移动'
+                };
+            }
+
+            const decision = this.toDecision(action, view, context);
+            this.logThinking('搜索完成', 'search_complete', { decision, analysis: this.lastSearch });
+
+            await this.simulateThinking(performance.now() - startTime);
+
+            const result = decision.type === 'flip' ?
+                this.gameEngine.flipCard(decision.position.row, decision.position.col) :
+                this.gameEngine.moveCard(decision.from.row, decision.from.col, decision.to.row, decision.to.col);
+
+            if (!result.success) {
+                throw new Error(result.error.message);
+            }
+
+            const thinkingTime = performance.now() - startTime;
+            this.recordMove(decision, thinkingTime);
+
+            return {
+                success: true,
+                action: decision.type,
+                decision,
+                result,
+                thinkingTime,
+                analysis: this.lastSearch,
+                message: `AI执行了${decision.description}`
+            };
+        } catch (error) {
+            this.logThinking('AI回合执行出错', 'turn_error', { message: error.message });
+            console.error('AI回合执行错误:', error);
+
+            return {
+                success: false,
+                action: 'error',
+                decision: null,
+                result: null,
+                thinkingTime: performance.now() - startTime,
+                message: `AI执行出错: ${error.message}`,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * 模拟思考时间，保证界面上AI不会瞬间落子
+     * @param {number} elapsed - 搜索已用时间
+     */
+    async simulateThinking(elapsed) {
+        if (!this.thinkingDelay) return;
+
+        const remaining = this.getThinkingTime() - elapsed;
+        if (remaining > 0) {
+            await new Promise(resolve => setTimeout(resolve, remaining));
+        }
+    }
+
+    // ========== 搜索 ==========
+
+    /**
+     * 创建搜索上下文：规则集、棋盘宽度和预算
+     * @param {ObservationView} view - 观察视图
+     * @returns {Object} 搜索上下文
+     */
+    createSearchContext(view) {
+        const settings = this.getSettings();
+        const startTime = performance.now();
+
+        return {
+            ruleSet: view.ruleSet,
+            cols: view.ruleSet.board.cols,
+            settings,
+            startTime,
+            deadline: settings.timeBudget === null ? null : startTime + settings.timeBudget,
+            nodes: 0,
+            positionHistory: view.positionHistory,
+            noCaptureMoves: view.noCaptureMoves
+        };
+    }
+
+    /**
+     * 把观察视图编码为搜索用的紧凑局面（未翻开的格子身份未知，尚未出现的身份在 pool 中）
+     * @param {ObservationView} view - 观察视图
+     * @returns {Position} 搜索局面
+     */
+    createSearchState(view) {
+        return Position.fromState(view, {
+            resolveOutcome: (attacker, defender) => this.getBattleOutcome(attacker, defender)
+        });
+    }
+
+    /**
+     * 迭代加深搜索，选出最佳行动
+     * @param {ObservationView} view - 观察视图
+     * @param {Object} context - 搜索上下文
+     * @returns {Object|null} 搜索行动 { type, index } 或 { type, from, to }
+     */
+    chooseAction(view, context = this.createSearchContext(view)) {
+        const state = this.createSearchState(view);
+        let actions = this.generateActions(state, context, true);
+
+        if (actions.length === 0) {
+            return null;
+        }
+
+        // 阵营未定（本局第一次翻牌）时无从评估，随机翻一张
+        if (actions.length === 1 || !state.factions.ai) {
+            this.lastSearch = { depth: 0, score: null, nodes: 0, elapsed: 0 };
+            return actions.length === 1 ? actions[0] : this.rng.pick(actions);
+        }
+
+        let best = { action: actions[0], score: null, depth: 0 };
+        for (let depth = 1; depth <= context.settings.maxDepth; depth++) {
+            try {
+                const results = this.searchRoot(state, actions, depth, context);
+                results.sort((a, b) => b.score - a.score);
+                // 下一层按本层评分排序，提高剪枝效率
+                actions = results.map(result => result.action);
+                best = { action: results[0].action, score: results[0].score, depth };
+
+                if (Math.abs(best.score) >= WIN_SCORE / 2) break; // 已经算清胜负
+            } catch (error) {
+                if (error !== SEARCH_ABORTED) throw error;
+                break;
+            }
+        }
+
+        this.lastSearch = {
+            depth: best.depth,
+            score: best.score,
+            nodes: context.nodes,
+            elapsed: performance.now() - context.startTime
+        };
+        return best.action;
+    }
+
+    /**
+     * 搜索根节点（己方行动）
+     * @param {Position} state - 搜索局面
+     * @param {Array} actions - 候选行动
+     * @param {number} depth - 搜索深度
+     * @param {Object} context - 搜索上下文
+     * @returns {Array} [{ action, score }]
+     */
+    searchRoot(state, actions, depth, context) {
+        let alpha = -Infinity;
+
+        return actions.map(action => {
+            const score = this.isDrawingMove(state, action, context) ?
+                0 : this.searchAction(state, action, depth, alpha, Infinity, 0, context);
+            alpha = Math.max(alpha, score);
+            return { action, score };
+        });
+    }
+
+    /**
+     * 根节点的走子是否会立即触发无进展平局（重复局面或连续无战斗步数上限）
+     * 局面历史只在根节点可知，搜索树内部不做判断；与规则一致，还有未翻开的卡牌时不判平
+     * @param {Position} state - 搜索局面
+     * @param {Object} action - 行动
+     * @param {Object} context - 搜索上下文
+     * @returns {boolean} 是否判平
+     */
+    isDrawingMove(state, action, context) {
+        if (action.type !== 'move' || state.hiddenCount > 0) return false;
+
+        const { repetition, noCaptureLimit } = context.ruleSet.winConditions;
+        if (noCaptureLimit > 0 && context.noCaptureMoves + 1 >= noCaptureLimit) {
+            return true;
+        }
+        if (repetition > 0) {
+            const record = state.apply(action);
+            const key = state.getKey();
+            state.unapply(record);
+            return context.positionHistory.filter(entry => entry === key).length + 1 >= repetition;
+        }
+        return false;
+    }
+
+    /**
+     * 决策节点：ai 取极大、player 取极小
+     * @param {Position} state - 搜索局面
+     * @param {number} depth - 剩余深度
+     * @param {number} alpha - 下界
+     * @param {number} beta - 上界
+     * @param {number} ply - 距根节点的步数
+     * @param {Object} context - 搜索上下文
+     * @returns {number} 局面评分（ai 视角）
+     */
+    search(state, depth, alpha, beta, ply, context) {
+        this.countNode(context);
+
+        const terminal = this.getTerminalScore(state, context, ply);
+        if (terminal !== null) {
+            return terminal;
+        }
+        if (depth <= 0) {
+            return this.evaluate(state, context);
+        }
+
+        const actions = this.generateActions(state, context);
+        if (actions.length === 0) {
+            return this.evaluate(state, context);
+        }
+
+        const maximizing = state.toMove === 'ai';
+        let best = maximizing ? -Infinity : Infinity;
+
+        for (const action of actions) {
+            const score = this.searchAction(state, action, depth, alpha, beta, ply, context);
+            if (maximizing) {
+                best = Math.max(best, score);
+                alpha = Math.max(alpha, best);
+            } else {
+                best = Math.min(best, score);
+                beta = Math.min(beta, best);
+            }
+            if (alpha >= beta) break;
+        }
+
+        return best;
+    }
+
+    /**
+     * 搜索一个行动；翻牌为机会节点，对可能翻出的身份求期望
+     * @param {Position} state - 搜索局面
+     * @param {Object} action - 行动
+     * @param {number} depth - 剩余深度
+     * @param {number} alpha - 下界
+     * @param {number} beta - 上界
+     * @param {number} ply - 距根节点的步数
+     * @param {Object} context - 搜索上下文
+     * @returns {number} 评分
+     */
+    searchAction(state, action, depth, alpha, beta, ply, context) {
+        if (action.type !== 'flip') {
+            return this.searchChild(state, action, null, depth - 1, alpha, beta, ply + 1, context);
+        }
+
+        // 每个尚未出现的身份等概率；下面还要继续展开时只抽样一部分
+        const { chanceSamples } = context.settings;
+        const pool = state.getPool();
+        const outcomes = depth > 1 && pool.length > chanceSamples ?
+            this.rng.shuffle(pool).slice(0, chanceSamples) : pool;
+
+        // 机会节点的期望不能用父节点的窗口剪枝，子节点使用完整窗口
+        const total = outcomes.reduce((sum, identity) => sum + this.searchChild(
+            state, action, identity, depth - 1, -Infinity, Infinity, ply + 1, context
+        ), 0);
+        return total / outcomes.length;
+    }
+
+    /**
+     * 执行行动后搜索子局面，返回前撤销行动（预算用尽中止时同样撤销）
+     * @param {Position} state - 搜索局面
+     * @param {Object} action - 行动
+     * @param {number|null} identity - 翻牌时翻出的身份
+     * @param {number} depth - 子局面的剩余深度
+     * @param {number} alpha - 下界
+     * @param {number} beta - 上界
+     * @param {number} ply - 子局面距根节点的步数
+     * @param {Object} context - 搜索上下文
+     * @returns {number} 评分
+     */
+    searchChild(state, action, identity, depth, alpha, beta, ply, context) {
+        const record = state.apply(action, identity);
+        try {
+            return this.search(state, depth, alpha, beta, ply, context);
+        } finally {
+            state.unapply(record);
+        }
+    }
+
+    /**
+     * 计数并检查预算
+     * @param {Object} context - 搜索上下文
+     */
+    countNode(context) {
+        context.nodes++;
+        if (context.nodes > context.settings.maxNodes) {
+            throw SEARCH_ABORTED;
+        }
+        if (context.deadline !== null && context.nodes % 64 === 0 && performance.now() > context.deadline) {
+            throw SEARCH_ABORTED;
+        }
+    }
+
+    /**
+     * 生成行动方的全部行动并排序：攻击（按收益）> 移动 > 翻牌（按周围已翻开卡牌数）
+     * @param {Position} state - 搜索局面
+     * @param {Object} context - 搜索上下文
+     * @param {boolean} isRoot - 是否为根节点（根节点随机打乱翻牌位置的先后，避免总是偏向左上角）
+     * @returns {Array} 行动数组
+     */
+    generateActions(state, context, isRoot = false) {
+        const attacks = [];
+        const moves = [];
+        let flips = [];
+
+        state.generateActions().forEach(action => {
+            if (action.type === 'flip') {
+                action.priority = state.adjacency[action.index].filter(neighbor => state.isRevealedAt(neighbor)).length;
+                flips.push(action);
+            } else if (action.type === 'attack') {
+                action.gain = this.getAttackGain(state, state.cells[action.from], state.cells[action.to]);
+                attacks.push(action);
+            } else {
+                moves.push(action);
+            }
+        });
+
+        if (isRoot) {
+            flips = this.rng.shuffle(flips);
+        }
+        flips.sort((a, b) => b.priority - a.priority);
+        attacks.sort((a, b) => b.gain - a.gain);
+
+        return [...attacks, ...moves, ...flips.slice(0, context.settings.maxFlips)];
+    }
+
+    /**
+     * 获取战斗结果（使用 BattleResolver.simulateBattle，按双方身份缓存）
+     * @param {Object} attacker - 攻击方 { id, faction, level }
+     * @param {Object} defender - 防守方 { id, faction, level }
+     * @returns {Object} { winner, attackerEliminated, defenderEliminated }
+     */
+    getBattleOutcome(attacker, defender) {
+        const key = `${attacker.id}>${defender.id}`;
+
+        if (!this.outcomeCache.has(key)) {
+            const attackerCard = new Card(attacker.id, attacker.faction, attacker.level);
+            const defenderCard = new Card(defender.id, defender.faction, defender.level);
+            attackerCard.reveal();
+            defenderCard.reveal();
+
+            const result = this.gameEngine.battleResolver.simulateBattle(attackerCard, defenderCard);
+            const eliminated = result.eliminatedCards.map(card => card.id);
+            this.outcomeCache.set(key, {
+                winner: result.winner,
+                attackerEliminated: eliminated.includes(attacker.id),
+                defenderEliminated: eliminated.includes(defender.id)
+            });
+        }
+
+        return this.outcomeCache.get(key);
+    }
+
+    /**
+     * 攻击的子力收益（消灭对方的价值 - 损失己方的价值）
+     * @param {Position} state - 搜索局面
+     * @param {number} attacker - 攻击方卡牌编号
+     * @param {number} defender - 防守方卡牌编号
+     * @returns {number} 收益
+     */
+    getAttackGain(state, attacker, defender) {
+        const outcome = state.getOutcome(attacker, defender);
+        return (outcome & DEFENDER_LOST ? this.getCardValue(state.cards[defender]) : 0) -
+            (outcome & ATTACKER_LOST ? this.getCardValue(state.cards[attacker]) : 0);
+    }
+
+    /**
+     * 卡牌子力价值（1级最强）
+     * @param {Object} card - 格子或卡牌
+     * @returns {number} 价值
+     */
+    getCardValue(card) {
+        return 9 - card.level;
+    }
+
+    /**
+     * 终局评分
+     * @param {Position} state - 搜索局面
+     * @param {Object} context - 搜索上下文
+     * @param {number} ply - 距根节点的步数（越快取胜越好）
+     * @returns {number|null} 评分，未终局时为null
+     */
+    getTerminalScore(state, context, ply) {
+        const { factions } = state;
+        const aiAlive = state.getAliveCount(factions.ai);
+        const playerAlive = state.getAliveCount(factions.player);
+
+        const { winConditions } = context.ruleSet;
+        if (winConditions.annihilation) {
+            if (aiAlive === 0 && playerAlive === 0) return 0;
+            if (aiAlive === 0) return -(WIN_SCORE - ply);
+            if (playerAlive === 0) return WIN_SCORE - ply;
+        }
+        if (winConditions.finalDuel && state.hiddenCount === 0 &&
+            state.getRevealedCount(factions.ai) === 1 && state.getRevealedCount(factions.player) === 1) {
+            return this.getFinalDuelScore(state, ply);
+        }
+        return null;
+    }
+
+    /**
+     * 最终对决评分，与 RuleSet.resolveFinalDuel 一致：无论谁先攻击都能获胜的一方胜，否则平局
+     * @param {Position} state - 搜索局面（双方各剩一张已翻开的牌）
+     * @param {number} ply - 距根节点的步数
+     * @returns {number} 评分
+     */
+    getFinalDuelScore(state, ply) {
+        const codes = Array.from(state.cells).filter(code => code !== EMPTY);
+        const aiCard = codes.find(code => state.cards[code].faction === state.factions.ai);
+        const playerCard = codes.find(code => state.cards[code].faction === state.factions.player);
+        // 只有防守方离场即攻击方获胜，只有攻击方离场即防守方获胜
+        const aiAttacks = state.getOutcome(aiCard, playerCard);
+        const playerAttacks = state.getOutcome(playerCard, aiCard);
+
+        if (aiAttacks === DEFENDER_LOST && playerAttacks === ATTACKER_LOST) return WIN_SCORE - ply;
+        if (playerAttacks === DEFENDER_LOST && aiAttacks === ATTACKER_LOST) return -(WIN_SCORE - ply);
+        return 0;
+    }
+
+    /**
+     * 局面评估（ai 视角）：子力差 + 行动方立即吃子的收益，未翻开的卡牌按折扣计入
+     * @param {Position} state - 搜索局面
+     * @param {Object} context - 搜索上下文
+     * @returns {number} 评分
+     */
+    evaluate(state, context) {
+        const aiFaction = state.factions.ai;
+        const moverFaction = state.factions[state.toMove];
+        const { allowAttack } = context.ruleSet.movement;
+        const { cells, cards, revealed } = state;
+        let score = 0;
+        let bestGain = 0;
+
+        for (let index = 0; index < cells.length; index++) {
+            const code = cells[index];
+            if (code < 0) continue;
+            const card = cards[code];
+            const value = card.faction === aiFaction ? this.getCardValue(card) : -this.getCardValue(card);
+            if (!revealed[code]) {
+                score += value * HIDDEN_WEIGHT; // 身份已知但尚未翻开
+                continue;
+            }
+            score += value;
+
+            if (card.faction !== moverFaction || !allowAttack) continue;
+            const neighbors = state.adjacency[index];
+            for (let i = 0; i < neighbors.length; i++) {
+                const target = cells[neighbors[i]];
+                if (target >= 0 && revealed[target] && cards[target].faction !== card.faction) {
+                    bestGain = Math.max(bestGain, this.getAttackGain(state, code, target));
+                }
+            }
+        }
+
+        for (let i = 0; i < state.poolSize; i++) {
+            const card = cards[state.pool[i]];
+            score += (card.faction === aiFaction ? 1 : -1) * this.getCardValue(card) * HIDDEN_WEIGHT;
+        }
+
+        return score + (moverFaction === aiFaction ? 1 : -1) * bestGain * THREAT_WEIGHT;
+    }
+
+    /**
+     * 搜索行动转换为与其他AI一致的决策格式
+     * @param {Object} action - 搜索行动
+     * @param {ObservationView} view - 观察视图
+     * @param {Object} context - 搜索上下文
+     * @returns {Object} 决策
+     */
+    toDecision(action, view, context) {
+        const toPosition = index => ({ row: Math.floor(index / context.cols), col: index % context.cols });
+
+        if (action.type === 'flip') {
+            const position = toPosition(action.index);
+            return { type: 'flip', position, description: `翻开(${position.row},${position.col})的卡牌` };
+        }
+
+        const from = toPosition(action.from);
+        const to = toPosition(action.to);
+        const card = view.getCardAt(from.row, from.col);
+
+        if (action.type === 'move') {
+            return { type: 'move', from, to, card, description: `移动${card.name}到(${to.row},${to.col})` };
+        }
+
+        const target = view.getCardAt(to.row, to.col);
+        return { type: 'attack', from, to, card, target, description: `${card.name}攻击${target.name}` };
+    }
+
+    /**
+     * 答复对方的和棋提议：局面评估落后时同意，阵营未确定时拒绝
+     * @returns {Object} { accept, score, reason }
+     */
+    evaluateDrawOffer() {
+        const view = this.gameEngine.gameState;
+        const state = this.createSearchState(view);
+        if (!state.factions.ai) {
+            return { accept: false, score: 0, reason: '阵营尚未确定' };
+        }
+
+        const score = this.evaluate(state, this.createSearchContext(view));
+        return { accept: score < 0, score, reason: score < 0 ? '局面落后' : '局面不落后' };
+    }
+
+    // ========== 统计与日志 ==========
+
+    /**
+     * 记录移动
+     * @param {Object} decision - 决策
+     * @param {number} thinkingTime - 本回合用时
+     */
+    recordMove(decision, thinkingTime) {
+        this.stats.totalMoves++;
+        if (decision.type === 'flip') this.stats.flips++;
+        if (decision.type === 'attack') this.stats.battles++;
+        this.stats.averageDecisionTime = (this.stats.averageDecisionTime + thinkingTime) / 2;
+    }
+
+    /**
+     * 思考日志记录
+     * @param {string} message - 描述
+     * @param {string} step - 步骤标识
+     * @param {Object} data - 附加数据
+     */
+    logThinking(message, step, data = {}) {
+        if (!this.enableThinkingLog) return;
+
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            step,
+            message,
+            data,
+            difficulty: this.difficulty
+        };
+        this.thinkingLog.push(logEntry);
+
+        if (typeof window !== 'undefined' && window.aiDebugger &&
+            typeof window.aiDebugger.onAIThinking === 'function') {
+            window.aiDebugger.onAIThinking(logEntry);
+        }
+    }
+
+    /**
+     * 获取思考日志
+     * @returns {Array} 日志副本
+     */
+    getThinkingLog() {
+        return [...this.thinkingLog];
+    }
+
+    /**
+     * 获取统计信息
+     * @returns {Object} 统计
+     */
+    getStats() {
+        return { ...this.stats, lastSearch: this.lastSearch };
+    }
+
+    /**
+     * 导出AI记忆（引擎快照和存档使用，可JSON序列化）：统计、最近一次搜索、战斗结果缓存和随机数状态
+     * @returns {Object} AI记忆
+     */
+    snapshotMemory() {
+        return JSON.parse(JSON.stringify({
+            stats: this.stats,
+            lastSearch: this.lastSearch,
+            outcomeCache: [...this.outcomeCache],
+            rngState: this.rng.getState()
+        }));
+    }
+
+    /**
+     * 恢复 snapshotMemory 导出的AI记忆
+     * @param {Object} memory - snapshotMemory 的结果
+     */
+    restoreMemory(memory) {
+        const copy = JSON.parse(JSON.stringify(memory));
+        this.stats = copy.stats;
+        this.lastSearch = copy.lastSearch;
+        this.outcomeCache = new Map(copy.outcomeCache);
+        if (copy.rngState !== undefined) {
+            this.rng.setState(copy.rngState);
+        }
+    }
+
+    /**
+     * 调整难度
+     * @param {string} newDifficulty - 新难度
+     */
+    adjustDifficulty(newDifficulty) {
+        this.difficulty = newDifficulty;
+    }
+}
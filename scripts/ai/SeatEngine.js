@@ -0,0 +1,189 @@
+/**
+ * SeatEngine类 - 座位视角引擎
+ * AI只通过 SeatEngine 与对局交互：gameState 为本座位的 ObservationView，看不到未翻开卡牌的身份；
+ * 真实引擎保存在私有字段中，AI无法绕过视图读取完整局面；AI使用座位自己的随机数生成器，拿不到引擎发牌用的随机数状态。
+ * 现有AI实现都默认自己坐在 ai 一方，坐在 player 一方时视图会互换双方身份，翻牌/移动操作再映射回真实座位
+ */
+
+import { ObservationView } from '../core/ObservationView.js';
+import { BattleResolver } from '../core/BattleResolver.js';
+import { TimeControl } from '../core/TimeControl.js';
+import { SeededRandom } from '../utils/Random.js';
+
+export class SeatEngine {
+    #gameEngine;
+    #view = null;
+    #viewSource = null;
+    #battleResolver = null;
+
+    /**
+     * 构造函数
+     * @param {GameEngine} gameEngine - 真实游戏引擎
+     * @param {string} seat - 座位：player | ai
+     * @param {Object} options - 配置项
+     * @param {number|string} options.seed - 座位随机数种子，默认随机生成（与引擎的种子无关）
+     */
+    constructor(gameEngine, seat, options = {}) {
+        if (!['player', 'ai'].includes(seat)) {
+            throw new Error(`无效的座位: ${seat}`);
+        }
+
+        this.#gameEngine = gameEngine;
+        this.seat = seat;
+        this.rng = new SeededRandom(options.seed ?? undefined);
+        this.isMirrored = seat === 'player';
+    }
+
+    /**
+     * 引擎当前的规则集（读档后可能变化）
+     * @returns {RuleSet} 规则集
+     */
+    get ruleSet() {
+        return this.#gameEngine.ruleSet;
+    }
+
+    /**
+     * AI推演用的战斗裁决器，不写入真实战斗历史；规则集变化后重新创建
+     * @returns {BattleResolver} 战斗裁决器
+     */
+    get battleResolver() {
+        if (!this.#battleResolver || this.#battleResolver.ruleSet !== this.ruleSet) {
+            this.#battleResolver = new BattleResolver(this.ruleSet);
+        }
+        return this.#battleResolver;
+    }
+
+    /**
+     * 为AI包装引擎，已是座位引擎的原样返回
+     * @param {GameEngine|SeatEngine} gameEngine - 游戏引擎
+     * @param {string} seat - 座位，默认 ai
+     * @param {Object} options - 配置项，同构造函数
+     * @returns {SeatEngine|null} 座位引擎
+     */
+    static wrap(gameEngine, seat = 'ai', options = {}) {
+        if (!gameEngine || gameEngine instanceof SeatEngine) {
+            return gameEngine || null;
+        }
+        return new SeatEngine(gameEngine, seat, options);
+    }
+
+    /**
+     * 当前座位视角下的观察视图（坐在 player 一方时为镜像视图）
+     * 局面未变化时返回同一个视图，保证同一回合内读到的卡牌对象一致
+     * @returns {ObservationView} 观察视图
+     */
+    get gameState() {
+        const gameState = this.#gameEngine.gameState;
+        const source = { gameState, logLength: gameState.gameLog.length };
+
+        if (!this.#view || this.#viewSource.gameState !== source.gameState ||
+            this.#viewSource.logLength !== source.logLength) {
+            const view = ObservationView.fromGameState(gameState, this.seat);
+            this.#view = this.isMirrored ? SeatEngine.mirrorState(view) : view;
+            this.#viewSource = source;
+        }
+        return this.#view;
+    }
+
+    /**
+     * 丢弃视图缓存，对手行动后需调用
+     */
+    refresh() {
+        this.#view = null;
+    }
+
+    /**
+     * 互换 player/ai 身份
+     * @param {string} side - player | ai | 其他
+     * @returns {string} 互换后的身份
+     */
+    static mirrorSide(side) {
+        if (side === 'player') return 'ai';
+        if (side === 'ai') return 'player';
+        return side;
+    }
+
+    /**
+     * 生成互换双方身份的镜像局面
+     * @param {GameState} gameState - 游戏状态或观察视图
+     * @returns {GameState} 镜像游戏状态
+     */
+    static mirrorState(gameState) {
+        const mirrored = gameState.clone();
+
+        mirrored.currentPlayer = SeatEngine.mirrorSide(gameState.currentPlayer);
+        mirrored.winner = SeatEngine.mirrorSide(gameState.winner);
+        mirrored.lastMover = SeatEngine.mirrorSide(gameState.lastMover);
+        mirrored.playerFaction = gameState.aiFaction;
+        mirrored.aiFaction = gameState.playerFaction;
+        mirrored.clock = TimeControl.mirror(gameState.clock);
+        mirrored.cardsData.forEach(card => {
+            card.owner = SeatEngine.mirrorSide(card.owner);
+        });
+        mirrored.gameLog.forEach(entry => {
+            entry.player = SeatEngine.mirrorSide(entry.player);
+        });
+        if (mirrored instanceof ObservationView) {
+            mirrored.side = SeatEngine.mirrorSide(gameState.side);
+        }
+
+        return mirrored;
+    }
+
+    /**
+     * 以本座位身份翻牌
+     * @param {number} row - 行坐标
+     * @param {number} col - 列坐标
+     * @returns {Object} 操作结果
+     */
+    flipCard(row, col) {
+        return this.redactResult(this.#gameEngine.flipCard(row, col, this.seat));
+    }
+
+    /**
+     * 以本座位身份移动卡牌
+     * @param {number} fromRow - 起始行
+     * @param {number} fromCol - 起始列
+     * @param {number} toRow - 目标行
+     * @param {number} toCol - 目标列
+     * @returns {Object} 操作结果
+     */
+    moveCard(fromRow, fromCol, toRow, toCol) {
+        return this.redactResult(this.#gameEngine.moveCard(fromRow, fromCol, toRow, toCol, this.seat));
+    }
+
+    /**
+     * 把操作结果中的完整局面替换为本座位的观察视图
+     * @param {Object} result - 引擎操作结果
+     * @returns {Object} 处理后的结果
+     */
+    redactResult(result) {
+        this.refresh();
+        if (result.success && result.data && result.data.gameState) {
+            return { ...result, data: { ...result.data, gameState: this.gameState } };
+        }
+        return result;
+    }
+
+    /**
+     * 获取有效移动位置（只与棋盘几何有关，与视角无关）
+     * @param {number} row - 当前行
+     * @param {number} col - 当前列
+     * @returns {Array} 有效移动位置数组
+     */
+    getValidMoves(row, col) {
+        return this.#gameEngine.getValidMoves(row, col);
+    }
+
+    /**
+     * 验证移动是否有效
+     * @param {number} fromRow - 起始行
+     * @param {number} fromCol - 起始列
+     * @param {number} toRow - 目标行
+     * @param {number} toCol - 目标列
+     * @returns {boolean} 是否有效
+     */
+    isValidMove(fromRow, fromCol, toRow, toCol) {
+        return this.#gameEngine.isValidMove(fromRow, fromCol, toRow, toCol);
+    }
+}
@@ -3,9 +3,17 @@
  * 定义不同难度级别的AI策略和决策逻辑
  */
 
+import { SeededRandom } from '../utils/Random.js';
+
 export class Strategy {
-    constructor(difficulty = 'medium') {
+    /**
+     * 构造函数
+     * @param {string} difficulty - 难度级别
+     * @param {SeededRandom} rng - 随机数生成器，默认随机种子
+     */
+    constructor(difficulty = 'medium', rng = new SeededRandom()) {
         this.difficulty = difficulty;
+        this.rng = rng;
         this.config = this.initializeConfig(difficulty);
         this.patterns = this.initializePatterns();
     }
@@ -476,7 +484,7 @@ export class Strategy {
         }
 
         // 加权随机选择
-        let random = Math.random() * totalWeight;
+        let random = this.rng.next() * totalWeight;
         
         for (const item of items) {
             random -= (item[weightProperty] || 0);
@@ -499,7 +507,7 @@ export class Strategy {
             throw new Error('没有可选择的项目');
         }
 
-        const index = Math.floor(Math.random() * items.length);
+        const index = this.rng.nextInt(items.length);
         return items[index]; // 返回完整的项目对象，而不是只返回 row 和 col
     }
 
@@ -3,8 +3,15 @@
  * 负责处理卡牌之间的战斗逻辑，包括特殊规则
  */
 
+import { RuleSet } from './RuleSet.js';
+
 export class BattleResolver {
-    constructor() {
+    /**
+     * 构造函数
+     * @param {RuleSet} ruleSet - 战斗所依据的规则集，默认经典规则
+     */
+    constructor(ruleSet = null) {
+        this.ruleSet = RuleSet.resolve(ruleSet);
         this.battleHistory = [];
     }
 
@@ -12,14 +19,28 @@ export class BattleResolver {
      * 解析战斗结果
      * @param {Card} attackerCard - 攻击方卡牌
      * @param {Card} defenderCard - 防守方卡牌
+     * @param {Object} options - 指定战斗编号和时间（重放对局时使用）：{ battleId, timestamp }；
+     *   outcome 为插件改写的战斗结果 { winner, eliminated, reason }，指定时不再按规则裁决
      * @returns {Object} 战斗结果
      */
-    resolveBattle(attackerCard, defenderCard) {
+    resolveBattle(attackerCard, defenderCard, options = {}) {
         // 参数验证
         this.validateBattleParams(attackerCard, defenderCard);
 
-        const battleId = this.generateBattleId();
-        const timestamp = new Date().toISOString();
+        const battleId = options.battleId || this.generateBattleId();
+        const timestamp = options.timestamp || new Date().toISOString();
+
+        if (options.outcome) {
+            return this.createBattleResult({
+                battleId,
+                timestamp,
+                attackerCard,
+                defenderCard,
+                ...this.resolveCustomBattle(attackerCard, defenderCard, options.outcome),
+                battleType: 'custom',
+                isSpecialRule: false
+            });
+        }
 
         // 检查特殊规则
         const specialResult = this.checkSpecialRules(attackerCard, defenderCard);
@@ -79,31 +100,21 @@ export class BattleResolver {
      * @returns {Object|null} 特殊规则结果或null
      */
     checkSpecialRules(attackerCard, defenderCard) {
-        // 特殊规则1：小王虎（8级）可击败龙王（1级）
-        if (attackerCard.id === 'tiger_8' && defenderCard.id === 'dragon_1') {
-            return {
-                winner: 'attacker',
-                reason: '特殊规则：小王虎击败龙王',
-                eliminatedCards: [defenderCard],
-                ruleType: 'king_tiger_vs_dragon_king'
-            };
-        }
-
-        // 特殊规则2：变形龙（8级）可击败虎王（1级）
-        if (attackerCard.id === 'dragon_8' && defenderCard.id === 'tiger_1') {
-            return {
-                winner: 'attacker',
-                reason: '特殊规则：变形龙击败虎王',
-                eliminatedCards: [defenderCard],
-                ruleType: 'transform_dragon_vs_tiger_king'
-            };
+        const rule = this.ruleSet.findSpecialRule(attackerCard, defenderCard);
+        if (!rule) {
+            return null;
         }
 
-        return null;
+        return {
+            winner: 'attacker',
+            reason: rule.reason,
+            eliminatedCards: [defenderCard],
+            ruleType: rule.ruleType
+        };
     }
 
     /**
-     * 解析基础战斗（等级比较）
+     * 解析基础战斗（等级比较，含规则集中的例外和同级处理）
      * @param {Card} attackerCard - 攻击方
      * @param {Card} defenderCard - 防守方
      * @returns {Object} 基础战斗结果
@@ -111,42 +122,55 @@ export class BattleResolver {
     resolveBasicBattle(attackerCard, defenderCard) {
         const attackerLevel = attackerCard.level;
         const defenderLevel = defenderCard.level;
+        const cards = { attacker: attackerCard, defender: defenderCard };
 
-        // 基础规则：1>2>3>4>5>6>7>8，但1不能吃8（8可以吃1在特殊规则中处理）
-        if (attackerLevel === 1 && defenderLevel === 8) {
-            // 1级不能吃8级，防守方获胜
-            return {
-                winner: 'defender',
-                reason: `基础规则：${attackerCard.name}(${attackerLevel}级) 无法击败 ${defenderCard.name}(${defenderLevel}级)`,
-                eliminatedCards: [attackerCard]
-            };
-        } else if (attackerLevel === 8 && defenderLevel === 1) {
-            // 8级不能通过基础规则吃1级，防守方获胜（特殊规则另外处理）
-            return {
-                winner: 'defender',
-                reason: `基础规则：${attackerCard.name}(${attackerLevel}级) 无法击败 ${defenderCard.name}(${defenderLevel}级)`,
-                eliminatedCards: [attackerCard]
-            };
-        } else if (attackerLevel < defenderLevel) {
+        const outcome = this.ruleSet.getBasicOutcome(attackerCard, defenderCard);
+
+        let reason;
+        if (outcome.basis === 'exception') {
+            // 例如1级不能吃8级，防守方获胜
+            reason = `基础规则：${attackerCard.name}(${attackerLevel}级) 无法击败 ${defenderCard.name}(${defenderLevel}级)`;
+        } else if (outcome.basis === 'level' && outcome.winner === 'attacker') {
             // 等级越低越强
-            return {
-                winner: 'attacker',
-                reason: `等级优势：${attackerCard.name}(${attackerLevel}级) 击败 ${defenderCard.name}(${defenderLevel}级)`,
-                eliminatedCards: [defenderCard]
-            };
-        } else if (attackerLevel > defenderLevel) {
-            return {
-                winner: 'defender',
-                reason: `等级优势：${defenderCard.name}(${defenderLevel}级) 击败 ${attackerCard.name}(${attackerLevel}级)`,
-                eliminatedCards: [attackerCard]
-            };
+            reason = `等级优势：${attackerCard.name}(${attackerLevel}级) 击败 ${defenderCard.name}(${defenderLevel}级)`;
+        } else if (outcome.basis === 'level') {
+            reason = `等级优势：${defenderCard.name}(${defenderLevel}级) 击败 ${attackerCard.name}(${attackerLevel}级)`;
+        } else if (outcome.winner === 'draw') {
+            reason = `同归于尽：${attackerCard.name} 与 ${defenderCard.name} 等级相同(${attackerLevel}级)`;
         } else {
-            return {
-                winner: 'draw',
-                reason: `同归于尽：${attackerCard.name} 与 ${defenderCard.name} 等级相同(${attackerLevel}级)`,
-                eliminatedCards: [attackerCard, defenderCard]
-            };
+            const survivor = cards[outcome.winner];
+            reason = `同级规则：${attackerCard.name} 与 ${defenderCard.name} 等级相同(${attackerLevel}级)，${survivor.name}存活`;
+        }
+
+        return {
+            winner: outcome.winner,
+            reason,
+            eliminatedCards: outcome.eliminated.map(side => cards[side])
+        };
+    }
+
+    /**
+     * 按插件改写的结果解析战斗
+     * @param {Card} attackerCard - 攻击方
+     * @param {Card} defenderCard - 防守方
+     * @param {Object} outcome - { winner, eliminated, reason }，winner 为 attacker | defender | draw，
+     *   eliminated 为被消灭的一方（attacker / defender）
+     * @returns {Object} 战斗结果：{ winner, reason, eliminatedCards }
+     * @throws {Error} 结果无效时（存活的获胜攻击方要进入目标格子，防守方必须被消灭）
+     */
+    resolveCustomBattle(attackerCard, defenderCard, outcome) {
+        const { winner, eliminated = [], reason } = outcome;
+        const cards = { attacker: attackerCard, defender: defenderCard };
+        if (!['attacker', 'defender', 'draw'].includes(winner) || !eliminated.every(side => side in cards) ||
+            (winner === 'attacker' && !eliminated.includes('attacker') && !eliminated.includes('defender'))) {
+            throw new Error(`战斗结果无效: ${JSON.stringify(outcome)}`);
         }
+
+        return {
+            winner,
+            reason: reason || `插件裁决：${attackerCard.name} 攻击 ${defenderCard.name}`,
+            eliminatedCards: eliminated.map(side => cards[side])
+        };
     }
 
     /**
@@ -3,6 +3,10 @@
  * 负责管理单张卡牌的属性和行为
  */
 
+import { RuleSet } from './RuleSet.js';
+
+const CLASSIC_RULES = RuleSet.classic();
+
 export class Card {
   /**
    * 构造函数
@@ -99,34 +103,18 @@ export class Card {
   /**
    * 检查是否能战胜另一张卡牌
    * @param {Card} otherCard - 对方卡牌
+   * @param {RuleSet} ruleSet - 战斗所依据的规则集，默认经典规则
    * @returns {string} 战斗结果：'win' | 'lose' | 'draw'
    */
-  battleWith(otherCard) {
+  battleWith(otherCard, ruleSet = CLASSIC_RULES) {
     if (!otherCard || this.faction === otherCard.faction) {
       return 'invalid';
     }
 
-    // 特殊规则：小王虎（8级）可击败龙王（1级）
-    if (this.id === 'tiger_8' && otherCard.id === 'dragon_1') {
-      return 'win';
-    }
-
-    // 特殊规则：变形龙（8级）可击败虎王（1级）
-    if (this.id === 'dragon_8' && otherCard.id === 'tiger_1') {
-      return 'win';
-    }
-
-    // 基础规则：1>2>3>4>5>6>7>8，但1不能吃8（8可以吃1在特殊规则中处理）
-    if (this.level === 1 && otherCard.level === 8) {
-      // 1级不能吃8级
-      return 'lose';
-    } else if (this.level === 8 && otherCard.level === 1) {
-      // 8级不能通过基础规则吃1级
-      return 'lose';
-    } else if (this.level < otherCard.level) {
-      // 等级越低越强
+    const outcome = ruleSet.getBattleOutcome(this, otherCard);
+    if (outcome.winner === 'attacker') {
       return 'win';
-    } else if (this.level > otherCard.level) {
+    } else if (outcome.winner === 'defender') {
       return 'lose';
     } else {
       return 'draw'; // 同归于尽
@@ -156,7 +144,7 @@ export class Card {
       faction: this.faction,
       level: this.level,
       isRevealed: this.isRevealed,
-      position: this.position,
+      position: { ...this.position },
       owner: this.owner,
       imagePath: this.getImagePath()
     };
@@ -170,7 +158,7 @@ export class Card {
   static fromJSON(json) {
     const card = new Card(json.id, json.faction, json.level);
     card.isRevealed = json.isRevealed;
-    card.position = json.position;
+    card.position = { ...json.position };
     card.owner = json.owner;
     return card;
   }
@@ -1,21 +1,110 @@
 /**
  * GameEngine类 - 游戏引擎核心
  * 负责管理整个游戏的逻辑流程、状态转换和规则执行
+ *
+ * 局面由行动日志（this.actions）依次执行得到（见 GameReducer.js）：翻牌、走子、计时等操作先由引擎校验，
+ * 再记为行动执行，局面不在行动之外修改；存档保存行动日志，读档时重放并与保存的局面核对，悔棋和重做也记为行动（重放日志的前缀）。
+ * 唯一的例外是选中位置（gameState.selectedPosition）：它只是界面状态，由 selectCard/deselectCard 直接修改，
+ * 不记为行动，读档核对时不参与比较，走子、悔棋和重做后清空。
  */
 
 import { GameState } from './GameState.js';
 import { BattleResolver } from './BattleResolver.js';
 import { Card } from './Card.js';
+import { RuleSet } from './RuleSet.js';
+import { Notation } from './Notation.js';
+import { TimeControl } from './TimeControl.js';
+import { SaveManager, AUTO_SLOT } from './SaveManager.js';
+import { ProfileManager } from './ProfileManager.js';
+import { generateLegalActions, generateCardActions } from './LegalActions.js';
+import { applyGameAction, replayActions, findStateDifference } from './GameReducer.js';
+import { PluginManager, VETO_HOOKS } from './PluginManager.js';
 import { EnhancedAIPlayer } from '../ai/EnhancedAIPlayer.js';
+import { SearchAIPlayer } from '../ai/SearchAIPlayer.js';
+import { MCTSAIPlayer } from '../ai/MCTSAIPlayer.js';
+import { SeededRandom } from '../utils/Random.js';
+
+// 可选的AI对手实现
+const AI_PLAYER_TYPES = {
+    enhanced: EnhancedAIPlayer,  // 启发式策略（默认）
+    search: SearchAIPlayer,      // Expectimax搜索
+    mcts: MCTSAIPlayer           // 信息集蒙特卡洛树搜索
+};
+
+// 对局模式：ai 为人机对战；hotseat 为双人同屏，ai 座位由第二位玩家操作
+const GAME_MODES = ['ai', 'hotseat'];
+
+// 引擎快照格式版本（2：保存行动日志，悔棋栈记录行动日志中的位置）
+const SNAPSHOT_VERSION = 2;
+
+// 快照迁移：SNAPSHOT_MIGRATIONS[n] 把版本 n 的快照升级到版本 n + 1
+const SNAPSHOT_MIGRATIONS = {
+    // 版本1：没有行动日志，悔棋栈保存完整局面。行动日志从保存的局面开始，战斗历史沿用快照中的记录，
+    // 悔棋栈无法对应到行动日志，不再保留
+    1: snapshot => ({
+        ...snapshot,
+        version: 2,
+        actions: [{ type: 'position', at: Date.now(), state: snapshot.gameState }],
+        undoStack: [],
+        redoStack: []
+    })
+};
 
 export class GameEngine {
-    constructor() {
-        this.gameState = new GameState();
-        this.battleResolver = new BattleResolver();
-        this.aiPlayer = new EnhancedAIPlayer(this);
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {RuleSet|string|Object} options.ruleSet - 规则集实例、注册名或配置，默认经典规则
+     * @param {boolean} options.practiceMode - 是否为练习模式
+     * @param {Object} options.undo - 悔棋设置：{ mode, scope }
+     * @param {number|string} options.seed - 随机种子，相同种子可复现发牌、猜拳和AI决策
+     * @param {SeededRandom} options.rng - 随机数生成器（优先于seed）
+     * @param {string|Function} options.aiPlayer - AI对手类型（enhanced | search | mcts）或 (engine, difficulty) => AI实例
+     * @param {string} options.aiDifficulty - AI难度
+     * @param {string} options.mode - 对局模式（ai | hotseat），默认 ai
+     * @param {string|Object} options.timeControl - 计时：预设名（bullet | blitz | rapid）或
+     *   { initial, increment, perMove, onTimeout }（毫秒），默认不计时
+     * @param {boolean} options.autoSave - 每次行动后自动存档到 auto 存档位，默认关闭（由界面开启）
+     * @param {Storage} options.storage - 存档和玩家档案使用的存储，默认 localStorage
+     * @param {boolean} options.recordProfile - 人机对战结束后记入当前玩家档案，默认关闭（由界面开启）
+     * @param {ProfileManager} options.profileManager - 玩家档案，默认使用 storage 中的档案
+     * @param {Array<Object>} options.plugins - 插件（见 PluginManager.js 和 use）
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'ai';
+        if (!GAME_MODES.includes(this.mode)) {
+            throw new Error(`无效的对局模式: ${this.mode}`);
+        }
+        this.ruleSet = RuleSet.resolve(options.ruleSet);
+        this.rng = options.rng || new SeededRandom(options.seed ?? undefined);
+        this.seed = this.rng.getState();
+        this.gameState = new GameState({ ruleSet: this.ruleSet, rng: this.rng, shuffle: false });
+        this.battleResolver = new BattleResolver(this.ruleSet);
+        this.aiPlayerType = typeof options.aiPlayer === 'function' ? null : (options.aiPlayer || 'enhanced');
+        this.aiPlayer = this.createAIPlayer(options.aiPlayer, options.aiDifficulty);
         this.gameId = this.generateGameId();
         this.eventListeners = new Map();
         this.saveKey = 'dragon_tiger_save';
+        this.saveManager = new SaveManager({ storage: options.storage, key: this.saveKey });
+        this.autoSave = options.autoSave || false;
+        this.profileManager = options.profileManager || new ProfileManager({ storage: options.storage });
+        this.recordProfile = options.recordProfile || false;
+        this.timeControl = TimeControl.resolve(options.timeControl);
+        this.clockTimer = null;
+
+        // 行动日志：当前局面由依次执行这些行动得到
+        this.actions = [];
+
+        // 悔棋设置与快照栈
+        this.practiceMode = options.practiceMode || false;
+        this.undoSettings = {
+            mode: 'always',  // always: 随时可悔棋 | practice: 仅练习模式 | never: 禁止悔棋
+            scope: 'round',  // single: 每次撤销一步 | round: 连同AI的应对一起撤销
+            ...options.undo
+        };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isAITurnInProgress = false;
         
         // 错误码定义
         this.ERROR_CODES = {
@@ -37,8 +126,80 @@ export class GameEngine {
             DESELECT_FAILED: '取消选择失败',
             MOVE_CARD_FAILED: '移动卡牌失败',
             RPS_FAILED: '猜拳操作失败',
-            RESTART_FAILED: '重启游戏失败'
+            RESTART_FAILED: '重启游戏失败',
+            UNDO_DISABLED: '当前设置不允许悔棋',
+            UNDO_DURING_AI_TURN: 'AI思考中，暂时不能悔棋',
+            NOTHING_TO_UNDO: '没有可以撤销的操作',
+            NOTHING_TO_REDO: '没有可以重做的操作',
+            UNDO_FAILED: '悔棋失败',
+            REDO_FAILED: '重做失败',
+            NO_AI_IN_HOTSEAT: '双人对战模式没有AI对手',
+            ACTION_LOG_MISMATCH: '行动日志与局面不一致',
+            ACTION_VETOED: '操作被插件阻止',
+            INVALID_SEAT: '无效的座位',
+            DRAW_ALREADY_OFFERED: '已有待答复的和棋提议',
+            DRAW_NOT_YOUR_TURN: '只能在己方回合提议和棋',
+            DRAW_OFFER_LIMIT: '每回合只能提议一次和棋',
+            NO_DRAW_OFFER: '没有待答复的和棋提议'
+        };
+
+        this.pluginManager = new PluginManager();
+        (options.plugins || []).forEach(plugin => this.use(plugin));
+    }
+
+    /**
+     * 注册插件：插件的钩子在翻牌、走子和战斗前后被调用，插件的 errorCodes 注册到 ERROR_CODES
+     * @param {Object} plugin - 插件（格式见 PluginManager.js）
+     * @throws {Error} 插件无效、名称重复或错误码与已有错误码冲突时
+     */
+    use(plugin) {
+        const conflicts = Object.keys(plugin?.errorCodes || {}).filter(code => code in this.ERROR_CODES);
+        if (conflicts.length > 0) {
+            throw new Error(`错误码已存在: ${conflicts.join(', ')}`);
+        }
+
+        this.pluginManager.add(plugin);
+        Object.assign(this.ERROR_CODES, plugin.errorCodes);
+    }
+
+    /**
+     * 移除插件及其注册的错误码
+     * @param {string} name - 插件名称
+     * @returns {boolean} 是否移除了插件
+     */
+    removePlugin(name) {
+        const plugin = this.pluginManager.remove(name);
+        if (!plugin) return false;
+
+        Object.keys(plugin.errorCodes || {}).forEach(code => delete this.ERROR_CODES[code]);
+        return true;
+    }
+
+    /**
+     * 调用插件钩子。context 中有：
+     *   gameState - 当前局面；seat - 行动方；action - 行动（before 钩子中修改 action 即修改将要执行的行动）；
+     *   log(type, player, action, details) - 写入一条对局日志（作为 log 行动记录，重放时同样写入）；
+     *   veto(code, details) - 否决操作（仅 beforeFlip / beforeMove / beforeBattle），操作返回以 code 为错误码的结果，
+     *     code 默认为 ACTION_VETOED，可使用插件注册的错误码
+     * @param {string} hook - 钩子名称
+     * @param {Object} data - 钩子的其他参数
+     * @returns {Object} context：否决时 vetoed 为操作结果
+     */
+    runPluginHook(hook, data) {
+        const context = {
+            ...data,
+            gameState: this.gameState,
+            vetoed: null,
+            log: (type, player, action, details = {}) => {
+                this.dispatch({ type: 'log', entry: { type, player, action, details: { ...details, plugin: context.plugin } } });
+            }
         };
+        if (VETO_HOOKS.includes(hook)) {
+            context.veto = (code = 'ACTION_VETOED', details = {}) => {
+                context.vetoed = this.createError(code, { ...details, plugin: context.plugin });
+            };
+        }
+        return this.pluginManager.run(hook, context);
     }
 
     /**
@@ -47,13 +208,23 @@ export class GameEngine {
      */
     startNewGame() {
         try {
-            this.gameState = new GameState();
-            this.gameState.phase = 'rps';
+            // 记录本局种子：用此种子新建引擎即可复现本局
+            this.seed = this.rng.getState();
+            this.stopClockTimer();
+            const cards = this.rng.shuffle(this.ruleSet.roster.map(({ faction, level }) => `${faction}_${level}`));
             this.gameId = this.generateGameId();
-            
-            this.gameState.addLogEntry('game_start', 'system', '游戏开始', {
+            this.clearUndoHistory();
+            this.battleResolver.battleHistory = [];
+
+            // 洗牌结果记录在行动中，重放时不再使用随机数
+            this.dispatch({
+                type: 'start',
                 gameId: this.gameId,
-                timestamp: this.gameState.startTime
+                seed: this.seed,
+                mode: this.mode,
+                timeControl: this.timeControl,
+                ruleSet: this.ruleSet,
+                cards
             });
 
             this.emit('gameStarted', { gameState: this.gameState.clone() });
@@ -74,38 +245,31 @@ export class GameEngine {
     /**
      * 执行猜拳操作
      * @param {string} playerChoice - 玩家选择：rock, paper, scissors
+     * @param {Object} overrides - 指定结果（用于复盘）：{ aiChoice, firstPlayer }
      * @returns {Object} 猜拳结果
      */
-    playRockPaperScissors(playerChoice) {
+    playRockPaperScissors(playerChoice, overrides = {}) {
         if (this.gameState.phase !== 'rps') {
             return this.createError('INVALID_GAME_PHASE');
         }
 
         const validChoices = ['rock', 'paper', 'scissors'];
-        if (!validChoices.includes(playerChoice)) {
+        if (!validChoices.includes(playerChoice) ||
+            (overrides.aiChoice && !validChoices.includes(overrides.aiChoice))) {
             return this.createError('INVALID_RPS_CHOICE');
         }
 
         try {
             // AI随机选择
-            const aiChoice = validChoices[Math.floor(Math.random() * validChoices.length)];
+            const aiChoice = overrides.aiChoice || this.rng.pick(validChoices);
             
             // 判定胜负
             const winner = this.determineRPSWinner(playerChoice, aiChoice);
             
-            // 设置先手
-            this.gameState.currentPlayer = winner === 'draw' ? 
-                (Math.random() < 0.5 ? 'player' : 'ai') : winner;
-            
-            // 进入游戏阶段
-            this.gameState.phase = 'playing';
-            
-            this.gameState.addLogEntry('rps_completed', 'system', '猜拳决定先手', {
-                playerChoice,
-                aiChoice,
-                winner,
-                firstPlayer: this.gameState.currentPlayer
-            });
+            // 设置先手并进入游戏阶段
+            const firstPlayer = winner === 'draw' ?
+                (overrides.firstPlayer || (this.rng.chance() ? 'player' : 'ai')) : winner;
+            this.dispatch({ type: 'rps', playerChoice, aiChoice, winner, firstPlayer });
 
             const result = {
                 success: true,
@@ -116,7 +280,7 @@ export class GameEngine {
                     firstPlayer: this.gameState.currentPlayer,
                     gameState: this.gameState.clone()
                 },
-                message: `猜拳结果：${winner === 'draw' ? '平局，随机决定' : ''}${this.gameState.currentPlayer === 'player' ? '玩家' : 'AI'}先手`
+                message: `猜拳结果：${winner === 'draw' ? '平局，随机决定' : ''}${this.getSeatName(this.gameState.currentPlayer)}先手`
             };
 
             this.emit('rpsCompleted', result.data);
@@ -145,36 +309,50 @@ export class GameEngine {
         return winConditions[player] === ai ? 'player' : 'ai';
     }
 
+    /**
+     * 不猜拳直接决定先手（记为 first_player 行动）
+     * @param {string} firstPlayer - 先手方（player 或 ai），不传时随机决定
+     * @returns {Object} 操作结果：data.firstPlayer 为先手方
+     */
+    decideFirstPlayer(firstPlayer) {
+        if (this.gameState.phase !== 'rps') {
+            return this.createError('INVALID_GAME_PHASE');
+        }
+        const seat = firstPlayer ?? (this.rng.chance() ? 'player' : 'ai');
+        if (seat !== 'player' && seat !== 'ai') {
+            return this.createError('INVALID_SEAT');
+        }
+
+        this.dispatch({ type: 'first_player', firstPlayer: seat });
+
+        return {
+            success: true,
+            data: { firstPlayer: seat, gameState: this.gameState.clone() },
+            message: `${this.getSeatName(seat)}先手`
+        };
+    }
+
     /**
      * 初始化棋盘（洗牌并放置卡牌）
+     * @param {Array} layout - 指定布局（用于复盘）：[{ cardId, position }]，不传则随机放置
      */
-    initializeBoard() {
+    initializeBoard(layout = null) {
         if (this.gameState.phase !== 'playing') {
             throw new Error('只能在游戏阶段初始化棋盘');
         }
 
-        // 获取所有可放置的位置
-        const availablePositions = [];
-        for (let row = 0; row < 5; row++) {
-            if (row === 2) continue; // 跳过空行
-            for (let col = 0; col < 4; col++) {
-                availablePositions.push({ row, col });
-            }
+        if (!layout) {
+            // 规则集定义的所有可放置位置（经典规则跳过空行）洗牌后依次分配给卡牌
+            const shuffledPositions = this.rng.shuffle(this.ruleSet.getPlacementPositions());
+            layout = this.gameState.cardsData.map((card, index) => ({
+                cardId: card.id,
+                position: shuffledPositions[index]
+            }));
         }
 
-        // 洗牌已洗过的卡牌数组，随机分配位置
-        const shuffledPositions = this.gameState.shuffleCards(availablePositions);
-        
-        // 将卡牌放置到棋盘上
-        this.gameState.cardsData.forEach((card, index) => {
-            const position = shuffledPositions[index];
-            this.gameState.placeCard(card, position.row, position.col);
-        });
-
-        this.gameState.addLogEntry('board_initialized', 'system', '棋盘初始化完成', {
-            totalCards: this.gameState.cardsData.length
-        });
-
+        // 布好棋盘后开始为先手计时
+        this.dispatch({ type: 'layout', layout });
+        this.scheduleClockTimer();
         this.emit('boardInitialized', { gameState: this.gameState.clone() });
         
         return {
@@ -202,65 +380,41 @@ export class GameEngine {
             return this.createError('NOT_YOUR_TURN');
         }
 
-        // 验证位置
-        if (!this.gameState.isValidPosition(row, col)) {
-            return this.createError('INVALID_POSITION');
-        }
-
-        const card = this.gameState.getCardAt(row, col);
-        if (!card) {
-            return this.createError('NO_CARD_AT_POSITION');
-        }
-
-        if (card.isRevealed) {
-            return this.createError('CARD_ALREADY_REVEALED');
+        const invalid = this.checkFlip(row, col);
+        if (invalid) {
+            return invalid;
         }
 
         try {
-            // 翻开卡牌
-            card.reveal();
-            
-            // 如果是首次翻牌，根据先手玩家确定阵营
-            let factionAssigned = false;
-            if (!this.gameState.playerFaction) {
-                // 根据先手玩家设置阵营
-                if (this.gameState.currentPlayer === 'player') {
-                    // 玩家先手，第一张卡牌是玩家阵营
-                    this.gameState.setPlayerFaction(card.faction);
-                    card.owner = 'player';
-                } else {
-                    // AI先手，第一张卡牌是AI阵营
-                    this.gameState.setAIFaction(card.faction);
-                    card.owner = 'ai';
-                }
-                factionAssigned = true;
-            } else {
-                // 阵营已确定，根据卡牌阵营设置归属
-                if (card.faction === this.gameState.playerFaction) {
-                    card.owner = 'player';
-                } else {
-                    card.owner = 'ai';
-                }
-            }
+            const undoEntry = this.createUndoEntry(expectedPlayer);
 
-            this.gameState.addLogEntry('flip', expectedPlayer, '翻开卡牌', {
-                cardId: card.id,
-                cardName: card.name,
-                position: { row, col },
-                faction: card.faction,
-                level: card.level,
-                factionAssigned
+            // 插件可以否决翻牌或改为翻开另一张牌
+            const hook = this.runPluginHook('beforeFlip', {
+                seat: expectedPlayer,
+                action: { type: 'flip', seat: expectedPlayer, position: { row, col } }
             });
+            if (hook.vetoed) {
+                return hook.vetoed;
+            }
+            const position = { row: hook.action.position.row, col: hook.action.position.col };
+            const rejected = this.checkFlip(position.row, position.col);
+            if (rejected) {
+                return rejected;
+            }
 
-            // 切换回合
-            this.gameState.switchPlayer();
+            const action = { type: 'flip', seat: expectedPlayer, position };
+            const flipped = this.dispatch(action);
+            const { card, factionAssigned } = flipped;
+            const winCheck = this.finishAction(undoEntry, action, flipped);
 
             const result = {
                 success: true,
                 data: {
                     flippedCard: card.toJSON(),
                     factionAssigned,
-                    gameState: this.gameState.clone()
+                    gameState: this.gameState.clone(),
+                    isGameOver: winCheck.isGameOver,
+                    winner: winCheck.winner
                 },
                 message: `翻开了${card.name}${factionAssigned ? '，阵营确定为' + (card.faction === 'dragon' ? '龙' : '虎') : ''}`
             };
@@ -273,6 +427,27 @@ export class GameEngine {
         }
     }
 
+    /**
+     * 检查能否翻开指定位置的卡牌（不检查阶段和回合）
+     * @param {number} row - 行索引
+     * @param {number} col - 列索引
+     * @returns {Object|null} 不能翻开时为错误结果，否则为null
+     */
+    checkFlip(row, col) {
+        if (!this.gameState.isValidPosition(row, col)) {
+            return this.createError('INVALID_POSITION');
+        }
+
+        const card = this.gameState.getCardAt(row, col);
+        if (!card) {
+            return this.createError('NO_CARD_AT_POSITION');
+        }
+        if (card.isRevealed) {
+            return this.createError('CARD_ALREADY_REVEALED');
+        }
+        return null;
+    }
+
     /**
      * 选择卡牌
      * @param {number} row - 行索引
@@ -284,7 +459,9 @@ export class GameEngine {
             return this.createError('INVALID_GAME_PHASE');
         }
 
-        if (this.gameState.currentPlayer !== 'player') {
+        // 只有人类座位可以选牌：人机对战中为 player，双人对战中为当前行动方
+        const seat = this.gameState.currentPlayer;
+        if (!this.isHumanSeat(seat)) {
             return this.createError('NOT_YOUR_TURN');
         }
 
@@ -297,7 +474,7 @@ export class GameEngine {
             return this.createError('NO_CARD_AT_POSITION');
         }
 
-        if (card.faction !== this.gameState.playerFaction) {
+        if (card.faction !== this.getSeatFaction(seat)) {
             return this.createError('CANNOT_MOVE_OPPONENT_CARD');
         }
 
@@ -371,79 +548,76 @@ export class GameEngine {
             return this.createError('NOT_YOUR_TURN');
         }
 
-        // 验证移动有效性
-        if (!this.isValidMove(fromRow, fromCol, toRow, toCol)) {
-            return this.createError('INVALID_MOVE');
+        const invalid = this.checkMove({ row: fromRow, col: fromCol }, { row: toRow, col: toCol }, expectedPlayer);
+        if (invalid) {
+            return invalid;
         }
 
         try {
-            const movingCard = this.gameState.getCardAt(fromRow, fromCol);
-            
-            // 验证卡牌归属 - 只能移动自己的卡牌
-            if (expectedPlayer === 'player') {
-                if (movingCard.faction !== this.gameState.playerFaction) {
-                    return this.createError('CANNOT_MOVE_OPPONENT_CARD');
-                }
-            } else if (expectedPlayer === 'ai') {
-                if (movingCard.faction !== this.gameState.aiFaction) {
-                    return this.createError('CANNOT_MOVE_OPPONENT_CARD');
+            const undoEntry = this.createUndoEntry(expectedPlayer);
+
+            // 插件可以否决走子或改变起止位置
+            const hook = this.runPluginHook('beforeMove', {
+                seat: expectedPlayer,
+                action: {
+                    type: 'move',
+                    seat: expectedPlayer,
+                    from: { row: fromRow, col: fromCol },
+                    to: { row: toRow, col: toCol }
                 }
+            });
+            if (hook.vetoed) {
+                return hook.vetoed;
             }
-            const targetCard = this.gameState.getCardAt(toRow, toCol);
-            
-            let moveResult = {
-                type: 'move',
-                battleResult: null,
-                eliminatedCards: []
-            };
-
-            // 如果目标位置有敌方卡牌，触发战斗
-            if (targetCard && targetCard.isRevealed && targetCard.faction !== movingCard.faction) {
-                const battleResult = this.battleResolver.resolveBattle(movingCard, targetCard);
-                moveResult.type = 'battle';
-                moveResult.battleResult = battleResult;
-                
-                // 处理战斗结果
-                this.processBattleResult(battleResult, fromRow, fromCol, toRow, toCol);
-                moveResult.eliminatedCards = battleResult.eliminatedCards.map(card => card.id);
-            } else {
-                // 普通移动
-                this.gameState.removeCardAt(fromRow, fromCol);
-                this.gameState.placeCard(movingCard, toRow, toCol);
+            const from = { row: hook.action.from.row, col: hook.action.from.col };
+            const to = { row: hook.action.to.row, col: hook.action.to.col };
+            const rejected = this.checkMove(from, to, expectedPlayer);
+            if (rejected) {
+                return rejected;
             }
 
-            // 记录移动日志
-            this.gameState.addLogEntry('move', expectedPlayer, '移动卡牌', {
-                from: { row: fromRow, col: fromCol },
-                to: { row: toRow, col: toCol },
-                cardId: movingCard.id,
-                moveType: moveResult.type,
-                battleResult: moveResult.battleResult
-            });
-
-            // 清除选择
-            this.gameState.selectedPosition = null;
-
-            // 检查胜负
-            const winCheck = this.checkWinCondition();
-            if (winCheck.isGameOver) {
-                this.endGame(winCheck.winner, winCheck.reason);
-            } else {
-                // 切换回合
-                this.gameState.switchPlayer();
+            const action = { type: 'move', seat: expectedPlayer, from, to };
+            const movingCard = this.gameState.getCardAt(from.row, from.col);
+            const targetCard = this.gameState.getCardAt(to.row, to.col);
+
+            // 目标位置有敌方卡牌时触发战斗：插件可以否决战斗或改写战斗结果，改写的结果记录在行动中
+            if (targetCard) {
+                const { winner, eliminated } = this.gameState.ruleSet.getBattleOutcome(movingCard, targetCard);
+                const outcome = { winner, eliminated: [...eliminated], reason: null };
+                const battleHook = this.runPluginHook('beforeBattle', {
+                    seat: expectedPlayer,
+                    action,
+                    attacker: movingCard,
+                    defender: targetCard,
+                    outcome: { ...outcome, eliminated: [...eliminated] }
+                });
+                if (battleHook.vetoed) {
+                    return battleHook.vetoed;
+                }
+                if (JSON.stringify(battleHook.outcome) !== JSON.stringify(outcome)) {
+                    action.outcome = {
+                        winner: battleHook.outcome.winner,
+                        eliminated: [...battleHook.outcome.eliminated],
+                        reason: battleHook.outcome.reason || null
+                    };
+                }
             }
 
+            const moved = this.dispatch(action);
+            const { moveType, battle } = moved;
+            const winCheck = this.finishAction(undoEntry, action, moved);
+
             const result = {
                 success: true,
                 data: {
-                    moveType: moveResult.type,
-                    battleResult: moveResult.battleResult,
-                    eliminatedCards: moveResult.eliminatedCards,
+                    moveType,
+                    battleResult: battle,
+                    eliminatedCards: battle ? battle.eliminatedCards.map(card => card.id) : [],
                     gameState: this.gameState.clone(),
                     isGameOver: winCheck.isGameOver,
                     winner: winCheck.winner
                 },
-                message: moveResult.type === 'battle' ? 
+                message: moveType === 'battle' ?
                     `${movingCard.name} 攻击 ${targetCard.name}` : 
                     `${movingCard.name} 移动到新位置`
             };
@@ -457,77 +631,75 @@ export class GameEngine {
     }
 
     /**
-     * 处理战斗结果
-     * @param {Object} battleResult - 战斗结果
-     * @param {number} fromRow - 起始行
-     * @param {number} fromCol - 起始列
-     * @param {number} toRow - 目标行
-     * @param {number} toCol - 目标列
+     * 检查一方能否执行走子或攻击（不检查阶段和回合）
+     * @param {Object} from - 起始位置 { row, col }
+     * @param {Object} to - 目标位置 { row, col }
+     * @param {string} seat - 行动方
+     * @returns {Object|null} 不能执行时为错误结果，否则为null
      */
-    processBattleResult(battleResult, fromRow, fromCol, toRow, toCol) {
-        const { winner, eliminatedCards } = battleResult;
+    checkMove(from, to, seat) {
+        if (!this.isValidMove(from.row, from.col, to.row, to.col)) {
+            return this.createError('INVALID_MOVE');
+        }
 
-        // 先获取攻击方卡牌，避免被提前移除
-        const attackerCard = this.gameState.getCardAt(fromRow, fromCol);
+        // 只能移动自己的卡牌
+        if (this.gameState.getCardAt(from.row, from.col).faction !== this.getSeatFaction(seat)) {
+            return this.createError('CANNOT_MOVE_OPPONENT_CARD');
+        }
+        return null;
+    }
 
-        // 移除被消灭的卡牌
-        eliminatedCards.forEach(card => {
-            const pos = card.position;
-            this.gameState.removeCardAt(pos.row, pos.col);
-        });
+    /**
+     * 翻牌或走子执行之后：调用 afterBattle 和 beforeTurnEnd 钩子，对局结束时结束游戏，否则为下一步计时；
+     * 记录悔棋点并自动存档
+     * @param {Object} undoEntry - 操作前的悔棋点
+     * @param {Object} action - 已执行的行动
+     * @param {Object} outcome - applyGameAction 的结果
+     * @returns {Object} 胜负检查结果（beforeTurnEnd 钩子可以调用 endGame(winner, reason) 提前结束对局）
+     */
+    finishAction(undoEntry, action, outcome) {
+        if (outcome.battle) {
+            this.runPluginHook('afterBattle', { seat: action.seat, action, battle: outcome.battle });
+        }
 
-        // 根据战斗结果处理存活的卡牌
-        if (winner === 'attacker') {
-            // 攻击方获胜，移动到目标位置
-            if (attackerCard && !eliminatedCards.includes(attackerCard)) {
-                this.gameState.removeCardAt(fromRow, fromCol);
-                this.gameState.placeCard(attackerCard, toRow, toCol);
-            }
-        } else if (winner === 'defender') {
-            // 防守方获胜，攻击方被移除（如果还没被移除）
-            if (attackerCard && !eliminatedCards.includes(attackerCard)) {
-                this.gameState.removeCardAt(fromRow, fromCol);
+        let ending = null;
+        this.runPluginHook('beforeTurnEnd', {
+            seat: action.seat,
+            action,
+            winCheck: { ...outcome.winCheck },
+            endGame: (winner, reason) => {
+                ending = ending || { isGameOver: true, winner, reason };
             }
+        });
+        const winCheck = outcome.winCheck.isGameOver ? outcome.winCheck : (ending || outcome.winCheck);
+
+        // 检查胜负（含最终对决、无子可动和无进展平局）
+        if (winCheck.isGameOver) {
+            this.endGame(winCheck.winner, winCheck.reason);
+        } else {
+            this.scheduleClockTimer();
         }
-        // 如果是平局(draw)，双方都已在eliminatedCards中处理
+        this.pushUndoEntry(undoEntry);
+        this.autoSaveGame();
+        return winCheck;
     }
 
     /**
-     * 获取有效移动位置
+     * 获取有效移动位置（由 generateCardActions 生成）
      * @param {number} row - 当前行
      * @param {number} col - 当前列
-     * @returns {Array} 有效移动位置数组
+     * @returns {Array} 有效移动位置数组：{ row, col, type }，type 为 move（空位）或 battle（攻击）
      */
     getValidMoves(row, col) {
-        const validMoves = [];
-        const directions = [
-            { row: -1, col: 0 }, // 上
-            { row: 1, col: 0 },  // 下
-            { row: 0, col: -1 }, // 左
-            { row: 0, col: 1 }   // 右
-        ];
-
-        const movingCard = this.gameState.getCardAt(row, col);
-        if (!movingCard || !movingCard.isRevealed) {
-            return validMoves;
-        }
-
-        directions.forEach(dir => {
-            const newRow = row + dir.row;
-            const newCol = col + dir.col;
-
-            if (this.isValidMove(row, col, newRow, newCol)) {
-                const targetCard = this.gameState.getCardAt(newRow, newCol);
-                validMoves.push({
-                    row: newRow,
-                    col: newCol,
-                    type: targetCard ? 
-                        (targetCard.isRevealed ? 'battle' : 'blocked') : 'move'
-                });
-            }
-        });
+        if (!this.gameState.isValidPosition(row, col)) {
+            return [];
+        }
 
-        return validMoves;
+        return generateCardActions(this.gameState, this.gameState.getCardAt(row, col)).map(action => ({
+            row: action.to.row,
+            col: action.to.col,
+            type: action.type === 'attack' ? 'battle' : 'move'
+        }));
     }
 
     /**
@@ -539,51 +711,93 @@ export class GameEngine {
      * @returns {boolean} 是否有效
      */
     isValidMove(fromRow, fromCol, toRow, toCol) {
-        // 检查位置有效性
-        if (!this.gameState.isValidPosition(fromRow, fromCol) || 
-            !this.gameState.isValidPosition(toRow, toCol)) {
-            return false;
-        }
+        return this.getValidMoves(fromRow, fromCol).some(move => move.row === toRow && move.col === toCol);
+    }
 
-        // 检查是否为相邻位置（只能移动一格）
-        const rowDiff = Math.abs(toRow - fromRow);
-        const colDiff = Math.abs(toCol - fromCol);
-        if ((rowDiff + colDiff) !== 1) {
-            return false;
-        }
+    /**
+     * 获取一方的全部合法行动（见 LegalActions.js）
+     * @param {string} seat - 座位：player | ai，默认当前行动方
+     * @returns {Array<Object>} flip / move / attack 行动，攻击附带战斗结果
+     */
+    getLegalActions(seat = this.gameState.currentPlayer) {
+        return generateLegalActions(this.gameState, seat);
+    }
 
-        const movingCard = this.gameState.getCardAt(fromRow, fromCol);
-        if (!movingCard || !movingCard.isRevealed) {
-            return false;
-        }
+    /**
+     * 检查胜负条件
+     * @returns {Object} 胜负检查结果
+     */
+    checkWinCondition() {
+        return this.gameState.checkWinCondition();
+    }
 
-        const targetCard = this.gameState.getCardAt(toRow, toCol);
-        
-        // 如果目标位置为空，可以移动
-        if (!targetCard) {
-            return true;
-        }
+    /**
+     * 是否为双人同屏对战
+     * @returns {boolean} 是否为双人对战
+     */
+    isHotSeat() {
+        return this.mode === 'hotseat';
+    }
 
-        // 如果目标位置有未翻开的卡牌，不能移动
-        if (!targetCard.isRevealed) {
-            return false;
+    /**
+     * 座位是否由人类操作（双人对战中两个座位都是人类）
+     * @param {string} seat - 座位：player | ai
+     * @returns {boolean} 是否为人类座位
+     */
+    isHumanSeat(seat) {
+        return seat === 'player' || (this.isHotSeat() && seat === 'ai');
+    }
+
+    /**
+     * 获取座位的阵营
+     * @param {string} seat - 座位：player | ai
+     * @returns {string|null} 阵营，未确定时为null
+     */
+    getSeatFaction(seat) {
+        if (seat === 'player') return this.gameState.playerFaction;
+        if (seat === 'ai') return this.gameState.aiFaction;
+        return null;
+    }
+
+    /**
+     * 获取座位的显示名称
+     * @param {string} seat - 座位：player | ai
+     * @returns {string} 人机对战为 玩家/AI，双人对战为 玩家1/玩家2
+     */
+    getSeatName(seat) {
+        if (this.isHotSeat()) {
+            return seat === 'player' ? '玩家1' : '玩家2';
         }
+        return seat === 'player' ? '玩家' : 'AI';
+    }
 
-        // 如果目标位置有己方卡牌，不能移动
-        if (targetCard.faction === movingCard.faction) {
-            return false;
+    /**
+     * 创建AI对手
+     * @param {string|Function} type - AI类型（enhanced | search）或 (engine, difficulty) => AI实例，默认 enhanced
+     * @param {string} difficulty - AI难度
+     * @returns {Object} AI实例
+     */
+    createAIPlayer(type = 'enhanced', difficulty = 'medium') {
+        if (typeof type === 'function') {
+            return type(this, difficulty);
         }
 
-        // 如果目标位置有敌方卡牌，可以攻击
-        return true;
+        const PlayerClass = AI_PLAYER_TYPES[type || 'enhanced'];
+        if (!PlayerClass) {
+            throw new Error(`未知的AI类型: ${type}（可选: ${Object.keys(AI_PLAYER_TYPES).join(', ')}）`);
+        }
+        return new PlayerClass(this, difficulty || 'medium');
     }
 
     /**
-     * 检查胜负条件
-     * @returns {Object} 胜负检查结果
+     * 更换AI对手
+     * @param {string|Function} type - AI类型或工厂函数
+     * @param {string} difficulty - AI难度，默认沿用当前难度
      */
-    checkWinCondition() {
-        return this.gameState.checkWinCondition();
+    setAIPlayer(type, difficulty = this.aiPlayer?.difficulty) {
+        this.aiPlayer = this.createAIPlayer(type, difficulty);
+        this.aiPlayerType = typeof type === 'function' ? null : (type || 'enhanced');
+        this.emit('aiPlayerChanged', { type, difficulty: this.aiPlayer.difficulty });
     }
 
     /**
@@ -591,6 +805,10 @@ export class GameEngine {
      * @returns {Promise<Object>} AI操作结果
      */
     async executeAITurn() {
+        if (this.isHotSeat()) {
+            return this.createError('NO_AI_IN_HOTSEAT');
+        }
+
         if (this.gameState.phase !== 'playing') {
             return this.createError('INVALID_GAME_PHASE');
         }
@@ -600,6 +818,8 @@ export class GameEngine {
         }
 
         try {
+            this.isAITurnInProgress = true;
+
             // 执行AI回合
             const aiResult = await this.aiPlayer.executeTurn();
             
@@ -607,9 +827,9 @@ export class GameEngine {
                 throw new Error(aiResult.error || 'AI执行失败');
             }
 
-            // 检查胜负
+            // 检查胜负（翻牌/移动已经结束对局时不再重复结束）
             const winCheck = this.checkWinCondition();
-            if (winCheck.isGameOver) {
+            if (winCheck.isGameOver && this.gameState.phase !== 'ended') {
                 this.endGame(winCheck.winner, winCheck.reason);
             }
             // 注意：不需要在这里切换回合，因为具体的操作（如flipCard）已经处理了回合切换
@@ -621,6 +841,7 @@ export class GameEngine {
                     decision: aiResult.decision,
                     result: aiResult.result,
                     thinkingTime: aiResult.thinkingTime,
+                    analysis: aiResult.analysis || null,
                     gameState: this.gameState.clone(),
                     isGameOver: winCheck.isGameOver,
                     winner: winCheck.winner
@@ -633,113 +854,1015 @@ export class GameEngine {
             return result;
         } catch (error) {
             return this.createError('AI_TURN_FAILED', { originalError: error.message });
+        } finally {
+            this.isAITurnInProgress = false;
         }
     }
 
     /**
-     * 结束游戏
-     * @param {string} winner - 胜者
-     * @param {string} reason - 结束原因
+     * 设置悔棋规则
+     * @param {Object} settings - 悔棋设置：{ mode, scope }
      */
-    endGame(winner, reason) {
-        this.gameState.phase = 'ended';
-        this.gameState.winner = winner;
-        this.gameState.endTime = new Date().toISOString();
-
-        this.gameState.addLogEntry('game_end', 'system', '游戏结束', {
-            winner,
-            reason,
-            duration: Date.parse(this.gameState.endTime) - Date.parse(this.gameState.startTime)
-        });
+    setUndoSettings(settings) {
+        this.undoSettings = { ...this.undoSettings, ...settings };
+    }
 
-        this.emit('gameEnded', {
-            winner,
-            reason,
-            gameState: this.gameState.clone()
-        });
+    /**
+     * 当前设置是否允许悔棋
+     * @returns {boolean} 是否允许
+     */
+    isUndoAllowed() {
+        const { mode } = this.undoSettings;
+        return mode === 'always' || (mode === 'practice' && this.practiceMode);
     }
 
     /**
-     * 重新开始游戏
-     * @returns {Object} 重启结果
+     * 是否可以悔棋
+     * @returns {boolean} 是否可以
      */
-    restartGame() {
-        try {
-            const oldGameId = this.gameId;
-            const newGameResult = this.startNewGame();
-            
-            this.emit('gameRestarted', {
-                oldGameId,
-                newGameId: this.gameId
-            });
+    canUndo() {
+        if (!this.isUndoAllowed() || this.isAITurnInProgress) {
+            return false;
+        }
 
-            return newGameResult;
-        } catch (error) {
-            return this.createError('RESTART_FAILED', { originalError: error.message });
+        // 按回合悔棋时，必须存在玩家自己的操作
+        if (this.undoSettings.scope === 'round') {
+            return this.undoStack.some(snapshot => this.isHumanSeat(snapshot.actor));
         }
+        return this.undoStack.length > 0;
     }
 
     /**
-     * 保存游戏状态
-     * @returns {boolean} 保存是否成功
+     * 是否可以重做
+     * @returns {boolean} 是否可以
      */
-    saveGameState() {
+    canRedo() {
+        return this.isUndoAllowed() && !this.isAITurnInProgress && this.redoStack.length > 0;
+    }
+
+    /**
+     * 悔棋（退回到上一个悔棋点：记为 undo 行动，局面由重放此前的行动得到）
+     * @returns {Object} 悔棋结果
+     */
+    undo() {
+        if (!this.isUndoAllowed()) {
+            return this.createError('UNDO_DISABLED');
+        }
+
+        if (this.isAITurnInProgress) {
+            return this.createError('UNDO_DURING_AI_TURN');
+        }
+
+        if (!this.canUndo()) {
+            return this.createError('NOTHING_TO_UNDO');
+        }
+
         try {
-            if (typeof localStorage === 'undefined') {
-                return false;
-            }
+            // 按回合悔棋时一直撤销到玩家自己的操作为止（双人对战中每一步都是玩家的操作）
+            let steps = 0;
+            let entry;
+            do {
+                entry = this.undoStack.pop();
+                this.redoStack.push({ actor: entry.actor, index: this.actions.length, rngState: this.rng.getState() });
+                this.dispatch({ type: 'undo', to: entry.index });
+                this.rng.setState(entry.rngState);
+                steps++;
+            } while (this.undoSettings.scope === 'round' && !this.isHumanSeat(entry.actor));
+            this.scheduleClockTimer();
 
-            const saveData = {
-                gameId: this.gameId,
-                gameState: this.gameState.toJSON(),
-                battleHistory: this.battleResolver.getBattleHistory(),
-                timestamp: new Date().toISOString()
+            const result = {
+                success: true,
+                data: {
+                    steps,
+                    gameState: this.gameState.clone(),
+                    canUndo: this.canUndo(),
+                    canRedo: this.canRedo()
+                },
+                message: `已撤销${steps}步操作`
             };
 
-            localStorage.setItem(this.saveKey, JSON.stringify(saveData));
-            return true;
+            this.autoSaveGame();
+            this.emit('undo', result.data);
+
+            return result;
         } catch (error) {
-            console.warn('保存游戏状态失败:', error);
-            return false;
+            return this.createError('UNDO_FAILED', { originalError: error.message });
         }
     }
 
     /**
-     * 加载游戏状态
-     * @returns {boolean} 加载是否成功
+     * 重做（回到悔棋前的局面：记为 redo 行动）
+     * @returns {Object} 重做结果
      */
-    loadGameState() {
-        try {
-            if (typeof localStorage === 'undefined') {
-                return false;
-            }
+    redo() {
+        if (!this.isUndoAllowed()) {
+            return this.createError('UNDO_DISABLED');
+        }
 
-            const saveData = localStorage.getItem(this.saveKey);
-            if (!saveData) {
-                return false;
-            }
+        if (this.isAITurnInProgress) {
+            return this.createError('UNDO_DURING_AI_TURN');
+        }
 
-            const parsed = JSON.parse(saveData);
-            this.gameId = parsed.gameId;
-            this.gameState = GameState.fromJSON(parsed.gameState);
-            
-            // 恢复战斗历史
-            if (parsed.battleHistory) {
-                this.battleResolver.battleHistory = parsed.battleHistory;
-            }
+        if (!this.canRedo()) {
+            return this.createError('NOTHING_TO_REDO');
+        }
 
-            this.emit('gameLoaded', {
-                gameId: this.gameId,
-                gameState: this.gameState.clone()
-            });
+        try {
+            // 按回合重做时一直重做到再次轮到玩家为止
+            let steps = 0;
+            do {
+                const entry = this.redoStack.pop();
+                this.undoStack.push(this.createUndoEntry(entry.actor));
+                this.dispatch({ type: 'redo', to: entry.index });
+                this.rng.setState(entry.rngState);
+                steps++;
+            } while (
+                this.undoSettings.scope === 'round' &&
+                this.redoStack.length > 0 &&
+                this.gameState.phase === 'playing' &&
+                !this.isHumanSeat(this.gameState.currentPlayer)
+            );
+            this.scheduleClockTimer();
+
+            const result = {
+                success: true,
+                data: {
+                    steps,
+                    gameState: this.gameState.clone(),
+                    canUndo: this.canUndo(),
+                    canRedo: this.canRedo()
+                },
+                message: `已重做${steps}步操作`
+            };
+
+            this.autoSaveGame();
+            this.emit('redo', result.data);
 
-            return true;
+            return result;
         } catch (error) {
-            console.warn('加载游戏状态失败:', error);
-            return false;
+            return this.createError('REDO_FAILED', { originalError: error.message });
         }
     }
 
+    /**
+     * 记录并执行一个行动：追加到行动日志，在当前局面上执行（见 GameReducer.js），战斗记入战斗历史
+     * @param {Object} action - 行动，没有 at 时取当前时间
+     * @returns {Object} applyGameAction 的结果
+     */
+    dispatch(action) {
+        const stamped = action.at === undefined ? { ...action, at: Date.now() } : action;
+        if (stamped.type === 'start') {
+            this.actions = [];
+        }
+
+        const result = applyGameAction(this.gameState, stamped, this.actions);
+        this.actions.push(stamped);
+        this.gameState = result.state;
+        if (result.battles) {
+            this.battleResolver.battleHistory = result.battles;
+        } else if (result.battle) {
+            this.battleResolver.battleHistory.push(result.battle);
+        }
+        return result;
+    }
+
+    /**
+     * 把当前局面记为 position 行动（只供测试和调试工具使用）：直接修改局面摆出残局后调用，
+     * 之后的悔棋、存档和核对都从这个局面开始。对局中的一切变化都应通过行动完成，
+     * 在行动之外修改局面而不记录时 auditActions 报告不一致
+     * @returns {Object} 操作结果
+     */
+    recordPosition() {
+        this.dispatch({ type: 'position', state: this.gameState.toJSON() });
+        return {
+            success: true,
+            data: { actions: this.actions.length },
+            message: '已记录当前局面'
+        };
+    }
+
+    /**
+     * 核对行动日志：从头重放应得到当前局面（计时和选中位置不参与比较）
+     * @returns {Object} 操作结果：不一致时为 ACTION_LOG_MISMATCH，details 中为不一致的字段或无法执行的原因
+     */
+    auditActions() {
+        try {
+            const { gameState } = replayActions(this.actions);
+            const field = findStateDifference(this.gameState.toJSON(), gameState.toJSON());
+            if (field) {
+                return this.createError('ACTION_LOG_MISMATCH', { field });
+            }
+        } catch (error) {
+            return this.createError('ACTION_LOG_MISMATCH', { reason: error.message });
+        }
+
+        return {
+            success: true,
+            data: { actions: this.actions.length },
+            message: '行动日志与局面一致'
+        };
+    }
+
+    /**
+     * 创建悔棋点
+     * @param {string} actor - 即将执行操作的一方
+     * @returns {Object} 悔棋点：{ actor, index, rngState }，index 为操作前行动日志的长度
+     */
+    createUndoEntry(actor) {
+        return {
+            actor,
+            index: this.actions.length,
+            rngState: this.rng.getState()
+        };
+    }
+
+    /**
+     * 记录操作前的悔棋点，新操作会清空重做栈
+     * @param {Object} entry - 悔棋点
+     */
+    pushUndoEntry(entry) {
+        this.undoStack.push(entry);
+        this.redoStack = [];
+    }
+
+    /**
+     * 清空悔棋历史
+     */
+    clearUndoHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 结束游戏
+     * @param {string} winner - 胜者
+     * @param {string} reason - 结束原因
+     */
+    endGame(winner, reason) {
+        this.stopClockTimer();
+        this.dispatch({ type: 'end', winner, reason });
+
+        const record = this.recordGameResult();
+
+        this.emit('gameEnded', {
+            winner,
+            reason,
+            rating: record?.ratingAfter ? { before: record.ratingBefore, after: record.ratingAfter } : null,
+            gameState: this.gameState.clone()
+        });
+    }
+
+    /**
+     * 放弃本回合，轮到对方（记为 pass 行动）：行动方无法行动时用来恢复对局，如界面在AI出错时把回合交还玩家
+     * @param {string} side - 当前行动方（player 或 ai）
+     * @param {string} reason - 原因，记入对局日志
+     * @returns {Object} 操作结果
+     */
+    passTurn(side, reason = '') {
+        const invalid = this.checkGameAction(side);
+        if (invalid) {
+            return invalid;
+        }
+        if (this.gameState.currentPlayer !== side) {
+            return this.createError('NOT_YOUR_TURN');
+        }
+
+        this.dispatch({ type: 'pass', seat: side, reason });
+        this.scheduleClockTimer();
+        this.autoSaveGame();
+
+        return {
+            success: true,
+            data: { seat: side, gameState: this.gameState.clone() },
+            message: `${this.getSeatName(side)}跳过本回合`
+        };
+    }
+
+    /**
+     * 认输：对方获胜
+     * @param {string} side - 认输的一方（player 或 ai）
+     * @returns {Object} 认输结果
+     */
+    resign(side) {
+        const invalid = this.checkGameAction(side);
+        if (invalid) {
+            return invalid;
+        }
+
+        const winner = side === 'player' ? 'ai' : 'player';
+        this.dispatch({ type: 'resign', seat: side });
+        this.endGame(winner, `${this.getSeatName(side)}认输`);
+        this.autoSaveGame();
+
+        return {
+            success: true,
+            data: { winner, gameState: this.gameState.clone() },
+            message: `${this.getSeatName(side)}认输，${this.getSeatName(winner)}获胜`
+        };
+    }
+
+    /**
+     * 提议和棋：人机对战中AI根据局面评估立即答复，双人对战中等待对方答复
+     * （对方翻牌或走子即视为拒绝）。只能在己方回合提议，每回合一次
+     * @param {string} side - 提议的一方（player 或 ai）
+     * @returns {Object} 提议结果，AI已答复时 data.response 为答复结果
+     */
+    offerDraw(side) {
+        const invalid = this.checkGameAction(side);
+        if (invalid) {
+            return invalid;
+        }
+        if (this.gameState.currentPlayer !== side) {
+            return this.createError('DRAW_NOT_YOUR_TURN');
+        }
+        if (this.getDrawOffer()) {
+            return this.createError('DRAW_ALREADY_OFFERED');
+        }
+        if (this.hasOfferedDrawThisTurn(side)) {
+            return this.createError('DRAW_OFFER_LIMIT');
+        }
+
+        this.dispatch({ type: 'draw_offer', seat: side });
+        this.emit('drawOffered', { seat: side });
+
+        let response = null;
+        const responder = side === 'player' ? 'ai' : 'player';
+        if (this.mode === 'ai' && responder === 'ai') {
+            // AI 没有评估方法时拒绝
+            const evaluation = this.aiPlayer?.evaluateDrawOffer?.() || { accept: false };
+            response = this.respondToDraw('ai', evaluation.accept);
+            response.data.evaluation = evaluation;
+        } else {
+            this.autoSaveGame();
+        }
+
+        return {
+            success: true,
+            data: { seat: side, response },
+            message: response ? response.message : `${this.getSeatName(side)}提议和棋`
+        };
+    }
+
+    /**
+     * 答复对方的和棋提议：同意时以和棋结束对局
+     * @param {string} side - 答复的一方（player 或 ai）
+     * @param {boolean} accept - 是否同意
+     * @returns {Object} 答复结果
+     */
+    respondToDraw(side, accept) {
+        const invalid = this.checkGameAction(side);
+        if (invalid) {
+            return invalid;
+        }
+        const offer = this.getDrawOffer();
+        if (!offer || offer.seat === side) {
+            return this.createError('NO_DRAW_OFFER');
+        }
+
+        this.dispatch({ type: 'draw_response', seat: side, accept: Boolean(accept) });
+        this.emit('drawResponded', { seat: side, accept: Boolean(accept) });
+        if (accept) {
+            this.endGame('draw', '双方同意和棋');
+        }
+        this.autoSaveGame();
+
+        return {
+            success: true,
+            data: { seat: side, accept: Boolean(accept), gameState: this.gameState.clone() },
+            message: `${this.getSeatName(side)}${accept ? '同意和棋' : '拒绝了和棋提议'}`
+        };
+    }
+
+    /**
+     * 获取待答复的和棋提议（由对局日志推导：提议之后对方翻牌、走子或答复即失效）
+     * @returns {Object|null} { seat, timestamp }，没有时为null
+     */
+    getDrawOffer() {
+        const { gameLog } = this.gameState;
+        for (let i = gameLog.length - 1; i >= 0; i--) {
+            const entry = gameLog[i];
+            if (entry.type === 'draw_offer') {
+                const answered = gameLog.slice(i + 1).some(later =>
+                    (later.type === 'flip' || later.type === 'move') && later.player !== entry.player);
+                return answered ? null : { seat: entry.player, timestamp: entry.timestamp };
+            }
+            if (['draw_accepted', 'draw_declined', 'game_end'].includes(entry.type)) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 本回合是否已经提议过和棋（从上一次翻牌或走子之后算起，被拒绝的提议也算）
+     * @param {string} side - 提议的一方
+     * @returns {boolean} 是否已提议
+     */
+    hasOfferedDrawThisTurn(side) {
+        const { gameLog } = this.gameState;
+        for (let i = gameLog.length - 1; i >= 0; i--) {
+            const entry = gameLog[i];
+            if (entry.type === 'flip' || entry.type === 'move') {
+                return false;
+            }
+            if (entry.type === 'draw_offer' && entry.player === side) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 检查认输和和棋操作：对局进行中且座位有效
+     * @param {string} side - 操作的一方
+     * @returns {Object|null} 不能操作时为错误结果，否则为null
+     */
+    checkGameAction(side) {
+        if (this.gameState.phase !== 'playing') {
+            return this.createError('INVALID_GAME_PHASE');
+        }
+        if (side !== 'player' && side !== 'ai') {
+            return this.createError('INVALID_SEAT');
+        }
+        return null;
+    }
+
+    /**
+     * 统计回合数：行动日志中的翻牌和走子行动数，悔棋撤销的不算（统计信息和档案记录共用）
+     * @returns {number} 回合数
+     */
+    countTurns() {
+        // counts[i] 为执行前 i 个行动后的回合数
+        const counts = [0];
+        this.actions.forEach((action, index) => {
+            let turns = counts[index];
+            if (action.type === 'flip' || action.type === 'move') {
+                turns++;
+            } else if (action.type === 'undo' || action.type === 'redo') {
+                turns = counts[action.to];
+            }
+            counts.push(turns);
+        });
+        return counts[counts.length - 1];
+    }
+
+    /**
+     * 生成已结束对局的档案记录（从 player 座位的角度）
+     * @returns {Object} { gameId, finishedAt, result, winner, reason, mode, faction, difficulty, aiType,
+     *   duration, turns, battles, specialRuleKills, cardUsage }
+     *   result 为 win | loss | draw；cardUsage 为玩家各卡牌的走子次数（含攻击）
+     */
+    createGameResult() {
+        const { gameState } = this;
+        const endEntry = [...gameState.gameLog].reverse().find(entry => entry.type === 'game_end');
+        const winnerFaction = battle => {
+            if (battle.winner === 'attacker') return battle.attackerCard.faction;
+            if (battle.winner === 'defender') return battle.defenderCard.faction;
+            return null;
+        };
+
+        const cardUsage = {};
+        gameState.gameLog
+            .filter(entry => entry.type === 'move' && entry.player === 'player')
+            .forEach(entry => {
+                cardUsage[entry.details.cardId] = (cardUsage[entry.details.cardId] || 0) + 1;
+            });
+
+        return {
+            gameId: this.gameId,
+            finishedAt: gameState.endTime,
+            result: gameState.winner === 'player' ? 'win' : (gameState.winner === 'ai' ? 'loss' : 'draw'),
+            winner: gameState.winner,
+            reason: endEntry?.details.reason || null,
+            mode: this.mode,
+            faction: gameState.playerFaction || null,
+            difficulty: this.isHotSeat() ? null : this.aiPlayer?.difficulty || null,
+            aiType: this.isHotSeat() ? null : this.aiPlayerType,
+            duration: Date.parse(gameState.endTime) - Date.parse(gameState.startTime),
+            turns: this.countTurns(),
+            battles: this.battleResolver.getBattleStats().total,
+            specialRuleKills: this.battleResolver.battleHistory.filter(battle =>
+                battle.stats.isSpecialRule && winnerFaction(battle) === gameState.playerFaction).length,
+            cardUsage
+        };
+    }
+
+    /**
+     * 开启档案记录时把已结束的人机对战记入当前玩家档案，并更新档案的等级分
+     * （双人对战无法区分档案属于哪位玩家，不记录）
+     * @returns {Object|null} 记入档案的对局记录，未记录时为null
+     */
+    recordGameResult() {
+        if (!this.recordProfile || this.isHotSeat()) return null;
+
+        const result = this.profileManager.recordGame(this.createGameResult());
+        if (!result.success) {
+            console.warn('记录玩家档案失败:', result.error.message);
+            return null;
+        }
+        return result.data;
+    }
+
+    /**
+     * 设置之后新对局使用的计时（当前对局不变）
+     * @param {string|Object|null} config - 同构造函数的 timeControl
+     */
+    setTimeControl(config) {
+        this.timeControl = TimeControl.resolve(config);
+    }
+
+    /**
+     * 获取计时状态
+     * @returns {Object|null} { seat, running, remaining: { player, ai }, moveRemaining }，不计时返回null
+     */
+    getClock() {
+        const clock = this.gameState.clock;
+        return clock ? TimeControl.getStatus(clock, this.gameState.currentPlayer) : null;
+    }
+
+    /**
+     * 继续计时（开局、读档或暂停后）
+     * @returns {boolean} 是否开始计时
+     */
+    resumeClock() {
+        const clock = this.gameState.clock;
+        if (!clock || this.gameState.phase !== 'playing' || clock.runningSince !== null) {
+            return false;
+        }
+
+        this.dispatch({ type: 'resume' });
+        this.scheduleClockTimer();
+        return true;
+    }
+
+    /**
+     * 暂停计时（在线对战断线、页面隐藏等）
+     * @returns {boolean} 是否暂停了计时
+     */
+    pauseClock() {
+        const clock = this.gameState.clock;
+        this.stopClockTimer();
+        if (!clock || clock.runningSince === null) {
+            return false;
+        }
+
+        this.dispatch({ type: 'pause' });
+        return true;
+    }
+
+    /**
+     * 在行动方超时的时刻触发超时处理
+     */
+    scheduleClockTimer() {
+        this.stopClockTimer();
+        const clock = this.gameState.clock;
+        if (!clock || clock.runningSince === null || this.gameState.phase !== 'playing') {
+            return;
+        }
+
+        this.clockTimer = setTimeout(() => this.handleClockExpired(),
+            TimeControl.getTimeLeft(clock, this.gameState.currentPlayer));
+    }
+
+    /**
+     * 停止超时定时器
+     */
+    stopClockTimer() {
+        clearTimeout(this.clockTimer);
+        this.clockTimer = null;
+    }
+
+    /**
+     * 行动方超时：每步限时用完且配置为 auto 时代为行动，否则判负
+     */
+    handleClockExpired() {
+        this.clockTimer = null;
+        const clock = this.gameState.clock;
+        const seat = this.gameState.currentPlayer;
+        if (!clock || this.gameState.phase !== 'playing') {
+            return;
+        }
+        // 定时器提前触发时重新等待
+        if (TimeControl.getTimeLeft(clock, seat) > 0) {
+            this.scheduleClockTimer();
+            return;
+        }
+
+        const action = clock.config.onTimeout === 'auto' && TimeControl.isMoveTimeout(clock, seat) ? 'auto' : 'loss';
+        this.dispatch({ type: 'timeout', seat, action });
+
+        if (action !== 'auto' || !this.executeTimeoutAction(seat).success) {
+            this.endGame(seat === 'player' ? 'ai' : 'player', '超时判负');
+            this.autoSaveGame();
+        }
+
+        this.emit('clockExpired', {
+            seat,
+            action: this.gameState.phase === 'ended' ? 'loss' : 'auto',
+            gameState: this.gameState.clone()
+        });
+    }
+
+    /**
+     * 代替超时的一方行动：有未翻开的卡牌时随机翻开一张，否则随机走一步
+     * @param {string} seat - 超时的一方
+     * @returns {Object} 翻牌或移动的结果
+     */
+    executeTimeoutAction(seat) {
+        const actions = generateLegalActions(this.gameState, seat);
+        const flips = actions.filter(action => action.type === 'flip');
+        if (flips.length > 0) {
+            const { position } = this.rng.pick(flips);
+            return this.flipCard(position.row, position.col, seat);
+        }
+        if (actions.length === 0) {
+            return this.createError('INVALID_MOVE');
+        }
+
+        const { from, to } = this.rng.pick(actions);
+        return this.moveCard(from.row, from.col, to.row, to.col, seat);
+    }
+
+    /**
+     * 重新开始游戏
+     * @returns {Object} 重启结果
+     */
+    restartGame() {
+        try {
+            const oldGameId = this.gameId;
+            const newGameResult = this.startNewGame();
+            
+            this.emit('gameRestarted', {
+                oldGameId,
+                newGameId: this.gameId
+            });
+
+            return newGameResult;
+        } catch (error) {
+            return this.createError('RESTART_FAILED', { originalError: error.message });
+        }
+    }
+
+    /**
+     * 生成存档内容
+     * @returns {Object} 存档内容（SaveManager 在此基础上加版本号、摘要和校验和）
+     */
+    createSaveData() {
+        return {
+            gameId: this.gameId,
+            mode: this.mode,
+            timeControl: this.timeControl,
+            gameState: this.gameState.toJSON(Date.now()),
+            actions: this.actions,
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            aiMemory: this.aiPlayer?.snapshotMemory ? this.aiPlayer.snapshotMemory() : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 保存到存档位
+     * @param {string} slot - 存档位，默认自动存档位 auto
+     * @param {Object} options - 配置项：{ name } 存档显示名称
+     * @returns {Object} 操作结果：data 为存档信息 { slot, name, timestamp, mode, summary }
+     */
+    saveGame(slot = AUTO_SLOT, options = {}) {
+        const result = this.saveManager.save(slot, this.createSaveData(), options);
+        if (result.success) {
+            this.emit('gameSaved', result.data);
+        }
+        return result;
+    }
+
+    /**
+     * 从存档位读档：存档损坏时返回 SAVE_CORRUPTED，当前对局保持不变
+     * @param {string} slot - 存档位，默认自动存档位 auto
+     * @returns {Object} 操作结果：data 为 { slot, gameId, gameState }
+     */
+    loadGame(slot = AUTO_SLOT) {
+        const loaded = this.saveManager.load(slot);
+        if (!loaded.success) {
+            return loaded;
+        }
+
+        const saveData = loaded.data;
+        let restored;
+        let timeControl;
+        try {
+            restored = GameEngine.replaySaved(saveData.actions, saveData.gameState);
+            timeControl = saveData.timeControl ? TimeControl.resolve(saveData.timeControl) : this.timeControl;
+        } catch (error) {
+            return SaveManager.createError('SAVE_CORRUPTED', { slot, reason: error.message });
+        }
+
+        this.gameId = saveData.gameId;
+        this.mode = GAME_MODES.includes(saveData.mode) ? saveData.mode : 'ai';
+        this.timeControl = timeControl;
+        this.stopClockTimer();
+        this.useRuleSet(restored.gameState.ruleSet);
+        this.gameState = restored.gameState;
+        this.actions = restored.actions;
+        this.clearUndoHistory();
+
+        // 恢复随机数状态，保证读档后的随机序列与存档时一致
+        if (saveData.rngState !== undefined) {
+            this.rng.setState(saveData.rngState);
+            this.seed = saveData.seed;
+        }
+
+        // 恢复战斗历史（没有行动日志的旧存档保存了战斗历史）和AI记忆
+        this.battleResolver.battleHistory = saveData.actions ? restored.battles : (saveData.battleHistory || []);
+        if (saveData.aiMemory && this.aiPlayer?.restoreMemory) {
+            this.aiPlayer.restoreMemory(saveData.aiMemory);
+        }
+
+        // 读档后从存档时的剩余时间继续计时
+        this.resumeClock();
+
+        const data = { slot, gameId: this.gameId, gameState: this.gameState.clone() };
+        this.emit('gameLoaded', data);
+        return { success: true, data, message: `已读取${saveData.name}` };
+    }
+
+    /**
+     * 列出所有存档
+     * @returns {Array<Object>} 见 SaveManager.list
+     */
+    listSaves() {
+        return this.saveManager.list();
+    }
+
+    /**
+     * 删除存档位
+     * @param {string} slot - 存档位
+     * @returns {boolean} 是否删除了存档
+     */
+    deleteSave(slot) {
+        return this.saveManager.remove(slot);
+    }
+
+    /**
+     * 开启自动存档时保存到自动存档位（每次行动后调用）
+     */
+    autoSaveGame() {
+        if (!this.autoSave) return;
+
+        const result = this.saveGame(AUTO_SLOT);
+        if (!result.success) {
+            console.warn('自动存档失败:', result.error.message);
+        }
+    }
+
+    /**
+     * 保存游戏状态到自动存档位
+     * @returns {boolean} 保存是否成功
+     */
+    saveGameState() {
+        return this.saveGame(AUTO_SLOT).success;
+    }
+
+    /**
+     * 从自动存档位加载游戏状态
+     * @returns {boolean} 加载是否成功
+     */
+    loadGameState() {
+        return this.loadGame(AUTO_SLOT).success;
+    }
+
+    /**
+     * 生成完整的引擎快照：局面（含选中位置和计时）、行动日志、随机数状态、悔棋/重做栈和AI记忆。
+     * 快照是可JSON序列化的普通对象，与引擎不共享任何对象；用相同的快照还原后，对局按同样的随机序列继续
+     * @returns {Object} 快照，交给 GameEngine.restore 或 loadSnapshot 还原
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            gameId: this.gameId,
+            seed: this.seed,
+            mode: this.mode,
+            ruleSet: this.ruleSet.toJSON(),
+            practiceMode: this.practiceMode,
+            undoSettings: this.undoSettings,
+            timeControl: this.timeControl,
+            rngState: this.rng.getState(),
+            gameState: this.gameState.toJSON(Date.now()),
+            actions: this.actions,
+            undoStack: this.undoStack,
+            redoStack: this.redoStack,
+            ai: {
+                type: this.aiPlayerType,
+                difficulty: this.aiPlayer?.difficulty ?? null,
+                memory: this.aiPlayer?.snapshotMemory ? this.aiPlayer.snapshotMemory() : null
+            }
+        }));
+    }
+
+    /**
+     * 由快照创建引擎
+     * @param {Object} snapshot - snapshot 的结果
+     * @param {Object} options - GameEngine 配置项（如 storage、autoSave）。模式、规则、悔棋设置和计时以快照为准；
+     *   AI类型和难度默认取自快照，AI由工厂函数创建时需重新传入 aiPlayer
+     * @returns {GameEngine} 还原后的游戏引擎
+     * @throws {Error} 快照版本不支持或局面数据无效时
+     */
+    static restore(snapshot, options = {}) {
+        snapshot = GameEngine.migrateSnapshot(snapshot);
+
+        const engine = new GameEngine({
+            ...options,
+            mode: snapshot.mode,
+            ruleSet: RuleSet.fromJSON(snapshot.ruleSet),
+            practiceMode: snapshot.practiceMode,
+            undo: snapshot.undoSettings,
+            timeControl: snapshot.timeControl,
+            aiPlayer: options.aiPlayer || snapshot.ai?.type || undefined,
+            aiDifficulty: options.aiDifficulty || snapshot.ai?.difficulty || undefined
+        });
+        engine.loadSnapshot(snapshot);
+        return engine;
+    }
+
+    /**
+     * 检查快照版本
+     * @param {Object} snapshot - 快照
+     * @throws {Error} 不是快照或版本不支持时
+     */
+    static validateSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new Error('引擎快照无效');
+        }
+        if (!Number.isInteger(snapshot.version) || snapshot.version < 1 || snapshot.version > SNAPSHOT_VERSION) {
+            throw new Error(`不支持的快照版本: ${snapshot.version}`);
+        }
+    }
+
+    /**
+     * 检查快照版本，旧版本的快照按 SNAPSHOT_MIGRATIONS 逐级升级到当前版本
+     * @param {Object} snapshot - 快照
+     * @returns {Object} 当前版本的快照（不修改传入的快照）
+     * @throws {Error} 不是快照或版本不支持时
+     */
+    static migrateSnapshot(snapshot) {
+        GameEngine.validateSnapshot(snapshot);
+        let migrated = snapshot;
+        while (migrated.version < SNAPSHOT_VERSION) {
+            migrated = SNAPSHOT_MIGRATIONS[migrated.version](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * 把当前引擎还原到快照（保留事件监听器、存档设置和AI实例，AI记忆被替换）
+     * @param {Object} snapshot - snapshot 的结果
+     * @throws {Error} 快照版本不支持、局面数据无效或行动日志与局面不符时，当前对局保持不变
+     */
+    loadSnapshot(snapshot) {
+        snapshot = GameEngine.migrateSnapshot(snapshot);
+
+        // 先重放并核对行动日志，无效时不改动当前对局
+        const { gameState, actions, battles } = GameEngine.replaySaved(snapshot.actions, snapshot.gameState);
+
+        this.stopClockTimer();
+        this.gameId = snapshot.gameId;
+        this.seed = snapshot.seed;
+        this.mode = GAME_MODES.includes(snapshot.mode) ? snapshot.mode : this.mode;
+        this.timeControl = snapshot.timeControl ? TimeControl.resolve(snapshot.timeControl) : null;
+        this.rng.setState(snapshot.rngState);
+        this.useRuleSet(gameState.ruleSet);
+        this.gameState = gameState;
+        this.actions = actions;
+        // 从版本1迁移的快照只有一个 position 行动，战斗历史沿用快照中的记录
+        this.battleResolver.battleHistory = snapshot.battleHistory ? JSON.parse(JSON.stringify(snapshot.battleHistory)) : battles;
+        this.undoStack = JSON.parse(JSON.stringify(snapshot.undoStack || []));
+        this.redoStack = JSON.parse(JSON.stringify(snapshot.redoStack || []));
+        this.isAITurnInProgress = false;
+        if (snapshot.ai?.memory && this.aiPlayer?.restoreMemory) {
+            this.aiPlayer.restoreMemory(snapshot.ai.memory);
+        }
+
+        this.resumeClock();
+    }
+
+    /**
+     * 改用存档或快照中的规则集（读档后的新对局、合法走法和战斗裁决都按该规则进行）
+     * @param {RuleSet} ruleSet - 规则集
+     */
+    useRuleSet(ruleSet) {
+        this.ruleSet = ruleSet;
+        this.battleResolver.ruleSet = ruleSet;
+    }
+
+    /**
+     * 重放保存的行动日志并与保存的局面核对（读档和还原快照使用）。
+     * 没有行动日志的旧存档从保存的局面开始；保存时仍在计时的棋钟停在保存的时刻，由引擎之后继续计时
+     * @param {Array<Object>|undefined} actions - 保存的行动日志
+     * @param {Object} savedState - 保存的局面（GameState.toJSON 的结果）
+     * @returns {Object} { gameState, actions, battles }
+     * @throws {Error} 局面数据无效、行动无法执行或重放结果与保存的局面不符时
+     */
+    static replaySaved(actions, savedState) {
+        const errors = GameState.validateJSON(savedState);
+        if (errors.length > 0) {
+            throw new Error(`局面数据无效: ${errors.join('；')}`);
+        }
+
+        const log = JSON.parse(JSON.stringify(actions || [{ type: 'position', at: Date.now(), state: savedState }]));
+        const { gameState, battles } = replayActions(log);
+        const field = findStateDifference(savedState, gameState.toJSON());
+        if (field) {
+            throw new Error(`行动日志与局面不符: ${field}`);
+        }
+
+        const { clock } = gameState;
+        if (clock && clock.runningSince !== null) {
+            const pause = { type: 'pause', at: clock.runningSince + (savedState.clock?.moveElapsed ?? 0) - clock.moveElapsed };
+            applyGameAction(gameState, pause);
+            log.push(pause);
+        }
+        gameState.selectedPosition = savedState.selectedPosition ? { ...savedState.selectedPosition } : null;
+        return { gameState, actions: log, battles };
+    }
+
+    /**
+     * 导出对局记录（初始布局、猜拳结果和着法列表）
+     * @param {string} format - json: 记录对象 | text: 文本棋谱
+     * @returns {Object|string} 对局记录
+     */
+    exportGameRecord(format = 'json') {
+        const record = Notation.createRecord({
+            gameId: this.gameId,
+            gameState: this.gameState,
+            ruleSet: this.ruleSet
+        });
+        return format === 'text' ? Notation.stringifyRecord(record) : record;
+    }
+
+    /**
+     * 通过重放对局记录重建游戏
+     * @param {Object|string} record - 对局记录或文本棋谱
+     * @param {Object} options - GameEngine 配置项，未指定规则集时使用记录中的规则集
+     * @returns {GameEngine} 重建后的游戏引擎
+     */
+    static fromRecord(record, options = {}) {
+        const { engine, record: parsed } = GameEngine.prepareReplay(record, options);
+        parsed.moves.forEach((move, index) => engine.applyRecordedMove(move, index));
+        return engine;
+    }
+
+    /**
+     * 按对局记录创建引擎并还原到第一步之前（猜拳完成、棋盘按记录布局）
+     * @param {Object|string} record - 对局记录或文本棋谱
+     * @param {Object} options - GameEngine 配置项
+     * @returns {Object} { engine, record }，record 为解析后的对局记录
+     */
+    static prepareReplay(record, options = {}) {
+        const parsed = typeof record === 'string' ? Notation.parseRecord(record) : record;
+        Notation.validateRecord(parsed);
+
+        const engine = new GameEngine({ ruleSet: parsed.ruleSet, seed: parsed.seed, ...options });
+        engine.startNewGame();
+
+        if (parsed.rps) {
+            const rpsResult = engine.playRockPaperScissors(parsed.rps.playerChoice, {
+                aiChoice: parsed.rps.aiChoice,
+                firstPlayer: parsed.firstPlayer
+            });
+            if (!rpsResult.success) {
+                throw new Error(`猜拳记录无效: ${rpsResult.error.message}`);
+            }
+        } else {
+            // 没有猜拳记录时（系统指定先手）直接进入游戏阶段
+            engine.dispatch({ type: 'first_player', firstPlayer: parsed.firstPlayer });
+        }
+
+        engine.initializeBoard(Notation.decodeLayout(parsed.layout));
+
+        return { engine, record: parsed };
+    }
+
+    /**
+     * 执行对局记录中的一步
+     * @param {Object} move - { player, notation }
+     * @param {number} index - 步数索引（用于错误提示）
+     * @returns {Object} flipCard / moveCard 的执行结果
+     */
+    applyRecordedMove(move, index) {
+        const action = Notation.parseMove(move.notation);
+        const result = action.type === 'flip' ?
+            this.flipCard(action.from.row, action.from.col, move.player) :
+            this.moveCard(action.from.row, action.from.col, action.to.row, action.to.col, move.player);
+
+        if (!result.success) {
+            throw new Error(`第${index + 1}步 ${move.notation} 无法执行: ${result.error.message}`);
+        }
+        if (action.type === 'flip' && result.data.flippedCard.id !== action.cardId) {
+            throw new Error(`第${index + 1}步 ${move.notation} 与初始布局不符`);
+        }
+
+        return result;
+    }
+
     /**
      * 生成游戏ID
      * @returns {string} 唯一游戏ID
@@ -821,9 +1944,11 @@ export class GameEngine {
 
         return {
             gameId: this.gameId,
+            seed: this.seed,
+            mode: this.mode,
             phase: this.gameState.phase,
             duration: gameTime,
-            turns: this.gameState.gameLog.filter(log => log.type === 'turn_change').length,
+            turns: this.countTurns(),
             battles: battleStats,
             revealedCards: this.gameState.cardsData.filter(card => card.isRevealed).length,
             totalCards: this.gameState.cardsData.length
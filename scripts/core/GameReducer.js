@@ -0,0 +1,466 @@
+/**
+ * GameReducer - 对局行动的归约
+ * 对局的唯一事实来源是引擎按顺序追加的行动日志（GameEngine.actions）：当前局面、对局日志（gameLog）、战斗历史、
+ * 存档、悔棋和复盘都由依次执行这些行动得到。日志只追加不删除，悔棋和重做也记为行动。执行行动只依赖局面和行动本身——时间戳、猜拳结果和布局都记录在行动中，
+ * 不读取时钟、不使用随机数，因此同一份行动日志总是重放出同一个局面。
+ * 执行行动前不检查是否合法（由引擎在记录行动前检查），但行动与局面对不上（如翻开不存在的卡牌）时抛出错误。
+ *
+ * 行动格式（at 为行动发生时的时间戳，毫秒）：
+ *   { type: 'start', at, gameId, seed, mode, timeControl, ruleSet, cards }  开始新对局，ruleSet 为规则集实例或其配置
+ *                                          （序列化时保存配置），cards 为洗牌后的卡牌id顺序
+ *   { type: 'position', at, state }        从指定局面继续（旧存档、测试和调试工具摆出的局面，见 GameEngine.recordPosition），state 为 GameState.toJSON 的结果
+ *   { type: 'rps', at, playerChoice, aiChoice, winner, firstPlayer }
+ *   { type: 'first_player', at, firstPlayer }   没有猜拳时直接指定先手
+ *   { type: 'layout', at, layout }          布好棋盘并开始计时，layout 为 [{ cardId, position }]
+ *   { type: 'flip', at, seat, position }
+ *   { type: 'move', at, seat, from, to, outcome }   目标格子有已翻开的敌方卡牌时发生战斗，
+ *                                          outcome 为插件改写的战斗结果 { winner, eliminated, reason }（可选）
+ *   { type: 'timeout', at, seat, action }   超时，action 为 auto（随后代为行动）或 loss
+ *   { type: 'pass', at, seat, reason }      行动方放弃本回合，轮到对方
+ *   { type: 'pause', at } / { type: 'resume', at }   暂停 / 继续计时
+ *   { type: 'log', at, entry: { type, player, action, details } }   插件写入的对局日志
+ *   { type: 'resign', at, seat }            认输（随后由引擎记录 end 行动）
+ *   { type: 'draw_offer', at, seat } / { type: 'draw_response', at, seat, accept }   提议和棋 / 答复和棋提议
+ *   { type: 'end', at, winner, reason }
+ *   { type: 'undo', at, to } / { type: 'redo', at, to }   悔棋 / 重做：回到执行日志前 to 个行动后的局面，
+ *                                          正在计时的棋钟从行动的时刻继续；执行时需要之前的行动日志
+ */
+
+import { GameState } from './GameState.js';
+import { BattleResolver } from './BattleResolver.js';
+import { RuleSet } from './RuleSet.js';
+import { TimeControl } from './TimeControl.js';
+
+// 比较局面时忽略的字段：计时随真实时间变化，选中位置只属于界面
+const UNCOMPARED_FIELDS = ['clock', 'selectedPosition'];
+
+// 回到日志中较早局面的行动
+const REWIND_TYPES = ['undo', 'redo'];
+
+/**
+ * 在局面上原地执行一个行动（引擎用它推进当前局面，卡牌对象保持不变）
+ * @param {GameState|null} state - 当前局面，start / position 行动之前可以为 null
+ * @param {Object} action - 行动
+ * @param {Array<Object>} history - 此前的行动日志（undo / redo 行动需要）
+ * @returns {Object} { state, ... }：state 为执行后的局面（start / position / undo / redo 行动返回新的局面）；
+ *   flip 另有 card、factionAssigned、winCheck，move 另有 card、target、moveType、battle、winCheck，
+ *   undo / redo 另有 battles（回到的局面的战斗历史）
+ * @throws {Error} 行动类型未知或与局面不符时
+ */
+export function applyGameAction(state, action, history = null) {
+    if (action.type === 'start') {
+        return { state: createGame(action) };
+    }
+    if (action.type === 'position') {
+        return { state: restorePosition(action) };
+    }
+    if (REWIND_TYPES.includes(action.type)) {
+        return rewindGame(action, history);
+    }
+    if (!state) {
+        throw new Error('对局尚未开始');
+    }
+
+    const { at } = action;
+    switch (action.type) {
+        case 'rps':
+            state.currentPlayer = action.firstPlayer;
+            state.phase = 'playing';
+            state.addLogEntry('rps_completed', 'system', '猜拳决定先手', {
+                playerChoice: action.playerChoice,
+                aiChoice: action.aiChoice,
+                winner: action.winner,
+                firstPlayer: action.firstPlayer
+            }, at);
+            return { state };
+        case 'first_player':
+            state.currentPlayer = action.firstPlayer;
+            state.phase = 'playing';
+            return { state };
+        case 'layout':
+            placeLayout(state, action.layout);
+            state.addLogEntry('board_initialized', 'system', '棋盘初始化完成', {
+                totalCards: state.cardsData.length,
+                firstPlayer: state.currentPlayer,
+                layout: state.cardsData.map(card => ({ cardId: card.id, position: { ...card.position } }))
+            }, at);
+            // 布好棋盘后开始为先手计时
+            if (state.clock) {
+                TimeControl.start(state.clock, at);
+            }
+            return { state };
+        case 'flip':
+            return flipCard(state, action);
+        case 'move':
+            return moveCard(state, action);
+        case 'log':
+            state.addLogEntry(action.entry.type, action.entry.player, action.entry.action, action.entry.details, at);
+            return { state };
+        case 'resign':
+            state.addLogEntry('resign', action.seat, '认输', {}, at);
+            return { state };
+        case 'draw_offer':
+            state.addLogEntry('draw_offer', action.seat, '提议和棋', {}, at);
+            return { state };
+        case 'draw_response':
+            state.addLogEntry(action.accept ? 'draw_accepted' : 'draw_declined', action.seat,
+                action.accept ? '同意和棋' : '拒绝和棋', {}, at);
+            return { state };
+        case 'pass':
+            if (state.clock) {
+                TimeControl.completeMove(state.clock, action.seat, at);
+            }
+            state.addLogEntry('pass', action.seat, '跳过回合', { reason: action.reason }, at);
+            state.switchPlayer(at);
+            return { state };
+        case 'timeout':
+            state.addLogEntry('timeout', action.seat, '超时', { action: action.action }, at);
+            return { state };
+        case 'pause':
+            if (state.clock) {
+                TimeControl.pause(state.clock, at);
+            }
+            return { state };
+        case 'resume':
+            if (state.clock) {
+                TimeControl.start(state.clock, at);
+            }
+            return { state };
+        case 'end':
+            if (state.clock && state.clock.runningSince !== null) {
+                TimeControl.pause(state.clock, at);
+            }
+            state.phase = 'ended';
+            state.winner = action.winner;
+            state.endTime = new Date(at).toISOString();
+            state.addLogEntry('game_end', 'system', '游戏结束', {
+                winner: action.winner,
+                reason: action.reason,
+                duration: at - Date.parse(state.startTime)
+            }, at);
+            return { state };
+        default:
+            throw new Error(`未知的行动类型: ${action.type}`);
+    }
+}
+
+/**
+ * 执行一个行动，不修改传入的局面
+ * @param {GameState|null} state - 当前局面
+ * @param {Object} action - 行动
+ * @param {Array<Object>} history - 此前的行动日志（undo / redo 行动需要）
+ * @returns {Object} 同 applyGameAction，state 为新的局面
+ */
+export function reduceGame(state, action, history = null) {
+    return applyGameAction(state ? state.clone() : null, action, history);
+}
+
+/**
+ * 从头重放行动日志。每个行动只执行一次：悔棋和重做回到的局面在顺序执行时保存下来，
+ * 不再重放日志的前缀
+ * @param {Array<Object>} actions - 行动日志，第一个行动必须是 start 或 position
+ * @returns {Object} { gameState, battles }，battles 为依次发生的战斗结果（即引擎的战斗历史）
+ * @throws {Error} 某个行动无法执行时，错误信息包含行动序号
+ */
+export function replayActions(actions) {
+    const origins = findPrefixOrigins(actions);
+    const targets = new Set(actions
+        .filter((action, index) => REWIND_TYPES.includes(action.type) && isRewindTarget(action, index))
+        .map(action => origins[action.to]));
+    const saved = new Map();  // 悔棋回到的前缀长度 -> 当时的局面和战斗历史
+    let state = null;
+    let battles = [];
+
+    actions.forEach((action, index) => {
+        let result;
+        try {
+            if (REWIND_TYPES.includes(action.type)) {
+                checkRewindTarget(action, index);
+                const target = saved.get(origins[action.to]);
+                result = resumeRewound(action, target.state.clone(), target.battles.slice());
+            } else {
+                result = applyGameAction(state, action);
+            }
+        } catch (error) {
+            throw new Error(`第${index + 1}个行动 ${action.type} 无法执行: ${error.message}`);
+        }
+        state = result.state;
+        if (result.battles) {
+            battles = result.battles;
+        } else if (result.battle) {
+            battles.push(result.battle);
+        }
+        if (targets.has(index + 1)) {
+            saved.set(index + 1, { state: state.clone(), battles: battles.slice() });
+        }
+    });
+
+    return { gameState: state, battles };
+}
+
+/**
+ * 每个前缀的局面由哪个前缀得到：以悔棋或重做结尾的前缀与它回到的前缀局面相同
+ * @param {Array<Object>} actions - 行动日志
+ * @returns {Array<number>} origins[i] 为与前 i 个行动局面相同、且不以悔棋或重做结尾的前缀长度
+ */
+function findPrefixOrigins(actions) {
+    const origins = [0];
+    actions.forEach((action, index) => {
+        const rewinds = REWIND_TYPES.includes(action.type) && isRewindTarget(action, index);
+        origins.push(rewinds ? origins[action.to] : index + 1);
+    });
+    return origins;
+}
+
+/**
+ * 悔棋位置是否有效：回到第 index 个行动之前的某个非空前缀
+ * @param {Object} action - undo / redo 行动
+ * @param {number} index - 行动在日志中的位置（即此前的行动数）
+ * @returns {boolean} 是否有效
+ */
+function isRewindTarget(action, index) {
+    return Number.isInteger(action.to) && action.to >= 1 && action.to <= index;
+}
+
+/**
+ * 检查悔棋位置
+ * @param {Object} action - undo / redo 行动
+ * @param {number} index - 此前的行动数
+ * @throws {Error} 位置无效时
+ */
+function checkRewindTarget(action, index) {
+    if (!isRewindTarget(action, index)) {
+        throw new Error(`无效的悔棋位置: ${action.to}`);
+    }
+}
+
+/**
+ * 比较两个局面（GameState.toJSON 的结果），计时和选中位置不参与比较
+ * @param {Object} expected - 期望的局面
+ * @param {Object} actual - 实际的局面
+ * @returns {string|null} 第一个不一致的字段，一致时为 null
+ */
+export function findStateDifference(expected, actual) {
+    const fields = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const field of fields) {
+        if (UNCOMPARED_FIELDS.includes(field)) continue;
+        if (JSON.stringify(expected[field]) !== JSON.stringify(actual[field])) {
+            return field;
+        }
+    }
+    return null;
+}
+
+/**
+ * 开始新对局：按行动中的顺序排列卡牌，进入猜拳阶段
+ * @param {Object} action - start 行动
+ * @returns {GameState} 新局面
+ */
+function createGame(action) {
+    const state = new GameState({ ruleSet: RuleSet.resolve(action.ruleSet), shuffle: false });
+    const cards = action.cards.map(id => state.cardsData.find(card => card.id === id));
+    if (cards.length !== state.cardsData.length || cards.some(card => !card) || new Set(cards).size !== cards.length) {
+        throw new Error('卡牌顺序与规则集阵容不符');
+    }
+
+    state.cardsData = cards;
+    state.phase = 'rps';
+    state.startTime = new Date(action.at).toISOString();
+    state.clock = action.timeControl ? TimeControl.createClock(TimeControl.resolve(action.timeControl)) : null;
+    state.addLogEntry('game_start', 'system', '游戏开始', {
+        gameId: action.gameId,
+        timestamp: state.startTime,
+        seed: action.seed,
+        mode: action.mode,
+        timeControl: action.timeControl
+    }, action.at);
+    return state;
+}
+
+/**
+ * 从指定局面继续：当时正在计时的棋钟从行动的时刻继续
+ * @param {Object} action - position 行动
+ * @returns {GameState} 新局面
+ */
+function restorePosition(action) {
+    const state = GameState.fromJSON(action.state);
+    if (action.state.clock?.running) {
+        TimeControl.start(state.clock, action.at);
+    }
+    return state;
+}
+
+/**
+ * 悔棋或重做：重放日志的前 to 个行动，得到当时的局面和战斗历史
+ * @param {Object} action - undo / redo 行动
+ * @param {Array<Object>|null} history - 此前的行动日志
+ * @returns {Object} { state, battles }
+ */
+function rewindGame(action, history) {
+    if (!history) {
+        throw new Error('缺少此前的行动日志');
+    }
+    checkRewindTarget(action, history.length);
+
+    const { gameState, battles } = replayActions(history.slice(0, action.to));
+    return resumeRewound(action, gameState, battles);
+}
+
+/**
+ * 从悔棋回到的局面继续：清除选中位置，正在计时的棋钟从行动的时刻继续
+ * @param {Object} action - undo / redo 行动
+ * @param {GameState} gameState - 回到的局面（会被修改）
+ * @param {Array<Object>} battles - 回到的局面的战斗历史
+ * @returns {Object} { state, battles }
+ */
+function resumeRewound(action, gameState, battles) {
+    gameState.selectedPosition = null;
+    if (gameState.clock && gameState.clock.runningSince !== null) {
+        gameState.clock.runningSince = action.at;
+    }
+    return { state: gameState, battles };
+}
+
+/**
+ * 按布局放置卡牌
+ * @param {GameState} state - 局面
+ * @param {Array} layout - [{ cardId, position }]
+ */
+function placeLayout(state, layout) {
+    if (layout.length !== state.cardsData.length) {
+        throw new Error('布局与卡牌数量不匹配');
+    }
+
+    layout.forEach(({ cardId, position }) => {
+        const card = state.cardsData.find(c => c.id === cardId);
+        if (!card || !state.isValidPosition(position.row, position.col) ||
+            state.getCardAt(position.row, position.col)) {
+            throw new Error(`无效的布局: ${cardId}`);
+        }
+        state.placeCard(card, position.row, position.col);
+    });
+}
+
+/**
+ * 翻牌：首次翻牌时翻牌方获得所翻卡牌的阵营
+ * @param {GameState} state - 局面
+ * @param {Object} action - flip 行动
+ * @returns {Object} { state, card, factionAssigned, winCheck }
+ */
+function flipCard(state, action) {
+    const { seat, position: { row, col }, at } = action;
+    const card = state.getCardAt(row, col);
+    if (!card || card.isRevealed) {
+        throw new Error(`无法翻开 (${row}, ${col}) 的卡牌`);
+    }
+
+    card.reveal();
+    const factionAssigned = !state.playerFaction;
+    if (factionAssigned) {
+        if (seat === 'player') {
+            state.setPlayerFaction(card.faction, at);
+        } else {
+            state.setAIFaction(card.faction, at);
+        }
+    }
+    card.owner = card.faction === state.playerFaction ? 'player' : 'ai';
+
+    state.addLogEntry('flip', seat, '翻开卡牌', {
+        cardId: card.id,
+        cardName: card.name,
+        position: { row, col },
+        faction: card.faction,
+        level: card.level,
+        factionAssigned
+    }, at);
+    state.recordAction(seat, true);
+
+    return { state, card, factionAssigned, winCheck: finishTurn(state, seat, at) };
+}
+
+/**
+ * 走子或攻击
+ * @param {GameState} state - 局面
+ * @param {Object} action - move 行动
+ * @returns {Object} { state, card, target, moveType, battle, winCheck }
+ */
+function moveCard(state, action) {
+    const { seat, from, to, at } = action;
+    const card = state.getCardAt(from.row, from.col);
+    const target = state.getCardAt(to.row, to.col);
+    if (!card || !card.isRevealed || !state.isValidPosition(to.row, to.col)) {
+        throw new Error(`无法从 (${from.row}, ${from.col}) 移动到 (${to.row}, ${to.col})`);
+    }
+
+    let battle = null;
+    if (target && target.isRevealed && target.faction !== card.faction) {
+        // 战斗编号和时间取自行动，重放得到相同的战斗记录
+        battle = new BattleResolver(state.ruleSet).resolveBattle(card, target, {
+            battleId: `battle_${at}_${state.gameLog.length}`,
+            timestamp: new Date(at).toISOString(),
+            outcome: action.outcome
+        });
+        processBattle(state, battle, from, to);
+    } else if (target) {
+        throw new Error(`目标位置 (${to.row}, ${to.col}) 被占据`);
+    } else {
+        state.removeCardAt(from.row, from.col);
+        state.placeCard(card, to.row, to.col);
+    }
+
+    const moveType = battle ? 'battle' : 'move';
+    state.addLogEntry('move', seat, '移动卡牌', {
+        from: { ...from },
+        to: { ...to },
+        cardId: card.id,
+        moveType,
+        // 日志保存战斗当时的结果，不引用之后还会变化的卡牌对象
+        battleResult: battle ? JSON.parse(JSON.stringify(battle)) : null
+    }, at);
+    state.selectedPosition = null;
+    state.recordAction(seat, moveType === 'battle');
+
+    return { state, card, target, moveType, battle, winCheck: finishTurn(state, seat, at) };
+}
+
+/**
+ * 处理战斗结果：只移除结果中列出的被消灭卡牌，获胜的攻击方在目标格子空出时进入
+ * 插件改写的结果可能让获胜方以外的卡牌都留在原地（如防守方获胜但攻击方未被消灭）
+ * @param {GameState} state - 局面
+ * @param {Object} battle - BattleResolver 的战斗结果
+ * @param {Object} from - 攻击方位置
+ * @param {Object} to - 防守方位置
+ */
+function processBattle(state, battle, from, to) {
+    const { winner, eliminatedCards } = battle;
+    const attackerCard = state.getCardAt(from.row, from.col);
+
+    eliminatedCards.forEach(card => {
+        state.removeCardAt(card.position.row, card.position.col);
+    });
+
+    if (winner === 'attacker' && attackerCard && !eliminatedCards.includes(attackerCard) &&
+        !state.getCardAt(to.row, to.col)) {
+        state.removeCardAt(from.row, from.col);
+        state.placeCard(attackerCard, to.row, to.col);
+    }
+}
+
+/**
+ * 行动完成：扣除行动方用时，对局未结束时轮到对方（结束对局由引擎记录 end 行动）
+ * @param {GameState} state - 局面
+ * @param {string} seat - 行动方
+ * @param {number} at - 行动时间戳
+ * @returns {Object} 胜负检查结果
+ */
+function finishTurn(state, seat, at) {
+    if (state.clock) {
+        TimeControl.completeMove(state.clock, seat, at);
+    }
+
+    const winCheck = state.checkWinCondition();
+    if (!winCheck.isGameOver) {
+        state.switchPlayer(at);
+    }
+    return winCheck;
+}
@@ -4,12 +4,21 @@
  */
 
 import { Card } from './Card.js';
+import { RuleSet } from './RuleSet.js';
+import { TimeControl } from './TimeControl.js';
+import { SeededRandom } from '../utils/Random.js';
 
 export class GameState {
   /**
    * 构造函数 - 初始化游戏状态
+   * @param {Object} options - 配置项
+   * @param {RuleSet} options.ruleSet - 规则集，默认经典规则
+   * @param {SeededRandom} options.rng - 随机数生成器，默认随机种子
+   * @param {boolean} options.shuffle - 是否洗牌，克隆和反序列化时为false以免消耗随机序列
    */
-  constructor() {
+  constructor(options = {}) {
+    this.ruleSet = RuleSet.resolve(options.ruleSet);
+    this.rng = options.rng || new SeededRandom();
     this.phase = 'setup';              // 游戏阶段：setup | rps | playing | ended
     this.currentPlayer = null;         // 当前回合：player | ai
     this.playerFaction = null;         // 玩家阵营：dragon | tiger | null
@@ -18,41 +27,34 @@ export class GameState {
     this.selectedPosition = null;      // 当前选中位置：{row, col} | null
     this.gameLog = [];                 // 游戏日志数组
     this.winner = null;                // 游戏胜者：player | ai | draw | null
-    this.cardsData = this.initCards(); // 16张卡牌数据
+    this.lastMover = null;             // 最近一次行动的一方：player | ai | null
+    this.noCaptureMoves = 0;           // 连续没有战斗或翻牌的行动数
+    this.positionHistory = [];         // 最近一次战斗或翻牌以来每步之后的局面键（用于判定重复局面）
+    this.cardsData = this.initCards(options.shuffle !== false); // 16张卡牌数据
     this.startTime = new Date().toISOString();
     this.endTime = null;
+    this.clock = null;                 // 计时状态（见 TimeControl），不计时为null
   }
 
   /**
-   * 初始化4x5棋盘
+   * 按规则集初始化棋盘（经典规则为4x5，第3行为空行）
    * @returns {Array} 二维数组棋盘
    */
   initBoard() {
-    // 创建5行4列的棋盘
-    // 第3行(index=2)为空行，其他行为可放置区域
-    return Array(5).fill(null).map((_, row) => 
-      row === 2 ? Array(4).fill(null) : Array(4).fill(undefined)
-    );
+    return this.ruleSet.createEmptyBoard();
   }
 
   /**
-   * 初始化16张卡牌并洗牌
+   * 按规则集阵容初始化卡牌并洗牌
+   * @param {boolean} shuffle - 是否洗牌
    * @returns {Array} 洗牌后的卡牌数组
    */
-  initCards() {
-    const cards = [];
-    
-    // 创建龙阵营8张牌
-    for (let i = 1; i <= 8; i++) {
-      cards.push(new Card(`dragon_${i}`, 'dragon', i));
-    }
-    
-    // 创建虎阵营8张牌
-    for (let i = 1; i <= 8; i++) {
-      cards.push(new Card(`tiger_${i}`, 'tiger', i));
-    }
+  initCards(shuffle = true) {
+    const cards = this.ruleSet.roster.map(({ faction, level }) =>
+      new Card(`${faction}_${level}`, faction, level)
+    );
     
-    return this.shuffleCards(cards);
+    return shuffle ? this.shuffleCards(cards) : cards;
   }
 
   /**
@@ -61,14 +63,7 @@ export class GameState {
    * @returns {Array} 洗牌后的数组
    */
   shuffleCards(cards) {
-    const shuffled = [...cards]; // 创建副本避免修改原数组
-    
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    
-    return shuffled;
+    return this.rng.shuffle(cards); // 返回副本，不修改原数组
   }
 
   /**
@@ -91,7 +86,7 @@ export class GameState {
    * @returns {boolean} 是否有效
    */
   isValidPosition(row, col) {
-    return row >= 0 && row < 5 && col >= 0 && col < 4;
+    return this.ruleSet.isValidPosition(row, col);
   }
 
   /**
@@ -137,11 +132,12 @@ export class GameState {
    * @param {string} player - 执行玩家
    * @param {string} action - 行动描述
    * @param {Object} details - 详细信息
+   * @param {number} at - 时间戳，默认当前时间（重放行动时取自行动，使日志与原对局一致）
    */
-  addLogEntry(type, player, action, details = {}) {
+  addLogEntry(type, player, action, details = {}, at = Date.now()) {
     const logEntry = {
-      id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: new Date().toISOString(),
+      id: `log_${at}_${this.gameLog.length}`,
+      timestamp: new Date(at).toISOString(),
       type,
       player,
       action,
@@ -154,29 +150,31 @@ export class GameState {
   /**
    * 设置玩家阵营
    * @param {string} playerFaction - 玩家阵营
+   * @param {number} at - 日志时间戳，默认当前时间
    */
-  setPlayerFaction(playerFaction) {
+  setPlayerFaction(playerFaction, at = Date.now()) {
     this.playerFaction = playerFaction;
     this.aiFaction = playerFaction === 'dragon' ? 'tiger' : 'dragon';
     
     this.addLogEntry('faction_assigned', 'system', '阵营分配', {
       playerFaction: this.playerFaction,
       aiFaction: this.aiFaction
-    });
+    }, at);
   }
 
   /**
    * 设置AI阵营
    * @param {string} aiFaction - AI阵营
+   * @param {number} at - 日志时间戳，默认当前时间
    */
-  setAIFaction(aiFaction) {
+  setAIFaction(aiFaction, at = Date.now()) {
     this.aiFaction = aiFaction;
     this.playerFaction = aiFaction === 'dragon' ? 'tiger' : 'dragon';
     
     this.addLogEntry('faction_assigned', 'system', '阵营分配', {
       playerFaction: this.playerFaction,
       aiFaction: this.aiFaction
-    });
+    }, at);
   }
 
 
@@ -201,10 +199,8 @@ export class GameState {
   getUnrevealedPositions() {
     const positions = [];
     
-    for (let row = 0; row < 5; row++) {
-      if (row === 2) continue; // 跳过空行
-      
-      for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < this.board.length; row++) {
+      for (let col = 0; col < this.board[row].length; col++) {
         const card = this.board[row][col];
         if (card instanceof Card && !card.isRevealed) {
           positions.push({ row, col });
@@ -216,46 +212,60 @@ export class GameState {
   }
 
   /**
-   * 检查游戏是否结束
+   * 获取尚未翻开的卡牌身份（双方都不知道它们在哪个位置）
+   * @returns {Array} 卡牌数组（不含位置的新实例）
+   */
+  getUnseenCards() {
+    return this.cardsData
+      .filter(card => !card.isRevealed)
+      .map(card => new Card(card.id, card.faction, card.level));
+  }
+
+  /**
+   * 检查游戏是否结束（由规则集的胜负条件判定）
    * @returns {Object} 胜负检查结果
    */
   checkWinCondition() {
-    // 如果阵营还未确定，游戏继续
-    if (!this.playerFaction || !this.aiFaction) {
-      return { isGameOver: false, winner: null, reason: '游戏继续' };
-    }
-    
-    // 获取所有存活的卡牌（在棋盘上且未被消灭的）
-    const allPlayerCards = this.cardsData.filter(card => 
-      card.position.row >= 0 && card.position.col >= 0 && 
-      (card.faction === this.playerFaction)
-    );
-    const allAICards = this.cardsData.filter(card => 
-      card.position.row >= 0 && card.position.col >= 0 && 
-      (card.faction === this.aiFaction)
-    );
-    
-    // 获取已翻开的卡牌
-    const revealedPlayerCards = this.getRevealedCards('player');
-    const revealedAICards = this.getRevealedCards('ai');
-    const unrevealedPositions = this.getUnrevealedPositions();
-    
-    // 一方全部卡牌被消灭（基于存活卡牌数量，而不是已翻开的卡牌）
-    if (allPlayerCards.length === 0 && allAICards.length === 0) {
-      return { isGameOver: true, winner: 'draw', reason: '双方同归于尽' };
-    } else if (allPlayerCards.length === 0) {
-      return { isGameOver: true, winner: 'ai', reason: '玩家卡牌全部被消灭' };
-    } else if (allAICards.length === 0) {
-      return { isGameOver: true, winner: 'player', reason: 'AI卡牌全部被消灭' };
-    }
-    
-    // 最终对决：各剩一张已翻开的牌，且没有未翻开的牌
-    if (revealedPlayerCards.length === 1 && revealedAICards.length === 1 && unrevealedPositions.length === 0) {
-      return { isGameOver: true, winner: null, reason: '最终对决阶段' };
+    return this.ruleSet.checkWinCondition(this);
+  }
+
+  /**
+   * 记录一次行动，更新无进展计数和局面历史
+   * 战斗和翻牌都不可逆，之前的局面不会再出现，因此清空历史
+   * @param {string} player - 行动方：player | ai
+   * @param {boolean} isProgress - 是否发生了战斗或翻牌
+   */
+  recordAction(player, isProgress) {
+    this.lastMover = player;
+    if (isProgress) {
+      this.noCaptureMoves = 0;
+      this.positionHistory = [];
+    } else {
+      this.noCaptureMoves++;
     }
-    
-    // 游戏继续
-    return { isGameOver: false, winner: null, reason: '游戏继续' };
+    this.positionHistory.push(this.getPositionKey());
+  }
+
+  /**
+   * 获取当前局面键：棋盘上每个格子的卡牌（未翻开记为?）加上刚行动一方的阵营
+   * 使用阵营而不是座位，使镜像视图得到相同的键
+   * @returns {string} 局面键
+   */
+  getPositionKey() {
+    const moverFaction = this.lastMover === 'player' ? this.playerFaction : this.aiFaction;
+    const cells = this.board.map(row => row.map(card =>
+      card instanceof Card ? (card.isRevealed ? card.id : '?') : '.'
+    ).join(',')).join('/');
+    return `${moverFaction}|${cells}`;
+  }
+
+  /**
+   * 当前局面在局面历史中出现的次数
+   * @returns {number} 次数
+   */
+  getRepetitionCount() {
+    const key = this.getPositionKey();
+    return this.positionHistory.filter(entry => entry === key).length;
   }
 
   /**
@@ -263,7 +273,7 @@ export class GameState {
    * @returns {GameState} 克隆的游戏状态
    */
   clone() {
-    const cloned = new GameState();
+    const cloned = new this.constructor({ ruleSet: this.ruleSet, rng: this.rng, shuffle: false });
     
     // 基础属性
     cloned.phase = this.phase;
@@ -272,16 +282,20 @@ export class GameState {
     cloned.aiFaction = this.aiFaction;
     cloned.selectedPosition = this.selectedPosition ? { ...this.selectedPosition } : null;
     cloned.winner = this.winner;
+    cloned.lastMover = this.lastMover;
+    cloned.noCaptureMoves = this.noCaptureMoves;
+    cloned.positionHistory = [...this.positionHistory];
     cloned.startTime = this.startTime;
     cloned.endTime = this.endTime;
+    cloned.clock = TimeControl.clone(this.clock);
     
     // 深拷贝卡牌数据
     cloned.cardsData = this.cardsData.map(card => card.clone());
     
     // 重建棋盘引用
     cloned.board = this.initBoard();
-    for (let row = 0; row < 5; row++) {
-      for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < this.board.length; row++) {
+      for (let col = 0; col < this.board[row].length; col++) {
         const originalCard = this.board[row][col];
         if (originalCard instanceof Card) {
           const clonedCard = cloned.cardsData.find(card => card.id === originalCard.id);
@@ -298,41 +312,118 @@ export class GameState {
 
   /**
    * 转换为JSON对象（用于保存）
+   * @param {number} now - 棋钟已用时间折算到的时间戳，不传时只取行动记录的时间（见 TimeControl.toJSON）
    * @returns {Object} JSON表示
    */
-  toJSON() {
+  toJSON(now) {
     return {
       phase: this.phase,
       currentPlayer: this.currentPlayer,
       playerFaction: this.playerFaction,
       aiFaction: this.aiFaction,
-      selectedPosition: this.selectedPosition,
+      selectedPosition: this.selectedPosition ? { ...this.selectedPosition } : null,
       winner: this.winner,
+      lastMover: this.lastMover,
+      noCaptureMoves: this.noCaptureMoves,
+      positionHistory: [...this.positionHistory],
       startTime: this.startTime,
       endTime: this.endTime,
+      clock: TimeControl.toJSON(this.clock, now),
       cardsData: this.cardsData.map(card => card.toJSON()),
-      gameLog: this.gameLog
+      gameLog: this.gameLog.map(entry => ({ ...entry, details: { ...entry.details } })),
+      ruleSet: this.ruleSet.toJSON()
     };
   }
 
+  /**
+   * 检查局面JSON是否完整有效（读取存档前识别损坏的数据）
+   * @param {Object} json - JSON对象
+   * @returns {Array<string>} 发现的问题，为空表示有效
+   */
+  static validateJSON(json) {
+    if (!json || typeof json !== 'object') {
+      return ['局面数据不是对象'];
+    }
+
+    const errors = [];
+    let ruleSet;
+    try {
+      ruleSet = json.ruleSet ? RuleSet.fromJSON(json.ruleSet) : RuleSet.resolve(null);
+    } catch (error) {
+      return [`规则集无效: ${error.message}`];
+    }
+
+    if (!['setup', 'rps', 'playing', 'ended'].includes(json.phase)) {
+      errors.push(`无效的游戏阶段: ${json.phase}`);
+    }
+    if (![null, undefined, 'player', 'ai'].includes(json.currentPlayer)) {
+      errors.push(`无效的当前回合: ${json.currentPlayer}`);
+    }
+    if (json.gameLog !== undefined && !Array.isArray(json.gameLog)) {
+      errors.push('对局日志不是数组');
+    }
+    if (!Array.isArray(json.cardsData)) {
+      errors.push('缺少卡牌数据');
+      return errors;
+    }
+
+    const occupied = new Set();
+    json.cardsData.forEach((card, index) => {
+      if (!card || typeof card.id !== 'string' || !['dragon', 'tiger'].includes(card.faction) ||
+          !Number.isInteger(card.level)) {
+        errors.push(`第${index + 1}张卡牌数据无效`);
+        return;
+      }
+      const { row, col } = card.position || {};
+      if (!Number.isInteger(row) || !Number.isInteger(col)) {
+        errors.push(`卡牌 ${card.id} 缺少位置`);
+      } else if (row >= 0 || col >= 0) {
+        // 被消灭的卡牌位置为 (-1, -1)，其余必须在棋盘内且互不重叠
+        if (!ruleSet.isValidPosition(row, col)) {
+          errors.push(`卡牌 ${card.id} 的位置超出棋盘`);
+        } else if (occupied.has(`${row},${col}`)) {
+          errors.push(`位置 (${row}, ${col}) 上有多张卡牌`);
+        }
+        occupied.add(`${row},${col}`);
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * 从JSON对象恢复游戏状态
    * @param {Object} json - JSON对象
+   * @param {Object} options - 配置项：{ rng }
    * @returns {GameState} 恢复的游戏状态
+   * @throws {Error} 局面数据无效时（见 validateJSON）
    */
-  static fromJSON(json) {
-    const gameState = new GameState();
+  static fromJSON(json, options = {}) {
+    const errors = GameState.validateJSON(json);
+    if (errors.length > 0) {
+      throw new Error(`局面数据无效: ${errors.join('；')}`);
+    }
+
+    const gameState = new GameState({
+      ruleSet: json.ruleSet ? RuleSet.fromJSON(json.ruleSet) : null,
+      rng: options.rng,
+      shuffle: false
+    });
     
     // 恢复基础属性
     gameState.phase = json.phase;
     gameState.currentPlayer = json.currentPlayer;
     gameState.playerFaction = json.playerFaction;
     gameState.aiFaction = json.aiFaction;
-    gameState.selectedPosition = json.selectedPosition;
+    gameState.selectedPosition = json.selectedPosition ? { ...json.selectedPosition } : null;
     gameState.winner = json.winner;
+    gameState.lastMover = json.lastMover || null;
+    gameState.noCaptureMoves = json.noCaptureMoves || 0;
+    gameState.positionHistory = json.positionHistory ? [...json.positionHistory] : [];
     gameState.startTime = json.startTime;
     gameState.endTime = json.endTime;
-    gameState.gameLog = json.gameLog;
+    gameState.clock = TimeControl.fromJSON(json.clock);
+    gameState.gameLog = (json.gameLog || []).map(entry => ({ ...entry, details: { ...entry.details } }));
     
     // 恢复卡牌数据
     gameState.cardsData = json.cardsData.map(cardData => Card.fromJSON(cardData));
@@ -376,11 +467,12 @@ export class GameState {
 
   /**
    * 切换当前玩家
+   * @param {number} at - 日志时间戳，默认当前时间
    */
-  switchPlayer() {
+  switchPlayer(at = Date.now()) {
     this.currentPlayer = this.currentPlayer === 'player' ? 'ai' : 'player';
     this.addLogEntry('turn_change', 'system', `轮到${this.currentPlayer === 'player' ? '玩家' : 'AI'}`, {
       newPlayer: this.currentPlayer
-    });
+    }, at);
   }
 }
@@ -0,0 +1,169 @@
+/**
+ * LegalActions - 合法行动生成
+ * 引擎、各AI和界面共用的唯一一份走子规则：给定局面和一方，列出该方可以执行的全部行动——
+ * 翻开任意一张未翻开的牌、把己方已翻开的牌走到相邻空位、攻击相邻的已翻开敌方卡牌。
+ * 相邻关系和能否进入目标格子由规则集决定（RuleSet.getAdjacentPositions / canEnter），
+ * 攻击附带规则集算出的战斗结果（RuleSet.getBattleOutcome），调用方不必再自行判断胜负。
+ *
+ * 生成行动时只读取局面，GameState 和 ObservationView 都可以作为输入；不检查是否轮到该方行动。
+ * applyAction / unapplyAction 在 GameState 上原地执行和撤销行动，供需要真实卡牌对象的前瞻使用，
+ * 不写日志、不检查胜负；大量搜索请使用紧凑局面 Position
+ *
+ * 行动格式：
+ *   { type: 'flip', position }
+ *   { type: 'move', from, to, card }
+ *   { type: 'attack', from, to, card, target, outcome: { winner, eliminated, basis, specialRule } }
+ */
+
+/**
+ * 生成一方的全部合法行动（先列翻牌，再按卡牌列走子和攻击）
+ * @param {GameState|ObservationView} state - 局面
+ * @param {string} side - player | ai
+ * @returns {Array<Object>} 行动数组
+ */
+export function generateLegalActions(state, side) {
+    const actions = state.getUnrevealedPositions().map(position => ({ type: 'flip', position }));
+
+    state.getRevealedCards(side).forEach(card => {
+        actions.push(...generateCardActions(state, card));
+    });
+    return actions;
+}
+
+/**
+ * 生成一张已翻开卡牌的走子和攻击
+ * @param {GameState|ObservationView} state - 局面
+ * @param {Card} card - 棋盘上的卡牌，未翻开时没有行动
+ * @returns {Array<Object>} move / attack 行动数组
+ */
+export function generateCardActions(state, card) {
+    if (!card || !card.isRevealed || card.position.row < 0) {
+        return [];
+    }
+
+    const { ruleSet } = state;
+    const from = { ...card.position };
+    const actions = [];
+
+    ruleSet.getAdjacentPositions(from.row, from.col).forEach(to => {
+        const target = state.getCardAt(to.row, to.col);
+        if (!ruleSet.canEnter(card, target)) return;
+
+        if (target) {
+            actions.push({ type: 'attack', from, to, card, target, outcome: ruleSet.getBattleOutcome(card, target) });
+        } else {
+            actions.push({ type: 'move', from, to, card });
+        }
+    });
+    return actions;
+}
+
+/**
+ * 转换为策略模块（EnhancedStrategy、ChessMasterStrategy）使用的着法格式：
+ * 补充描述文字，攻击另带 canWin、targetLevel 和 isSpecialRule
+ * @param {Object} action - 合法行动
+ * @returns {Object} 着法
+ */
+export function toStrategyMove(action) {
+    switch (action.type) {
+        case 'flip':
+            return { ...action, position: { ...action.position }, description: '翻牌' };
+        case 'move':
+            return { ...action, description: `移动${action.card.name}到(${action.to.row},${action.to.col})` };
+        default:
+            return {
+                ...action,
+                canWin: action.outcome.winner === 'attacker',
+                targetLevel: action.target.level,
+                isSpecialRule: action.outcome.basis === 'special',
+                description: `${action.card.name}攻击${action.target.name}`
+            };
+    }
+}
+
+/**
+ * 在局面上执行行动（原地修改，不检查合法性），轮到对方行动
+ * 与引擎的翻牌、走子和战斗处理一致，但不写日志、不更新局面历史和计时，也不判断胜负
+ * @param {GameState} state - 局面（观察视图中未翻开的卡牌身份未知，不能翻牌）
+ * @param {Object} action - generateLegalActions 生成的行动，攻击的战斗结果取自 action.outcome
+ * @returns {Object} 撤销记录，交给 unapplyAction
+ */
+export function applyAction(state, action) {
+    const side = state.currentPlayer;
+    const record = {
+        action,
+        currentPlayer: side,
+        lastMover: state.lastMover,
+        noCaptureMoves: state.noCaptureMoves,
+        factions: { player: state.playerFaction, ai: state.aiFaction },
+        placements: [],
+        owner: null
+    };
+
+    if (action.type === 'flip') {
+        const card = state.getCardAt(action.position.row, action.position.col);
+        if (!card || card.isRevealed || !card.faction) {
+            throw new Error(`无法翻开 (${action.position.row}, ${action.position.col}) 的卡牌`);
+        }
+
+        record.owner = card.owner;
+        if (!state.playerFaction) {
+            // 首次翻牌：翻牌方获得所翻卡牌的阵营
+            const other = card.faction === 'dragon' ? 'tiger' : 'dragon';
+            state.playerFaction = side === 'player' ? card.faction : other;
+            state.aiFaction = side === 'player' ? other : card.faction;
+        }
+        card.reveal(card.faction === state.playerFaction ? 'player' : 'ai');
+    } else {
+        const { from, to } = action;
+        const card = state.getCardAt(from.row, from.col);
+        const target = state.getCardAt(to.row, to.col);
+        record.placements = [[card, from], [target, to]];
+
+        state.removeCardAt(from.row, from.col);
+        if (action.type === 'move') {
+            state.placeCard(card, to.row, to.col);
+        } else {
+            // 与 GameReducer 的战斗处理一致
+            const { winner, eliminated } = action.outcome || state.ruleSet.getBattleOutcome(card, target);
+            if (eliminated.includes('defender')) {
+                state.removeCardAt(to.row, to.col);
+            }
+            if (winner === 'attacker' && !eliminated.includes('attacker')) {
+                state.removeCardAt(to.row, to.col);
+                state.placeCard(card, to.row, to.col);
+            }
+        }
+    }
+
+    state.lastMover = side;
+    state.noCaptureMoves = action.type === 'move' ? state.noCaptureMoves + 1 : 0;
+    state.currentPlayer = side === 'player' ? 'ai' : 'player';
+    return record;
+}
+
+/**
+ * 撤销最近一次 applyAction（必须按执行的相反顺序撤销）
+ * @param {GameState} state - 局面
+ * @param {Object} record - applyAction 返回的撤销记录
+ */
+export function unapplyAction(state, record) {
+    const { action } = record;
+
+    if (action.type === 'flip') {
+        const card = state.getCardAt(action.position.row, action.position.col);
+        card.isRevealed = false;
+        card.owner = record.owner;
+        state.playerFaction = record.factions.player;
+        state.aiFaction = record.factions.ai;
+    } else {
+        record.placements.forEach(([, position]) => state.removeCardAt(position.row, position.col));
+        record.placements.forEach(([card, position]) => {
+            if (card) state.placeCard(card, position.row, position.col);
+        });
+    }
+
+    state.currentPlayer = record.currentPlayer;
+    state.lastMover = record.lastMover;
+    state.noCaptureMoves = record.noCaptureMoves;
+}
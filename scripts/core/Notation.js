@@ -0,0 +1,373 @@
+/**
+ * Notation类 - 棋谱记法与对局记录
+ * 负责坐标/卡牌的文本记法，以及对局记录（初始布局、猜拳结果、着法列表）的导入导出
+ *
+ * 坐标：列用字母 a-d 表示（col 0 对应 a），行用数字表示（row 0 对应 1），如 b4 即 row 3, col 1
+ * 卡牌：阵营首字母 + 等级，D 为龙、T 为虎，如 D3 即龙阵营3级
+ * 翻牌：F b4=D3    移动：b4-c4    攻击：b4xc4
+ */
+
+// 对局记录格式标识与版本
+export const RECORD_FORMAT = 'dragon-tiger-record';
+export const RECORD_VERSION = 1;
+
+const FACTION_CODES = {
+    dragon: 'D',
+    tiger: 'T'
+};
+
+const FILES = 'abcdefghijklmnopqrstuvwxyz';
+
+// 着法正则：翻牌 / 移动或攻击
+const FLIP_PATTERN = /^F\s+([a-z]\d+)=([A-Z]\d+)$/;
+const MOVE_PATTERN = /^([a-z]\d+)([-x])([a-z]\d+)$/;
+const TOKEN_PATTERN = /F\s+[a-z]\d+=[A-Z]\d+|[a-z]\d+[-x][a-z]\d+/g;
+const HEADER_PATTERN = /^\[(\w+)\s+"(.*)"\]$/;
+
+export class Notation {
+    // ========== 坐标与卡牌 ==========
+
+    /**
+     * 位置转换为坐标记法
+     * @param {Object} position - 位置 { row, col }
+     * @returns {string} 坐标，如 b4
+     */
+    static toSquare(position) {
+        return `${FILES[position.col]}${position.row + 1}`;
+    }
+
+    /**
+     * 坐标记法转换为位置
+     * @param {string} square - 坐标，如 b4
+     * @returns {Object} 位置 { row, col }
+     */
+    static fromSquare(square) {
+        const match = /^([a-z])(\d+)$/.exec(square);
+        if (!match) {
+            throw new Error(`无效的坐标: ${square}`);
+        }
+        return { row: parseInt(match[2], 10) - 1, col: FILES.indexOf(match[1]) };
+    }
+
+    /**
+     * 卡牌转换为卡牌记法
+     * @param {Object} card - 卡牌（需包含 faction 和 level）
+     * @returns {string} 卡牌记法，如 D3
+     */
+    static toCardCode(card) {
+        return `${FACTION_CODES[card.faction]}${card.level}`;
+    }
+
+    /**
+     * 卡牌记法转换为卡牌ID
+     * @param {string} code - 卡牌记法，如 D3
+     * @returns {string} 卡牌ID，如 dragon_3
+     */
+    static fromCardCode(code) {
+        const faction = Object.keys(FACTION_CODES).find(key => FACTION_CODES[key] === code[0]);
+        const level = parseInt(code.slice(1), 10);
+        if (!faction || !level) {
+            throw new Error(`无效的卡牌记法: ${code}`);
+        }
+        return `${faction}_${level}`;
+    }
+
+    // ========== 着法 ==========
+
+    /**
+     * 生成翻牌着法
+     * @param {Object} position - 位置
+     * @param {Object} card - 翻开的卡牌
+     * @returns {string} 着法，如 F b4=D3
+     */
+    static formatFlip(position, card) {
+        return `F ${Notation.toSquare(position)}=${Notation.toCardCode(card)}`;
+    }
+
+    /**
+     * 生成移动/攻击着法
+     * @param {Object} from - 起始位置
+     * @param {Object} to - 目标位置
+     * @param {boolean} isAttack - 是否为攻击
+     * @returns {string} 着法，如 b4-c4 或 b4xc4
+     */
+    static formatMove(from, to, isAttack = false) {
+        return `${Notation.toSquare(from)}${isAttack ? 'x' : '-'}${Notation.toSquare(to)}`;
+    }
+
+    /**
+     * 解析着法
+     * @param {string} notation - 着法文本
+     * @returns {Object} { type: flip|move|attack, from, to, cardId }
+     */
+    static parseMove(notation) {
+        const text = notation.trim();
+
+        const flip = FLIP_PATTERN.exec(text);
+        if (flip) {
+            return {
+                type: 'flip',
+                from: Notation.fromSquare(flip[1]),
+                to: null,
+                cardId: Notation.fromCardCode(flip[2])
+            };
+        }
+
+        const move = MOVE_PATTERN.exec(text);
+        if (move) {
+            return {
+                type: move[2] === 'x' ? 'attack' : 'move',
+                from: Notation.fromSquare(move[1]),
+                to: Notation.fromSquare(move[3]),
+                cardId: null
+            };
+        }
+
+        throw new Error(`无效的着法: ${notation}`);
+    }
+
+    // ========== 对局记录 ==========
+
+    /**
+     * 根据游戏日志创建对局记录
+     * @param {Object} source - { gameId, gameState, ruleSet }
+     * @returns {Object} 对局记录
+     */
+    static createRecord({ gameId, gameState, ruleSet }) {
+        const record = {
+            format: RECORD_FORMAT,
+            version: RECORD_VERSION,
+            gameId,
+            date: gameState.startTime,
+            seed: null,
+            ruleSet: ruleSet.name === 'classic' ? 'classic' : ruleSet.toJSON(),
+            layout: null,
+            rps: null,
+            firstPlayer: null,
+            moves: [],
+            result: null
+        };
+
+        gameState.gameLog.forEach(entry => {
+            const { details } = entry;
+
+            switch (entry.type) {
+                case 'game_start':
+                    record.seed = details.seed ?? null;
+                    break;
+                case 'rps_completed':
+                    record.rps = {
+                        playerChoice: details.playerChoice,
+                        aiChoice: details.aiChoice,
+                        winner: details.winner
+                    };
+                    record.firstPlayer = details.firstPlayer;
+                    break;
+                case 'board_initialized':
+                    record.layout = Notation.encodeLayout(details.layout || []);
+                    record.firstPlayer = details.firstPlayer || record.firstPlayer;
+                    break;
+                case 'flip':
+                    record.moves.push({
+                        player: entry.player,
+                        notation: Notation.formatFlip(details.position, details)
+                    });
+                    break;
+                case 'move':
+                    record.moves.push({
+                        player: entry.player,
+                        notation: Notation.formatMove(details.from, details.to, details.moveType === 'battle')
+                    });
+                    break;
+                case 'game_end':
+                    record.result = { winner: details.winner, reason: details.reason };
+                    break;
+            }
+        });
+
+        return record;
+    }
+
+    /**
+     * 编码初始布局
+     * @param {Array} layout - [{ cardId, position }]
+     * @returns {Object} 坐标到卡牌记法的映射，如 { a1: 'D3' }
+     */
+    static encodeLayout(layout) {
+        const encoded = {};
+        layout.forEach(({ cardId, position }) => {
+            const [faction, level] = cardId.split('_');
+            encoded[Notation.toSquare(position)] = Notation.toCardCode({ faction, level });
+        });
+        return encoded;
+    }
+
+    /**
+     * 解码初始布局
+     * @param {Object} encoded - 坐标到卡牌记法的映射
+     * @returns {Array} [{ cardId, position }]
+     */
+    static decodeLayout(encoded) {
+        return Object.entries(encoded).map(([square, code]) => ({
+            cardId: Notation.fromCardCode(code),
+            position: Notation.fromSquare(square)
+        }));
+    }
+
+    /**
+     * 验证对局记录
+     * @param {Object} record - 对局记录
+     */
+    static validateRecord(record) {
+        if (!record || record.format !== RECORD_FORMAT) {
+            throw new Error('不是有效的龙虎斗对局记录');
+        }
+        if (record.version > RECORD_VERSION) {
+            throw new Error(`不支持的对局记录版本: ${record.version}`);
+        }
+        if (!record.layout || Object.keys(record.layout).length === 0) {
+            throw new Error('对局记录缺少初始布局');
+        }
+        if (!['player', 'ai'].includes(record.firstPlayer)) {
+            throw new Error('对局记录缺少先手信息');
+        }
+        if (!Array.isArray(record.moves)) {
+            throw new Error('对局记录缺少着法列表');
+        }
+        record.moves.forEach(move => Notation.parseMove(move.notation));
+    }
+
+    // ========== 文本格式 ==========
+
+    /**
+     * 对局记录转换为文本（头信息 + 着法列表，便于分享）
+     * 非经典规则的规则集配置以 JSON 写入 RuleSetConfig 头，导入时不依赖本地注册的规则集
+     * @param {Object} record - 对局记录
+     * @returns {string} 文本棋谱
+     */
+    static stringifyRecord(record) {
+        const customRuleSet = typeof record.ruleSet === 'string' ? null : record.ruleSet;
+        const headers = [
+            ['Format', `${record.format}/${record.version}`],
+            ['GameId', record.gameId],
+            ['Date', record.date],
+            ['Seed', record.seed],
+            ['RuleSet', customRuleSet ? customRuleSet.name : record.ruleSet],
+            ['RuleSetConfig', customRuleSet ? JSON.stringify(customRuleSet) : null],
+            ['RPS', record.rps ? `${record.rps.playerChoice} ${record.rps.aiChoice}` : null],
+            ['FirstPlayer', record.firstPlayer],
+            ['Layout', Notation.stringifyLayout(record.layout)],
+            ['Result', record.result ? record.result.winner : '*'],
+            ['Reason', record.result ? record.result.reason : null]
+        ];
+
+        const lines = headers
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `[${key} "${value}"]`);
+
+        // 每两步为一个回合编号
+        const moveLines = [];
+        for (let i = 0; i < record.moves.length; i += 2) {
+            const pair = record.moves.slice(i, i + 2).map(move => move.notation).join(' ');
+            moveLines.push(`${i / 2 + 1}. ${pair}`);
+        }
+
+        return [...lines, '', ...moveLines].join('\n');
+    }
+
+    /**
+     * 解析文本棋谱
+     * @param {string} text - 文本棋谱
+     * @returns {Object} 对局记录
+     */
+    static parseRecord(text) {
+        const headers = {};
+        const bodyLines = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const header = HEADER_PATTERN.exec(line.trim());
+            if (header) {
+                headers[header[1]] = header[2];
+            } else {
+                bodyLines.push(line);
+            }
+        });
+
+        const [format, version] = (headers.Format || '').split('/');
+        const [playerChoice, aiChoice] = (headers.RPS || '').split(' ');
+        const firstPlayer = headers.FirstPlayer || null;
+
+        // 回合交替进行，据此还原每步的执行方
+        const tokens = bodyLines.join(' ').match(TOKEN_PATTERN) || [];
+        const moves = tokens.map((notation, index) => ({
+            player: (index % 2 === 0) === (firstPlayer === 'player') ? 'player' : 'ai',
+            notation: notation.replace(/\s+/g, ' ')
+        }));
+
+        return {
+            format,
+            version: parseInt(version, 10),
+            gameId: headers.GameId || null,
+            date: headers.Date || null,
+            seed: headers.Seed ? parseInt(headers.Seed, 10) : null,
+            ruleSet: headers.RuleSetConfig ? Notation.parseRuleSetConfig(headers.RuleSetConfig) : (headers.RuleSet || 'classic'),
+            layout: headers.Layout ? Notation.parseLayout(headers.Layout) : null,
+            rps: headers.RPS ? { playerChoice, aiChoice, winner: null } : null,
+            firstPlayer,
+            moves,
+            result: headers.Result && headers.Result !== '*' ?
+                { winner: headers.Result, reason: headers.Reason || null } : null
+        };
+    }
+
+    /**
+     * 解析文本棋谱中的规则集配置
+     * @param {string} text - RuleSetConfig 头的内容
+     * @returns {Object} 规则集配置
+     */
+    static parseRuleSetConfig(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`无效的规则集配置: ${error.message}`);
+        }
+    }
+
+    /**
+     * 布局转换为文本：按行从1开始，行之间用 / 分隔，格子之间用逗号分隔，空格子记为 -
+     * @param {Object} layout - 坐标到卡牌记法的映射
+     * @returns {string} 布局文本，如 D3,T5,D1,T2/.../-,-,-,-/...
+     */
+    static stringifyLayout(layout) {
+        const positions = Object.keys(layout).map(square => Notation.fromSquare(square));
+        const rows = Math.max(...positions.map(pos => pos.row)) + 1;
+        const cols = Math.max(...positions.map(pos => pos.col)) + 1;
+
+        const ranks = [];
+        for (let row = 0; row < rows; row++) {
+            const squares = [];
+            for (let col = 0; col < cols; col++) {
+                squares.push(layout[Notation.toSquare({ row, col })] || '-');
+            }
+            ranks.push(squares.join(','));
+        }
+        return ranks.join('/');
+    }
+
+    /**
+     * 解析布局文本
+     * @param {string} text - 布局文本
+     * @returns {Object} 坐标到卡牌记法的映射
+     */
+    static parseLayout(text) {
+        const layout = {};
+        text.split('/').forEach((rank, row) => {
+            rank.split(',').forEach((code, col) => {
+                if (code !== '-') {
+                    layout[Notation.toSquare({ row, col })] = code;
+                }
+            });
+        });
+        return layout;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * ObservationView类 - 单方视角的游戏状态
+ * 只包含该方合法可知的信息：已翻开的卡牌、未翻开卡牌所在的位置，以及尚未出现的卡牌身份集合。
+ * AI只能通过该视图读取局面，未翻开卡牌的阵营和等级在视图中不存在，因而无法被偷看
+ */
+
+import { Card } from './Card.js';
+import { GameState } from './GameState.js';
+import { RuleSet } from './RuleSet.js';
+import { TimeControl } from './TimeControl.js';
+
+// 日志中会泄露底牌的字段：开局种子可推算发牌，布局记录了全部卡牌位置
+const HIDDEN_LOG_FIELDS = ['seed', 'layout'];
+
+/**
+ * 未翻开的卡牌 - 只有位置，没有身份
+ */
+export class HiddenCard extends Card {
+  /**
+   * 构造函数
+   * @param {Object} position - 所在位置 {row, col}
+   */
+  constructor(position) {
+    super(`hidden_${position.row}_${position.col}`, null, null);
+    this.position = { ...position };
+  }
+
+  /**
+   * 未翻开的卡牌没有可验证的身份
+   */
+  validateInput() {}
+
+  /**
+   * 获取卡牌中文名称
+   * @returns {string} 卡牌中文名
+   */
+  getCardName() {
+    return '未知卡牌';
+  }
+
+  /**
+   * 获取卡牌图片路径（始终为背面）
+   * @returns {string} 图片路径
+   */
+  getImagePath() {
+    return Card.getBackImagePath();
+  }
+
+  /**
+   * 观察视图中无法翻开卡牌，翻牌必须经由引擎执行
+   */
+  reveal() {
+    throw new Error('未翻开的卡牌在观察视图中没有身份，无法翻开');
+  }
+
+  /**
+   * 克隆卡牌
+   * @returns {HiddenCard} 克隆的卡牌实例
+   */
+  clone() {
+    return new HiddenCard(this.position);
+  }
+}
+
+export class ObservationView extends GameState {
+  /**
+   * 构造函数
+   * @param {Object} options - 配置项，同 GameState，另有：
+   * @param {string} options.side - 观察方：player | ai | spectator（观战者，不属于任何一方）
+   */
+  constructor(options = {}) {
+    super({ ...options, shuffle: false });
+    this.side = options.side || 'ai';
+    this.unseenCards = [];             // 尚未出现的卡牌身份（不含位置）
+  }
+
+  /**
+   * 从完整游戏状态生成某一方的观察视图
+   * @param {GameState} gameState - 完整游戏状态
+   * @param {string} side - 观察方：player | ai | spectator
+   * @returns {ObservationView} 观察视图
+   */
+  static fromGameState(gameState, side) {
+    if (!['player', 'ai', 'spectator'].includes(side)) {
+      throw new Error(`无效的观察方: ${side}`);
+    }
+
+    // 视图使用自己的随机数生成器，不能借此推算出真实局面的发牌
+    const view = new ObservationView({ ruleSet: gameState.ruleSet, side });
+
+    view.phase = gameState.phase;
+    view.currentPlayer = gameState.currentPlayer;
+    view.playerFaction = gameState.playerFaction;
+    view.aiFaction = gameState.aiFaction;
+    view.selectedPosition = gameState.selectedPosition ? { ...gameState.selectedPosition } : null;
+    view.winner = gameState.winner;
+    view.lastMover = gameState.lastMover;
+    view.noCaptureMoves = gameState.noCaptureMoves;
+    view.positionHistory = [...gameState.positionHistory];
+    view.startTime = gameState.startTime;
+    view.endTime = gameState.endTime;
+    view.clock = TimeControl.clone(gameState.clock);
+
+    // 已翻开的卡牌（包括已被消灭的）原样可见，棋盘上未翻开的卡牌只保留位置
+    view.cardsData = [];
+    gameState.cardsData.forEach(card => {
+      if (card.isRevealed) {
+        view.cardsData.push(card.clone());
+      } else if (card.position.row >= 0 && card.position.col >= 0) {
+        view.cardsData.push(new HiddenCard(card.position));
+      }
+    });
+
+    view.board = view.initBoard();
+    view.cardsData.forEach(card => {
+      if (card.position.row >= 0 && card.position.col >= 0) {
+        view.board[card.position.row][card.position.col] = card;
+      }
+    });
+
+    view.unseenCards = gameState.getUnseenCards();
+    view.gameLog = gameState.gameLog.map(entry => ObservationView.redactLogEntry(entry));
+
+    return view;
+  }
+
+  /**
+   * 去除日志条目中会泄露底牌的字段
+   * @param {Object} entry - 日志条目
+   * @returns {Object} 处理后的日志条目副本
+   */
+  static redactLogEntry(entry) {
+    const details = { ...entry.details };
+    HIDDEN_LOG_FIELDS.forEach(field => {
+      delete details[field];
+    });
+    return { ...entry, details };
+  }
+
+  /**
+   * 获取尚未出现的卡牌身份
+   * @returns {Array} 卡牌数组（副本，位置均为 -1）
+   */
+  getUnseenCards() {
+    return this.unseenCards.map(card => card.clone());
+  }
+
+  /**
+   * 获取观察方的阵营
+   * @returns {string|null} 阵营，观战者为null
+   */
+  getOwnFaction() {
+    if (this.side === 'spectator') return null;
+    return this.side === 'player' ? this.playerFaction : this.aiFaction;
+  }
+
+  /**
+   * 克隆观察视图
+   * @returns {ObservationView} 克隆的观察视图
+   */
+  clone() {
+    const cloned = super.clone();
+    cloned.side = this.side;
+    cloned.unseenCards = this.getUnseenCards();
+    return cloned;
+  }
+
+  /**
+   * 转换为JSON对象
+   * @param {number} now - 棋钟已用时间折算到的时间戳
+   * @returns {Object} JSON表示
+   */
+  toJSON(now) {
+    return {
+      ...super.toJSON(now),
+      side: this.side,
+      unseenCards: this.unseenCards.map(card => card.toJSON())
+    };
+  }
+
+  /**
+   * 从JSON对象恢复观察视图（在线对战客户端收到的局面）
+   * @param {Object} json - toJSON 的结果
+   * @returns {ObservationView} 观察视图
+   */
+  static fromJSON(json) {
+    const view = new ObservationView({
+      ruleSet: json.ruleSet ? RuleSet.fromJSON(json.ruleSet) : null,
+      side: json.side
+    });
+
+    view.phase = json.phase;
+    view.currentPlayer = json.currentPlayer;
+    view.playerFaction = json.playerFaction;
+    view.aiFaction = json.aiFaction;
+    view.selectedPosition = json.selectedPosition ? { ...json.selectedPosition } : null;
+    view.winner = json.winner;
+    view.lastMover = json.lastMover || null;
+    view.noCaptureMoves = json.noCaptureMoves || 0;
+    view.positionHistory = json.positionHistory ? [...json.positionHistory] : [];
+    view.startTime = json.startTime;
+    view.endTime = json.endTime;
+    view.clock = TimeControl.fromJSON(json.clock);
+    view.gameLog = json.gameLog ? json.gameLog.map(entry => ({ ...entry })) : [];
+
+    // 未翻开的卡牌只有位置，恢复为 HiddenCard
+    view.cardsData = json.cardsData.map(cardData => (cardData.isRevealed ?
+      Card.fromJSON(cardData) : new HiddenCard(cardData.position)));
+    view.board = view.initBoard();
+    view.cardsData.forEach(card => {
+      if (card.position.row >= 0 && card.position.col >= 0) {
+        view.board[card.position.row][card.position.col] = card;
+      }
+    });
+    view.unseenCards = (json.unseenCards || []).map(cardData => Card.fromJSON(cardData));
+
+    return view;
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * PluginManager类 - 引擎插件
+ * 插件是带有名称和钩子函数的普通对象，引擎在翻牌、走子和战斗的前后调用这些钩子，
+ * 房规、成就、统计和教程都可以写成插件，而不必修改引擎：
+ *   {
+ *     name: 'tutorial',
+ *     errorCodes: { TUTORIAL_WRONG_CARD: '请先翻开高亮的卡牌' },  // 可选，注册到引擎的 ERROR_CODES
+ *     beforeFlip(context) {}, beforeMove(context) {}, beforeBattle(context) {},
+ *     afterBattle(context) {}, beforeTurnEnd(context) {}
+ *   }
+ *
+ * 钩子按注册顺序同步调用，抛出的错误不会被吞掉。context 的内容见 GameEngine.runPluginHook。
+ */
+
+// 引擎提供的钩子
+export const PLUGIN_HOOKS = ['beforeFlip', 'beforeMove', 'beforeBattle', 'afterBattle', 'beforeTurnEnd'];
+
+// 可以否决操作的钩子
+export const VETO_HOOKS = ['beforeFlip', 'beforeMove', 'beforeBattle'];
+
+export class PluginManager {
+    /**
+     * 构造函数
+     */
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * 注册插件
+     * @param {Object} plugin - 插件
+     * @throws {Error} 插件没有名称、名称重复或含有未知的钩子时
+     */
+    add(plugin) {
+        if (!plugin || typeof plugin !== 'object' || !plugin.name) {
+            throw new Error('插件必须是带有名称的对象');
+        }
+        if (this.get(plugin.name)) {
+            throw new Error(`插件已注册: ${plugin.name}`);
+        }
+
+        // 拼错的钩子名不会被调用，注册时直接报错
+        const unknown = Object.keys(plugin).filter(key => /^(before|after)[A-Z]/.test(key) && !PLUGIN_HOOKS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`未知的插件钩子: ${unknown.join(', ')}（可选: ${PLUGIN_HOOKS.join(', ')}）`);
+        }
+        const invalid = PLUGIN_HOOKS.filter(hook => hook in plugin && typeof plugin[hook] !== 'function');
+        if (invalid.length > 0) {
+            throw new Error(`插件钩子必须是函数: ${invalid.join(', ')}`);
+        }
+
+        this.plugins.push(plugin);
+    }
+
+    /**
+     * 移除插件
+     * @param {string} name - 插件名称
+     * @returns {Object|null} 被移除的插件，不存在时为null
+     */
+    remove(name) {
+        const plugin = this.get(name);
+        if (plugin) {
+            this.plugins = this.plugins.filter(entry => entry !== plugin);
+        }
+        return plugin;
+    }
+
+    /**
+     * 获取插件
+     * @param {string} name - 插件名称
+     * @returns {Object|null} 插件，不存在时为null
+     */
+    get(name) {
+        return this.plugins.find(plugin => plugin.name === name) || null;
+    }
+
+    /**
+     * 依次调用各插件的钩子，某个插件否决后不再调用之后的插件
+     * @param {string} hook - 钩子名称
+     * @param {Object} context - 钩子参数，调用时 context.plugin 为当前插件名称
+     * @returns {Object} context
+     */
+    run(hook, context) {
+        for (const plugin of this.plugins) {
+            if (!plugin[hook]) continue;
+
+            context.plugin = plugin.name;
+            plugin[hook](context);
+            if (context.vetoed) break;
+        }
+        context.plugin = null;
+        return context;
+    }
+}
@@ -0,0 +1,396 @@
+/**
+ * Position类 - 搜索用的紧凑局面
+ * 用定长类型数组编码局面，供搜索和大批量模拟反复执行、撤销行动，代替 GameState.clone()：
+ * apply(action) 原地执行行动并返回撤销记录，unapply(record) 以常数时间还原，不产生日志。
+ *
+ * 卡牌按规则集阵容的顺序编号，格子按 row * cols + col 编号：
+ *   cells[i]     EMPTY（空位）、HIDDEN（未翻开且身份未知）或卡牌编号
+ *   revealed[c]  卡牌 c 是否已翻开；格子上的卡牌未翻开时表示身份已知（真实局面或确定化后的局面）
+ *   pool         尚未出现、也不在任何格子上的身份，翻开 HIDDEN 格子时从中取出
+ * 另外随行动维护各阵营的存活数、已翻开数和未翻开的格子数，判断胜负时不必遍历棋盘。
+ * 卡牌编号、邻接表和战斗结果表在同一局面的所有副本之间共享
+ *
+ * 行动格式与 LegalActions 相同，位置改为格子编号：
+ *   { type: 'flip', index } / { type: 'move', from, to } / { type: 'attack', from, to }
+ */
+
+// 格子取值：空位、未翻开且身份未知
+export const EMPTY = -1;
+export const HIDDEN = -2;
+
+// 战斗结果编码（位标记），攻击方存活且防守方离场时攻击方进入目标格子
+export const ATTACKER_LOST = 1;
+export const DEFENDER_LOST = 2;
+const UNRESOLVED = -1;
+
+const FACTION_INDEX = { dragon: 0, tiger: 1 };
+
+export class Position {
+    /**
+     * 构造函数 - 创建空棋盘（一般通过 Position.fromState 创建）
+     * @param {RuleSet} ruleSet - 规则集
+     * @param {Object} options - 配置项
+     * @param {Function} options.resolveOutcome - 战斗结果 (攻击方, 防守方) => { winner, attackerEliminated, defenderEliminated }，
+     *   参数为 { id, faction, level }，默认使用 ruleSet.getBattleOutcome；每对身份只调用一次
+     */
+    constructor(ruleSet, options = {}) {
+        this.tables = options.tables || Position.createTables(ruleSet, options.resolveOutcome);
+        this.ruleSet = ruleSet;
+        this.cards = this.tables.cards;         // 卡牌编号 -> { id, faction, level }
+        this.adjacency = this.tables.adjacency; // 格子编号 -> 相邻格子编号
+        this.cols = this.tables.cols;
+
+        this.cells = new Int8Array(this.tables.size).fill(EMPTY);
+        this.revealed = new Uint8Array(this.cards.length);
+        this.pool = new Int8Array(this.cards.length);
+        this.poolSize = 0;
+        this.alive = new Int8Array(2);          // 各阵营存活数（含未翻开的卡牌）
+        this.revealedCount = new Int8Array(2);  // 各阵营在棋盘上已翻开的卡牌数
+        this.hiddenCount = 0;                   // 未翻开的格子数
+        this.toMove = null;                     // 行动方：player | ai
+        this.factions = { player: null, ai: null };
+    }
+
+    /**
+     * 创建各副本共享的只读表
+     * @param {RuleSet} ruleSet - 规则集
+     * @param {Function} resolveOutcome - 战斗结果，见构造函数
+     * @returns {Object} { size, cols, cards, codes, adjacency, outcomes, resolveOutcome }
+     */
+    static createTables(ruleSet, resolveOutcome = null) {
+        const { rows, cols } = ruleSet.board;
+        const cards = ruleSet.roster.map(({ faction, level }) => Object.freeze({ id: `${faction}_${level}`, faction, level }));
+        const adjacency = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                adjacency.push(Int8Array.from(ruleSet.isValidPosition(row, col) ?
+                    ruleSet.getAdjacentPositions(row, col).map(pos => pos.row * cols + pos.col) : []));
+            }
+        }
+
+        return {
+            size: rows * cols,
+            cols,
+            cards,
+            codes: new Map(cards.map((card, code) => [card.id, code])),
+            adjacency,
+            outcomes: new Int8Array(cards.length * cards.length).fill(UNRESOLVED),
+            allowAttack: ruleSet.movement.allowAttack,
+            resolveOutcome: resolveOutcome || ((attacker, defender) => {
+                const outcome = ruleSet.getBattleOutcome(attacker, defender);
+                return {
+                    winner: outcome.winner,
+                    attackerEliminated: outcome.eliminated.includes('attacker'),
+                    defenderEliminated: outcome.eliminated.includes('defender')
+                };
+            })
+        };
+    }
+
+    /**
+     * 从 GameState 或 ObservationView 编码局面
+     * 真实局面中未翻开的卡牌身份已知；观察视图中未翻开的格子为 HIDDEN，身份在 pool 中
+     * @param {GameState|ObservationView} state - 局面
+     * @param {Object} options - 同构造函数
+     * @returns {Position} 紧凑局面
+     */
+    static fromState(state, options = {}) {
+        const position = new Position(state.ruleSet, options);
+        const { codes } = position.tables;
+        const placed = new Set();
+
+        state.getCardsOnBoard().forEach(card => {
+            const index = position.getIndex(card.position.row, card.position.col);
+            const code = codes.has(card.id) ? codes.get(card.id) : HIDDEN;
+            position.cells[index] = code;
+            if (code === HIDDEN) {
+                position.hiddenCount++;
+                return;
+            }
+
+            placed.add(code);
+            position.alive[FACTION_INDEX[card.faction]]++;
+            if (card.isRevealed) {
+                position.revealed[code] = 1;
+                position.revealedCount[FACTION_INDEX[card.faction]]++;
+            } else {
+                position.hiddenCount++;
+            }
+        });
+
+        state.getUnseenCards().forEach(card => {
+            const code = codes.get(card.id);
+            if (placed.has(code)) return;
+            position.pool[position.poolSize++] = code;
+            position.alive[FACTION_INDEX[card.faction]]++;
+        });
+
+        position.toMove = state.currentPlayer;
+        position.factions = { player: state.playerFaction, ai: state.aiFaction };
+        return position;
+    }
+
+    /**
+     * 复制局面（共享只读表，只复制类型数组）
+     * @returns {Position} 副本
+     */
+    clone() {
+        const copy = new Position(this.ruleSet, { tables: this.tables });
+        copy.cells.set(this.cells);
+        copy.revealed.set(this.revealed);
+        copy.pool.set(this.pool);
+        copy.poolSize = this.poolSize;
+        copy.alive.set(this.alive);
+        copy.revealedCount.set(this.revealedCount);
+        copy.hiddenCount = this.hiddenCount;
+        copy.toMove = this.toMove;
+        copy.factions = { ...this.factions };
+        return copy;
+    }
+
+    /**
+     * 坐标转换为格子编号
+     * @param {number} row - 行
+     * @param {number} col - 列
+     * @returns {number} 格子编号
+     */
+    getIndex(row, col) {
+        return row * this.cols + col;
+    }
+
+    /**
+     * 格子编号转换为坐标
+     * @param {number} index - 格子编号
+     * @returns {Object} { row, col }
+     */
+    getCoordinates(index) {
+        return { row: Math.floor(index / this.cols), col: index % this.cols };
+    }
+
+    /**
+     * 格子上是否为已翻开的卡牌
+     * @param {number} index - 格子编号
+     * @returns {boolean}
+     */
+    isRevealedAt(index) {
+        const code = this.cells[index];
+        return code >= 0 && this.revealed[code] === 1;
+    }
+
+    /**
+     * 尚未出现的身份（卡牌编号）
+     * @returns {Array<number>}
+     */
+    getPool() {
+        const pool = new Array(this.poolSize);
+        for (let i = 0; i < this.poolSize; i++) {
+            pool[i] = this.pool[i];
+        }
+        return pool;
+    }
+
+    /**
+     * 阵营的存活数（含未翻开的卡牌）
+     * @param {string} faction - dragon | tiger
+     * @returns {number}
+     */
+    getAliveCount(faction) {
+        return this.alive[FACTION_INDEX[faction]];
+    }
+
+    /**
+     * 阵营在棋盘上已翻开的卡牌数
+     * @param {string} faction - dragon | tiger
+     * @returns {number}
+     */
+    getRevealedCount(faction) {
+        return this.revealedCount[FACTION_INDEX[faction]];
+    }
+
+    /**
+     * 战斗结果（按身份缓存）
+     * @param {number} attacker - 攻击方卡牌编号
+     * @param {number} defender - 防守方卡牌编号
+     * @returns {number} ATTACKER_LOST / DEFENDER_LOST 的位组合
+     */
+    getOutcome(attacker, defender) {
+        const { outcomes, cards } = this.tables;
+        const key = attacker * cards.length + defender;
+
+        if (outcomes[key] === UNRESOLVED) {
+            const outcome = this.tables.resolveOutcome(cards[attacker], cards[defender]);
+            outcomes[key] = ((outcome.attackerEliminated || outcome.winner === 'defender') ? ATTACKER_LOST : 0) |
+                ((outcome.defenderEliminated || outcome.winner === 'attacker') ? DEFENDER_LOST : 0);
+        }
+        return outcomes[key];
+    }
+
+    /**
+     * 生成行动方的全部行动：先列翻牌，再按格子顺序列走子和攻击（与 generateLegalActions 一致）
+     * @returns {Array<Object>} 行动数组
+     */
+    generateActions() {
+        const faction = this.factions[this.toMove];
+        const flips = [];
+        const others = [];
+
+        this.cells.forEach((code, index) => {
+            if (code === EMPTY) return;
+            if (code === HIDDEN || this.revealed[code] === 0) {
+                flips.push({ type: 'flip', index });
+                return;
+            }
+            if (this.cards[code].faction !== faction) return;
+
+            this.adjacency[index].forEach(to => {
+                const target = this.cells[to];
+                if (target === EMPTY) {
+                    others.push({ type: 'move', from: index, to });
+                } else if (this.tables.allowAttack && target >= 0 && this.revealed[target] === 1 &&
+                    this.cards[target].faction !== faction) {
+                    others.push({ type: 'attack', from: index, to });
+                }
+            });
+        });
+
+        return [...flips, ...others];
+    }
+
+    /**
+     * 执行行动（原地修改，不检查合法性），轮到对方行动
+     * 首次翻牌时翻牌方获得所翻卡牌的阵营
+     * @param {Object} action - 行动
+     * @param {number} identity - 翻开 HIDDEN 格子时翻出的身份（须在 pool 中）
+     * @returns {Object} 撤销记录，交给 unapply
+     */
+    apply(action, identity = null) {
+        const record = {
+            action,
+            fromCode: this.cells[action.from ?? action.index],
+            toCode: action.to === undefined ? EMPTY : this.cells[action.to],
+            poolIndex: -1,
+            factions: this.factions
+        };
+
+        if (action.type === 'flip') {
+            let code = record.fromCode;
+            if (code === HIDDEN) {
+                // 保持 pool 中其余身份的顺序，搜索按该顺序抽样
+                record.poolIndex = this.pool.subarray(0, this.poolSize).indexOf(identity);
+                if (record.poolIndex < 0) {
+                    throw new Error(`身份不在尚未出现的卡牌中: ${identity}`);
+                }
+                this.pool.copyWithin(record.poolIndex, record.poolIndex + 1, this.poolSize);
+                this.poolSize--;
+                code = identity;
+                this.cells[action.index] = code;
+            }
+            this.revealed[code] = 1;
+            this.revealedCount[FACTION_INDEX[this.cards[code].faction]]++;
+            this.hiddenCount--;
+
+            if (!this.factions[this.toMove]) {
+                const faction = this.cards[code].faction;
+                const other = faction === 'dragon' ? 'tiger' : 'dragon';
+                this.factions = this.toMove === 'player' ? { player: faction, ai: other } : { player: other, ai: faction };
+            }
+        } else if (action.type === 'move') {
+            this.cells[action.to] = record.fromCode;
+            this.cells[action.from] = EMPTY;
+        } else {
+            const attacker = record.fromCode;
+            const defender = record.toCode;
+            const outcome = this.getOutcome(attacker, defender);
+
+            if (outcome & DEFENDER_LOST) {
+                this.cells[action.to] = EMPTY;
+                this.removeCard(defender);
+            }
+            if (outcome & ATTACKER_LOST) {
+                this.cells[action.from] = EMPTY;
+                this.removeCard(attacker);
+            } else if (outcome & DEFENDER_LOST) {
+                this.cells[action.to] = attacker;
+                this.cells[action.from] = EMPTY;
+            }
+        }
+
+        this.toMove = this.toMove === 'player' ? 'ai' : 'player';
+        return record;
+    }
+
+    /**
+     * 撤销最近一次 apply（必须按执行的相反顺序撤销）
+     * @param {Object} record - apply 返回的撤销记录
+     */
+    unapply(record) {
+        const { action } = record;
+
+        if (action.type === 'flip') {
+            const code = this.cells[action.index];
+            this.revealed[code] = 0;
+            this.revealedCount[FACTION_INDEX[this.cards[code].faction]]--;
+            this.hiddenCount++;
+            if (record.poolIndex >= 0) {
+                this.pool.copyWithin(record.poolIndex + 1, record.poolIndex, this.poolSize);
+                this.pool[record.poolIndex] = code;
+                this.poolSize++;
+                this.cells[action.index] = HIDDEN;
+            }
+        } else {
+            if (action.type === 'attack') {
+                const outcome = this.getOutcome(record.fromCode, record.toCode);
+                if (outcome & ATTACKER_LOST) this.restoreCard(record.fromCode);
+                if (outcome & DEFENDER_LOST) this.restoreCard(record.toCode);
+            }
+            this.cells[action.from] = record.fromCode;
+            this.cells[action.to] = record.toCode;
+        }
+
+        this.factions = record.factions;
+        this.toMove = this.toMove === 'player' ? 'ai' : 'player';
+    }
+
+    /**
+     * 卡牌离场，更新计数
+     * @param {number} code - 卡牌编号
+     */
+    removeCard(code) {
+        const faction = FACTION_INDEX[this.cards[code].faction];
+        this.alive[faction]--;
+        if (this.revealed[code] === 1) {
+            this.revealedCount[faction]--;
+        }
+    }
+
+    /**
+     * 撤销 removeCard
+     * @param {number} code - 卡牌编号
+     */
+    restoreCard(code) {
+        const faction = FACTION_INDEX[this.cards[code].faction];
+        this.alive[faction]++;
+        if (this.revealed[code] === 1) {
+            this.revealedCount[faction]++;
+        }
+    }
+
+    /**
+     * 局面键，与 GameState.getPositionKey 格式一致（刚行动的一方为行动方的对手）
+     * @returns {string} 局面键
+     */
+    getKey() {
+        const moverFaction = this.factions[this.toMove === 'player' ? 'ai' : 'player'];
+        const rows = [];
+        for (let index = 0; index < this.cells.length; index += this.cols) {
+            const row = [];
+            for (let col = 0; col < this.cols; col++) {
+                const code = this.cells[index + col];
+                row.push(code === EMPTY ? '.' : (this.isRevealedAt(index + col) ? this.cards[code].id : '?'));
+            }
+            rows.push(row.join(','));
+        }
+        return `${moverFaction}|${rows.join('/')}`;
+    }
+}
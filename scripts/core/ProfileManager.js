@@ -0,0 +1,395 @@
+/**
+ * ProfileManager类 - 本地玩家档案
+ * 每个档案保存玩家已结束对局的记录（结果、阵营、AI难度、用时、战斗次数、特殊规则击杀和各卡牌的使用次数），
+ * 统计由对局记录现算：总胜率、按阵营和难度的胜率、连胜/连败和最常使用的卡牌。
+ * 每个档案还有一个等级分（见 Rating.js），每局对已校准的AI档位结束后更新，用于推荐下一局的难度。
+ *
+ * 存储布局：全部档案保存在一个键（dragon_tiger_profiles）下：
+ * { version, activeId, profiles: [{ id, name, createdAt, rating, games }] }。
+ * 存储不可用时档案只保存在内存中；存储中的数据无法解析时从空档案开始，不影响对局。
+ */
+import { Rating } from './Rating.js';
+
+// 档案数据版本
+export const PROFILE_VERSION = 1;
+
+// 每个档案最多保留的对局记录数（超出时丢弃最早的记录）
+export const MAX_GAMES_PER_PROFILE = 500;
+
+const DEFAULT_KEY = 'dragon_tiger_profiles';
+const DEFAULT_PROFILE_NAME = '玩家';
+const MAX_NAME_LENGTH = 20;
+
+// 统计中列出的最常使用卡牌数
+const TOP_CARDS = 5;
+
+// 档案错误码
+export const PROFILE_ERROR_CODES = {
+    INVALID_NAME: '无效的档案名称',
+    PROFILE_NOT_FOUND: '档案不存在',
+    LAST_PROFILE: '至少需要保留一个档案',
+    SAVE_FAILED: '保存失败'
+};
+
+export class ProfileManager {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {Storage} options.storage - 存储，默认 localStorage，null 表示只保存在内存中
+     * @param {string} options.key - 存储键
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : ProfileManager.getDefaultStorage();
+        this.key = options.key || DEFAULT_KEY;
+        this.data = this.read();
+    }
+
+    /**
+     * 浏览器的 localStorage（Node 或隐私模式下不可用时为null）
+     * @returns {Storage|null}
+     */
+    static getDefaultStorage() {
+        try {
+            return globalThis.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 创建错误对象（与 GameEngine.createError 格式一致）
+     * @param {string} code - 错误码
+     * @param {Object} details - 详细信息
+     * @returns {Object} { success: false, error: { code, message, details } }
+     */
+    static createError(code, details = {}) {
+        return {
+            success: false,
+            error: {
+                code,
+                message: PROFILE_ERROR_CODES[code] || '未知错误',
+                details
+            }
+        };
+    }
+
+    /**
+     * 从存储读取档案数据，没有或无法解析时返回空数据
+     * @returns {Object} { version, activeId, profiles }
+     */
+    read() {
+        const empty = { version: PROFILE_VERSION, activeId: null, profiles: [] };
+        if (!this.storage) return empty;
+
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key));
+            if (!data || !Array.isArray(data.profiles)) {
+                return empty;
+            }
+            return { ...empty, ...data };
+        } catch (error) {
+            console.warn('读取玩家档案失败，使用空档案');
+            return empty;
+        }
+    }
+
+    /**
+     * 把档案数据写入存储
+     * @returns {Object} 操作结果
+     */
+    persist() {
+        if (!this.storage) {
+            return { success: true };
+        }
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+            return { success: true };
+        } catch (error) {
+            // 通常是存储空间已满
+            return ProfileManager.createError('SAVE_FAILED', { originalError: error.message });
+        }
+    }
+
+    /**
+     * 列出所有档案
+     * @returns {Array<Object>} [{ id, name, createdAt, games: 对局数, rating: 等级分, active }]
+     */
+    listProfiles() {
+        this.getActiveProfile();
+        return this.data.profiles.map(profile => ({
+            ...ProfileManager.describe(profile),
+            active: profile.id === this.data.activeId
+        }));
+    }
+
+    /**
+     * 当前档案，还没有档案时创建默认档案
+     * @returns {Object} { id, name, createdAt, rating, games }
+     */
+    getActiveProfile() {
+        let profile = this.findProfile(this.data.activeId);
+        if (!profile) {
+            profile = this.data.profiles[0] || this.addProfile(DEFAULT_PROFILE_NAME);
+            this.data.activeId = profile.id;
+            this.persist();
+        }
+        return profile;
+    }
+
+    /**
+     * 按ID查找档案
+     * @param {string} id - 档案ID
+     * @returns {Object|null} 档案
+     */
+    findProfile(id) {
+        return this.data.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * 新建档案并切换到该档案
+     * @param {string} name - 档案名称（1-20个字符）
+     * @returns {Object} 操作结果：data 为档案信息（见 describe）
+     */
+    createProfile(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+            return ProfileManager.createError('INVALID_NAME', { name });
+        }
+
+        const profile = this.addProfile(trimmed);
+        this.data.activeId = profile.id;
+        const saved = this.persist();
+        return saved.success ? { success: true, data: ProfileManager.describe(profile) } : saved;
+    }
+
+    /**
+     * 添加档案（不保存）
+     * @param {string} name - 档案名称
+     * @returns {Object} 新档案
+     */
+    addProfile(name) {
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+            name,
+            createdAt: new Date().toISOString(),
+            rating: Rating.create(),
+            games: []
+        };
+        this.data.profiles.push(profile);
+        return profile;
+    }
+
+    /**
+     * 切换当前档案
+     * @param {string} id - 档案ID
+     * @returns {Object} 操作结果
+     */
+    switchProfile(id) {
+        const profile = this.findProfile(id);
+        if (!profile) {
+            return ProfileManager.createError('PROFILE_NOT_FOUND', { id });
+        }
+
+        this.data.activeId = id;
+        const saved = this.persist();
+        return saved.success ? { success: true, data: ProfileManager.describe(profile) } : saved;
+    }
+
+    /**
+     * 删除档案（删除当前档案后切换到第一个档案）
+     * @param {string} id - 档案ID
+     * @returns {Object} 操作结果
+     */
+    deleteProfile(id) {
+        if (!this.findProfile(id)) {
+            return ProfileManager.createError('PROFILE_NOT_FOUND', { id });
+        }
+        if (this.data.profiles.length === 1) {
+            return ProfileManager.createError('LAST_PROFILE');
+        }
+
+        this.data.profiles = this.data.profiles.filter(profile => profile.id !== id);
+        if (this.data.activeId === id) {
+            this.data.activeId = this.data.profiles[0].id;
+        }
+        return this.persist();
+    }
+
+    /**
+     * 记录一局已结束的对局，同一对局（gameId 相同，如终局后悔棋再结束）只保留最新的结果
+     * 对手是已校准的AI档位时更新等级分，记录中保存 ratingBefore、ratingAfter 和 opponentRating；
+     * 替换同一对局的记录时先撤销上次结果对等级分的影响
+     * @param {Object} game - 对局记录（GameEngine.createGameResult 的结果）
+     * @param {string} profileId - 档案ID，默认当前档案
+     * @returns {Object} 操作结果：data 为记入档案的对局记录
+     */
+    recordGame(game, profileId = this.getActiveProfile().id) {
+        const profile = this.findProfile(profileId);
+        if (!profile) {
+            return ProfileManager.createError('PROFILE_NOT_FOUND', { id: profileId });
+        }
+
+        // 之后已有其他对局时不再改动等级分，沿用上次的结果
+        const previous = profile.games.find(entry => entry.gameId === game.gameId);
+        const isLast = previous && previous === profile.games[profile.games.length - 1];
+        if (isLast && previous.ratingBefore) {
+            profile.rating = { ...previous.ratingBefore };
+        }
+        profile.games = profile.games.filter(entry => entry.gameId !== game.gameId);
+
+        const rated = previous && !isLast ?
+            { ratingBefore: previous.ratingBefore, ratingAfter: previous.ratingAfter, opponentRating: previous.opponentRating } :
+            this.rateGame(profile, game);
+        const record = { ...game, ...rated };
+        profile.games.push(record);
+        if (profile.games.length > MAX_GAMES_PER_PROFILE) {
+            profile.games = profile.games.slice(-MAX_GAMES_PER_PROFILE);
+        }
+        const saved = this.persist();
+        return saved.success ? { success: true, data: { ...record } } : saved;
+    }
+
+    /**
+     * 按对局结果更新档案的等级分（距上一局越久，评分偏差越大）
+     * @param {Object} profile - 档案
+     * @param {Object} game - 对局记录
+     * @returns {Object} { ratingBefore, ratingAfter, opponentRating }，对手未校准时均为null
+     */
+    rateGame(profile, game) {
+        const opponent = game.aiType ? Rating.getTierRating(game.aiType, game.difficulty) : null;
+        if (!opponent) {
+            return { ratingBefore: null, ratingAfter: null, opponentRating: null };
+        }
+
+        const before = profile.rating || Rating.create();
+        const last = profile.games[profile.games.length - 1];
+        const days = last ? (Date.parse(game.finishedAt) - Date.parse(last.finishedAt)) / 86400000 : 0;
+        profile.rating = Rating.update(Rating.decay(before, days), opponent, Rating.scoreOf(game.result));
+        return { ratingBefore: { ...before }, ratingAfter: { ...profile.rating }, opponentRating: opponent };
+    }
+
+    /**
+     * 档案的等级分
+     * @param {string} profileId - 档案ID，默认当前档案
+     * @returns {Object|null} { rating, rd, games }，档案不存在返回null
+     */
+    getRating(profileId = this.getActiveProfile().id) {
+        const profile = this.findProfile(profileId);
+        return profile ? { ...(profile.rating || Rating.create()) } : null;
+    }
+
+    /**
+     * 按档案的等级分推荐下一局的AI档位（预期得分最接近五五开）
+     * @param {string} profileId - 档案ID，默认当前档案
+     * @param {Object} options - 同 Rating.suggestDifficulty
+     * @returns {Object|null} { type, difficulty, rating, expectedScore }
+     */
+    suggestDifficulty(profileId = this.getActiveProfile().id, options = {}) {
+        const rating = this.getRating(profileId);
+        return rating ? Rating.suggestDifficulty(rating, options) : null;
+    }
+
+    /**
+     * 档案的对局记录，最近的在前
+     * @param {string} profileId - 档案ID，默认当前档案
+     * @param {Object} options - 配置项：{ limit } 最多返回的条数
+     * @returns {Array<Object>} 对局记录
+     */
+    getHistory(profileId = this.getActiveProfile().id, options = {}) {
+        const profile = this.findProfile(profileId);
+        const games = profile ? [...profile.games].reverse() : [];
+        return options.limit ? games.slice(0, options.limit) : games;
+    }
+
+    /**
+     * 档案的统计
+     * @param {string} profileId - 档案ID，默认当前档案
+     * @returns {Object|null} 见 computeStats，档案不存在返回null
+     */
+    getStats(profileId = this.getActiveProfile().id) {
+        const profile = this.findProfile(profileId);
+        return profile ? ProfileManager.computeStats(profile.games) : null;
+    }
+
+    /**
+     * 档案列表中显示的信息
+     * @param {Object} profile - 档案
+     * @returns {Object} { id, name, createdAt, games, rating }
+     */
+    static describe(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            createdAt: profile.createdAt,
+            games: profile.games.length,
+            rating: Math.round((profile.rating || Rating.create()).rating)
+        };
+    }
+
+    /**
+     * 由对局记录计算统计
+     * @param {Array<Object>} games - 对局记录（按结束时间先后排列）
+     * @returns {Object} { total, wins, losses, draws, winRate, byFaction, byDifficulty, streaks,
+     *   averageDuration, battles, specialRuleKills, mostUsedCards }
+     *   byFaction / byDifficulty 为各分组的 { total, wins, losses, draws, winRate }；
+     *   streaks 为 { current: { result, length }, longestWin, longestLoss }；
+     *   mostUsedCards 为使用次数最多的卡牌 [{ cardId, uses }]
+     */
+    static computeStats(games) {
+        const tally = list => {
+            const wins = list.filter(game => game.result === 'win').length;
+            const losses = list.filter(game => game.result === 'loss').length;
+            return {
+                total: list.length,
+                wins,
+                losses,
+                draws: list.length - wins - losses,
+                winRate: list.length > 0 ? wins / list.length : 0
+            };
+        };
+        const groupBy = field => {
+            const groups = {};
+            games.filter(game => game[field]).forEach(game => {
+                (groups[game[field]] = groups[game[field]] || []).push(game);
+            });
+            return Object.fromEntries(Object.entries(groups).map(([key, list]) => [key, tally(list)]));
+        };
+
+        // 连胜/连败：平局中断连续记录
+        const streaks = { current: { result: null, length: 0 }, longestWin: 0, longestLoss: 0 };
+        games.forEach(game => {
+            const { current } = streaks;
+            if (game.result === current.result) {
+                current.length += 1;
+            } else {
+                streaks.current = { result: game.result, length: 1 };
+            }
+            if (game.result === 'win') streaks.longestWin = Math.max(streaks.longestWin, streaks.current.length);
+            if (game.result === 'loss') streaks.longestLoss = Math.max(streaks.longestLoss, streaks.current.length);
+        });
+
+        const usage = {};
+        games.forEach(game => {
+            Object.entries(game.cardUsage || {}).forEach(([cardId, uses]) => {
+                usage[cardId] = (usage[cardId] || 0) + uses;
+            });
+        });
+        const mostUsedCards = Object.entries(usage)
+            .map(([cardId, uses]) => ({ cardId, uses }))
+            .sort((a, b) => b.uses - a.uses || a.cardId.localeCompare(b.cardId))
+            .slice(0, TOP_CARDS);
+
+        const sum = field => games.reduce((total, game) => total + (game[field] || 0), 0);
+
+        return {
+            ...tally(games),
+            byFaction: groupBy('faction'),
+            byDifficulty: groupBy('difficulty'),
+            streaks,
+            averageDuration: games.length > 0 ? sum('duration') / games.length : 0,
+            battles: sum('battles'),
+            specialRuleKills: sum('specialRuleKills'),
+            mostUsedCards
+        };
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Rating - Glicko 等级分
+ * 玩家和AI难度档位使用同一套分数：rating 为分数，rd 为评分偏差（越小越可信）。
+ * 人类玩家的分数保存在玩家档案中，每局人机对战结束后按对手档位的分数更新；
+ * AI档位的分数由 scripts/sim/RatingCalibrator.js 用自我对弈拟合（以 enhanced:medium 为 1500 分基准），
+ * 据此为玩家推荐胜负最接近五五开的难度。
+ *
+ * 参考：Glickman, "The Glicko system"（单局即一个评分周期）
+ */
+
+// 新玩家的初始分数和评分偏差
+export const DEFAULT_RATING = 1500;
+export const DEFAULT_RD = 350;
+
+// 评分偏差下限，避免分数停止变化
+const MIN_RD = 30;
+
+// 每天不对局时评分偏差的增长系数（约100天不对局回到初始偏差）
+const RD_GROWTH_PER_DAY = 34.6;
+
+const Q = Math.log(10) / 400;
+
+// AI档位的分数（自我对弈拟合结果：node scripts/sim/simulate.js --calibrate all --games 10 --seed tiers，
+// 每个档位80局）。enhanced 的三个难度棋力在误差范围内相同，难度标签不代表强弱
+export const AI_TIER_RATINGS = {
+    'enhanced:easy': { rating: 1459, rd: 44 },
+    'enhanced:medium': { rating: 1500, rd: 42 },
+    'enhanced:hard': { rating: 1473, rd: 43 },
+    'search:easy': { rating: 1609, rd: 40 },
+    'search:medium': { rating: 1653, rd: 40 },
+    'search:hard': { rating: 1693, rd: 40 },
+    'mcts:easy': { rating: 1697, rd: 40 },
+    'mcts:medium': { rating: 1796, rd: 43 },
+    'mcts:hard': { rating: 1855, rd: 47 }
+};
+
+export class Rating {
+    /**
+     * 新玩家的分数
+     * @returns {Object} { rating, rd, games }
+     */
+    static create() {
+        return { rating: DEFAULT_RATING, rd: DEFAULT_RD, games: 0 };
+    }
+
+    /**
+     * 对手评分偏差的衰减因子 g(RD)
+     * @param {number} rd - 评分偏差
+     * @returns {number}
+     */
+    static g(rd) {
+        return 1 / Math.sqrt(1 + 3 * Q * Q * rd * rd / (Math.PI * Math.PI));
+    }
+
+    /**
+     * 预期得分（胜1、平0.5、负0）
+     * @param {Object} player - { rating, rd }
+     * @param {Object} opponent - { rating, rd }
+     * @returns {number} 0 ~ 1
+     */
+    static expectedScore(player, opponent) {
+        return 1 / (1 + Math.pow(10, -Rating.g(opponent.rd ?? 0) * (player.rating - opponent.rating) / 400));
+    }
+
+    /**
+     * 按一局的结果更新分数
+     * @param {Object} player - { rating, rd, games }
+     * @param {Object} opponent - { rating, rd }
+     * @param {number} score - 得分：胜1、平0.5、负0
+     * @returns {Object} 新的 { rating, rd, games }
+     */
+    static update(player, opponent, score) {
+        const g = Rating.g(opponent.rd);
+        const expected = Rating.expectedScore(player, opponent);
+        const dSquared = 1 / (Q * Q * g * g * expected * (1 - expected));
+        const precision = 1 / (player.rd * player.rd) + 1 / dSquared;
+
+        return {
+            rating: player.rating + Q / precision * g * (score - expected),
+            rd: Math.max(MIN_RD, Math.sqrt(1 / precision)),
+            games: (player.games || 0) + 1
+        };
+    }
+
+    /**
+     * 长时间不对局后评分偏差增大
+     * @param {Object} player - { rating, rd, games }
+     * @param {number} days - 距上次对局的天数
+     * @returns {Object} 新的 { rating, rd, games }
+     */
+    static decay(player, days) {
+        if (!(days > 0)) return { ...player };
+        return {
+            ...player,
+            rd: Math.min(DEFAULT_RD, Math.sqrt(player.rd * player.rd + RD_GROWTH_PER_DAY * RD_GROWTH_PER_DAY * days))
+        };
+    }
+
+    /**
+     * 对局结果对应的得分
+     * @param {string} result - win | loss | draw
+     * @returns {number}
+     */
+    static scoreOf(result) {
+        if (result === 'win') return 1;
+        if (result === 'loss') return 0;
+        return 0.5;
+    }
+
+    /**
+     * AI档位的分数
+     * @param {string} type - AI类型（enhanced | search | mcts）
+     * @param {string} difficulty - 难度
+     * @returns {Object|null} { rating, rd }，未校准的档位返回 null
+     */
+    static getTierRating(type, difficulty) {
+        const tier = AI_TIER_RATINGS[`${type}:${difficulty}`];
+        return tier ? { ...tier } : null;
+    }
+
+    /**
+     * 推荐胜负最接近的AI档位
+     * @param {Object} player - { rating, rd }
+     * @param {Object} options - 配置项
+     * @param {string} options.type - 只在该AI类型的档位中选择，默认全部
+     * @param {number} options.targetScore - 希望的预期得分，默认0.5
+     * @returns {Object|null} { type, difficulty, rating, expectedScore }
+     */
+    static suggestDifficulty(player, options = {}) {
+        const targetScore = options.targetScore ?? 0.5;
+        let best = null;
+
+        Object.entries(AI_TIER_RATINGS).forEach(([key, tier]) => {
+            const [type, difficulty] = key.split(':');
+            if (options.type && options.type !== type) return;
+
+            const expectedScore = Rating.expectedScore(player, tier);
+            if (!best || Math.abs(expectedScore - targetScore) < Math.abs(best.expectedScore - targetScore)) {
+                best = { type, difficulty, rating: tier.rating, expectedScore };
+            }
+        });
+        return best;
+    }
+}
@@ -0,0 +1,502 @@
+/**
+ * RuleSet类 - 游戏规则集
+ * 统一管理棋盘几何、卡牌阵容、战斗矩阵、移动规则和胜负条件，
+ * GameEngine 通过注入不同的规则集运行各种变体玩法（默认 classic 即PRD规则）
+ */
+
+import { generateLegalActions } from './LegalActions.js';
+
+// 上下左右四个方向
+const ORTHOGONAL_DIRECTIONS = [
+    { row: -1, col: 0 }, // 上
+    { row: 1, col: 0 },  // 下
+    { row: 0, col: -1 }, // 左
+    { row: 0, col: 1 }   // 右
+];
+
+// 经典规则的特殊克制：8级可主动击败对方1级
+const CLASSIC_SPECIAL_RULES = [
+    {
+        attackerId: 'tiger_8',
+        defenderId: 'dragon_1',
+        ruleType: 'king_tiger_vs_dragon_king',
+        reason: '特殊规则：小王虎击败龙王'
+    },
+    {
+        attackerId: 'dragon_8',
+        defenderId: 'tiger_1',
+        ruleType: 'transform_dragon_vs_tiger_king',
+        reason: '特殊规则：变形龙击败虎王'
+    }
+];
+
+// 经典规则的基础例外：1级不能吃8级（防守方获胜）
+const CLASSIC_LEVEL_EXCEPTIONS = [
+    { attackerLevel: 1, defenderLevel: 8 },
+    { attackerLevel: 8, defenderLevel: 1 }
+];
+
+// 已注册的规则集工厂
+const registry = new Map();
+
+export class RuleSet {
+    /**
+     * 构造函数
+     * @param {Object} config - 规则配置
+     * @param {string} config.name - 规则集名称
+     * @param {Object} config.board - 棋盘几何：{ rows, cols, emptyRows }
+     * @param {Array} config.roster - 卡牌阵容：[{ faction, level }]
+     * @param {Object} config.battle - 战斗矩阵：{ specialRules, levelExceptions, tieRule }
+     * @param {Object} config.movement - 移动规则：{ directions, allowAttack }
+     * @param {Object} config.winConditions - 胜负条件：{ annihilation, finalDuel, stalemate, repetition, noCaptureLimit }
+     */
+    constructor(config = {}) {
+        this.name = config.name || 'custom';
+        this.displayName = config.displayName || this.name;
+
+        this.board = {
+            rows: 5,
+            cols: 4,
+            emptyRows: [2],
+            ...config.board
+        };
+
+        this.roster = (config.roster || RuleSet.createClassicRoster()).map(entry => ({ ...entry }));
+
+        this.battle = {
+            specialRules: CLASSIC_SPECIAL_RULES,
+            levelExceptions: CLASSIC_LEVEL_EXCEPTIONS,
+            tieRule: 'mutual', // mutual: 同归于尽 | defender: 防守方存活 | attacker: 攻击方存活
+            ...config.battle
+        };
+
+        this.movement = {
+            directions: ORTHOGONAL_DIRECTIONS,
+            allowAttack: true,
+            ...config.movement
+        };
+
+        this.winConditions = {
+            annihilation: true,
+            finalDuel: true,      // 最后一对一按战斗规则裁决
+            stalemate: true,      // 行动方无可执行的动作时判平
+            repetition: 3,        // 卡牌全部翻开后同一局面出现该次数时判平，0 表示不启用
+            noCaptureLimit: 40,   // 卡牌全部翻开后连续该步数没有战斗或翻牌时判平，0 表示不启用
+            ...config.winConditions
+        };
+
+        this.validate();
+    }
+
+    /**
+     * 验证规则配置
+     * @throws {Error} 同级规则无效、阵容有重复卡牌或超过棋盘容量时
+     */
+    validate() {
+        if (!['mutual', 'defender', 'attacker'].includes(this.battle.tieRule)) {
+            throw new Error(`无效的同级规则: ${this.battle.tieRule}`);
+        }
+
+        // 卡牌id由阵营和等级组成，重复的卡牌会使id冲突
+        const seen = new Set();
+        this.roster.forEach(({ faction, level }) => {
+            const id = `${faction}_${level}`;
+            if (seen.has(id)) {
+                throw new Error(`阵容中有重复的卡牌: ${id}`);
+            }
+            seen.add(id);
+        });
+
+        const capacity = this.getPlacementPositions().length;
+        if (this.roster.length > capacity) {
+            throw new Error(`阵容的${this.roster.length}张卡牌超过棋盘的${capacity}个可放置位置`);
+        }
+    }
+
+    /**
+     * 创建经典16张卡牌阵容
+     * @returns {Array} 阵容数组
+     */
+    static createClassicRoster() {
+        const roster = [];
+        ['dragon', 'tiger'].forEach(faction => {
+            for (let level = 1; level <= 8; level++) {
+                roster.push({ faction, level });
+            }
+        });
+        return roster;
+    }
+
+    /**
+     * 创建经典规则集（PRD默认规则）
+     * @param {Object} overrides - 覆盖配置，用于在经典规则上做小改动
+     * @returns {RuleSet} 规则集实例
+     */
+    static classic(overrides = {}) {
+        return new RuleSet({
+            name: 'classic',
+            displayName: '经典规则',
+            ...overrides,
+            board: { ...overrides.board },
+            battle: { ...overrides.battle },
+            movement: { ...overrides.movement },
+            winConditions: { ...overrides.winConditions }
+        });
+    }
+
+    /**
+     * 注册规则集
+     * @param {string} name - 规则集名称
+     * @param {Function} factory - 返回RuleSet实例的工厂函数
+     */
+    static register(name, factory) {
+        registry.set(name, factory);
+    }
+
+    /**
+     * 获取已注册的规则集名称
+     * @returns {Array} 名称数组
+     */
+    static getRegisteredNames() {
+        return [...registry.keys()];
+    }
+
+    /**
+     * 解析规则集参数
+     * @param {RuleSet|string|Object|null} ruleSet - 规则集实例、注册名或配置对象
+     * @returns {RuleSet} 规则集实例
+     */
+    static resolve(ruleSet) {
+        if (!ruleSet) {
+            return RuleSet.classic();
+        }
+        if (ruleSet instanceof RuleSet) {
+            return ruleSet;
+        }
+        if (typeof ruleSet === 'string') {
+            const factory = registry.get(ruleSet);
+            if (!factory) {
+                throw new Error(`未知的规则集: ${ruleSet}`);
+            }
+            return factory();
+        }
+        return new RuleSet(ruleSet);
+    }
+
+    // ========== 棋盘几何 ==========
+
+    /**
+     * 检查位置是否在棋盘范围内
+     * @param {number} row - 行坐标
+     * @param {number} col - 列坐标
+     * @returns {boolean} 是否有效
+     */
+    isValidPosition(row, col) {
+        return row >= 0 && row < this.board.rows && col >= 0 && col < this.board.cols;
+    }
+
+    /**
+     * 检查是否为空行（开局不放置卡牌的行）
+     * @param {number} row - 行坐标
+     * @returns {boolean} 是否为空行
+     */
+    isEmptyRow(row) {
+        return this.board.emptyRows.includes(row);
+    }
+
+    /**
+     * 创建空棋盘
+     * 空行填充null，可放置区域填充undefined
+     * @returns {Array} 二维数组棋盘
+     */
+    createEmptyBoard() {
+        return Array(this.board.rows).fill(null).map((_, row) =>
+            Array(this.board.cols).fill(this.isEmptyRow(row) ? null : undefined)
+        );
+    }
+
+    /**
+     * 获取开局可放置卡牌的位置
+     * @returns {Array} 位置数组
+     */
+    getPlacementPositions() {
+        const positions = [];
+        for (let row = 0; row < this.board.rows; row++) {
+            if (this.isEmptyRow(row)) continue;
+            for (let col = 0; col < this.board.cols; col++) {
+                positions.push({ row, col });
+            }
+        }
+        return positions;
+    }
+
+    // ========== 移动规则 ==========
+
+    /**
+     * 获取一步可达的相邻位置
+     * @param {number} row - 行坐标
+     * @param {number} col - 列坐标
+     * @returns {Array} 相邻位置数组
+     */
+    getAdjacentPositions(row, col) {
+        return this.movement.directions
+            .map(dir => ({ row: row + dir.row, col: col + dir.col }))
+            .filter(pos => this.isValidPosition(pos.row, pos.col));
+    }
+
+    /**
+     * 检查两个位置是否一步可达
+     * @param {number} fromRow - 起始行
+     * @param {number} fromCol - 起始列
+     * @param {number} toRow - 目标行
+     * @param {number} toCol - 目标列
+     * @returns {boolean} 是否可达
+     */
+    isAdjacent(fromRow, fromCol, toRow, toCol) {
+        return this.movement.directions.some(dir =>
+            fromRow + dir.row === toRow && fromCol + dir.col === toCol
+        );
+    }
+
+    /**
+     * 检查卡牌能否进入目标格子
+     * @param {Card} movingCard - 移动的卡牌
+     * @param {Card|null|undefined} targetCard - 目标格子上的卡牌
+     * @returns {boolean} 是否允许
+     */
+    canEnter(movingCard, targetCard) {
+        if (!movingCard || !movingCard.isRevealed) {
+            return false;
+        }
+
+        // 空位可以移动
+        if (!targetCard) {
+            return true;
+        }
+
+        // 未翻开的卡牌和己方卡牌都不能进入
+        if (!targetCard.isRevealed || targetCard.faction === movingCard.faction) {
+            return false;
+        }
+
+        // 敌方卡牌：是否允许攻击
+        return this.movement.allowAttack;
+    }
+
+    // ========== 战斗矩阵 ==========
+
+    /**
+     * 查找适用的特殊规则
+     * @param {Card} attackerCard - 攻击方
+     * @param {Card} defenderCard - 防守方
+     * @returns {Object|null} 特殊规则或null
+     */
+    findSpecialRule(attackerCard, defenderCard) {
+        return this.battle.specialRules.find(rule =>
+            rule.attackerId === attackerCard.id && rule.defenderId === defenderCard.id
+        ) || null;
+    }
+
+    /**
+     * 检查是否命中基础规则例外（攻击方无法击败防守方）
+     * @param {Card} attackerCard - 攻击方
+     * @param {Card} defenderCard - 防守方
+     * @returns {boolean} 是否命中
+     */
+    isLevelException(attackerCard, defenderCard) {
+        return this.battle.levelExceptions.some(exception =>
+            exception.attackerLevel === attackerCard.level &&
+            exception.defenderLevel === defenderCard.level
+        );
+    }
+
+    /**
+     * 计算战斗结果（不产生副作用）
+     * @param {Card} attackerCard - 攻击方
+     * @param {Card} defenderCard - 防守方
+     * @returns {Object} { winner: attacker|defender|draw, eliminated: Array<attacker|defender>, basis, specialRule }
+     */
+    getBattleOutcome(attackerCard, defenderCard) {
+        const specialRule = this.findSpecialRule(attackerCard, defenderCard);
+        if (specialRule) {
+            return { winner: 'attacker', eliminated: ['defender'], basis: 'special', specialRule };
+        }
+
+        return this.getBasicOutcome(attackerCard, defenderCard);
+    }
+
+    /**
+     * 计算基础战斗结果（等级比较，含例外和同级处理，不考虑特殊规则）
+     * @param {Card} attackerCard - 攻击方
+     * @param {Card} defenderCard - 防守方
+     * @returns {Object} 同 getBattleOutcome，basis 为 exception | level | tie
+     */
+    getBasicOutcome(attackerCard, defenderCard) {
+        if (this.isLevelException(attackerCard, defenderCard)) {
+            return { winner: 'defender', eliminated: ['attacker'], basis: 'exception', specialRule: null };
+        }
+
+        // 等级越低越强
+        if (attackerCard.level < defenderCard.level) {
+            return { winner: 'attacker', eliminated: ['defender'], basis: 'level', specialRule: null };
+        }
+        if (attackerCard.level > defenderCard.level) {
+            return { winner: 'defender', eliminated: ['attacker'], basis: 'level', specialRule: null };
+        }
+
+        // 同等级
+        switch (this.battle.tieRule) {
+            case 'defender':
+                return { winner: 'defender', eliminated: ['attacker'], basis: 'tie', specialRule: null };
+            case 'attacker':
+                return { winner: 'attacker', eliminated: ['defender'], basis: 'tie', specialRule: null };
+            default:
+                return { winner: 'draw', eliminated: ['attacker', 'defender'], basis: 'tie', specialRule: null };
+        }
+    }
+
+    // ========== 胜负条件 ==========
+
+    /**
+     * 检查游戏是否结束
+     * @param {GameState} gameState - 游戏状态
+     * @returns {Object} 胜负检查结果
+     */
+    checkWinCondition(gameState) {
+        // 如果阵营还未确定，游戏继续
+        if (!gameState.playerFaction || !gameState.aiFaction) {
+            return { isGameOver: false, winner: null, reason: '游戏继续' };
+        }
+
+        // 获取所有存活的卡牌（在棋盘上且未被消灭的）
+        const allPlayerCards = gameState.getCardsOnBoard().filter(card =>
+            card.faction === gameState.playerFaction
+        );
+        const allAICards = gameState.getCardsOnBoard().filter(card =>
+            card.faction === gameState.aiFaction
+        );
+
+        // 一方全部卡牌被消灭（基于存活卡牌数量，而不是已翻开的卡牌）
+        if (this.winConditions.annihilation) {
+            if (allPlayerCards.length === 0 && allAICards.length === 0) {
+                return { isGameOver: true, winner: 'draw', reason: '双方同归于尽' };
+            } else if (allPlayerCards.length === 0) {
+                return { isGameOver: true, winner: 'ai', reason: '玩家卡牌全部被消灭' };
+            } else if (allAICards.length === 0) {
+                return { isGameOver: true, winner: 'player', reason: 'AI卡牌全部被消灭' };
+            }
+        }
+
+        // 最终对决：各剩一张已翻开的牌，且没有未翻开的牌
+        if (this.winConditions.finalDuel) {
+            const revealedPlayerCards = gameState.getRevealedCards('player');
+            const revealedAICards = gameState.getRevealedCards('ai');
+            const unrevealedPositions = gameState.getUnrevealedPositions();
+
+            if (revealedPlayerCards.length === 1 && revealedAICards.length === 1 && unrevealedPositions.length === 0) {
+                return this.resolveFinalDuel(revealedPlayerCards[0], revealedAICards[0]);
+            }
+        }
+
+        return this.checkDrawCondition(gameState);
+    }
+
+    /**
+     * 按战斗规则裁决最后的一对一：无论谁先攻击都能获胜的一方胜，否则平局
+     * @param {Card} playerCard - 玩家的最后一张牌
+     * @param {Card} aiCard - AI的最后一张牌
+     * @returns {Object} 胜负检查结果
+     */
+    resolveFinalDuel(playerCard, aiCard) {
+        const playerAttacks = this.getBattleOutcome(playerCard, aiCard).winner;
+        const aiAttacks = this.getBattleOutcome(aiCard, playerCard).winner;
+
+        if (playerAttacks === 'attacker' && aiAttacks === 'defender') {
+            return { isGameOver: true, winner: 'player', reason: `最终对决：${playerCard.name}克制${aiCard.name}` };
+        }
+        if (aiAttacks === 'attacker' && playerAttacks === 'defender') {
+            return { isGameOver: true, winner: 'ai', reason: `最终对决：${aiCard.name}克制${playerCard.name}` };
+        }
+        if (playerAttacks === 'draw' && aiAttacks === 'draw') {
+            return { isGameOver: true, winner: 'draw', reason: '最终对决：最后两张牌等级相同' };
+        }
+        return { isGameOver: true, winner: 'draw', reason: '最终对决：双方都无法稳胜' };
+    }
+
+    /**
+     * 检查无进展平局：行动方无可执行的动作、同一局面重复出现、长时间没有战斗或翻牌
+     * 重复局面和无战斗步数只在棋盘上的卡牌全部翻开后判平：还有暗牌时随时可以翻牌打破僵局
+     * @param {GameState} gameState - 游戏状态
+     * @returns {Object} 胜负检查结果
+     */
+    checkDrawCondition(gameState) {
+        const { stalemate, repetition, noCaptureLimit } = this.winConditions;
+
+        if (stalemate && gameState.lastMover) {
+            const nextPlayer = gameState.lastMover === 'player' ? 'ai' : 'player';
+            if (!this.hasLegalAction(gameState, nextPlayer)) {
+                return { isGameOver: true, winner: 'draw', reason: '场上无法继续进行有效动作' };
+            }
+        }
+
+        if (gameState.getUnrevealedPositions().length > 0) {
+            return { isGameOver: false, winner: null, reason: '游戏继续' };
+        }
+
+        if (repetition > 0 && gameState.getRepetitionCount() >= repetition) {
+            return { isGameOver: true, winner: 'draw', reason: `同一局面重复出现${repetition}次` };
+        }
+
+        if (noCaptureLimit > 0 && gameState.noCaptureMoves >= noCaptureLimit) {
+            return { isGameOver: true, winner: 'draw', reason: `连续${noCaptureLimit}步没有战斗或翻牌` };
+        }
+
+        return { isGameOver: false, winner: null, reason: '游戏继续' };
+    }
+
+    /**
+     * 检查一方是否还有可执行的动作（翻牌或移动/攻击）
+     * @param {GameState} gameState - 游戏状态
+     * @param {string} player - player | ai
+     * @returns {boolean} 是否有可执行的动作
+     */
+    hasLegalAction(gameState, player) {
+        return generateLegalActions(gameState, player).length > 0;
+    }
+
+    // ========== 序列化 ==========
+
+    /**
+     * 转换为JSON对象
+     * @returns {Object} JSON表示
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            displayName: this.displayName,
+            board: { ...this.board, emptyRows: [...this.board.emptyRows] },
+            roster: this.roster.map(entry => ({ ...entry })),
+            battle: {
+                ...this.battle,
+                specialRules: this.battle.specialRules.map(rule => ({ ...rule })),
+                levelExceptions: this.battle.levelExceptions.map(exception => ({ ...exception }))
+            },
+            movement: {
+                ...this.movement,
+                directions: this.movement.directions.map(dir => ({ ...dir }))
+            },
+            winConditions: { ...this.winConditions }
+        };
+    }
+
+    /**
+     * 从JSON对象创建RuleSet实例
+     * @param {Object} json - JSON对象
+     * @returns {RuleSet} RuleSet实例
+     */
+    static fromJSON(json) {
+        return new RuleSet(json);
+    }
+}
+
+RuleSet.register('classic', () => RuleSet.classic());
@@ -0,0 +1,290 @@
+/**
+ * SaveManager类 - 存档管理
+ * 管理自动存档位和玩家命名的存档位。每份存档带版本号、校验和与摘要（回合数、阵营、子力、棋盘缩略图），
+ * 旧版本的存档读取时逐级迁移到当前版本；解析失败、校验和不符或局面数据无效的存档报告为损坏，不会让读档崩溃。
+ *
+ * 存储布局：自动存档沿用旧版单一存档的键（dragon_tiger_save），旧存档升级后即为自动存档；
+ * 命名存档位的键为 dragon_tiger_save:<存档位>。
+ */
+
+import { GameState } from './GameState.js';
+
+// 当前存档版本
+export const SAVE_VERSION = 2;
+
+// 自动存档位（每回合结束后覆盖）
+export const AUTO_SLOT = 'auto';
+
+const DEFAULT_KEY = 'dragon_tiger_save';
+const SLOT_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// 存档错误码
+export const SAVE_ERROR_CODES = {
+    STORAGE_UNAVAILABLE: '存储不可用',
+    INVALID_SLOT: '无效的存档位',
+    SAVE_NOT_FOUND: '存档不存在',
+    SAVE_CORRUPTED: '存档已损坏',
+    UNSUPPORTED_VERSION: '不支持的存档版本',
+    SAVE_FAILED: '保存失败'
+};
+
+// 存档迁移：MIGRATIONS[n] 把版本 n 的存档升级到版本 n + 1
+const MIGRATIONS = {
+    // 版本1：旧版单一存档，没有版本号、校验和与摘要
+    1: save => ({ ...save, version: 2, name: '自动存档', summary: SaveManager.summarize(save.gameState) })
+};
+
+export class SaveManager {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {Storage} options.storage - 存储，默认 localStorage，null 表示不可用
+     * @param {string} options.key - 自动存档的键，命名存档位在其后加 :<存档位>
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : SaveManager.getDefaultStorage();
+        this.key = options.key || DEFAULT_KEY;
+    }
+
+    /**
+     * 浏览器的 localStorage（Node 或隐私模式下不可用时为null）
+     * @returns {Storage|null}
+     */
+    static getDefaultStorage() {
+        try {
+            return globalThis.localStorage || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 创建错误对象（与 GameEngine.createError 格式一致）
+     * @param {string} code - 错误码
+     * @param {Object} details - 详细信息
+     * @returns {Object} { success: false, error: { code, message, details } }
+     */
+    static createError(code, details = {}) {
+        return {
+            success: false,
+            error: {
+                code,
+                message: SAVE_ERROR_CODES[code] || '未知错误',
+                details
+            }
+        };
+    }
+
+    /**
+     * 存档位对应的存储键
+     * @param {string} slot - 存档位
+     * @returns {string} 存储键
+     */
+    getSlotKey(slot) {
+        return slot === AUTO_SLOT ? this.key : `${this.key}:${slot}`;
+    }
+
+    /**
+     * 保存到存档位（覆盖已有存档）
+     * @param {string} slot - 存档位：auto 或字母、数字、_、- 组成的名称
+     * @param {Object} payload - 存档内容，至少包含 gameState（GameState.toJSON 的结果）
+     * @param {Object} options - 配置项
+     * @param {string} options.name - 显示名称，默认沿用该存档位原来的名称
+     * @returns {Object} 操作结果：data 为存档信息（见 list）
+     */
+    save(slot, payload, options = {}) {
+        if (!this.storage) {
+            return SaveManager.createError('STORAGE_UNAVAILABLE');
+        }
+        if (slot !== AUTO_SLOT && !SLOT_PATTERN.test(slot)) {
+            return SaveManager.createError('INVALID_SLOT', { slot });
+        }
+
+        const previous = this.read(slot);
+        const save = {
+            ...payload,
+            version: SAVE_VERSION,
+            name: options.name || (previous.success ? previous.data.name : null) ||
+                (slot === AUTO_SLOT ? '自动存档' : `存档 ${slot}`),
+            summary: SaveManager.summarize(payload.gameState)
+        };
+        const text = JSON.stringify(save);
+
+        try {
+            this.storage.setItem(this.getSlotKey(slot), JSON.stringify({ ...save, checksum: SaveManager.checksum(text) }));
+        } catch (error) {
+            // 通常是存储空间已满
+            return SaveManager.createError('SAVE_FAILED', { slot, originalError: error.message });
+        }
+        return { success: true, data: SaveManager.describe(slot, save) };
+    }
+
+    /**
+     * 读取存档位：校验、迁移到当前版本并检查局面数据
+     * @param {string} slot - 存档位
+     * @returns {Object} 操作结果：data 为存档内容（含 version、name、summary）
+     */
+    load(slot) {
+        return this.read(slot);
+    }
+
+    /**
+     * 删除存档位
+     * @param {string} slot - 存档位
+     * @returns {boolean} 是否删除了存档
+     */
+    remove(slot) {
+        if (!this.storage || this.storage.getItem(this.getSlotKey(slot)) === null) {
+            return false;
+        }
+        this.storage.removeItem(this.getSlotKey(slot));
+        return true;
+    }
+
+    /**
+     * 列出所有存档位，最近保存的在前；损坏的存档也会列出（corrupted 为 true），便于界面提示和删除
+     * @returns {Array<Object>} [{ slot, name, timestamp, mode, summary, corrupted }]
+     */
+    list() {
+        if (!this.storage) return [];
+
+        const prefix = `${this.key}:`;
+        const slots = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key === this.key) {
+                slots.push(AUTO_SLOT);
+            } else if (key && key.startsWith(prefix)) {
+                slots.push(key.slice(prefix.length));
+            }
+        }
+
+        return slots.map(slot => {
+            const result = this.read(slot);
+            return result.success ? SaveManager.describe(slot, result.data) :
+                { slot, name: slot === AUTO_SLOT ? '自动存档' : `存档 ${slot}`, timestamp: null, mode: null, summary: null, corrupted: true };
+        }).sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+    }
+
+    /**
+     * 读取并检查存档
+     * @param {string} slot - 存档位
+     * @returns {Object} 操作结果
+     */
+    read(slot) {
+        if (!this.storage) {
+            return SaveManager.createError('STORAGE_UNAVAILABLE');
+        }
+
+        const text = this.storage.getItem(this.getSlotKey(slot));
+        if (text === null || text === undefined) {
+            return SaveManager.createError('SAVE_NOT_FOUND', { slot });
+        }
+
+        let save;
+        try {
+            save = JSON.parse(text);
+        } catch (error) {
+            return SaveManager.createError('SAVE_CORRUPTED', { slot, reason: '无法解析存档' });
+        }
+        if (!save || typeof save !== 'object') {
+            return SaveManager.createError('SAVE_CORRUPTED', { slot, reason: '存档不是对象' });
+        }
+
+        // 版本2起带校验和，内容被截断或改动时不一致
+        const { checksum, ...content } = save;
+        const version = content.version ?? 1;
+        if (version >= 2 && checksum !== SaveManager.checksum(JSON.stringify(content))) {
+            return SaveManager.createError('SAVE_CORRUPTED', { slot, reason: '校验和不符' });
+        }
+        if (!Number.isInteger(version) || version < 1 || version > SAVE_VERSION) {
+            return SaveManager.createError('UNSUPPORTED_VERSION', { slot, version });
+        }
+
+        const errors = GameState.validateJSON(content.gameState);
+        if (errors.length > 0) {
+            return SaveManager.createError('SAVE_CORRUPTED', { slot, reason: errors.join('；') });
+        }
+
+        return { success: true, data: SaveManager.migrate(content) };
+    }
+
+    /**
+     * 把存档逐级迁移到当前版本
+     * @param {Object} save - 存档内容（不含校验和）
+     * @returns {Object} 当前版本的存档内容
+     */
+    static migrate(save) {
+        let migrated = { ...save, version: save.version ?? 1 };
+        while (migrated.version < SAVE_VERSION) {
+            migrated = MIGRATIONS[migrated.version](migrated);
+        }
+        return migrated;
+    }
+
+    /**
+     * 存档列表中显示的信息
+     * @param {string} slot - 存档位
+     * @param {Object} save - 存档内容
+     * @returns {Object} { slot, name, timestamp, mode, summary, corrupted: false }
+     */
+    static describe(slot, save) {
+        return {
+            slot,
+            name: save.name,
+            timestamp: save.timestamp || null,
+            mode: save.mode || 'ai',
+            summary: save.summary,
+            corrupted: false
+        };
+    }
+
+    /**
+     * 生成局面摘要：回合数、阵营、双方剩余子力和棋盘缩略图
+     * @param {Object} gameState - GameState.toJSON 的结果
+     * @returns {Object} { phase, turn, currentPlayer, winner, playerFaction, aiFaction, material, thumbnail }
+     *   material 为各阵营 { cards: 剩余张数, revealed: 已翻开张数 }；
+     *   thumbnail 为按行排列的格子：null 无牌，'?' 未翻开，否则为阵营首字母加等级（如 'D1'、'T8'）
+     */
+    static summarize(gameState) {
+        const board = gameState.ruleSet?.board || { rows: 5, cols: 4 };
+        const thumbnail = Array.from({ length: board.rows }, () => Array(board.cols).fill(null));
+        const material = { dragon: { cards: 0, revealed: 0 }, tiger: { cards: 0, revealed: 0 } };
+
+        gameState.cardsData.forEach(card => {
+            const { row, col } = card.position;
+            if (row < 0 || col < 0) return;
+
+            material[card.faction].cards += 1;
+            if (card.isRevealed) {
+                material[card.faction].revealed += 1;
+            }
+            thumbnail[row][col] = card.isRevealed ? `${card.faction === 'dragon' ? 'D' : 'T'}${card.level}` : '?';
+        });
+
+        return {
+            phase: gameState.phase,
+            turn: (gameState.gameLog || []).filter(entry => entry.type === 'flip' || entry.type === 'move').length,
+            currentPlayer: gameState.currentPlayer,
+            winner: gameState.winner ?? null,
+            playerFaction: gameState.playerFaction ?? null,
+            aiFaction: gameState.aiFaction ?? null,
+            material,
+            thumbnail
+        };
+    }
+
+    /**
+     * 计算校验和（FNV-1a 32位）
+     * @param {string} text - 文本
+     * @returns {string} 8位十六进制字符串
+     */
+    static checksum(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * TimeControl - 对局计时
+ * 支持每步限时（perMove）和棋钟（initial 总时间 + 每步 increment 加秒），两者可同时使用。
+ * 计时状态是 GameState.clock 中的普通对象，随局面克隆、序列化和存档；本类只提供操作这份状态的静态方法，
+ * 由 GameEngine 在行动前后驱动。
+ *
+ * 计时状态：{ config, remaining: { player, ai }, moveElapsed, runningSince }
+ *   remaining     各方棋钟剩余时间（毫秒，不含当前这步已用的时间），不使用棋钟时为 null
+ *   moveElapsed   当前行动方这一步在暂停前已用的时间
+ *   runningSince  本段计时开始的时间戳，暂停时为 null
+ */
+
+// 预设：bullet 1分钟、blitz 3分钟每步加2秒、rapid 10分钟每步加5秒
+export const TIME_CONTROL_PRESETS = {
+    bullet: { initial: 60000, increment: 0 },
+    blitz: { initial: 180000, increment: 2000 },
+    rapid: { initial: 600000, increment: 5000 }
+};
+
+// 超时处理：loss 超时判负；auto 每步限时用完时代为随机行动（棋钟用完仍判负）
+const TIMEOUT_ACTIONS = ['loss', 'auto'];
+
+export class TimeControl {
+    /**
+     * 解析计时配置
+     * @param {string|Object|null} config - 预设名，或 { initial, increment, perMove, onTimeout }（毫秒）
+     * @returns {Object|null} 规范化的配置，不计时返回 null
+     */
+    static resolve(config) {
+        if (config === null || config === undefined || config === false || config === 'none') {
+            return null;
+        }
+        if (typeof config === 'string') {
+            if (!TIME_CONTROL_PRESETS[config]) {
+                throw new Error(`未知的计时预设: ${config}`);
+            }
+            config = TIME_CONTROL_PRESETS[config];
+        }
+
+        const resolved = {
+            initial: config.initial ?? null,
+            increment: config.increment ?? 0,
+            perMove: config.perMove ?? null,
+            onTimeout: config.onTimeout || 'loss'
+        };
+
+        if (resolved.initial === null && resolved.perMove === null) {
+            throw new Error('计时配置至少需要 initial 或 perMove');
+        }
+        [['initial', resolved.initial], ['perMove', resolved.perMove]].forEach(([name, value]) => {
+            if (value !== null && !(value > 0)) {
+                throw new Error(`计时配置 ${name} 必须是正数`);
+            }
+        });
+        if (!(resolved.increment >= 0)) {
+            throw new Error('计时配置 increment 不能为负数');
+        }
+        if (!TIMEOUT_ACTIONS.includes(resolved.onTimeout)) {
+            throw new Error(`无效的超时处理: ${resolved.onTimeout}`);
+        }
+        return resolved;
+    }
+
+    /**
+     * 创建新对局的计时状态（未开始计时）
+     * @param {Object} config - resolve 的结果
+     * @returns {Object} 计时状态
+     */
+    static createClock(config) {
+        return {
+            config: { ...config },
+            remaining: { player: config.initial, ai: config.initial },
+            moveElapsed: 0,
+            runningSince: null
+        };
+    }
+
+    /**
+     * 当前行动方这一步已用的时间
+     * @param {Object} clock - 计时状态
+     * @param {number} now - 当前时间戳
+     * @returns {number} 毫秒
+     */
+    static getElapsed(clock, now = Date.now()) {
+        return clock.moveElapsed + (clock.runningSince === null ? 0 : Math.max(0, now - clock.runningSince));
+    }
+
+    /**
+     * 各方剩余时间
+     * @param {Object} clock - 计时状态
+     * @param {string} seat - 当前行动方
+     * @param {number} now - 当前时间戳
+     * @returns {Object} { seat, running, remaining: { player, ai }, moveRemaining }，未使用的项为 null
+     */
+    static getStatus(clock, seat, now = Date.now()) {
+        const elapsed = TimeControl.getElapsed(clock, now);
+        const remaining = { ...clock.remaining };
+        if (remaining[seat] !== null && remaining[seat] !== undefined) {
+            remaining[seat] = Math.max(0, remaining[seat] - elapsed);
+        }
+
+        return {
+            seat,
+            running: clock.runningSince !== null,
+            remaining,
+            moveRemaining: clock.config.perMove === null ? null : Math.max(0, clock.config.perMove - elapsed)
+        };
+    }
+
+    /**
+     * 行动方距离超时还有多久（棋钟与每步限时取先到者）
+     * @param {Object} clock - 计时状态
+     * @param {string} seat - 当前行动方
+     * @param {number} now - 当前时间戳
+     * @returns {number} 毫秒
+     */
+    static getTimeLeft(clock, seat, now = Date.now()) {
+        const status = TimeControl.getStatus(clock, seat, now);
+        return Math.min(...[status.remaining[seat], status.moveRemaining].filter(value => value !== null));
+    }
+
+    /**
+     * 超时的是每步限时（而不是棋钟）
+     * @param {Object} clock - 计时状态
+     * @param {string} seat - 当前行动方
+     * @param {number} now - 当前时间戳
+     * @returns {boolean}
+     */
+    static isMoveTimeout(clock, seat, now = Date.now()) {
+        const status = TimeControl.getStatus(clock, seat, now);
+        return status.moveRemaining === 0 && status.remaining[seat] !== 0;
+    }
+
+    /**
+     * 开始或继续计时
+     * @param {Object} clock - 计时状态
+     * @param {number} now - 当前时间戳
+     */
+    static start(clock, now = Date.now()) {
+        if (clock.runningSince === null) {
+            clock.runningSince = now;
+        }
+    }
+
+    /**
+     * 暂停计时，已用时间计入这一步
+     * @param {Object} clock - 计时状态
+     * @param {number} now - 当前时间戳
+     */
+    static pause(clock, now = Date.now()) {
+        clock.moveElapsed = TimeControl.getElapsed(clock, now);
+        clock.runningSince = null;
+    }
+
+    /**
+     * 行动完成：扣除这一步用的时间并加秒，开始为下一步计时
+     * @param {Object} clock - 计时状态
+     * @param {string} seat - 刚行动的一方
+     * @param {number} now - 当前时间戳
+     */
+    static completeMove(clock, seat, now = Date.now()) {
+        if (clock.remaining[seat] !== null) {
+            clock.remaining[seat] = Math.max(0, clock.remaining[seat] - TimeControl.getElapsed(clock, now)) +
+                clock.config.increment;
+        }
+        clock.moveElapsed = 0;
+        if (clock.runningSince !== null) {
+            clock.runningSince = now;
+        }
+    }
+
+    /**
+     * 复制计时状态
+     * @param {Object|null} clock - 计时状态
+     * @returns {Object|null} 副本
+     */
+    static clone(clock) {
+        return clock ? { ...clock, config: { ...clock.config }, remaining: { ...clock.remaining } } : null;
+    }
+
+    /**
+     * 转为JSON：已用时间折算进 moveElapsed，running 记录序列化时是否在计时。
+     * 不传 now 时只折算到开始计时的行动时间戳，同一局面的结果与调用时刻无关
+     * @param {Object|null} clock - 计时状态
+     * @param {number} now - 折算到的时间戳（存档和在线推送传当前时间）
+     * @returns {Object|null} { config, remaining, moveElapsed, running }
+     */
+    static toJSON(clock, now) {
+        if (!clock) return null;
+        return {
+            config: { ...clock.config },
+            remaining: { ...clock.remaining },
+            moveElapsed: TimeControl.getElapsed(clock, now ?? clock.runningSince ?? 0),
+            running: clock.runningSince !== null
+        };
+    }
+
+    /**
+     * 从JSON恢复计时状态（处于暂停状态，由引擎决定何时继续）
+     * @param {Object|null} json - toJSON 的结果
+     * @returns {Object|null} 计时状态
+     */
+    static fromJSON(json) {
+        if (!json) return null;
+        return {
+            config: TimeControl.resolve(json.config),
+            remaining: { player: json.remaining?.player ?? null, ai: json.remaining?.ai ?? null },
+            moveElapsed: json.moveElapsed || 0,
+            runningSince: null
+        };
+    }
+
+    /**
+     * 互换双方的剩余时间（SeatEngine.mirrorState 使用）
+     * @param {Object|null} clock - 计时状态
+     * @returns {Object|null} 互换后的副本
+     */
+    static mirror(clock) {
+        const mirrored = TimeControl.clone(clock);
+        if (mirrored) {
+            mirrored.remaining = { player: clock.remaining.ai, ai: clock.remaining.player };
+        }
+        return mirrored;
+    }
+
+    /**
+     * 格式化剩余时间
+     * @param {number|null} ms - 毫秒
+     * @returns {string} m:ss，不足10秒时显示一位小数，null 返回 --:--
+     */
+    static format(ms) {
+        if (ms === null || ms === undefined) return '--:--';
+        if (ms < 10000) return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
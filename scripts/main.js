@@ -49,7 +49,12 @@ class DragonTigerGame {
             this.updateLoadingProgress(60, '初始化游戏引擎...');
             
             // 初始化游戏引擎
-            this.gameEngine = new GameEngine();
+            this.gameEngine = new GameEngine({
+                aiPlayer: window.DRAGON_TIGER_CONFIG.aiPlayer,
+                mode: window.DRAGON_TIGER_CONFIG.mode,
+                autoSave: true,
+                recordProfile: true
+            });
             this.updateLoadingProgress(80, '初始化用户界面...');
             
             // 初始化UI管理器
@@ -146,7 +151,9 @@ class DragonTigerGame {
             version: '1.0.0',
             debug: localStorage.getItem('dragon_tiger_debug') === 'true',
             performance: localStorage.getItem('dragon_tiger_performance') === 'true',
-            sound: localStorage.getItem('dragon_tiger_sound') !== 'false'
+            sound: localStorage.getItem('dragon_tiger_sound') !== 'false',
+            aiPlayer: localStorage.getItem('dragon_tiger_ai') || 'enhanced',
+            mode: localStorage.getItem('dragon_tiger_mode') || 'ai' // ai: 人机对战 | hotseat: 双人同屏
         };
 
         // 防止文本选择
@@ -400,6 +407,10 @@ class DragonTigerGame {
         if (this.uiManager?.animationController) {
             this.uiManager.animationController.stopAllAnimations();
         }
+        // 手机浏览器可能在后台回收标签页，先把本地对局存到自动存档
+        if (this.gameEngine?.mode !== 'online' && this.gameEngine?.gameState.phase === 'playing') {
+            this.gameEngine.saveGame();
+        }
         this.logger.log('⏸️ 游戏已暂停');
     }
 
@@ -407,6 +418,10 @@ class DragonTigerGame {
      * 恢复游戏
      */
     resumeGame() {
+        // 在线对战：页面隐藏期间连接可能已被系统断开，立即重连回到对局
+        if (this.gameEngine?.mode === 'online' && this.gameEngine.session && !this.gameEngine.isConnected()) {
+            this.gameEngine.reconnect();
+        }
         this.logger.log('▶️ 游戏已恢复');
     }
 
@@ -585,7 +600,14 @@ class DragonTigerGame {
                         this.logger.log(`AI难度设置为: ${difficulty || 'medium'}`);
                     }
                 },
+                setAIPlayer: (type, difficulty) => {
+                    this.gameEngine?.setAIPlayer(type, difficulty);
+                    localStorage.setItem('dragon_tiger_ai', type);
+                    this.logger.log(`AI类型设置为: ${type}`);
+                },
                 getGameState: () => this.gameEngine?.gameState?.toJSON(),
+                // 在控制台直接修改局面后调用，把当前局面记入行动日志
+                recordPosition: () => this.gameEngine?.recordPosition(),
                 enableThinking: () => {
                     if (this.gameEngine?.aiPlayer) {
                         this.gameEngine.aiPlayer.enableThinkingLog = true;
@@ -0,0 +1,593 @@
+/**
+ * GameRoom类 - 在线对战房间
+ * 服务器上权威运行一局 GameEngine：两位玩家分别坐 player / ai 座位，所有翻牌和移动都由服务器上的引擎校验执行。
+ * 每位客户端只收到自己座位的观察视图（坐 ai 座位时双方身份互换，客户端始终以 player 自居），以差量形式推送。
+ * 观战者只读，收到不属于任何一方的公开视图（未翻开的卡牌对所有人都不可见）。
+ * 计时由引擎按 timeControl 执行，计时状态随局面推送。
+ * 玩家入座时得到会话令牌：连接意外断开后座位保留一段宽限期，期间计时暂停，
+ * 凭令牌重连时补发断线期间错过的消息；宽限期过后仍未重连判负
+ */
+
+import { randomBytes } from 'node:crypto';
+import { GameEngine } from '../core/GameEngine.js';
+import { ObservationView } from '../core/ObservationView.js';
+import { SeatEngine } from '../ai/SeatEngine.js';
+import { EnhancedAIPlayer } from '../ai/EnhancedAIPlayer.js';
+import { Protocol } from './Protocol.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// 转发给客户端的引擎事件（选牌只在客户端本地进行，不经过服务器）
+const FORWARDED_EVENTS = ['gameStarted', 'rpsCompleted', 'boardInitialized', 'cardFlipped', 'cardMoved', 'drawOffered', 'drawResponded', 'gameEnded', 'clockExpired'];
+
+// 观战者在 clients 中的座位标记
+const SPECTATOR = 'spectator';
+
+// 代打AI可选的难度
+export const AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const GRACE_PERIOD = 30000;         // 断线后保留座位的时间（毫秒），0 表示断线即离开
+const TIME_CONTROL = { perMove: 60000 };   // 默认每步限时60秒，超时判负
+const REPLAY_LIMIT = 256;           // 每位玩家保留的已发送消息条数，用于重连后补发
+
+/**
+ * 生成会话令牌（重连时凭令牌认领座位，由密码学安全的随机数生成，不能由邀请码或种子推出）
+ * @returns {string} 32位十六进制字符串
+ */
+function createSessionToken() {
+    return randomBytes(16).toString('hex');
+}
+
+export class GameRoom extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {string} code - 邀请码
+     * @param {Object} options - 配置项
+     * @param {number|string} options.seed - 对局随机种子
+     * @param {RuleSet|string|Object} options.ruleSet - 规则集
+     * @param {Object} options.aiOptions - 代打AI的配置（见 EnhancedAIPlayer），默认保留思考时间
+     * @param {number} options.gracePeriod - 断线后保留座位的时间（毫秒），默认30秒
+     * @param {string|Object|null} options.timeControl - 计时（见 GameEngine），默认每步限时60秒，null 表示不计时
+     */
+    constructor(code, options = {}) {
+        super();
+        this.code = code;
+        // 两个座位都是人类，复用双人对战模式；在线对局不允许悔棋
+        this.engine = new GameEngine({
+            mode: 'hotseat',
+            seed: options.seed,
+            ruleSet: options.ruleSet,
+            undo: { mode: 'never' },
+            timeControl: options.timeControl === undefined ? TIME_CONTROL : options.timeControl
+        });
+        this.seats = { player: null, ai: null };   // 座位 -> 客户端连接或代打AI，断线期间仍保留
+        this.clients = new Map();       // 在线的客户端 -> { seat, lastState, seq, token, history, client }，观战者的 seat 为 spectator
+        this.sessions = new Map();      // 真人座位 -> 同一个客户端信息（断线期间也保留）
+        this.disconnected = new Map();  // 断线中的座位 -> { info, timer, deadline }
+        this.gracePeriod = options.gracePeriod ?? GRACE_PERIOD;
+        this.pendingEvents = [];
+        this.rematchRequests = new Set();
+        this.aiOptions = { thinkingLog: false, ...options.aiOptions };
+        this.aiSeats = new Set();
+        this.aiTurnInProgress = false;
+        this.closed = false;
+
+        FORWARDED_EVENTS.forEach(name => {
+            this.engine.on(name, data => this.pendingEvents.push({ name, data }));
+        });
+        // 超时由引擎的定时器触发，不经过任何请求，需要主动推送
+        this.engine.on('clockExpired', () => this.flush());
+    }
+
+    /**
+     * 加入房间，先到的坐 player 座位
+     * @param {Object} client - 客户端连接（需实现 send(message)）
+     * @returns {Object} 操作结果：data 为 { code, seat, token }，token 用于断线重连
+     */
+    join(client) {
+        if (this.clients.has(client)) {
+            return Protocol.createError('ALREADY_IN_ROOM');
+        }
+
+        const seat = ['player', 'ai'].find(candidate => !this.seats[candidate]);
+        if (!seat) {
+            return Protocol.createError('ROOM_FULL');
+        }
+
+        const info = { seat, lastState: null, seq: 0, token: createSessionToken(), history: [], client };
+        this.seats[seat] = client;
+        this.clients.set(client, info);
+        this.sessions.set(seat, info);
+        this.emit('playerJoined', { seat });
+
+        if (this.isFull()) {
+            this.start();
+        } else {
+            this.flush();
+        }
+
+        return { success: true, data: { code: this.code, seat, token: info.token } };
+    }
+
+    /**
+     * 由AI坐下空着的座位（匹配超时后代替真人对手），客户端看到的与真人对手完全相同
+     * @param {string} difficulty - AI难度：easy | medium | hard
+     * @returns {Object} 操作结果：data 为 { code, seat }
+     */
+    addAIPlayer(difficulty = 'medium') {
+        if (!AI_DIFFICULTIES.includes(difficulty)) {
+            return Protocol.createError('INVALID_DIFFICULTY', { difficulty });
+        }
+
+        const seat = ['player', 'ai'].find(candidate => !this.seats[candidate]);
+        if (!seat) {
+            return Protocol.createError('ROOM_FULL');
+        }
+
+        this.seats[seat] = new EnhancedAIPlayer(new SeatEngine(this.engine, seat), difficulty, this.aiOptions);
+        this.aiSeats.add(seat);
+
+        if (this.isFull()) {
+            this.start();
+        }
+
+        return { success: true, data: { code: this.code, seat } };
+    }
+
+    /**
+     * 以观战者身份进入房间：立即收到当前完整局面（含对局日志），之后与玩家同步收到推送
+     * @param {Object} client - 客户端连接
+     * @returns {Object} 操作结果：data 为 { code, seat: 'spectator' }
+     */
+    addSpectator(client) {
+        if (this.clients.has(client)) {
+            return Protocol.createError('ALREADY_IN_ROOM');
+        }
+
+        const info = { seat: SPECTATOR, lastState: null, seq: 0, token: null, history: null, client };
+        this.clients.set(client, info);
+        this.sendState(info);
+        this.broadcastSpectatorCount();
+
+        return { success: true, data: { code: this.code, seat: SPECTATOR } };
+    }
+
+    /**
+     * 观战人数
+     * @returns {number}
+     */
+    getSpectatorCount() {
+        return [...this.clients.values()].filter(info => info.seat === SPECTATOR).length;
+    }
+
+    /**
+     * 通知所有人观战人数变化
+     */
+    broadcastSpectatorCount() {
+        const data = { count: this.getSpectatorCount() };
+        this.getMembers().forEach(info => {
+            this.sendTo(info, { type: 'event', name: 'spectatorsChanged', data });
+        });
+    }
+
+    /**
+     * 主动离开房间：对局进行中的玩家判负，并通知其他人；观战者离开时更新观战人数
+     * @param {Object} client - 客户端连接
+     */
+    leave(client) {
+        const info = this.clients.get(client);
+        if (!info) return;
+
+        this.clients.delete(client);
+        if (info.seat === SPECTATOR) {
+            this.broadcastSpectatorCount();
+        } else {
+            this.forfeit(info.seat, '离开房间判负');
+            this.releaseSeat(info.seat);
+        }
+        this.checkEmpty();
+    }
+
+    /**
+     * 连接意外断开：玩家的座位保留宽限期，期间计时暂停；观战者直接离开
+     * @param {Object} client - 客户端连接
+     */
+    disconnect(client) {
+        const info = this.clients.get(client);
+        if (!info) return;
+
+        if (info.seat === SPECTATOR || this.gracePeriod <= 0 || this.closed) {
+            this.leave(client);
+            return;
+        }
+
+        this.clients.delete(client);
+        info.client = null;
+        const timer = setTimeout(() => this.expireGrace(info.seat), this.gracePeriod);
+        this.disconnected.set(info.seat, { info, timer, deadline: Date.now() + this.gracePeriod });
+        if (this.engine.pauseClock()) {
+            this.flush();
+        }
+
+        this.getMembers().forEach(other => {
+            if (other === info) return;
+            this.sendTo(other, {
+                type: 'opponentDisconnected',
+                data: this.toClientData({ seat: info.seat, grace: this.gracePeriod }, other.seat)
+            });
+        });
+        this.emit('playerDisconnected', { seat: info.seat });
+    }
+
+    /**
+     * 凭会话令牌重新认领座位：补发 lastSeq 之后的消息，补不全时改发完整局面
+     * @param {Object} client - 新的客户端连接
+     * @param {string} token - 入座时得到的会话令牌
+     * @param {number} lastSeq - 客户端最后收到的消息序号，页面刷新后为0
+     * @returns {Object} 操作结果：data 为 { code, seat, token }
+     */
+    resume(client, token, lastSeq = 0) {
+        if (this.clients.has(client)) {
+            return Protocol.createError('ALREADY_IN_ROOM');
+        }
+
+        const info = [...this.sessions.values()].find(session => token && session.token === token);
+        if (!info) {
+            return Protocol.createError('SESSION_NOT_FOUND');
+        }
+
+        // 服务器还没发现旧连接断开时（如移动网络切换），由新连接接管
+        if (info.client) {
+            this.clients.delete(info.client);
+        }
+        const entry = this.disconnected.get(info.seat);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.disconnected.delete(info.seat);
+        }
+
+        info.client = client;
+        this.seats[info.seat] = client;
+        this.clients.set(client, info);
+        this.replay(info, lastSeq);
+
+        if (entry) {
+            this.getMembers().forEach(other => {
+                if (other === info) return;
+                this.sendTo(other, { type: 'opponentReconnected', data: this.toClientData({ seat: info.seat }, other.seat) });
+            });
+            this.emit('playerReconnected', { seat: info.seat });
+        }
+        if (this.disconnected.size === 0 && this.engine.resumeClock()) {
+            this.flush();
+        } else {
+            this.playAITurn();
+        }
+
+        return { success: true, data: { code: this.code, seat: info.seat, token: info.token } };
+    }
+
+    /**
+     * 补发客户端错过的消息
+     * @param {Object} info - 客户端信息
+     * @param {number} lastSeq - 客户端最后收到的消息序号
+     */
+    replay(info, lastSeq) {
+        const missed = info.history.filter(message => message.seq > lastSeq);
+        if (lastSeq > 0 && missed.length === info.seq - lastSeq) {
+            missed.forEach(message => info.client.send(message));
+            return;
+        }
+
+        // 页面已刷新或错过的消息已不在缓存中：从完整局面重新开始
+        info.lastState = null;
+        this.sendState(info);
+    }
+
+    /**
+     * 宽限期结束仍未重连：判负并让出座位
+     * @param {string} seat - 座位
+     */
+    expireGrace(seat) {
+        if (!this.disconnected.has(seat)) return;
+        this.disconnected.delete(seat);
+
+        this.forfeit(seat, '断线超时判负');
+        this.releaseSeat(seat);
+        this.checkEmpty();
+    }
+
+    /**
+     * 让出座位并通知其他人
+     * @param {string} seat - 座位
+     */
+    releaseSeat(seat) {
+        this.seats[seat] = null;
+        this.sessions.delete(seat);
+        this.rematchRequests.delete(seat);
+
+        this.getMembers().forEach(info => {
+            this.sendTo(info, { type: 'opponentLeft', data: this.toClientData({ seat }, info.seat) });
+        });
+        this.emit('playerLeft', { seat });
+    }
+
+    /**
+     * 对局进行中时判该座位负
+     * @param {string} seat - 判负的座位
+     * @param {string} reason - 结束原因
+     * @returns {boolean} 是否结束了对局
+     */
+    forfeit(seat, reason) {
+        if (this.engine.gameState.phase !== 'playing') {
+            return false;
+        }
+
+        this.engine.endGame(seat === 'player' ? 'ai' : 'player', reason);
+        this.flush();
+        return true;
+    }
+
+    /**
+     * 没有在线的客户端、也没有等待重连的座位时通知管理器回收房间
+     */
+    checkEmpty() {
+        if (this.clients.size === 0 && this.disconnected.size === 0) {
+            this.engine.pauseClock();
+            this.emit('empty', { code: this.code });
+        }
+    }
+
+    /**
+     * 关闭房间（服务器停止时）：停止所有计时，之后断开的连接不再保留座位
+     */
+    close() {
+        this.closed = true;
+        this.engine.pauseClock();
+        this.disconnected.forEach(entry => clearTimeout(entry.timer));
+        this.disconnected.clear();
+    }
+
+    /**
+     * 在线的客户端和断线中的玩家（断线期间的消息先缓存，重连后补发）
+     * @returns {Array<Object>} 客户端信息
+     */
+    getMembers() {
+        return [...this.clients.values(), ...[...this.disconnected.values()].map(entry => entry.info)];
+    }
+
+    /**
+     * 两个座位都已坐满
+     * @returns {boolean}
+     */
+    isFull() {
+        return Boolean(this.seats.player && this.seats.ai);
+    }
+
+    /**
+     * 开始一局：不猜拳，双方出相同手势由引擎随机决定先手
+     */
+    start() {
+        this.rematchRequests.clear();
+        this.engine.startNewGame();
+        this.engine.playRockPaperScissors('rock', { aiChoice: 'rock' });
+        this.engine.initializeBoard();
+        // 开局时仍有玩家断线（再来一局后掉线）则从暂停状态开始
+        if (this.disconnected.size > 0) {
+            this.engine.pauseClock();
+        }
+        this.flush();
+    }
+
+    /**
+     * 处理客户端在房间内的请求
+     * @param {Object} client - 客户端连接
+     * @param {Object} message - 消息：{ type: 'action' | 'rematch', ... }
+     * @returns {Object} 操作结果
+     */
+    handleMessage(client, message) {
+        const info = this.clients.get(client);
+        if (!info) {
+            return Protocol.createError('NOT_IN_ROOM');
+        }
+        if (info.seat === SPECTATOR) {
+            return Protocol.createError('SPECTATOR_READ_ONLY');
+        }
+
+        switch (message.type) {
+            case 'action':
+                return this.handleAction(info.seat, message);
+            case 'rematch':
+                return this.requestRematch(info.seat);
+            default:
+                return Protocol.createError('INVALID_MESSAGE', { type: message.type });
+        }
+    }
+
+    /**
+     * 以座位身份执行翻牌、移动、认输或和棋提议与答复，由引擎校验是否轮到该座位、操作是否合法
+     * @param {string} seat - 座位
+     * @param {Object} message - { action: 'flip', row, col }、{ action: 'move', from, to }、{ action: 'resign' }、
+     *   { action: 'offer_draw' } 或 { action: 'respond_draw', accept }
+     * @returns {Object} 引擎的操作结果（不含局面）
+     */
+    handleAction(seat, message) {
+        if (!this.isFull() || this.engine.gameState.phase === 'setup') {
+            return Protocol.createError('GAME_NOT_STARTED');
+        }
+
+        // 消息来自网络，坐标必须是棋盘范围内的整数
+        const positions = message.action === 'flip' ? [message] :
+            message.action === 'move' ? [message.from, message.to] : [];
+        const invalid = positions.findIndex(position => !this.isBoardPosition(position));
+        if (invalid !== -1) {
+            const { row, col } = positions[invalid] || {};
+            return Protocol.createError('INVALID_POSITION', { row, col });
+        }
+
+        let result;
+        if (message.action === 'flip') {
+            result = this.engine.flipCard(message.row, message.col, seat);
+        } else if (message.action === 'move') {
+            result = this.engine.moveCard(message.from.row, message.from.col, message.to.row, message.to.col, seat);
+        } else if (message.action === 'resign') {
+            result = this.engine.resign(seat);
+        } else if (message.action === 'offer_draw') {
+            result = this.offerDraw(seat);
+        } else if (message.action === 'respond_draw' && typeof message.accept === 'boolean') {
+            result = this.engine.respondToDraw(seat, message.accept);
+        } else {
+            return Protocol.createError('INVALID_MESSAGE', { action: message.action });
+        }
+
+        if (!result.success) {
+            this.pendingEvents = [];
+            return result;
+        }
+
+        this.flush();
+        return { success: true, message: result.message };
+    }
+
+    /**
+     * 座位提议和棋：对方是代打AI时由AI根据局面立即答复，否则等待对方客户端答复
+     * @param {string} seat - 提议的座位
+     * @returns {Object} 提议结果，AI已答复时为答复结果
+     */
+    offerDraw(seat) {
+        const result = this.engine.offerDraw(seat);
+        const responder = seat === 'player' ? 'ai' : 'player';
+        if (!result.success || !this.aiSeats.has(responder)) {
+            return result;
+        }
+
+        const evaluation = this.seats[responder].evaluateDrawOffer();
+        return this.engine.respondToDraw(responder, evaluation.accept);
+    }
+
+    /**
+     * 是否为棋盘范围内的整数坐标
+     * @param {Object} position - { row, col }
+     * @returns {boolean} 是否有效
+     */
+    isBoardPosition(position) {
+        return position !== null && typeof position === 'object' &&
+            Number.isInteger(position.row) && Number.isInteger(position.col) &&
+            this.engine.gameState.isValidPosition(position.row, position.col);
+    }
+
+    /**
+     * 对局结束后请求再来一局，双方都请求后开始新对局
+     * @param {string} seat - 座位
+     * @returns {Object} 操作结果：data.started 表示是否已开始
+     */
+    requestRematch(seat) {
+        if (this.engine.gameState.phase !== 'ended') {
+            return this.engine.createError('INVALID_GAME_PHASE');
+        }
+
+        this.rematchRequests.add(seat);
+        this.aiSeats.forEach(aiSeat => this.rematchRequests.add(aiSeat));
+        const started = this.rematchRequests.size === 2;
+        if (started) {
+            this.start();
+        }
+        return { success: true, data: { started } };
+    }
+
+    /**
+     * 座位视角的观察视图（ai 座位互换双方身份，观战者为公开视图）
+     * @param {string} seat - 座位：player | ai | spectator
+     * @returns {ObservationView} 观察视图
+     */
+    getView(seat) {
+        const view = ObservationView.fromGameState(this.engine.gameState, seat);
+        return seat === 'ai' ? SeatEngine.mirrorState(view) : view;
+    }
+
+    /**
+     * 向每位客户端推送局面差量，再推送期间产生的引擎事件
+     */
+    flush() {
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+
+        const members = this.getMembers();
+        members.forEach(info => {
+            this.sendState(info);
+            events.forEach(({ name, data }) => {
+                this.sendTo(info, { type: 'event', name, data: this.toClientData(data, info.seat) });
+            });
+        });
+
+        this.playAITurn();
+    }
+
+    /**
+     * 向客户端推送其视角的局面差量（首次推送完整局面）
+     * @param {Object} info - 客户端信息
+     */
+    sendState(info) {
+        const state = this.getView(info.seat).toJSON(Date.now());
+        this.sendTo(info, { type: 'state', diff: Protocol.diffState(info.lastState, state) });
+        info.lastState = state;
+    }
+
+    /**
+     * 轮到AI座位时由AI行动，行动后推送给客户端
+     */
+    async playAITurn() {
+        const seat = this.engine.gameState.currentPlayer;
+        if (this.aiTurnInProgress || !this.aiSeats.has(seat) || this.clients.size === 0 ||
+            this.engine.gameState.phase !== 'playing') {
+            return;
+        }
+
+        this.aiTurnInProgress = true;
+        let result;
+        try {
+            result = await this.seats[seat].executeTurn();
+        } catch (error) {
+            result = { success: false, error: { message: error.message } };
+        }
+        this.aiTurnInProgress = false;
+
+        if (!result.success) {
+            console.error(`房间 ${this.code} 的AI行动失败:`, result.error);
+            this.pendingEvents = [];
+            return;
+        }
+        this.flush();
+    }
+
+    /**
+     * 事件数据去掉完整局面（客户端用刚同步的视图代替），并换成座位视角
+     * @param {Object} data - 引擎事件数据
+     * @param {string} seat - 座位
+     * @returns {Object} 可发送的事件数据
+     */
+    toClientData(data, seat) {
+        const { gameState, ...rest } = data || {};
+        const json = Protocol.copy(rest);
+        return seat === 'ai' ? Protocol.mirrorPayload(json) : json;
+    }
+
+    /**
+     * 向客户端发送消息，附带该客户端的消息序号；玩家的消息同时缓存，断线时只缓存不发送
+     * @param {Object} info - 客户端信息
+     * @param {Object} message - 消息
+     */
+    sendTo(info, message) {
+        info.seq += 1;
+        const sequenced = { ...message, seq: info.seq };
+
+        if (info.history) {
+            info.history.push(sequenced);
+            if (info.history.length > REPLAY_LIMIT) {
+                info.history.shift();
+            }
+        }
+        if (info.client) {
+            info.client.send(sequenced);
+        }
+    }
+}
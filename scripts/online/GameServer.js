@@ -0,0 +1,294 @@
+/**
+ * GameServer类 - 在线对战服务器（仅Node）
+ * 同一个端口上既提供游戏页面的静态文件，又在 /ws 路径接受WebSocket连接，
+ * 因此本机启动后用两个浏览器标签页即可对战，不依赖任何外部服务
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { WebSocketConnection } from './WebSocketConnection.js';
+import { RoomManager } from './RoomManager.js';
+import { Matchmaker } from './Matchmaker.js';
+import { Protocol } from './Protocol.js';
+
+const WEBSOCKET_PATH = '/ws';
+
+// 对外提供的静态文件：游戏页面和它用到的目录（仓库里的其他文件、以点开头的文件都不提供）
+const PUBLIC_FILES = ['index.html'];
+const PUBLIC_DIRECTORIES = ['scripts', 'styles', 'assets'];
+
+// 静态文件类型
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+export class GameServer {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {number} options.port - 监听端口，默认8080，0表示随机端口
+     * @param {string} options.host - 监听地址，默认所有网卡（同一局域网的手机也能访问）
+     * @param {string} options.root - 静态文件根目录，默认当前目录；只提供其中的游戏页面和 scripts、styles、assets 目录
+     * @param {number|string} options.seed - 随机种子，决定对局发牌（邀请码总是随机生成）
+     * @param {number} options.matchTimeout - 匹配等待多久后由AI代替对手（毫秒），默认10秒
+     * @param {Object} options.aiOptions - 代打AI的配置
+     * @param {number} options.gracePeriod - 断线后保留座位的时间（毫秒），默认30秒
+     * @param {string|Object|null} options.timeControl - 计时（见 GameEngine），默认每步限时60秒，null 表示不计时
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? 8080;
+        this.host = options.host;
+        this.root = path.resolve(options.root || '.');
+        this.roomManager = new RoomManager({
+            seed: options.seed,
+            ruleSet: options.ruleSet,
+            aiOptions: options.aiOptions,
+            gracePeriod: options.gracePeriod,
+            timeControl: options.timeControl
+        });
+        this.matchmaker = new Matchmaker(this.roomManager, { timeout: options.matchTimeout });
+        this.connections = new Map();   // 连接 -> 所在房间
+        this.httpServer = http.createServer((request, response) => this.handleRequest(request, response));
+        this.httpServer.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+    }
+
+    /**
+     * 启动服务器
+     * @returns {Promise<Object>} { port } 实际监听的端口
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, () => {
+                this.httpServer.off('error', reject);
+                resolve({ port: this.httpServer.address().port });
+            });
+        });
+    }
+
+    /**
+     * 停止服务器并断开所有连接
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.matchmaker.stop();
+        this.roomManager.closeAll();
+        this.connections.forEach((room, connection) => connection.close(1001, '服务器关闭'));
+        return new Promise(resolve => this.httpServer.close(() => resolve()));
+    }
+
+    /**
+     * 提供静态文件
+     * @param {http.IncomingMessage} request - 请求
+     * @param {http.ServerResponse} response - 响应
+     */
+    handleRequest(request, response) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405);
+            response.end();
+            return;
+        }
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch (error) {
+            response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Bad Request');
+            return;
+        }
+
+        const relativePath = pathname === '/' ? 'index.html' : pathname.slice(1);
+        const filePath = path.resolve(this.root, relativePath);
+
+        // 只提供公开的文件，不允许访问根目录之外的文件
+        if (!GameServer.isPublicPath(relativePath) ||
+            (filePath !== this.root && !filePath.startsWith(this.root + path.sep))) {
+            response.writeHead(403);
+            response.end();
+            return;
+        }
+
+        fs.readFile(filePath, (error, content) => {
+            if (error) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('Not Found');
+                return;
+            }
+            response.writeHead(200, {
+                'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+            });
+            response.end(request.method === 'HEAD' ? undefined : content);
+        });
+    }
+
+    /**
+     * 是否为对外提供的静态文件：游戏页面或公开目录中的文件，路径中不能有空段、.. 或以点开头的文件名
+     * @param {string} relativePath - 相对根目录的路径（以 / 分隔）
+     * @returns {boolean} 是否公开
+     */
+    static isPublicPath(relativePath) {
+        const segments = relativePath.split('/');
+        if (segments.some(segment => segment === '' || segment.startsWith('.') || /[\\\0]/.test(segment))) {
+            return false;
+        }
+        return segments.length === 1 ?
+            PUBLIC_FILES.includes(segments[0]) :
+            PUBLIC_DIRECTORIES.includes(segments[0]);
+    }
+
+    /**
+     * 处理WebSocket升级请求
+     * @param {http.IncomingMessage} request - 请求
+     * @param {net.Socket} socket - 底层连接
+     */
+    handleUpgrade(request, socket) {
+        if (new URL(request.url, 'http://localhost').pathname !== WEBSOCKET_PATH) {
+            socket.destroy();
+            return;
+        }
+
+        const connection = WebSocketConnection.accept(request, socket);
+        if (connection) {
+            this.addConnection(connection);
+        }
+    }
+
+    /**
+     * 接管一个客户端连接（需实现 on('message' | 'close')、send、close）
+     * @param {Object} connection - 客户端连接
+     */
+    addConnection(connection) {
+        this.connections.set(connection, null);
+        connection.on('message', message => this.handleMessage(connection, message));
+        connection.on('close', () => this.removeConnection(connection));
+    }
+
+    /**
+     * 连接断开：房间为玩家保留座位等待重连（主动离开的已先发送 leave）
+     * @param {Object} connection - 客户端连接
+     */
+    removeConnection(connection) {
+        const room = this.connections.get(connection);
+        this.connections.delete(connection);
+        this.matchmaker.cancel(connection);
+        if (room) {
+            room.disconnect(connection);
+        }
+    }
+
+    /**
+     * 处理客户端请求，并以 { type: 'response', id, ... } 应答（匹配请求在入座后才应答）
+     * @param {Object} connection - 客户端连接
+     * @param {Object} message - 请求消息
+     * @returns {Promise<void>}
+     */
+    async handleMessage(connection, message) {
+        let result;
+        try {
+            result = await this.dispatch(connection, message || {});
+        } catch (error) {
+            console.error('处理在线对战消息失败:', error);
+            result = Protocol.createError('INVALID_MESSAGE', { originalError: error.message });
+        }
+        connection.send({ type: 'response', id: message?.id ?? null, ...result });
+    }
+
+    /**
+     * 按消息类型分发请求
+     * @param {Object} connection - 客户端连接
+     * @param {Object} message - 请求消息
+     * @returns {Object|Promise<Object>} 操作结果
+     */
+    dispatch(connection, message) {
+        const currentRoom = this.connections.get(connection);
+
+        switch (message.type) {
+            case 'createRoom':
+            case 'joinRoom': {
+                if (currentRoom) {
+                    return Protocol.createError('ALREADY_IN_ROOM');
+                }
+                const room = message.type === 'createRoom' ?
+                    this.roomManager.createRoom() : this.roomManager.getRoom(message.code);
+                if (!room) {
+                    return Protocol.createError('ROOM_NOT_FOUND', { code: message.code });
+                }
+                // 先登记房间再加入：坐满后开局推送的消息要能找到连接所在房间
+                this.connections.set(connection, room);
+                const result = room.join(connection);
+                if (!result.success) {
+                    this.connections.set(connection, null);
+                }
+                return result;
+            }
+            case 'spectate': {
+                if (currentRoom) {
+                    return Protocol.createError('ALREADY_IN_ROOM');
+                }
+                const room = this.roomManager.getRoom(message.code);
+                if (!room) {
+                    return Protocol.createError('ROOM_NOT_FOUND', { code: message.code });
+                }
+                this.connections.set(connection, room);
+                return room.addSpectator(connection);
+            }
+            case 'findMatch':
+                if (currentRoom) {
+                    return Protocol.createError('ALREADY_IN_ROOM');
+                }
+                return this.matchmaker.enqueue(connection, {
+                    rating: message.rating,
+                    difficulty: message.difficulty
+                }).then(result => {
+                    // 等待期间断开的连接不再登记
+                    if (result.success && this.connections.has(connection)) {
+                        this.connections.set(connection, this.roomManager.getRoom(result.data.code));
+                    }
+                    return result;
+                });
+            case 'resume': {
+                if (currentRoom) {
+                    return Protocol.createError('ALREADY_IN_ROOM');
+                }
+                // 房间已回收说明宽限期已过
+                const room = this.roomManager.getRoom(message.code);
+                if (!room) {
+                    return Protocol.createError('SESSION_NOT_FOUND', { code: message.code });
+                }
+                this.connections.set(connection, room);
+                const result = room.resume(connection, message.token, Number(message.lastSeq) || 0);
+                if (!result.success) {
+                    this.connections.set(connection, null);
+                }
+                return result;
+            }
+            case 'leave':
+                if (!currentRoom) {
+                    return Protocol.createError('NOT_IN_ROOM');
+                }
+                currentRoom.leave(connection);
+                this.connections.set(connection, null);
+                return { success: true };
+            case 'cancelMatch':
+                return this.matchmaker.cancel(connection) ? { success: true } : Protocol.createError('NOT_IN_QUEUE');
+            case 'action':
+            case 'rematch':
+                if (!currentRoom) {
+                    return Protocol.createError('NOT_IN_ROOM');
+                }
+                return currentRoom.handleMessage(connection, message);
+            default:
+                return Protocol.createError('INVALID_MESSAGE', { type: message.type });
+        }
+    }
+}
@@ -0,0 +1,215 @@
+/**
+ * Matchmaker类 - 在线匹配队列
+ * 把排队的玩家两两配对，提供积分时优先配对积分接近的对手，等待越久可接受的积分差越大；
+ * 超时仍没有对手时由AI坐下对手座位，客户端收到的结果与匹配到真人时相同
+ */
+
+import { Protocol } from './Protocol.js';
+import { AI_DIFFICULTIES } from './GameRoom.js';
+import { Rating } from '../core/Rating.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const MATCH_TIMEOUT = 10000;        // 等待真人对手的最长时间（毫秒）
+const RATING_RANGE = 100;           // 刚入队时可接受的积分差
+const RATING_RANGE_GROWTH = 50;     // 每等待一秒放宽的积分差
+const MATCH_INTERVAL = 1000;        // 积分范围放宽后重新尝试配对的间隔（毫秒）
+
+export class Matchmaker extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {RoomManager} roomManager - 配对成功后在其中创建房间
+     * @param {Object} options - 配置项
+     * @param {number} options.timeout - 超时后由AI代替对手，默认10秒
+     * @param {number} options.ratingRange - 初始可接受的积分差
+     * @param {number} options.ratingRangeGrowth - 每秒放宽的积分差
+     */
+    constructor(roomManager, options = {}) {
+        super();
+        this.roomManager = roomManager;
+        this.timeout = options.timeout ?? MATCH_TIMEOUT;
+        this.ratingRange = options.ratingRange ?? RATING_RANGE;
+        this.ratingRangeGrowth = options.ratingRangeGrowth ?? RATING_RANGE_GROWTH;
+        this.queue = [];
+        this.matchTimer = null;
+    }
+
+    /**
+     * 加入匹配队列
+     * @param {Object} client - 客户端连接
+     * @param {Object} options - 匹配选项
+     * @param {number} options.rating - 玩家积分，不提供时与任何人都可以配对
+     * @param {string} options.difficulty - 超时后代打AI的难度，默认按积分推荐（见 Rating.suggestDifficulty），没有积分时为 medium
+     * @returns {Promise<Object>} 入座结果：data 为 { code, seat }，取消匹配时返回 MATCH_CANCELLED
+     */
+    enqueue(client, options = {}) {
+        if (this.isQueued(client)) {
+            return Promise.resolve(Protocol.createError('ALREADY_QUEUED'));
+        }
+
+        const rating = Number.isFinite(options.rating) ? options.rating : null;
+        const difficulty = options.difficulty ||
+            (rating !== null ? Rating.suggestDifficulty({ rating }, { type: 'enhanced' }).difficulty : 'medium');
+        if (!AI_DIFFICULTIES.includes(difficulty)) {
+            return Promise.resolve(Protocol.createError('INVALID_DIFFICULTY', { difficulty }));
+        }
+
+        return new Promise(resolve => {
+            const entry = {
+                client,
+                rating,
+                difficulty,
+                enqueuedAt: Date.now(),
+                resolve,
+                timer: null
+            };
+            entry.timer = setTimeout(() => this.fallbackToAI(entry), this.timeout);
+
+            this.queue.push(entry);
+            this.emit('queued', { size: this.queue.length });
+            this.matchPlayers();
+            this.updateMatchTimer();
+        });
+    }
+
+    /**
+     * 退出匹配队列（客户端取消或断开连接）
+     * @param {Object} client - 客户端连接
+     * @returns {boolean} 是否在队列中
+     */
+    cancel(client) {
+        const entry = this.queue.find(candidate => candidate.client === client);
+        if (!entry) return false;
+
+        this.removeEntry(entry);
+        entry.resolve(Protocol.createError('MATCH_CANCELLED'));
+        return true;
+    }
+
+    /**
+     * 客户端是否在队列中
+     * @param {Object} client - 客户端连接
+     * @returns {boolean}
+     */
+    isQueued(client) {
+        return this.queue.some(entry => entry.client === client);
+    }
+
+    /**
+     * 队列中的人数
+     * @returns {number}
+     */
+    size() {
+        return this.queue.length;
+    }
+
+    /**
+     * 按入队顺序为每位玩家寻找积分最接近且双方都能接受的对手
+     */
+    matchPlayers() {
+        const now = Date.now();
+
+        for (let i = 0; i < this.queue.length; i++) {
+            const entry = this.queue[i];
+            let best = null;
+            let bestGap = Infinity;
+
+            for (let j = i + 1; j < this.queue.length; j++) {
+                const candidate = this.queue[j];
+                const gap = this.getRatingGap(entry, candidate);
+                const range = Math.max(this.getRatingRange(entry, now), this.getRatingRange(candidate, now));
+                if (gap <= range && gap < bestGap) {
+                    best = candidate;
+                    bestGap = gap;
+                }
+            }
+
+            if (best) {
+                this.removeEntry(entry);
+                this.removeEntry(best);
+                this.startMatch(entry, best);
+                i--;
+            }
+        }
+    }
+
+    /**
+     * 两位玩家的积分差，任一方没有积分时视为0
+     * @param {Object} a - 队列项
+     * @param {Object} b - 队列项
+     * @returns {number} 积分差
+     */
+    getRatingGap(a, b) {
+        return a.rating === null || b.rating === null ? 0 : Math.abs(a.rating - b.rating);
+    }
+
+    /**
+     * 队列项当前可接受的积分差
+     * @param {Object} entry - 队列项
+     * @param {number} now - 当前时间
+     * @returns {number} 积分差
+     */
+    getRatingRange(entry, now = Date.now()) {
+        return this.ratingRange + this.ratingRangeGrowth * Math.floor((now - entry.enqueuedAt) / 1000);
+    }
+
+    /**
+     * 为两位真人玩家创建房间，先入队的坐 player 座位
+     * @param {Object} first - 队列项
+     * @param {Object} second - 队列项
+     */
+    startMatch(first, second) {
+        const room = this.roomManager.createRoom();
+        const results = [first, second].map(entry => room.join(entry.client));
+
+        this.emit('matched', { code: room.code, vsAI: false });
+        first.resolve(results[0]);
+        second.resolve(results[1]);
+    }
+
+    /**
+     * 等待超时：由AI坐下对手座位
+     * @param {Object} entry - 队列项
+     */
+    fallbackToAI(entry) {
+        if (!this.queue.includes(entry)) return;
+        this.removeEntry(entry);
+
+        const room = this.roomManager.createRoom();
+        const result = room.join(entry.client);
+        if (result.success) {
+            room.addAIPlayer(entry.difficulty);
+        }
+
+        this.emit('matched', { code: room.code, vsAI: true, difficulty: entry.difficulty });
+        entry.resolve(result);
+    }
+
+    /**
+     * 从队列中移除并停止超时计时
+     * @param {Object} entry - 队列项
+     */
+    removeEntry(entry) {
+        clearTimeout(entry.timer);
+        this.queue = this.queue.filter(candidate => candidate !== entry);
+        this.updateMatchTimer();
+    }
+
+    /**
+     * 队列中至少两人时定期重试配对（等待越久积分范围越宽）
+     */
+    updateMatchTimer() {
+        if (this.queue.length >= 2 && !this.matchTimer) {
+            this.matchTimer = setInterval(() => this.matchPlayers(), MATCH_INTERVAL);
+        } else if (this.queue.length < 2 && this.matchTimer) {
+            clearInterval(this.matchTimer);
+            this.matchTimer = null;
+        }
+    }
+
+    /**
+     * 清空队列，所有等待中的请求以取消结束
+     */
+    stop() {
+        [...this.queue].forEach(entry => this.cancel(entry.client));
+    }
+}
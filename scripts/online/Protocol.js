@@ -0,0 +1,200 @@
+/**
+ * Protocol - 在线对战协议
+ * 服务器与浏览器共用：错误码、局面差量的生成与应用、按座位互换双方身份。
+ *
+ * 消息均为JSON文本：
+ *   客户端 → 服务器：{ id, type: 'createRoom' | 'joinRoom' | 'findMatch' | 'cancelMatch' | 'spectate' | 'action' | 'rematch', ... }
+ *                    { id, type: 'resume', code, token, lastSeq }  断线后凭会话令牌重连
+ *                    { id, type: 'leave' }                         主动离开房间
+ *   服务器 → 客户端：{ type: 'response', id, success, data?, error? } 每个请求一条应答
+ *                    { type: 'state', seq, diff }        本座位视角的局面差量
+ *                    { type: 'event', seq, name, data }  引擎事件（不含局面），以及 spectatorsChanged
+ *                    { type: 'opponentLeft', seq, data: { seat } } 有玩家离开房间
+ *                    { type: 'opponentDisconnected', seq, data: { seat, grace } } 有玩家断线，座位保留 grace 毫秒
+ *                    { type: 'opponentReconnected', seq, data: { seat } } 断线的玩家已重连
+ */
+
+import { SeatEngine } from '../ai/SeatEngine.js';
+
+// 会整体替换的局面字段（卡牌和日志单独做差量）
+const STATE_FIELDS = [
+    'phase', 'currentPlayer', 'playerFaction', 'aiFaction', 'selectedPosition', 'winner',
+    'lastMover', 'noCaptureMoves', 'positionHistory', 'startTime', 'endTime', 'ruleSet',
+    'side', 'unseenCards', 'clock'
+];
+
+// 事件数据中表示座位的字段，以及需要成对互换的字段
+const SIDE_KEYS = ['owner', 'winner', 'firstPlayer', 'currentPlayer', 'player', 'lastMover', 'side', 'seat'];
+const SWAPPED_KEYS = [['playerFaction', 'aiFaction'], ['playerChoice', 'aiChoice']];
+
+// 在线对战错误码
+export const ERROR_CODES = {
+    INVALID_MESSAGE: '无效的消息',
+    INVALID_POSITION: '位置坐标无效',
+    ROOM_NOT_FOUND: '房间不存在',
+    ROOM_FULL: '房间已满',
+    NOT_IN_ROOM: '尚未加入房间',
+    ALREADY_IN_ROOM: '已经在房间中',
+    GAME_NOT_STARTED: '对局尚未开始',
+    NOT_CONNECTED: '未连接到服务器',
+    CONNECTION_CLOSED: '与服务器的连接已断开',
+    NOT_AVAILABLE_ONLINE: '在线对战中不能进行此操作',
+    INVALID_DIFFICULTY: '无效的AI难度',
+    ALREADY_QUEUED: '已经在匹配队列中',
+    NOT_IN_QUEUE: '不在匹配队列中',
+    MATCH_CANCELLED: '已取消匹配',
+    SPECTATOR_READ_ONLY: '观战者不能操作对局',
+    SESSION_NOT_FOUND: '会话不存在或已过期'
+};
+
+export class Protocol {
+    /**
+     * 创建错误对象（与 GameEngine.createError 格式一致）
+     * @param {string} code - 错误码
+     * @param {Object} details - 详细信息
+     * @returns {Object} { success: false, error: { code, message, details } }
+     */
+    static createError(code, details = {}) {
+        return {
+            success: false,
+            error: {
+                code,
+                message: ERROR_CODES[code] || '未知错误',
+                details
+            }
+        };
+    }
+
+    /**
+     * 生成两个局面JSON之间的差量
+     * @param {Object|null} previous - 客户端已有的局面，null 时发送完整局面
+     * @param {Object} next - 新局面
+     * @returns {Object} 差量：{ full } 或 { fields, cards, removedCards, cardOrder, log, logReset }
+     */
+    static diffState(previous, next) {
+        if (!previous) {
+            return { full: next };
+        }
+
+        const diff = { fields: {}, cards: [], removedCards: [], log: [], logReset: false };
+
+        STATE_FIELDS.forEach(field => {
+            if (!Protocol.isEqual(previous[field], next[field])) {
+                diff.fields[field] = next[field];
+            }
+        });
+
+        // 卡牌按id比较：未翻开卡牌的id由位置决定，翻开或移动后旧id被移除
+        const previousCards = new Map(previous.cardsData.map(card => [card.id, card]));
+        const nextIds = new Set();
+        next.cardsData.forEach(card => {
+            nextIds.add(card.id);
+            if (!Protocol.isEqual(previousCards.get(card.id), card)) {
+                diff.cards.push(card);
+            }
+        });
+        previousCards.forEach((card, id) => {
+            if (!nextIds.has(id)) {
+                diff.removedCards.push(id);
+            }
+        });
+        // 有卡牌增删时附上新顺序，保证客户端的卡牌顺序与服务器一致
+        if (diff.removedCards.length > 0 || next.cardsData.length !== previous.cardsData.length) {
+            diff.cardOrder = [...nextIds];
+        }
+
+        // 日志通常只会追加；悔棋或新开一局时整体替换
+        const previousLog = previous.gameLog || [];
+        const nextLog = next.gameLog || [];
+        const isAppend = nextLog.length >= previousLog.length &&
+            previousLog.every((entry, index) => Protocol.isEqual(entry, nextLog[index]));
+        if (isAppend) {
+            diff.log = nextLog.slice(previousLog.length);
+        } else {
+            diff.logReset = true;
+            diff.log = nextLog;
+        }
+
+        return diff;
+    }
+
+    /**
+     * 把差量应用到已有局面上
+     * @param {Object|null} previous - 已有局面JSON（不会被修改）
+     * @param {Object} diff - diffState 生成的差量
+     * @returns {Object} 新局面JSON
+     */
+    static applyDiff(previous, diff) {
+        if (diff.full) {
+            return Protocol.copy(diff.full);
+        }
+        if (!previous) {
+            throw new Error('没有基准局面，无法应用差量');
+        }
+
+        const next = { ...Protocol.copy(previous), ...Protocol.copy(diff.fields) };
+
+        const removed = new Set(diff.removedCards);
+        const changed = new Map(diff.cards.map(card => [card.id, card]));
+        next.cardsData = next.cardsData.filter(card => !removed.has(card.id))
+            .map(card => (changed.has(card.id) ? Protocol.copy(changed.get(card.id)) : card));
+        diff.cards.forEach(card => {
+            if (!previous.cardsData.some(existing => existing.id === card.id)) {
+                next.cardsData.push(Protocol.copy(card));
+            }
+        });
+        if (diff.cardOrder) {
+            const order = new Map(diff.cardOrder.map((id, index) => [id, index]));
+            next.cardsData.sort((a, b) => order.get(a.id) - order.get(b.id));
+        }
+
+        next.gameLog = diff.logReset ? Protocol.copy(diff.log) :
+            [...next.gameLog, ...Protocol.copy(diff.log)];
+
+        return next;
+    }
+
+    /**
+     * 互换事件数据中的双方身份（发给 ai 座位的客户端时使用，使其始终以 player 自居）
+     * @param {*} value - 事件数据
+     * @returns {*} 互换后的副本
+     */
+    static mirrorPayload(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => Protocol.mirrorPayload(item));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        const mirrored = {};
+        Object.entries(value).forEach(([key, item]) => {
+            mirrored[key] = SIDE_KEYS.includes(key) ? SeatEngine.mirrorSide(item) : Protocol.mirrorPayload(item);
+        });
+        SWAPPED_KEYS.forEach(([a, b]) => {
+            if (a in value || b in value) {
+                [mirrored[a], mirrored[b]] = [Protocol.mirrorPayload(value[b]), Protocol.mirrorPayload(value[a])];
+            }
+        });
+        return mirrored;
+    }
+
+    /**
+     * 转为纯JSON数据（卡牌等对象经 toJSON 展开）
+     * @param {*} value - 任意可序列化的数据
+     * @returns {*} 深拷贝
+     */
+    static copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * 比较两个JSON值是否相同
+     * @param {*} a - 值A
+     * @param {*} b - 值B
+     * @returns {boolean} 是否相同
+     */
+    static isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
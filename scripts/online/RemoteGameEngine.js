@@ -0,0 +1,680 @@
+/**
+ * RemoteGameEngine类 - 在线对战的客户端引擎
+ * 与 GameEngine 保持相同的方法和事件，界面可以直接替换使用：
+ * 翻牌和移动发送给服务器执行，局面以服务器推送的差量为准；选牌、可走位置等只读操作在本地视图上完成。
+ * 客户端始终坐 player 座位（服务器已把对手视角的局面互换），对手的底牌不会出现在本地。
+ * 观战时只读：收到公开视图和对局事件，所有操作都被拒绝。
+ * 入座后的会话令牌保存在 sessionStorage：连接意外断开时自动重连并补上错过的消息，刷新页面后也能回到对局
+ */
+
+import { GameEngine } from '../core/GameEngine.js';
+import { ObservationView } from '../core/ObservationView.js';
+import { TimeControl } from '../core/TimeControl.js';
+import { Protocol } from './Protocol.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const SESSION_KEY = 'dragon_tiger_online_session';
+const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000, 8000];   // 自动重连的等待时间（毫秒），总计在服务器宽限期内
+
+export class RemoteGameEngine extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {string} options.url - 服务器地址，如 ws://localhost:8080/ws
+     * @param {Function} options.WebSocket - WebSocket 实现，默认使用浏览器的 WebSocket
+     * @param {Storage} options.storage - 保存会话令牌的存储，默认 sessionStorage（同一标签页刷新后仍在）
+     * @param {Array<number>} options.reconnectDelays - 每次自动重连前的等待时间（毫秒），空数组表示不自动重连
+     */
+    constructor(options = {}) {
+        super();
+        this.mode = 'online';
+        this.url = options.url;
+        this.WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+        this.socket = null;
+        this.seat = null;
+        this.roomCode = null;
+        this.storage = options.storage !== undefined ? options.storage : (globalThis.sessionStorage || null);
+        this.session = null;            // { code, seat, token }
+        this.reconnectDelays = options.reconnectDelays || RECONNECT_DELAYS;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.leaving = false;
+
+        // 本地引擎只承载视图，用于选牌和走法校验，不执行任何改变局面的操作
+        this.localEngine = new GameEngine({ ruleSet: options.ruleSet, undo: { mode: 'never' } });
+        this.ruleSet = this.localEngine.ruleSet;
+        this.profileManager = this.localEngine.profileManager; // 战绩界面读取本地玩家档案，在线对局不记入档案
+        this.stateJSON = null;
+        this.lastSeq = 0;
+
+        this.nextRequestId = 1;
+        this.pendingRequests = new Map();
+
+        // 选牌事件由本地引擎产生，原样转发
+        ['cardSelected', 'cardDeselected'].forEach(name => {
+            this.localEngine.on(name, data => this.emit(name, data));
+        });
+    }
+
+    /**
+     * 当前局面（本座位的观察视图）
+     * @returns {ObservationView|GameState} 局面
+     */
+    get gameState() {
+        return this.localEngine.gameState;
+    }
+
+    /**
+     * 连接服务器
+     * @returns {Promise<Object>} 操作结果
+     */
+    connect() {
+        return new Promise(resolve => {
+            let settled = false;
+            const settle = result => {
+                if (!settled) {
+                    settled = true;
+                    resolve(result);
+                }
+            };
+
+            try {
+                this.socket = new this.WebSocketImpl(this.url);
+            } catch (error) {
+                settle(Protocol.createError('NOT_CONNECTED', { originalError: error.message }));
+                return;
+            }
+
+            this.socket.addEventListener('open', () => settle({ success: true }));
+            this.socket.addEventListener('message', event => this.handleText(event.data));
+            this.socket.addEventListener('close', () => {
+                settle(Protocol.createError('NOT_CONNECTED', { url: this.url }));
+                this.handleClose();
+            });
+        });
+    }
+
+    /**
+     * 主动离开：通知服务器让出座位（对局进行中判负），然后断开连接
+     */
+    disconnect() {
+        this.leaving = true;
+        clearTimeout(this.reconnectTimer);
+        this.clearSession();
+
+        if (this.isConnected()) {
+            this.socket.send(JSON.stringify({ type: 'leave' }));
+        }
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    /**
+     * 凭会话令牌回到断线前的座位，服务器补发错过的消息（页面刷新后补发完整局面）
+     * @param {Object} session - 会话，默认使用已保存的会话
+     * @returns {Promise<Object>} 操作结果：data 为 { code, seat, token }
+     */
+    async resume(session = this.session || RemoteGameEngine.loadSession(this.storage)) {
+        if (!session) {
+            return Protocol.createError('SESSION_NOT_FOUND');
+        }
+
+        const result = await this.request({
+            type: 'resume',
+            code: session.code,
+            token: session.token,
+            lastSeq: this.stateJSON ? this.lastSeq : 0
+        });
+        if (result.success) {
+            this.reconnectAttempt = 0;
+        } else if (result.error.code === 'SESSION_NOT_FOUND') {
+            this.clearSession();
+        }
+        return this.handleRoomResult(result);
+    }
+
+    /**
+     * 重新连接服务器并回到对局
+     * @returns {Promise<Object>} 操作结果
+     */
+    async reconnect() {
+        clearTimeout(this.reconnectTimer);
+        if (this.isConnected()) {
+            return { success: true };
+        }
+
+        this.leaving = false;
+        const connected = await this.connect();
+        if (!connected.success) {
+            return connected;
+        }
+
+        const result = await this.resume();
+        this.emit(result.success ? 'reconnected' : 'disconnected', result.success ?
+            { ...result.data } : { roomCode: this.roomCode, error: result.error });
+        return result;
+    }
+
+    /**
+     * 连接意外断开后按退避时间自动重连，次数用完后触发 disconnected
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempt >= this.reconnectDelays.length) {
+            this.reconnectAttempt = 0;
+            this.emit('disconnected', { roomCode: this.roomCode });
+            return;
+        }
+
+        const delay = this.reconnectDelays[this.reconnectAttempt];
+        this.reconnectAttempt += 1;
+        this.emit('reconnecting', { attempt: this.reconnectAttempt, delay });
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    }
+
+    /**
+     * 读取保存的会话
+     * @param {Storage} storage - 存储
+     * @returns {Object|null} { code, seat, token }
+     */
+    static loadSession(storage = globalThis.sessionStorage) {
+        try {
+            const session = JSON.parse(storage?.getItem(SESSION_KEY) || 'null');
+            return session && session.code && session.token ? session : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 保存会话，刷新页面后凭它回到对局
+     * @param {Object} session - { code, seat, token }
+     */
+    saveSession(session) {
+        this.session = session;
+        try {
+            this.storage?.setItem(SESSION_KEY, JSON.stringify(session));
+        } catch (error) {
+            console.warn('无法保存在线对局会话:', error);
+        }
+    }
+
+    /**
+     * 清除会话
+     */
+    clearSession() {
+        this.session = null;
+        try {
+            this.storage?.removeItem(SESSION_KEY);
+        } catch (error) {
+            console.warn('无法清除在线对局会话:', error);
+        }
+    }
+
+    /**
+     * 创建房间，对手通过邀请码加入
+     * @returns {Promise<Object>} 操作结果：data 为 { code, seat }
+     */
+    async createRoom() {
+        const result = await this.request({ type: 'createRoom' });
+        return this.handleRoomResult(result);
+    }
+
+    /**
+     * 通过邀请码加入房间
+     * @param {string} code - 邀请码
+     * @returns {Promise<Object>} 操作结果：data 为 { code, seat }
+     */
+    async joinRoom(code) {
+        const result = await this.request({ type: 'joinRoom', code });
+        return this.handleRoomResult(result);
+    }
+
+    /**
+     * 以观战者身份进入房间，立即收到当前局面和完整的对局日志
+     * @param {string} code - 邀请码
+     * @returns {Promise<Object>} 操作结果：data 为 { code, seat: 'spectator' }
+     */
+    async spectate(code) {
+        const result = await this.request({ type: 'spectate', code });
+        return this.handleRoomResult(result);
+    }
+
+    /**
+     * 是否为观战者
+     * @returns {boolean}
+     */
+    isSpectator() {
+        return this.seat === 'spectator';
+    }
+
+    /**
+     * 快速匹配：与排队的玩家配对，等待超时后由服务器安排AI对手
+     * @param {Object} options - 匹配选项
+     * @param {number} options.rating - 玩家积分，用于配对积分接近的对手
+     * @param {string} options.difficulty - 没有真人对手时AI的难度
+     * @returns {Promise<Object>} 操作结果：data 为 { code, seat }
+     */
+    async findMatch(options = {}) {
+        const result = await this.request({ type: 'findMatch', rating: options.rating, difficulty: options.difficulty });
+        return this.handleRoomResult(result);
+    }
+
+    /**
+     * 取消匹配，等待中的 findMatch 以 MATCH_CANCELLED 结束
+     * @returns {Promise<Object>} 操作结果
+     */
+    cancelMatch() {
+        return this.request({ type: 'cancelMatch' });
+    }
+
+    /**
+     * 对局结束后请求再来一局
+     * @returns {Promise<Object>} 操作结果：data.started 表示双方都已同意
+     */
+    requestRematch() {
+        return this.request({ type: 'rematch' });
+    }
+
+    /**
+     * 记录进入的房间
+     * @param {Object} result - 服务器应答
+     * @returns {Object} 操作结果
+     */
+    handleRoomResult(result) {
+        if (result.success) {
+            this.roomCode = result.data.code;
+            this.seat = result.data.seat;
+            if (result.data.token) {
+                this.saveSession({ code: result.data.code, seat: result.data.seat, token: result.data.token });
+            }
+            this.emit('roomJoined', { ...result.data });
+        }
+        return result;
+    }
+
+    /**
+     * 发送请求并等待对应的应答
+     * @param {Object} message - 请求消息
+     * @returns {Promise<Object>} 服务器应答
+     */
+    request(message) {
+        if (!this.isConnected()) {
+            return Promise.resolve(Protocol.createError('NOT_CONNECTED'));
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise(resolve => {
+            this.pendingRequests.set(id, resolve);
+            this.socket.send(JSON.stringify({ ...message, id }));
+        });
+    }
+
+    /**
+     * 是否已连接服务器
+     * @returns {boolean}
+     */
+    isConnected() {
+        return Boolean(this.socket) && this.socket.readyState === 1;
+    }
+
+    /**
+     * 处理服务器消息
+     * @param {string} text - 消息文本
+     */
+    handleText(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.error('无法解析服务器消息:', error);
+            return;
+        }
+        this.handleMessage(message);
+    }
+
+    /**
+     * 分发服务器消息
+     * @param {Object} message - 已解析的消息
+     */
+    handleMessage(message) {
+        if (message.seq) {
+            this.lastSeq = message.seq;
+        }
+
+        switch (message.type) {
+            case 'response': {
+                const resolve = this.pendingRequests.get(message.id);
+                if (resolve) {
+                    this.pendingRequests.delete(message.id);
+                    const { type, id, ...result } = message;
+                    resolve(result);
+                }
+                break;
+            }
+            case 'state':
+                this.applyState(message.diff);
+                break;
+            case 'event':
+                this.emit(message.name, { ...message.data, gameState: this.gameState.clone() });
+                break;
+            case 'opponentLeft':
+            case 'opponentDisconnected':
+            case 'opponentReconnected':
+                this.emit(message.type, { ...message.data });
+                break;
+            default:
+                console.warn('未知的服务器消息:', message.type);
+        }
+    }
+
+    /**
+     * 应用局面差量，替换本地视图
+     * @param {Object} diff - 局面差量
+     */
+    applyState(diff) {
+        this.stateJSON = Protocol.applyDiff(this.stateJSON, diff);
+        const view = ObservationView.fromJSON(this.stateJSON);
+        // 服务器上正在计时：从收到局面的时刻起在本地继续走表
+        if (this.stateJSON.clock?.running) {
+            TimeControl.start(view.clock);
+        }
+
+        this.localEngine.gameState = view;
+        this.localEngine.useRuleSet(view.ruleSet);
+        this.ruleSet = view.ruleSet;
+        this.emit('stateChanged', { gameState: view.clone() });
+    }
+
+    /**
+     * 连接断开：未完成的请求全部以失败结束；在对局中意外断开时自动重连
+     */
+    handleClose() {
+        this.socket = null;
+        this.pendingRequests.forEach(resolve => resolve(Protocol.createError('CONNECTION_CLOSED')));
+        this.pendingRequests.clear();
+
+        if (!this.leaving && this.session) {
+            this.scheduleReconnect();
+        } else {
+            this.emit('disconnected', { roomCode: this.roomCode });
+        }
+    }
+
+    /**
+     * 计时状态（按收到局面后经过的时间推算）
+     * @returns {Object|null} { seat, running, remaining: { player, ai }, moveRemaining }，不计时返回null
+     */
+    getClock() {
+        return this.localEngine.getClock();
+    }
+
+    /**
+     * 翻牌：本地预检后交给服务器执行，结果随局面推送到达
+     * @param {number} row - 行索引
+     * @param {number} col - 列索引
+     * @returns {Object} 操作结果：成功时 pending 为 true
+     */
+    flipCard(row, col) {
+        const check = this.checkTurn();
+        if (!check.success) return check;
+
+        const card = this.gameState.getCardAt(row, col);
+        if (!card) {
+            return this.localEngine.createError('NO_CARD_AT_POSITION');
+        }
+        if (card.isRevealed) {
+            return this.localEngine.createError('CARD_ALREADY_REVEALED');
+        }
+
+        return this.sendAction({ action: 'flip', row, col }, '等待服务器翻牌');
+    }
+
+    /**
+     * 移动卡牌：本地预检后交给服务器执行
+     * @param {number} fromRow - 起始行
+     * @param {number} fromCol - 起始列
+     * @param {number} toRow - 目标行
+     * @param {number} toCol - 目标列
+     * @returns {Object} 操作结果：成功时 pending 为 true
+     */
+    moveCard(fromRow, fromCol, toRow, toCol) {
+        const check = this.checkTurn();
+        if (!check.success) return check;
+
+        const card = this.gameState.getCardAt(fromRow, fromCol);
+        if (!card || !card.isRevealed) {
+            return this.localEngine.createError('NO_CARD_AT_POSITION');
+        }
+        if (card.faction !== this.gameState.playerFaction) {
+            return this.localEngine.createError('CANNOT_MOVE_OPPONENT_CARD');
+        }
+        if (!this.localEngine.isValidMove(fromRow, fromCol, toRow, toCol)) {
+            return this.localEngine.createError('INVALID_MOVE');
+        }
+
+        this.gameState.selectedPosition = null;
+        return this.sendAction({
+            action: 'move',
+            from: { row: fromRow, col: fromCol },
+            to: { row: toRow, col: toCol }
+        }, '等待服务器移动');
+    }
+
+    /**
+     * 认输：不必轮到本方，交给服务器结束对局，结果随 gameEnded 事件到达
+     * @returns {Object} 操作结果：成功时 pending 为 true
+     */
+    resign() {
+        if (this.isSpectator()) {
+            return Protocol.createError('SPECTATOR_READ_ONLY');
+        }
+        if (this.gameState.phase !== 'playing') {
+            return this.localEngine.createError('INVALID_GAME_PHASE');
+        }
+
+        return this.sendAction({ action: 'resign' }, '等待服务器确认认输');
+    }
+
+    /**
+     * 提议和棋：只能在本方回合提议，每回合一次，交给服务器转告对手；答复随 drawResponded 事件到达
+     * @returns {Object} 操作结果：成功时 pending 为 true
+     */
+    offerDraw() {
+        const check = this.checkTurn();
+        if (!check.success) return check;
+
+        if (this.getDrawOffer()) {
+            return this.localEngine.createError('DRAW_ALREADY_OFFERED');
+        }
+        if (this.hasOfferedDrawThisTurn('player')) {
+            return this.localEngine.createError('DRAW_OFFER_LIMIT');
+        }
+
+        return this.sendAction({ action: 'offer_draw' }, '和棋提议已发出，等待对手答复');
+    }
+
+    /**
+     * 答复对手的和棋提议，交给服务器执行
+     * @param {string} side - 答复的座位（只能是本座位 player，与 GameEngine 的参数保持一致）
+     * @param {boolean} accept - 是否同意
+     * @returns {Object} 操作结果：成功时 pending 为 true
+     */
+    respondToDraw(side, accept) {
+        if (this.isSpectator()) {
+            return Protocol.createError('SPECTATOR_READ_ONLY');
+        }
+        if (this.gameState.phase !== 'playing') {
+            return this.localEngine.createError('INVALID_GAME_PHASE');
+        }
+        const offer = this.getDrawOffer();
+        if (side !== 'player' || !offer || offer.seat === 'player') {
+            return this.localEngine.createError('NO_DRAW_OFFER');
+        }
+
+        return this.sendAction({ action: 'respond_draw', accept: Boolean(accept) }, '等待服务器确认和棋答复');
+    }
+
+    /**
+     * 获取待答复的和棋提议（由本地视图的对局日志推导）
+     * @returns {Object|null} { seat, timestamp }，没有时为null
+     */
+    getDrawOffer() {
+        return this.localEngine.getDrawOffer();
+    }
+
+    /**
+     * 本回合是否已经提议过和棋
+     * @param {string} side - 提议的一方
+     * @returns {boolean} 是否已提议
+     */
+    hasOfferedDrawThisTurn(side) {
+        return this.localEngine.hasOfferedDrawThisTurn(side);
+    }
+
+    /**
+     * 检查是否轮到本座位行动
+     * @returns {Object} 检查结果
+     */
+    checkTurn() {
+        if (this.isSpectator()) {
+            return Protocol.createError('SPECTATOR_READ_ONLY');
+        }
+        if (this.gameState.phase !== 'playing') {
+            return this.localEngine.createError('INVALID_GAME_PHASE');
+        }
+        if (this.gameState.currentPlayer !== 'player') {
+            return this.localEngine.createError('NOT_YOUR_TURN');
+        }
+        return { success: true };
+    }
+
+    /**
+     * 发送操作；服务器拒绝时触发 actionRejected 事件
+     * @param {Object} action - 操作内容
+     * @param {string} message - 结果说明
+     * @returns {Object} 操作结果
+     */
+    sendAction(action, message) {
+        if (!this.isConnected()) {
+            return Protocol.createError('NOT_CONNECTED');
+        }
+
+        this.request({ type: 'action', ...action }).then(result => {
+            if (!result.success) {
+                this.emit('actionRejected', { action, error: result.error });
+            }
+        });
+
+        return { success: true, pending: true, data: { action }, message };
+    }
+
+    /**
+     * 选择卡牌（本地）
+     * @param {number} row - 行索引
+     * @param {number} col - 列索引
+     * @returns {Object} 选择结果
+     */
+    selectCard(row, col) {
+        if (this.isSpectator()) {
+            return Protocol.createError('SPECTATOR_READ_ONLY');
+        }
+        return this.localEngine.selectCard(row, col);
+    }
+
+    /**
+     * 取消选择（本地）
+     * @returns {Object} 取消结果
+     */
+    deselectCard() {
+        return this.localEngine.deselectCard();
+    }
+
+    /**
+     * 获取可走位置
+     * @param {number} row - 行索引
+     * @param {number} col - 列索引
+     * @returns {Array} 有效移动位置数组
+     */
+    getValidMoves(row, col) {
+        return this.localEngine.getValidMoves(row, col);
+    }
+
+    /**
+     * 验证移动是否有效
+     * @param {number} fromRow - 起始行
+     * @param {number} fromCol - 起始列
+     * @param {number} toRow - 目标行
+     * @param {number} toCol - 目标列
+     * @returns {boolean} 是否有效
+     */
+    isValidMove(fromRow, fromCol, toRow, toCol) {
+        return this.localEngine.isValidMove(fromRow, fromCol, toRow, toCol);
+    }
+
+    /**
+     * 对手是远程玩家，没有AI回合
+     * @returns {Promise<Object>} 错误结果
+     */
+    async executeAITurn() {
+        return Protocol.createError('NOT_AVAILABLE_ONLINE', { action: 'executeAITurn' });
+    }
+
+    /**
+     * 在线对战不允许悔棋
+     * @returns {Object} 错误结果
+     */
+    undo() {
+        return this.localEngine.createError('UNDO_DISABLED');
+    }
+
+    /**
+     * 在线对战不允许重做
+     * @returns {Object} 错误结果
+     */
+    redo() {
+        return this.localEngine.createError('UNDO_DISABLED');
+    }
+
+    canUndo() {
+        return false;
+    }
+
+    canRedo() {
+        return false;
+    }
+
+    isHotSeat() {
+        return false;
+    }
+
+    /**
+     * 只有本座位由本机玩家操作，观战时没有可操作的座位
+     * @param {string} seat - 座位：player | ai
+     * @returns {boolean}
+     */
+    isHumanSeat(seat) {
+        return seat === 'player' && !this.isSpectator();
+    }
+
+    /**
+     * 获取座位的阵营
+     * @param {string} seat - 座位：player | ai
+     * @returns {string|null} 阵营
+     */
+    getSeatFaction(seat) {
+        return this.localEngine.getSeatFaction(seat);
+    }
+
+    /**
+     * 获取座位的显示名称
+     * @param {string} seat - 座位：player | ai
+     * @returns {string} 你 / 对手，观战时为 玩家1 / 玩家2
+     */
+    getSeatName(seat) {
+        if (this.isSpectator()) {
+            return seat === 'player' ? '玩家1' : '玩家2';
+        }
+        return seat === 'player' ? '你' : '对手';
+    }
+}
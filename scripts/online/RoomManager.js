@@ -0,0 +1,89 @@
+/**
+ * RoomManager类 - 在线对战房间管理
+ * 生成邀请码、按邀请码查找房间，房间里的人都离开（且没有等待重连的玩家）后自动回收
+ */
+
+import { randomInt } from 'node:crypto';
+import { GameRoom } from './GameRoom.js';
+import { SeededRandom } from '../utils/Random.js';
+
+// 邀请码字符表：去掉容易混淆的 0/O、1/I/L
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+export class RoomManager {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {number|string} options.seed - 随机种子，决定每个房间的对局种子（邀请码总是随机生成）
+     * @param {RuleSet|string|Object} options.ruleSet - 新房间使用的规则集
+     * @param {Object} options.aiOptions - 代打AI的配置
+     * @param {number} options.gracePeriod - 断线后保留座位的时间（毫秒）
+     * @param {string|Object|null} options.timeControl - 新房间的计时（见 GameEngine）
+     */
+    constructor(options = {}) {
+        this.rng = new SeededRandom(options.seed ?? undefined);
+        this.ruleSet = options.ruleSet || null;
+        this.aiOptions = options.aiOptions;
+        this.gracePeriod = options.gracePeriod;
+        this.timeControl = options.timeControl;
+        this.rooms = new Map();
+    }
+
+    /**
+     * 创建房间
+     * @returns {GameRoom} 新房间
+     */
+    createRoom() {
+        const code = this.generateCode();
+        const room = new GameRoom(code, {
+            seed: this.rng.nextInt(0x7fffffff),
+            ruleSet: this.ruleSet,
+            aiOptions: this.aiOptions,
+            gracePeriod: this.gracePeriod,
+            timeControl: this.timeControl
+        });
+
+        room.on('empty', () => this.removeRoom(code));
+        this.rooms.set(code, room);
+        return room;
+    }
+
+    /**
+     * 按邀请码查找房间（不区分大小写）
+     * @param {string} code - 邀请码
+     * @returns {GameRoom|null} 房间
+     */
+    getRoom(code) {
+        return this.rooms.get(String(code || '').trim().toUpperCase()) || null;
+    }
+
+    /**
+     * 关闭所有房间（服务器停止时）
+     */
+    closeAll() {
+        this.rooms.forEach(room => room.close());
+        this.rooms.clear();
+    }
+
+    /**
+     * 移除房间
+     * @param {string} code - 邀请码
+     */
+    removeRoom(code) {
+        this.rooms.delete(code);
+    }
+
+    /**
+     * 生成未被占用的邀请码
+     * 邀请码是加入和观战房间的凭据，使用密码学安全的随机数，不取自对局种子的随机序列
+     * @returns {string} 邀请码
+     */
+    generateCode() {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
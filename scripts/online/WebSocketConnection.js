@@ -0,0 +1,249 @@
+/**
+ * WebSocketConnection类 - 服务器端WebSocket连接（仅Node）
+ * 按 RFC 6455 完成握手和帧的编解码，不依赖第三方库，方便在本机直接运行对战服务器。
+ * 只支持文本消息；收到的消息按JSON解析后以 message 事件抛出
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024; // 对局消息很小，超长帧直接断开
+
+// 帧类型
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * 构造函数（已完成握手的socket）
+     * @param {net.Socket} socket - 底层TCP连接
+     */
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;   // 已缓存分片的总字节数，同样不能超过 MAX_PAYLOAD
+        this.isOpen = true;
+
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * 处理HTTP升级请求，完成握手
+     * @param {http.IncomingMessage} request - 升级请求
+     * @param {net.Socket} socket - 底层TCP连接
+     * @returns {WebSocketConnection|null} 连接，请求无效时返回null并关闭socket
+     */
+    static accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+        if (upgrade !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return null;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${WebSocketConnection.computeAcceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        return new WebSocketConnection(socket);
+    }
+
+    /**
+     * 计算握手应答的 Sec-WebSocket-Accept
+     * @param {string} key - 客户端的 Sec-WebSocket-Key
+     * @returns {string} 应答值
+     */
+    static computeAcceptKey(key) {
+        return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    }
+
+    /**
+     * 编码一个服务器帧（服务器发出的帧不加掩码）
+     * @param {number} opcode - 帧类型
+     * @param {Buffer} payload - 负载
+     * @returns {Buffer} 帧数据
+     */
+    static encodeFrame(opcode, payload = Buffer.alloc(0)) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+
+    /**
+     * 从缓冲区解析一个帧
+     * @param {Buffer} buffer - 已收到的数据
+     * @returns {Object|null} { fin, opcode, payload, length }，数据不完整时返回null
+     */
+    static decodeFrame(buffer) {
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let payloadLength = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (payloadLength === 126) {
+            if (buffer.length < 4) return null;
+            payloadLength = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (payloadLength === 127) {
+            if (buffer.length < 10) return null;
+            payloadLength = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < offset + maskLength + payloadLength) {
+            return { fin, opcode, payloadLength, payload: null, length: 0 };
+        }
+
+        const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+        if (masked) {
+            const mask = buffer.subarray(offset, offset + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        return { fin, opcode, payloadLength, payload, length: offset + maskLength + payloadLength };
+    }
+
+    /**
+     * 处理收到的数据，可能包含多个或半个帧
+     * @param {Buffer} chunk - 数据块
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.isOpen) {
+            const frame = WebSocketConnection.decodeFrame(this.buffer);
+            if (!frame) return;
+
+            if (frame.payloadLength > MAX_PAYLOAD) {
+                this.close(1009, '消息过长');
+                return;
+            }
+            if (!frame.payload) return;
+
+            this.buffer = this.buffer.subarray(frame.length);
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * 处理一个完整的帧
+     * @param {Object} frame - 解析出的帧
+     */
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.CONTINUATION:
+                this.fragmentsLength += frame.payload.length;
+                if (this.fragmentsLength > MAX_PAYLOAD) {
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.close(1009, '消息过长');
+                    break;
+                }
+                this.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.handleText(text);
+                }
+                break;
+            case OPCODES.PING:
+                this.socket.write(WebSocketConnection.encodeFrame(OPCODES.PONG, frame.payload));
+                break;
+            case OPCODES.PONG:
+                break;
+            case OPCODES.CLOSE:
+                this.close();
+                break;
+            default:
+                this.close(1003, '只支持文本消息');
+        }
+    }
+
+    /**
+     * 处理一条完整的文本消息
+     * @param {string} text - 消息文本
+     */
+    handleText(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.emit('invalidMessage', { text });
+            return;
+        }
+        this.emit('message', message);
+    }
+
+    /**
+     * 发送消息
+     * @param {Object|string} message - 消息对象（按JSON发送）或文本
+     */
+    send(message) {
+        if (!this.isOpen) return;
+        const text = typeof message === 'string' ? message : JSON.stringify(message);
+        this.socket.write(WebSocketConnection.encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+    }
+
+    /**
+     * 关闭连接
+     * @param {number} code - 关闭码，默认1000
+     * @param {string} reason - 关闭原因
+     */
+    close(code = 1000, reason = '') {
+        if (!this.isOpen) return;
+
+        const reasonBuffer = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+
+        this.socket.end(WebSocketConnection.encodeFrame(OPCODES.CLOSE, payload));
+        this.handleClose();
+    }
+
+    /**
+     * 连接已关闭
+     */
+    handleClose() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.emit('close');
+    }
+}
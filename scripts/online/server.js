@@ -0,0 +1,105 @@
+/**
+ * 在线对战服务器命令行入口
+ *
+ * 用法（需要 Node 22+，或在 Node 20 上加 --experimental-detect-module）：
+ *   node scripts/online/server.js --port 8080
+ * 然后在两个浏览器标签页打开 http://localhost:8080/ ，一方点「在线对战」创建房间，
+ * 另一方打开创建者日志里的邀请链接（或在地址后加 ?room=邀请码）加入。
+ * 其他人打开同一邀请链接点「观战」即可只读观看（例如把比赛决赛投到大屏幕上）。
+ *
+ * 参数：
+ *   --port          监听端口（默认8080）
+ *   --host          监听地址（默认所有网卡）
+ *   --seed          随机种子（默认随机），相同种子下发牌可复现（邀请码总是随机生成）
+ *   --grace         断线后保留座位的秒数（默认30），超时判负
+ *   --time          棋钟预设：bullet | blitz | rapid | none（默认不用棋钟）
+ *   --turn-time     每步限时秒数（默认60，指定了 --time 时默认不限），0表示不限时；超时判负
+ */
+
+import { fileURLToPath } from 'node:url';
+import { GameServer } from './GameServer.js';
+import { TIME_CONTROL_PRESETS } from '../core/TimeControl.js';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数列表
+ * @returns {Object} 参数对象
+ */
+function parseArgs(argv) {
+    const args = { port: 8080, host: undefined, seed: undefined, grace: undefined, time: undefined, turnTime: undefined };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`参数 ${arg} 缺少取值`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--port': args.port = parseInt(next(), 10); break;
+            case '--host': args.host = next(); break;
+            case '--seed': args.seed = next(); break;
+            case '--grace': args.grace = parseFloat(next()); break;
+            case '--time': args.time = next(); break;
+            case '--turn-time': args.turnTime = parseFloat(next()); break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    if (!(args.port >= 0 && args.port < 65536)) {
+        throw new Error('--port 必须是 0-65535 之间的整数');
+    }
+    if (args.time !== undefined && args.time !== 'none' && !TIME_CONTROL_PRESETS[args.time]) {
+        throw new Error(`--time 必须是 ${[...Object.keys(TIME_CONTROL_PRESETS), 'none'].join(' | ')} 之一`);
+    }
+    [['grace', '--grace'], ['turnTime', '--turn-time']].forEach(([key, flag]) => {
+        if (args[key] !== undefined && !(args[key] >= 0)) {
+            throw new Error(`${flag} 必须是非负数`);
+        }
+    });
+    return args;
+}
+
+/**
+ * 由 --time 和 --turn-time 组合出房间的计时配置
+ * @param {Object} args - 参数对象
+ * @returns {Object|null|undefined} 计时配置，都未指定时返回 undefined（使用房间默认值）
+ */
+function buildTimeControl(args) {
+    if (args.time === undefined && args.turnTime === undefined) {
+        return undefined;
+    }
+
+    const config = args.time && args.time !== 'none' ? { ...TIME_CONTROL_PRESETS[args.time] } : {};
+    if (args.turnTime > 0) {
+        config.perMove = args.turnTime * 1000;
+    }
+    return config.initial || config.perMove ? config : null;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const server = new GameServer({
+        port: args.port,
+        host: args.host,
+        seed: args.seed,
+        gracePeriod: args.grace === undefined ? undefined : args.grace * 1000,
+        timeControl: buildTimeControl(args),
+        root: fileURLToPath(new URL('../../', import.meta.url))
+    });
+
+    const { port } = await server.start();
+    process.stdout.write(`龙虎斗在线对战服务器已启动: http://localhost:${port}/\n`);
+
+    process.on('SIGINT', () => {
+        server.stop().then(() => process.exit(0));
+    });
+}
+
+main().catch(error => {
+    process.stderr.write(`服务器启动失败: ${error.message}\n`);
+    process.exitCode = 1;
+});
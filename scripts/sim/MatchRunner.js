@@ -0,0 +1,215 @@
+/**
+ * MatchRunner类 - 无界面AI对战批量模拟
+ * 让任意两个AI实现在不依赖DOM、没有思考延时的情况下连续对战，
+ * 统计胜/平/负率、平均对局长度和先手优势，用于衡量AI策略改进的实际效果
+ */
+
+import { GameEngine } from '../core/GameEngine.js';
+import { AIPlayer } from '../ai/AIPlayer.js';
+import { EnhancedAIPlayer } from '../ai/EnhancedAIPlayer.js';
+import { SearchAIPlayer } from '../ai/SearchAIPlayer.js';
+import { MCTSAIPlayer } from '../ai/MCTSAIPlayer.js';
+import { SeededRandom } from '../utils/Random.js';
+import { SeatEngine } from '../ai/SeatEngine.js';
+import { StrategyPlayer } from './StrategyPlayer.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// 可参赛的AI实现：(座位引擎, 难度) => 玩家实例
+export const PLAYER_FACTORIES = {
+    basic: (engine, difficulty) => new AIPlayer(engine, difficulty, { thinkingDelay: false }),
+    enhanced: (engine, difficulty) => new EnhancedAIPlayer(engine, difficulty, {
+        thinkingDelay: false,
+        thinkingLog: false
+    }),
+    strategy: (engine, difficulty) => new StrategyPlayer(engine, difficulty),
+    // 只用节点预算限制搜索，保证相同种子可复现
+    search: (engine, difficulty) => new SearchAIPlayer(engine, difficulty, {
+        thinkingDelay: false,
+        timeBudget: null
+    }),
+    // 只用迭代次数限制搜索，保证相同种子可复现
+    mcts: (engine, difficulty) => new MCTSAIPlayer(engine, difficulty, {
+        thinkingDelay: false,
+        timeBudget: null
+    })
+};
+
+export class MatchRunner extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {Array<Object|string>} options.competitors - 两个参赛者，如 ['enhanced:hard', { type: 'basic' }]
+     * @param {number} options.games - 对局数
+     * @param {number|string} options.seed - 基础种子，第i局使用 `${seed}:${i}`
+     * @param {number} options.maxTurns - 单局回合上限，超过判为平局
+     * @param {RuleSet|string|Object} options.ruleSet - 规则集
+     */
+    constructor(options = {}) {
+        super();
+        const competitors = options.competitors || ['enhanced', 'enhanced'];
+        if (competitors.length !== 2) {
+            throw new Error('对战需要两个参赛者');
+        }
+
+        this.competitors = competitors.map((spec, index) => MatchRunner.parseCompetitor(spec, index));
+        this.config = {
+            games: options.games ?? 100,
+            seed: options.seed ?? SeededRandom.generateSeed(),
+            maxTurns: options.maxTurns ?? 300,
+            ruleSet: options.ruleSet || null
+        };
+        this.results = [];
+    }
+
+    /**
+     * 解析参赛者配置
+     * @param {Object|string} spec - 'type:difficulty' 或 { type, difficulty, name }
+     * @param {number} index - 参赛者序号
+     * @returns {Object} { type, difficulty, name }
+     */
+    static parseCompetitor(spec, index = 0) {
+        const [type, difficulty = 'medium'] = typeof spec === 'string' ?
+            spec.split(':') : [spec.type, spec.difficulty];
+
+        if (!PLAYER_FACTORIES[type]) {
+            throw new Error(`未知的AI类型: ${type}（可选: ${Object.keys(PLAYER_FACTORIES).join(', ')}）`);
+        }
+
+        return {
+            type,
+            difficulty,
+            name: spec.name || `${type}:${difficulty}#${index + 1}`
+        };
+    }
+
+    /**
+     * 运行全部对局
+     * @returns {Promise<Object>} 统计汇总
+     */
+    async run() {
+        this.results = [];
+
+        for (let i = 0; i < this.config.games; i++) {
+            const result = await this.playGame(i);
+            this.results.push(result);
+            this.emit('gameCompleted', { index: i, result, total: this.config.games });
+        }
+
+        const summary = MatchRunner.summarize(this.results, this.competitors);
+        this.emit('completed', summary);
+        return summary;
+    }
+
+    /**
+     * 进行一局对战
+     * 参赛者每局交换座位，每两局交换先手，保证双方坐各座位、先后手的局数相同
+     * @param {number} index - 对局序号
+     * @returns {Promise<Object>} 对局结果
+     */
+    async playGame(index) {
+        const seed = `${this.config.seed}:${index}`;
+        const engine = new GameEngine({ ruleSet: this.config.ruleSet, seed });
+
+        // 座位 -> 参赛者序号
+        const seating = index % 2 === 0 ? { player: 0, ai: 1 } : { player: 1, ai: 0 };
+        const firstPlayer = Math.floor(index / 2) % 2 === 0 ? 'player' : 'ai';
+
+        engine.startNewGame();
+        engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer });
+        engine.initializeBoard();
+
+        const seats = {};
+        const players = {};
+        ['player', 'ai'].forEach(side => {
+            const competitor = this.competitors[seating[side]];
+            seats[side] = new SeatEngine(engine, side, { seed: `${seed}:${side}` });
+            players[side] = PLAYER_FACTORIES[competitor.type](seats[side], competitor.difficulty);
+        });
+
+        let turns = 0;
+        let error = null;
+        while (engine.gameState.phase === 'playing') {
+            if (turns >= this.config.maxTurns) {
+                engine.endGame('draw', `达到回合上限(${this.config.maxTurns})`);
+                break;
+            }
+
+            const side = engine.gameState.currentPlayer;
+            seats[side].refresh();
+            const turnResult = await players[side].executeTurn();
+
+            // AI无法行动或没有推进回合时判负，避免死循环
+            const stalled = engine.gameState.phase === 'playing' && engine.gameState.currentPlayer === side;
+            if (!turnResult.success || stalled) {
+                error = turnResult.error || turnResult.message || '回合未推进';
+                engine.endGame(SeatEngine.mirrorSide(side), `${this.competitors[seating[side]].name} 无法行动: ${error}`);
+                break;
+            }
+            turns++;
+        }
+
+        const { winner } = engine.gameState;
+        const winnerIndex = winner === 'player' || winner === 'ai' ? seating[winner] : null;
+        const endEntry = engine.gameState.gameLog.find(entry => entry.type === 'game_end');
+
+        return {
+            index,
+            seed,
+            seating,
+            firstPlayer,
+            first: seating[firstPlayer],
+            winner: winnerIndex,
+            reason: endEntry ? endEntry.details.reason : null,
+            turns,
+            battles: engine.battleResolver.getBattleHistory().length,
+            error
+        };
+    }
+
+    /**
+     * 汇总对局结果
+     * @param {Array} results - 对局结果数组
+     * @param {Array} competitors - 参赛者
+     * @returns {Object} 统计汇总
+     */
+    static summarize(results, competitors) {
+        const games = results.length;
+        const rate = count => (games > 0 ? count / games : 0);
+        const draws = results.filter(result => result.winner === null).length;
+
+        const competitorStats = competitors.map((competitor, index) => {
+            const wins = results.filter(result => result.winner === index).length;
+            const losses = games - wins - draws;
+            return {
+                ...competitor,
+                wins,
+                draws,
+                losses,
+                winRate: rate(wins),
+                drawRate: rate(draws),
+                lossRate: rate(losses),
+                firstMoveGames: results.filter(result => result.first === index).length
+            };
+        });
+
+        const firstWins = results.filter(result => result.winner === result.first).length;
+        const firstLosses = games - firstWins - draws;
+
+        return {
+            games,
+            competitors: competitorStats,
+            draws,
+            averageTurns: games > 0 ? results.reduce((sum, result) => sum + result.turns, 0) / games : 0,
+            averageBattles: games > 0 ? results.reduce((sum, result) => sum + result.battles, 0) / games : 0,
+            firstMover: {
+                wins: firstWins,
+                draws,
+                losses: firstLosses,
+                winRate: rate(firstWins),
+                // 先手优势：先手胜率 - 后手胜率
+                advantage: rate(firstWins) - rate(firstLosses)
+            },
+            errors: results.filter(result => result.error).length
+        };
+    }
+}
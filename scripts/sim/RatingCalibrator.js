@@ -0,0 +1,132 @@
+/**
+ * RatingCalibrator类 - AI档位等级分校准
+ * 用 MatchRunner 让各AI档位两两自我对弈，再按全部对局结果拟合分数（Bradley-Terry 最大似然，平局计半胜），
+ * 以基准档位为 1500 分。结果用于 Rating.js 中的 AI_TIER_RATINGS
+ */
+
+import { MatchRunner } from './MatchRunner.js';
+import { Rating, DEFAULT_RATING } from '../core/Rating.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+// 拟合的迭代次数上限和收敛阈值（分）
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 0.01;
+
+export class RatingCalibrator extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置项
+     * @param {Array<string>} options.tiers - 参与校准的档位，如 ['enhanced:easy', 'search:medium']
+     * @param {string} options.anchor - 基准档位（固定为1500分），默认 enhanced:medium，不在 tiers 中时取第一个档位
+     * @param {number} options.gamesPerPair - 每对档位的对局数（应为偶数，保证双方先后手局数相同）
+     * @param {number|string} options.seed - 基础种子，第 i 对档位使用 `${seed}:${i}`
+     * @param {number} options.maxTurns - 单局回合上限
+     * @param {RuleSet|string|Object} options.ruleSet - 规则集
+     */
+    constructor(options = {}) {
+        super();
+        this.tiers = options.tiers || [];
+        if (this.tiers.length < 2) {
+            throw new Error('校准至少需要两个档位');
+        }
+        this.tiers.forEach(tier => MatchRunner.parseCompetitor(tier));
+
+        this.config = {
+            anchor: this.tiers.includes(options.anchor || 'enhanced:medium') ? (options.anchor || 'enhanced:medium') : this.tiers[0],
+            gamesPerPair: options.gamesPerPair ?? 20,
+            seed: options.seed ?? 'tiers',
+            maxTurns: options.maxTurns ?? 300,
+            ruleSet: options.ruleSet || null
+        };
+        this.pairs = [];
+    }
+
+    /**
+     * 运行全部对局并拟合分数
+     * @returns {Promise<Object>} { ratings: { 档位: { rating, rd, games, score } }, pairs }
+     */
+    async run() {
+        this.pairs = [];
+        let index = 0;
+
+        for (let i = 0; i < this.tiers.length; i++) {
+            for (let j = i + 1; j < this.tiers.length; j++) {
+                const runner = new MatchRunner({
+                    competitors: [this.tiers[i], this.tiers[j]],
+                    games: this.config.gamesPerPair,
+                    seed: `${this.config.seed}:${index++}`,
+                    maxTurns: this.config.maxTurns,
+                    ruleSet: this.config.ruleSet
+                });
+                const summary = await runner.run();
+                const [a, b] = summary.competitors;
+                const pair = { a: this.tiers[i], b: this.tiers[j], wins: a.wins, draws: a.draws, losses: a.losses };
+                this.pairs.push(pair);
+                this.emit('pairCompleted', { ...pair, completed: this.pairs.length, total: this.tiers.length * (this.tiers.length - 1) / 2 });
+            }
+        }
+
+        return { ratings: RatingCalibrator.fit(this.tiers, this.pairs, this.config.anchor), pairs: this.pairs };
+    }
+
+    /**
+     * 按对局结果拟合各档位的分数
+     * 每对档位额外计入一局虚拟平局，避免全胜或全负的档位分数发散
+     * @param {Array<string>} tiers - 档位
+     * @param {Array<Object>} pairs - [{ a, b, wins, draws, losses }]，胜/平/负为 a 的结果
+     * @param {string} anchor - 基准档位
+     * @returns {Object} { 档位: { rating, rd, games, score } }，score 为实际得分率
+     */
+    static fit(tiers, pairs, anchor = tiers[0]) {
+        const ratings = Object.fromEntries(tiers.map(tier => [tier, DEFAULT_RATING]));
+        const matchups = [];
+        pairs.forEach(({ a, b, wins, draws, losses }) => {
+            const games = wins + draws + losses + 1;
+            matchups.push({ player: a, opponent: b, games, score: wins + (draws + 1) / 2 });
+            matchups.push({ player: b, opponent: a, games, score: losses + (draws + 1) / 2 });
+        });
+
+        // 逐个档位做牛顿迭代，直到分数不再变化
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            let maxChange = 0;
+            tiers.forEach(tier => {
+                let gradient = 0;
+                let curvature = 0;
+                matchups.filter(matchup => matchup.player === tier).forEach(({ opponent, games, score }) => {
+                    const expected = Rating.expectedScore({ rating: ratings[tier] }, { rating: ratings[opponent] });
+                    gradient += score - games * expected;
+                    curvature += games * expected * (1 - expected);
+                });
+                if (curvature > 0) {
+                    const change = gradient / curvature * 400 / Math.log(10);
+                    ratings[tier] += change;
+                    maxChange = Math.max(maxChange, Math.abs(change));
+                }
+            });
+
+            // 平移到基准档位为1500分
+            const offset = DEFAULT_RATING - ratings[anchor];
+            tiers.forEach(tier => {
+                ratings[tier] += offset;
+            });
+            if (maxChange < TOLERANCE) break;
+        }
+
+        return Object.fromEntries(tiers.map(tier => {
+            const own = matchups.filter(matchup => matchup.player === tier);
+            const games = own.reduce((sum, matchup) => sum + matchup.games - 1, 0);
+            const score = own.reduce((sum, matchup) => sum + matchup.score - 0.5, 0);
+            // 评分偏差取拟合分数的标准误差
+            const information = own.reduce((sum, { opponent, games: count }) => {
+                const expected = Rating.expectedScore({ rating: ratings[tier] }, { rating: ratings[opponent] });
+                return sum + count * expected * (1 - expected);
+            }, 0);
+            return [tier, {
+                rating: Math.round(ratings[tier]),
+                rd: information > 0 ? Math.round(400 / Math.log(10) / Math.sqrt(information)) : null,
+                games,
+                score: games > 0 ? score / games : 0
+            }];
+        }));
+    }
+}
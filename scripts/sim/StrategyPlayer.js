@@ -0,0 +1,56 @@
+/**
+ * StrategyPlayer类 - 纯策略AI
+ * 用 generateLegalActions 生成全部合法着法，交给 EnhancedStrategy 决策，
+ * 不含 EnhancedAIPlayer 的象棋大师策略和自杀攻击过滤，用作对照组
+ */
+
+import { EnhancedStrategy } from '../ai/EnhancedStrategy.js';
+import { SeededRandom } from '../utils/Random.js';
+import { SeatEngine } from '../ai/SeatEngine.js';
+import { generateLegalActions, toStrategyMove } from '../core/LegalActions.js';
+
+export class StrategyPlayer {
+    /**
+     * 构造函数
+     * @param {GameEngine|SeatEngine} gameEngine - 游戏引擎（以 ai 一方的视角提供 gameState）
+     * @param {string} difficulty - 难度级别
+     */
+    constructor(gameEngine, difficulty = 'medium') {
+        this.gameEngine = SeatEngine.wrap(gameEngine, 'ai'); // 只能通过观察视图读取局面
+        this.difficulty = difficulty;
+        this.rng = this.gameEngine?.rng || new SeededRandom();
+        this.strategy = new EnhancedStrategy(difficulty, this.rng);
+    }
+
+    /**
+     * 获取全部合法着法
+     * @returns {Array} 着法数组，格式与 EnhancedAIPlayer.getAvailableMoves 一致
+     */
+    getAvailableMoves() {
+        return generateLegalActions(this.gameEngine.gameState, 'ai').map(toStrategyMove);
+    }
+
+    /**
+     * 执行回合
+     * @returns {Promise<Object>} 执行结果
+     */
+    async executeTurn() {
+        const moves = this.getAvailableMoves();
+        if (moves.length === 0) {
+            return { success: false, action: 'error', error: '没有可用移动' };
+        }
+
+        const decision = this.strategy.makeDecision(this.gameEngine.gameState, moves) || moves[0];
+        const result = decision.type === 'flip' ?
+            this.gameEngine.flipCard(decision.position.row, decision.position.col, 'ai') :
+            this.gameEngine.moveCard(decision.from.row, decision.from.col, decision.to.row, decision.to.col, 'ai');
+
+        return {
+            success: result.success,
+            action: decision.type,
+            decision,
+            result,
+            error: result.success ? null : result.error.message
+        };
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * AI对战批量模拟命令行入口
+ *
+ * 用法（需要 Node 22+，或在 Node 20 上加 --experimental-detect-module）：
+ *   node scripts/sim/simulate.js --a enhanced:hard --b strategy:medium --games 200 --seed 42
+ *   node scripts/sim/simulate.js --calibrate all --games 40 --seed tiers
+ *
+ * 参数：
+ *   --a, --b        参赛者，格式为 类型[:难度]，类型可选 basic | enhanced | strategy | search | mcts
+ *   --games         对局数（默认100）
+ *   --seed          基础种子（默认随机），相同种子可复现整批对局
+ *   --max-turns     单局回合上限（默认300），超过判为平局
+ *   --rules         规则集注册名（默认 classic）
+ *   --calibrate     校准AI档位的等级分：逗号分隔的档位列表，all 表示 Rating.js 中的全部档位；
+ *                   此时 --games 为每对档位的对局数
+ *   --json          以JSON输出汇总结果
+ *   --verbose       保留AI的控制台调试输出
+ */
+
+import { MatchRunner, PLAYER_FACTORIES } from './MatchRunner.js';
+import { RatingCalibrator } from './RatingCalibrator.js';
+import { AI_TIER_RATINGS } from '../core/Rating.js';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数列表
+ * @returns {Object} 参数对象
+ */
+function parseArgs(argv) {
+    const args = {
+        a: 'enhanced', b: 'enhanced', games: 100, seed: undefined, maxTurns: 300, rules: null,
+        calibrate: null, json: false, verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`参数 ${arg} 缺少取值`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--a': args.a = next(); break;
+            case '--b': args.b = next(); break;
+            case '--games': args.games = parseInt(next(), 10); break;
+            case '--seed': args.seed = next(); break;
+            case '--max-turns': args.maxTurns = parseInt(next(), 10); break;
+            case '--rules': args.rules = next(); break;
+            case '--calibrate': args.calibrate = next(); break;
+            case '--json': args.json = true; break;
+            case '--verbose': args.verbose = true; break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    if (!(args.games > 0)) {
+        throw new Error('--games 必须为正整数');
+    }
+    if (!(args.maxTurns > 0)) {
+        throw new Error('--max-turns 必须为正整数');
+    }
+    return args;
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * 打印汇总表
+ * @param {Object} summary - MatchRunner.summarize 的结果
+ * @param {Object} config - 模拟配置
+ */
+function printSummary(summary, config) {
+    const lines = [
+        `对局数: ${summary.games}    种子: ${config.seed}    回合上限: ${config.maxTurns}`,
+        ''
+    ];
+
+    summary.competitors.forEach(competitor => {
+        lines.push(`${competitor.name.padEnd(22)} 胜 ${percent(competitor.winRate).padStart(6)}  ` +
+            `平 ${percent(competitor.drawRate).padStart(6)}  负 ${percent(competitor.lossRate).padStart(6)}  ` +
+            `(${competitor.wins}/${competitor.draws}/${competitor.losses})`);
+    });
+
+    lines.push('');
+    lines.push(`平均对局长度: ${summary.averageTurns.toFixed(1)} 步    平均战斗次数: ${summary.averageBattles.toFixed(1)}`);
+    lines.push(`先手胜率: ${percent(summary.firstMover.winRate)}    ` +
+        `先手优势(先手胜率-后手胜率): ${(summary.firstMover.advantage * 100).toFixed(1)}个百分点`);
+    if (summary.errors > 0) {
+        lines.push(`AI无法行动而判负的对局: ${summary.errors}`);
+    }
+
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+/**
+ * 打印校准结果，并给出可以粘贴到 Rating.js 的 AI_TIER_RATINGS
+ * @param {Object} result - RatingCalibrator.run 的结果
+ * @param {Object} config - 校准配置
+ */
+function printCalibration(result, config) {
+    const lines = [`每对档位对局数: ${config.gamesPerPair}    种子: ${config.seed}    基准: ${config.anchor}`, ''];
+
+    Object.entries(result.ratings)
+        .sort(([, a], [, b]) => b.rating - a.rating)
+        .forEach(([tier, { rating, rd, games, score }]) => {
+            lines.push(`${tier.padEnd(18)} ${String(rating).padStart(5)} ± ${String(rd).padEnd(4)} 得分率 ${percent(score).padStart(6)}  (${games}局)`);
+        });
+
+    lines.push('', 'export const AI_TIER_RATINGS = {');
+    const entries = Object.entries(result.ratings);
+    entries.forEach(([tier, { rating, rd }], index) => {
+        lines.push(`    '${tier}': { rating: ${rating}, rd: ${rd} }${index < entries.length - 1 ? ',' : ''}`);
+    });
+    lines.push('};');
+
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+/**
+ * 校准AI档位的等级分
+ * @param {Object} args - 命令行参数
+ */
+async function calibrate(args) {
+    const calibrator = new RatingCalibrator({
+        tiers: args.calibrate === 'all' ? Object.keys(AI_TIER_RATINGS) : args.calibrate.split(','),
+        gamesPerPair: args.games,
+        seed: args.seed,
+        maxTurns: args.maxTurns,
+        ruleSet: args.rules
+    });
+
+    calibrator.on('pairCompleted', ({ a, b, completed, total }) => {
+        if (!args.json && process.stderr.isTTY) {
+            process.stderr.write(`\r已完成 ${completed}/${total}（${a} 对 ${b}）`.padEnd(60));
+        }
+    });
+
+    const result = await calibrator.run();
+    if (!args.json && process.stderr.isTTY) {
+        process.stderr.write('\n');
+    }
+
+    if (args.json) {
+        process.stdout.write(`${JSON.stringify({ config: calibrator.config, ...result }, null, 2)}\n`);
+    } else {
+        printCalibration(result, calibrator.config);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        process.stdout.write(`可选AI类型: ${Object.keys(PLAYER_FACTORIES).join(', ')}\n` +
+            '用法: node scripts/sim/simulate.js --a enhanced:hard --b strategy --games 200 --seed 42\n' +
+            '      node scripts/sim/simulate.js --calibrate all --games 40 --seed tiers\n');
+        return;
+    }
+
+    // 现有AI实现会在控制台输出大量调试信息，批量模拟时默认屏蔽（AI出错会记录在对局结果中）
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    }
+
+    if (args.calibrate) {
+        await calibrate(args);
+        return;
+    }
+
+    const runner = new MatchRunner({
+        competitors: [args.a, args.b],
+        games: args.games,
+        seed: args.seed,
+        maxTurns: args.maxTurns,
+        ruleSet: args.rules
+    });
+
+    runner.on('gameCompleted', ({ index, total }) => {
+        if (!args.json && process.stderr.isTTY) {
+            process.stderr.write(`\r已完成 ${index + 1}/${total}`);
+        }
+    });
+
+    const summary = await runner.run();
+    if (!args.json && process.stderr.isTTY) {
+        process.stderr.write('\n');
+    }
+
+    if (args.json) {
+        process.stdout.write(`${JSON.stringify({ config: runner.config, summary }, null, 2)}\n`);
+    } else {
+        printSummary(summary, runner.config);
+    }
+}
+
+main().catch(error => {
+    process.stderr.write(`模拟失败: ${error.message}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+/**
+ * AIAnalysisOverlay类 - "AI考虑了…"浮层
+ * AI回合结束后列出它比较过的候选行动（访问次数和胜率），并在棋盘上标出这些行动的目标格子
+ */
+
+export class AIAnalysisOverlay {
+    /**
+     * 构造函数
+     * @param {UIManager} uiManager - UI管理器
+     */
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.document = uiManager.document;
+        this.panel = null;
+        this.candidates = [];
+        this.markedCells = [];
+    }
+
+    /**
+     * 显示一次搜索的候选行动
+     * @param {Object} analysis - AI搜索结果（需包含 candidates: [{ decision, visits, winRate }]）
+     */
+    show(analysis) {
+        this.hide();
+
+        const candidates = analysis?.candidates || [];
+        if (candidates.length === 0) return;
+
+        const panel = this.document.createElement('div');
+        panel.className = 'ai-analysis';
+        panel.id = 'ai-analysis';
+
+        const rows = candidates.map((candidate, index) => `
+                <li class="ai-analysis-item${index === 0 ? ' chosen' : ''}">
+                    <span class="ai-analysis-move">${candidate.decision.description}</span>
+                    <span class="ai-analysis-visits">${candidate.visits}次</span>
+                    <span class="ai-analysis-rate">${Math.round(candidate.winRate * 100)}%</span>
+                </li>`).join('');
+
+        panel.innerHTML = `
+            <div class="ai-analysis-title">AI考虑了…</div>
+            <ol class="ai-analysis-list">${rows}
+            </ol>
+            <div class="ai-analysis-footer">共${analysis.iterations}次模拟</div>
+        `;
+
+        const container = this.uiManager.elements.gameContainer || this.document.body;
+        container.appendChild(panel);
+        this.panel = panel;
+        this.candidates = candidates;
+        this.markCells();
+    }
+
+    /**
+     * 隐藏浮层并清除棋盘标记
+     */
+    hide() {
+        if (this.panel && this.panel.parentNode) {
+            this.panel.parentNode.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.candidates = [];
+        this.clearMarks();
+    }
+
+    /**
+     * 浮层是否正在显示
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this.panel !== null;
+    }
+
+    /**
+     * 在棋盘上标出候选行动的目标格子（棋盘重新渲染后需要再次调用）
+     */
+    markCells() {
+        this.clearMarks();
+        this.candidates.forEach((candidate, index) => {
+            this.markCell(AIAnalysisOverlay.getTargetPosition(candidate.decision), index + 1);
+        });
+    }
+
+    /**
+     * 清除棋盘标记
+     */
+    clearMarks() {
+        this.markedCells.forEach(cell => {
+            cell.classList.remove('ai-candidate');
+            delete cell.dataset.aiRank;
+        });
+        this.markedCells = [];
+    }
+
+    /**
+     * 在棋盘格子上标出候选行动的排名（同一格子保留排名最靠前的）
+     * @param {Object} position - 位置 { row, col }
+     * @param {number} rank - 排名，从1开始
+     */
+    markCell(position, rank) {
+        const cell = this.uiManager.boardRenderer.getCellByPosition(position.row, position.col);
+        if (!cell || this.markedCells.includes(cell)) return;
+
+        cell.classList.add('ai-candidate');
+        cell.dataset.aiRank = rank;
+        this.markedCells.push(cell);
+    }
+
+    /**
+     * 决策作用的目标格子：翻牌为翻开的位置，移动和攻击为目标位置
+     * @param {Object} decision - AI决策
+     * @returns {Object} 位置 { row, col }
+     */
+    static getTargetPosition(decision) {
+        return decision.type === 'flip' ? decision.position : decision.to;
+    }
+}
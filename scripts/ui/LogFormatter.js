@@ -0,0 +1,67 @@
+/**
+ * LogFormatter类 - 对局日志文字描述
+ * 把 GameState.gameLog 中的条目转成界面日志面板显示的一句话；
+ * 界面日志由对局日志生成，观战者中途进入时也能看到完整的历史
+ */
+
+// 显示在日志面板中的条目类型（回合切换等系统条目不显示）
+const DISPLAYED_TYPES = ['flip', 'move', 'faction_assigned', 'game_end'];
+
+const FACTION_NAMES = { dragon: '龙', tiger: '虎' };
+
+export class LogFormatter {
+    /**
+     * 描述一条日志
+     * @param {Object} entry - 日志条目
+     * @param {GameState} gameState - 日志所属的局面，用于查找卡牌名称
+     * @param {Function} getSeatName - 座位 -> 显示名称
+     * @returns {string|null} 描述，不需要显示的条目返回null
+     */
+    static format(entry, gameState, getSeatName) {
+        const details = entry.details || {};
+
+        switch (entry.type) {
+            case 'flip':
+                return `${getSeatName(entry.player)}翻开了${details.cardName}`;
+            case 'move': {
+                const cardName = LogFormatter.getCardName(gameState, details.cardId);
+                return details.moveType === 'battle' ?
+                    `${getSeatName(entry.player)}的${cardName}发起攻击` :
+                    `${getSeatName(entry.player)}移动了${cardName}`;
+            }
+            case 'faction_assigned':
+                return `阵营确定：${getSeatName('player')}执${FACTION_NAMES[details.playerFaction]}，` +
+                    `${getSeatName('ai')}执${FACTION_NAMES[details.aiFaction]}`;
+            case 'game_end': {
+                const result = details.winner === 'draw' ? '平局' : `${getSeatName(details.winner)}获胜`;
+                return details.reason ? `游戏结束，${result}（${details.reason}）` : `游戏结束，${result}`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * 描述日志中所有需要显示的条目
+     * @param {Array} gameLog - 日志
+     * @param {GameState} gameState - 日志所属的局面
+     * @param {Function} getSeatName - 座位 -> 显示名称
+     * @returns {Array<Object>} [{ entry, text }]
+     */
+    static formatAll(gameLog, gameState, getSeatName) {
+        return gameLog
+            .filter(entry => DISPLAYED_TYPES.includes(entry.type))
+            .map(entry => ({ entry, text: LogFormatter.format(entry, gameState, getSeatName) }));
+    }
+
+    /**
+     * 按id查找卡牌名称
+     * @param {GameState} gameState - 局面
+     * @param {string} cardId - 卡牌id
+     * @returns {string} 卡牌名称
+     */
+    static getCardName(gameState, cardId) {
+        const card = gameState?.cardsData?.find(candidate => candidate.id === cardId);
+        return card ? card.name : '卡牌';
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * PassDeviceScreen类 - 双人对战的"交换设备"遮罩
+ * 每回合结束后遮住整个棋盘，提示把设备交给下一位玩家，对方点击"我准备好了"后才重新显示棋盘
+ */
+
+export class PassDeviceScreen {
+    /**
+     * 构造函数
+     * @param {Document} document - 文档对象
+     * @param {Element} container - 遮罩挂载的容器，默认为 body
+     */
+    constructor(document = window.document, container = null) {
+        this.document = document;
+        this.container = container;
+        this.screen = null;
+        this.onReady = null;
+    }
+
+    /**
+     * 显示遮罩，提示把设备交给下一位玩家
+     * @param {string} playerName - 下一位玩家的名称
+     * @param {Function} onReady - 玩家确认后的回调
+     * @param {string} detail - 补充说明（如阵营、上一步操作），可选
+     */
+    show(playerName, onReady = null, detail = '') {
+        this.hide();
+
+        const screen = this.document.createElement('div');
+        screen.className = 'pass-device-screen';
+        screen.id = 'pass-device-screen';
+        screen.setAttribute('role', 'dialog');
+        screen.setAttribute('aria-modal', 'true');
+
+        screen.innerHTML = `
+            <div class="pass-device-content">
+                <div class="pass-device-icon">📱</div>
+                <div class="pass-device-title">请把设备交给${playerName}</div>
+                <div class="pass-device-detail">${detail}</div>
+                <button class="button pass-device-ready" id="pass-device-ready">${playerName}，我准备好了</button>
+            </div>
+        `;
+
+        screen.querySelector('.pass-device-ready').addEventListener('click', () => this.confirm());
+
+        (this.container || this.document.body).appendChild(screen);
+        this.screen = screen;
+        this.onReady = onReady;
+    }
+
+    /**
+     * 下一位玩家确认接过设备：移除遮罩并通知调用方
+     */
+    confirm() {
+        const onReady = this.onReady;
+        this.hide();
+        if (onReady) {
+            onReady();
+        }
+    }
+
+    /**
+     * 移除遮罩（不触发回调）
+     */
+    hide() {
+        if (this.screen && this.screen.parentNode) {
+            this.screen.parentNode.removeChild(this.screen);
+        }
+        this.screen = null;
+        this.onReady = null;
+    }
+
+    /**
+     * 遮罩是否正在显示
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this.screen !== null;
+    }
+}
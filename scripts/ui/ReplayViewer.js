@@ -0,0 +1,471 @@
+/**
+ * ReplayViewer类 - 对局回放
+ * 按对局记录重放每一步生成局面帧，支持单步前进/后退、自动播放、调速和跳转到战斗，
+ * 渲染和动画复用 UIManager 的 BoardRenderer 与 AnimationController
+ */
+
+import { GameEngine } from '../core/GameEngine.js';
+import { Notation } from '../core/Notation.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+export class ReplayViewer extends EventEmitter {
+    /**
+     * 构造函数
+     * @param {UIManager} uiManager - UI管理器
+     * @param {Object|string} record - 对局记录（GameEngine.exportGameRecord() 的结果）
+     */
+    constructor(uiManager, record) {
+        super();
+        this.uiManager = uiManager;
+        this.document = uiManager.document;
+        this.frames = ReplayViewer.buildFrames(record);
+        this.result = typeof record === 'string' ? Notation.parseRecord(record).result : record.result;
+
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.speed = 1;
+        this.revealAll = false;
+        this.playTimer = null;
+        this.isStepping = false;
+
+        this.controls = null;
+
+        // 回放配置
+        this.config = {
+            stepInterval: 1500, // 1倍速时每步间隔(毫秒)
+            speeds: [0.5, 1, 2, 4]
+        };
+    }
+
+    /**
+     * 重放对局记录，生成每一步之后的局面帧
+     * @param {Object|string} record - 对局记录
+     * @returns {Array} 帧数组，第0帧为开局局面
+     */
+    static buildFrames(record) {
+        const { engine, record: parsed } = GameEngine.prepareReplay(record);
+        const frames = [{
+            index: 0,
+            type: 'start',
+            move: null,
+            from: null,
+            to: null,
+            card: null,
+            battle: null,
+            gameState: engine.gameState.clone()
+        }];
+
+        parsed.moves.forEach((move, index) => {
+            const previous = frames[frames.length - 1].gameState;
+            const action = Notation.parseMove(move.notation);
+            const result = engine.applyRecordedMove(move, index);
+            const frame = {
+                index: index + 1,
+                type: action.type === 'flip' ? 'flip' : result.data.moveType,
+                move,
+                from: action.from,
+                to: action.to,
+                card: action.type === 'flip' ?
+                    result.data.flippedCard :
+                    previous.getCardAt(action.from.row, action.from.col),
+                battle: null,
+                gameState: engine.gameState.clone()
+            };
+
+            // 战斗帧保留战斗发生时双方的位置，供战斗动画定位格子
+            if (frame.type === 'battle') {
+                const attackerCard = previous.getCardAt(action.from.row, action.from.col);
+                const defenderCard = previous.getCardAt(action.to.row, action.to.col);
+                const { battleResult, eliminatedCards } = result.data;
+                frame.battle = {
+                    attackerCard,
+                    defenderCard,
+                    winner: battleResult.winner,
+                    reason: battleResult.reason,
+                    eliminatedCards: [attackerCard, defenderCard].filter(card => eliminatedCards.includes(card.id))
+                };
+            }
+
+            frames.push(frame);
+        });
+
+        return frames;
+    }
+
+    /**
+     * 打开回放：创建控制栏并显示开局局面
+     */
+    open() {
+        this.createControls();
+        this.goTo(0);
+        this.emit('opened', { totalFrames: this.frames.length });
+    }
+
+    /**
+     * 关闭回放
+     */
+    close() {
+        this.pause();
+        if (this.controls && this.controls.parentNode) {
+            this.controls.parentNode.removeChild(this.controls);
+        }
+        this.controls = null;
+        this.emit('closed');
+    }
+
+    // ========== 导航 ==========
+
+    /**
+     * 跳转到指定帧（不播放动画）
+     * @param {number} index - 帧索引
+     */
+    goTo(index) {
+        this.currentIndex = Math.max(0, Math.min(index, this.frames.length - 1));
+        this.render();
+    }
+
+    /**
+     * 前进一步（播放翻牌/移动/战斗动画）
+     * @returns {Promise<boolean>} 是否前进成功
+     */
+    async stepForward() {
+        if (this.isStepping || this.isAtEnd()) {
+            return false;
+        }
+
+        this.isStepping = true;
+        try {
+            const frame = this.frames[this.currentIndex + 1];
+            await this.playFrameAnimation(frame);
+            this.currentIndex = frame.index;
+            this.render();
+            return true;
+        } finally {
+            this.isStepping = false;
+        }
+    }
+
+    /**
+     * 后退一步
+     * @returns {boolean} 是否后退成功
+     */
+    stepBackward() {
+        if (this.isStepping || this.currentIndex === 0) {
+            return false;
+        }
+        this.goTo(this.currentIndex - 1);
+        return true;
+    }
+
+    /**
+     * 获取所有战斗帧
+     * @returns {Array} 战斗帧数组
+     */
+    getBattleFrames() {
+        return this.frames.filter(frame => frame.type === 'battle');
+    }
+
+    /**
+     * 跳转到指定帧的战斗并播放战斗动画
+     * @param {number} frameIndex - 战斗帧索引
+     * @returns {Promise<boolean>} 是否跳转成功
+     */
+    async jumpToBattle(frameIndex) {
+        const frame = this.frames[frameIndex];
+        if (!frame || frame.type !== 'battle') {
+            return false;
+        }
+
+        this.pause();
+        this.goTo(frameIndex - 1);
+        return this.stepForward();
+    }
+
+    /**
+     * 是否已到最后一步
+     * @returns {boolean} 是否到达末尾
+     */
+    isAtEnd() {
+        return this.currentIndex >= this.frames.length - 1;
+    }
+
+    // ========== 自动播放 ==========
+
+    /**
+     * 开始自动播放
+     */
+    play() {
+        if (this.isPlaying) return;
+
+        if (this.isAtEnd()) {
+            this.goTo(0);
+        }
+        this.isPlaying = true;
+        this.scheduleNextStep();
+        this.updateControls();
+    }
+
+    /**
+     * 暂停自动播放
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+            this.playTimer = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * 切换播放/暂停
+     */
+    togglePlay() {
+        this.isPlaying ? this.pause() : this.play();
+    }
+
+    /**
+     * 设置播放速度
+     * @param {number} speed - 倍速
+     */
+    setSpeed(speed) {
+        if (!(speed > 0)) return;
+
+        this.speed = speed;
+        if (this.isPlaying) {
+            clearTimeout(this.playTimer);
+            this.scheduleNextStep();
+        }
+        this.updateControls();
+    }
+
+    /**
+     * 安排下一步自动播放
+     */
+    scheduleNextStep() {
+        this.playTimer = setTimeout(async () => {
+            this.playTimer = null;
+            if (!this.isPlaying) return;
+
+            await this.stepForward();
+            if (this.isAtEnd()) {
+                this.pause();
+            } else if (this.isPlaying) {
+                this.scheduleNextStep();
+            }
+        }, this.config.stepInterval / this.speed);
+    }
+
+    /**
+     * 切换是否显示未翻开卡牌的牌面
+     * @param {boolean} revealAll - 是否显示
+     */
+    setRevealAll(revealAll) {
+        this.revealAll = revealAll;
+        this.render();
+    }
+
+    // ========== 渲染 ==========
+
+    /**
+     * 渲染当前帧
+     */
+    render() {
+        const frame = this.frames[this.currentIndex];
+        let gameState = frame.gameState;
+
+        if (this.revealAll) {
+            gameState = gameState.clone();
+            gameState.cardsData.forEach(card => {
+                card.isRevealed = true;
+            });
+        }
+
+        this.uiManager.boardRenderer.renderBoard(gameState);
+        this.updateControls();
+        this.emit('frameChanged', { index: this.currentIndex, frame });
+    }
+
+    /**
+     * 播放某一帧对应的动画
+     * @param {Object} frame - 帧
+     * @returns {Promise} 动画完成Promise
+     */
+    async playFrameAnimation(frame) {
+        const { boardRenderer, animationController } = this.uiManager;
+
+        if (frame.type === 'flip') {
+            const cell = boardRenderer.getCellByPosition(frame.from.row, frame.from.col);
+            if (cell) {
+                await animationController.playFlipAnimation(cell, frame.card);
+            }
+        } else if (frame.type === 'move') {
+            const fromCell = boardRenderer.getCellByPosition(frame.from.row, frame.from.col);
+            const toCell = boardRenderer.getCellByPosition(frame.to.row, frame.to.col);
+            if (fromCell && toCell) {
+                await animationController.playMoveAnimation(fromCell, toCell, frame.card);
+            }
+        } else if (frame.type === 'battle') {
+            await animationController.playBattleAnimation(frame.battle);
+        }
+    }
+
+    /**
+     * 描述某一帧
+     * @param {Object} frame - 帧
+     * @returns {string} 描述文本
+     */
+    describeFrame(frame) {
+        if (frame.type === 'start') {
+            return '开局';
+        }
+
+        const player = frame.move.player === 'player' ? '玩家' : 'AI';
+        let text = `${player} ${frame.move.notation}`;
+        if (frame.battle) {
+            text += `（${frame.battle.reason}）`;
+        }
+        if (frame.index === this.frames.length - 1 && this.result) {
+            text += ` · ${this.result.reason}`;
+        }
+        return text;
+    }
+
+    // ========== 控制栏 ==========
+
+    /**
+     * 创建回放控制栏
+     */
+    createControls() {
+        const controls = this.document.createElement('div');
+        controls.className = 'replay-controls';
+        controls.id = 'replay-controls';
+
+        const battleOptions = this.getBattleFrames()
+            .map((frame, i) => `<option value="${frame.index}">第${i + 1}场战斗（第${frame.index}步）</option>`)
+            .join('');
+        const speedOptions = this.config.speeds
+            .map(speed => `<option value="${speed}"${speed === this.speed ? ' selected' : ''}>${speed}x</option>`)
+            .join('');
+
+        controls.innerHTML = `
+            <div class="replay-info">
+                <span class="replay-progress"></span>
+                <span class="replay-move"></span>
+            </div>
+            <div class="replay-buttons">
+                <button class="button" data-action="first" title="开局">⏮</button>
+                <button class="button" data-action="prev" title="上一步">◀</button>
+                <button class="button" data-action="play" title="播放/暂停">▶</button>
+                <button class="button" data-action="next" title="下一步">▶|</button>
+                <button class="button" data-action="last" title="终局">⏭</button>
+            </div>
+            <div class="replay-options">
+                <select data-action="speed">${speedOptions}</select>
+                <select data-action="battle"${battleOptions ? '' : ' disabled'}>
+                    <option value="">跳转到战斗</option>${battleOptions}
+                </select>
+                <label><input type="checkbox" data-action="reveal"> 显示底牌</label>
+                <button class="button" data-action="exit">退出回放</button>
+            </div>
+        `;
+
+        controls.addEventListener('click', this.handleControlClick.bind(this));
+        controls.addEventListener('change', this.handleControlChange.bind(this));
+
+        const container = this.uiManager.elements.gameContainer || this.document.body;
+        container.appendChild(controls);
+        this.controls = controls;
+    }
+
+    /**
+     * 处理控制栏按钮点击
+     * @param {Event} event - 点击事件
+     */
+    handleControlClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'first':
+                this.pause();
+                this.goTo(0);
+                break;
+            case 'prev':
+                this.pause();
+                this.stepBackward();
+                break;
+            case 'play':
+                this.togglePlay();
+                break;
+            case 'next':
+                this.pause();
+                this.stepForward();
+                break;
+            case 'last':
+                this.pause();
+                this.goTo(this.frames.length - 1);
+                break;
+            case 'exit':
+                this.close();
+                break;
+        }
+    }
+
+    /**
+     * 处理控制栏选项变化
+     * @param {Event} event - 变化事件
+     */
+    handleControlChange(event) {
+        const { action } = event.target.dataset;
+
+        if (action === 'speed') {
+            this.setSpeed(parseFloat(event.target.value));
+        } else if (action === 'battle' && event.target.value) {
+            this.jumpToBattle(parseInt(event.target.value, 10));
+            event.target.value = '';
+        } else if (action === 'reveal') {
+            this.setRevealAll(event.target.checked);
+        }
+    }
+
+    /**
+     * 处理键盘事件：左右方向键单步，空格播放/暂停，ESC退出
+     * @param {Event} event - 键盘事件
+     */
+    handleKeyDown(event) {
+        if (event.key === 'ArrowRight') {
+            this.pause();
+            this.stepForward();
+        } else if (event.key === 'ArrowLeft') {
+            this.pause();
+            this.stepBackward();
+        } else if (event.key === ' ') {
+            event.preventDefault();
+            this.togglePlay();
+        } else if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    /**
+     * 更新控制栏显示
+     */
+    updateControls() {
+        if (!this.controls) return;
+
+        const frame = this.frames[this.currentIndex];
+        const progress = this.controls.querySelector('.replay-progress');
+        const moveText = this.controls.querySelector('.replay-move');
+        const playButton = this.controls.querySelector('[data-action="play"]');
+
+        if (progress) progress.textContent = `${this.currentIndex} / ${this.frames.length - 1}`;
+        if (moveText) moveText.textContent = this.describeFrame(frame);
+        if (playButton) playButton.textContent = this.isPlaying ? '⏸' : '▶';
+
+        this.controls.querySelector('[data-action="first"]').disabled = this.currentIndex === 0;
+        this.controls.querySelector('[data-action="prev"]').disabled = this.currentIndex === 0;
+        this.controls.querySelector('[data-action="next"]').disabled = this.isAtEnd();
+        this.controls.querySelector('[data-action="last"]').disabled = this.isAtEnd();
+    }
+}
@@ -5,6 +5,14 @@
 
 import { BoardRenderer } from './BoardRenderer.js';
 import { AnimationController } from './AnimationController.js';
+import { ReplayViewer } from './ReplayViewer.js';
+import { AIAnalysisOverlay } from './AIAnalysisOverlay.js';
+import { PassDeviceScreen } from './PassDeviceScreen.js';
+import { LogFormatter } from './LogFormatter.js';
+import { TimeControl } from '../core/TimeControl.js';
+
+const CLOCK_REFRESH_INTERVAL = 200;   // 计时显示的刷新间隔（毫秒）
+const CLOCK_LOW_TIME = 10000;         // 剩余时间少于此值时高亮提醒
 
 export class UIManager {
     constructor(gameEngine, document = window.document) {
@@ -12,6 +20,8 @@ export class UIManager {
         this.document = document;
         this.boardRenderer = new BoardRenderer(this);
         this.animationController = new AnimationController(this);
+        this.aiAnalysisOverlay = new AIAnalysisOverlay(this);
+        this.passDeviceScreen = new PassDeviceScreen(document);
         
         this.elements = {};
         this.eventListeners = new Map();
@@ -22,6 +32,9 @@ export class UIManager {
         this.selectedCell = null;
         this.validMoves = [];
         this.isAnimating = false;
+        this.replayViewer = null;
+        this.loggedEntries = 0;   // 已显示到日志面板的对局日志条数
+        this.clockInterval = null;
     }
 
     /**
@@ -61,8 +74,9 @@ export class UIManager {
             'player-info', 'player-faction', 'ai-info', 'ai-faction',
             'rock-paper-scissors', 'rps-result', 'game-main',
             'game-log', 'log-toggle', 'game-end-modal', 'help-modal',
-            'deselect-btn', 'hint-btn', 'restart-btn',
-            'turn-count', 'remaining-cards'
+            'deselect-btn', 'hint-btn', 'restart-btn', 'undo-btn', 'redo-btn',
+            'replay-btn',
+            'turn-count', 'remaining-cards', 'player-clock', 'ai-clock'
         ];
 
         elementIds.forEach(id => {
@@ -114,6 +128,18 @@ export class UIManager {
             this.elements.restartBtn.addEventListener('click', this.handleRestartClick.bind(this));
         }
 
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.addEventListener('click', this.handleUndoClick.bind(this));
+        }
+
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.addEventListener('click', this.handleRedoClick.bind(this));
+        }
+
+        if (this.elements.replayBtn) {
+            this.elements.replayBtn.addEventListener('click', this.startReplay.bind(this));
+        }
+
         // 猜拳按钮事件
         const rpsButtons = this.document.querySelectorAll('.rps-choice');
         rpsButtons.forEach(button => {
@@ -150,6 +176,12 @@ export class UIManager {
         this.gameEngine.on('cardDeselected', this.onCardDeselected.bind(this));
         this.gameEngine.on('cardMoved', this.onCardMoved.bind(this));
         this.gameEngine.on('gameEnded', this.onGameEnded.bind(this));
+        this.gameEngine.on('undo', this.onHistoryRestored.bind(this));
+        this.gameEngine.on('redo', this.onHistoryRestored.bind(this));
+        this.gameEngine.on('aiTurnCompleted', this.onAITurnCompleted.bind(this));
+        this.gameEngine.on('clockExpired', this.onClockExpired.bind(this));
+        // 在线对战：服务器推送的局面（观战者进入时为当前完整局面）
+        this.gameEngine.on('stateChanged', this.onStateChanged.bind(this));
     }
 
     /**
@@ -183,6 +215,9 @@ export class UIManager {
         }
         
         this.boardRenderer.renderBoard(this.gameEngine.gameState);
+        if (this.aiAnalysisOverlay.isVisible()) {
+            this.aiAnalysisOverlay.markCells();
+        }
     }
 
     /**
@@ -190,11 +225,14 @@ export class UIManager {
      * @param {Event} event - 点击事件
      */
     handleBoardClick(event) {
-        if (this.isAnimating) return;
+        if (this.isAnimating || this.replayViewer || this.passDeviceScreen.isVisible()) return;
+        if (this.gameEngine.isSpectator?.()) return;
         
         const cell = event.target.closest('.board-cell');
         if (!cell) return;
         
+        this.aiAnalysisOverlay.hide();
+        
         const row = parseInt(cell.dataset.row);
         const col = parseInt(cell.dataset.col);
         
@@ -223,8 +261,8 @@ export class UIManager {
         if (!card.isRevealed) {
             // 翻牌
             this.gameEngine.flipCard(row, col);
-        } else if (card.faction === this.gameEngine.gameState.playerFaction) {
-            // 选择己方卡牌
+        } else if (card.faction === this.gameEngine.getSeatFaction(this.gameEngine.gameState.currentPlayer)) {
+            // 选择己方卡牌（双人对战中为当前行动方的卡牌）
             this.gameEngine.selectCard(row, col);
         }
     }
@@ -271,6 +309,62 @@ export class UIManager {
         }
     }
 
+    /**
+     * 处理悔棋按钮
+     */
+    handleUndoClick() {
+        if (this.isAnimating) return;
+
+        const result = this.gameEngine.undo();
+        if (!result.success) {
+            this.showToast(result.error.message);
+        }
+    }
+
+    /**
+     * 处理重做按钮
+     */
+    handleRedoClick() {
+        if (this.isAnimating) return;
+
+        const result = this.gameEngine.redo();
+        if (!result.success) {
+            this.showToast(result.error.message);
+        }
+    }
+
+    /**
+     * 开始回放本局（从游戏结束模态框进入）
+     */
+    startReplay() {
+        if (this.replayViewer) return;
+
+        try {
+            const record = this.gameEngine.exportGameRecord();
+            this.hideModal();
+            this.clearSelection();
+            this.aiAnalysisOverlay.hide();
+
+            this.replayViewer = new ReplayViewer(this, record);
+            this.replayViewer.on('closed', this.onReplayClosed.bind(this));
+            this.replayViewer.open();
+            this.emit('replayStarted', { record });
+        } catch (error) {
+            console.error('回放失败:', error);
+            this.replayViewer = null;
+            this.showToast('无法回放本局');
+        }
+    }
+
+    /**
+     * 回放关闭事件处理：恢复当前对局的棋盘
+     */
+    onReplayClosed() {
+        this.replayViewer = null;
+        this.renderBoard();
+        this.emit('replayClosed');
+    }
+
     /**
      * 处理猜拳按钮点击
      * @param {Event} event - 点击事件
@@ -322,8 +416,19 @@ export class UIManager {
      * @param {Event} event - 键盘事件
      */
     handleKeyDown(event) {
+        if (this.replayViewer) {
+            this.replayViewer.handleKeyDown(event);
+            return;
+        }
+
         if (event.key === 'Escape') {
             this.handleEscape();
+        } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            event.preventDefault();
+            event.shiftKey ? this.handleRedoClick() : this.handleUndoClick();
+        } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'y') {
+            event.preventDefault();
+            this.handleRedoClick();
         } else if (event.key === ' ') {
             event.preventDefault();
             this.showHint();
@@ -346,8 +451,21 @@ export class UIManager {
      * @param {Object} data - 事件数据
      */
     onGameStarted(data) {
-        this.showElement('rockPaperScissors');
+        if (this.replayViewer) {
+            this.replayViewer.close();
+        }
+        this.aiAnalysisOverlay.hide();
+        this.passDeviceScreen.hide();
         this.hideElement('gameMain');
+        this.loggedEntries = 0;
+
+        // 双人同屏不猜拳：双方出相同手势即为平局，由引擎随机决定先手
+        if (this.gameEngine.isHotSeat()) {
+            this.gameEngine.playRockPaperScissors('rock', { aiChoice: 'rock' });
+            return;
+        }
+
+        this.showElement('rockPaperScissors');
         this.updateGameStatus('请选择猜拳', 'rps');
     }
 
@@ -357,6 +475,14 @@ export class UIManager {
      */
     onRPSCompleted(data) {
         this.hideElement('rockPaperScissors');
+
+        if (this.gameEngine.isHotSeat()) {
+            this.showToast(`${this.gameEngine.getSeatName(data.firstPlayer)}先手`);
+            this.showElement('gameMain');
+            this.gameEngine.initializeBoard();
+            return;
+        }
+
         this.showRPSResult(data);
         
         // 延迟显示游戏主界面
@@ -373,7 +499,14 @@ export class UIManager {
      */
     onBoardInitialized(data) {
         this.renderBoard();
-        this.updateGameStatus(`${data.gameState.currentPlayer === 'player' ? '你的' : 'AI的'}回合`, 'playing');
+        this.updateUndoButtons();
+        this.updateGameStatus(this.getTurnStatus(data.gameState.currentPlayer), 'playing');
+        this.startClockDisplay();
+
+        if (this.gameEngine.isHotSeat()) {
+            this.showPassDevice(data.gameState.currentPlayer);
+            return;
+        }
         
         // 如果是AI回合，触发AI执行
         if (data.gameState.currentPlayer === 'ai') {
@@ -400,12 +533,9 @@ export class UIManager {
         }
         
         this.updateGameStatus(`翻开了${flippedCard.name}`, 'playing');
-        this.addLogEntry({
-            type: 'flip',
-            player: 'player',
-            action: `翻开了${flippedCard.name}`,
-            timestamp: new Date().toISOString()
-        });
+        this.updateUndoButtons();
+        this.syncGameLog(data.gameState);
+        this.promptNextTurn(data.gameState);
     }
 
     /**
@@ -452,13 +582,9 @@ export class UIManager {
         
         this.renderBoard();
         this.clearSelection();
-        
-        this.addLogEntry({
-            type: 'move',
-            player: 'player',
-            action: moveType === 'battle' ? '发起攻击' : '移动卡牌',
-            timestamp: new Date().toISOString()
-        });
+        this.updateUndoButtons();
+        this.syncGameLog(data.gameState);
+        this.promptNextTurn(data.gameState);
     }
 
     /**
@@ -468,8 +594,105 @@ export class UIManager {
     onGameEnded(data) {
         const { winner, reason } = data;
         
+        this.passDeviceScreen.hide();
+        this.stopClockDisplay();
+        this.syncGameLog(data.gameState);
         this.updateGameStatus('游戏结束', 'ended');
         this.showGameEndModal(winner, reason);
+        this.updateUndoButtons();
+    }
+
+    /**
+     * AI回合完成事件处理：AI公开了候选行动统计时显示"AI考虑了…"浮层
+     * @param {Object} data - 事件数据
+     */
+    onAITurnCompleted(data) {
+        if (data.analysis && data.analysis.candidates) {
+            this.aiAnalysisOverlay.show(data.analysis);
+        }
+    }
+
+    /**
+     * 超时事件处理：代为行动时提示，轮到AI时由AI继续（判负由 gameEnded 处理）
+     * @param {Object} data - 事件数据
+     */
+    onClockExpired(data) {
+        if (data.action !== 'auto') return;
+
+        this.showToast(`${this.gameEngine.getSeatName(data.seat)}超时，已自动行动`);
+        if (!this.gameEngine.isHotSeat() && data.gameState.phase === 'playing' && data.gameState.currentPlayer === 'ai') {
+            setTimeout(async () => {
+                await this.gameEngine.executeAITurn();
+            }, 1000);
+        }
+    }
+
+    /**
+     * 悔棋/重做事件处理：按恢复后的状态重新渲染
+     * @param {Object} data - 事件数据
+     */
+    onHistoryRestored(data) {
+        const { gameState } = data;
+
+        this.hideModal();
+        this.clearSelection();
+        this.aiAnalysisOverlay.hide();
+        this.renderBoard();
+        this.updatePlayerInfo(gameState.playerFaction, gameState.aiFaction);
+        this.updateGameStatus(this.getTurnStatus(gameState.currentPlayer), gameState.phase);
+        this.updateUndoButtons();
+
+        // 双人对战悔棋后把设备交回给要重新行动的玩家
+        if (this.gameEngine.isHotSeat()) {
+            if (gameState.phase === 'playing') {
+                this.showPassDevice(gameState.currentPlayer);
+            }
+            return;
+        }
+
+        // 恢复到AI回合时（单步悔棋），由AI重新行动
+        if (gameState.phase === 'playing' && gameState.currentPlayer === 'ai') {
+            setTimeout(async () => {
+                await this.gameEngine.executeAITurn();
+            }, 1000);
+        }
+    }
+
+    /**
+     * 双人对战中一方行动完成后，遮住棋盘等待下一位玩家接过设备
+     * @param {GameState} gameState - 行动后的游戏状态
+     */
+    promptNextTurn(gameState) {
+        if (this.gameEngine.isHotSeat() && gameState.phase === 'playing') {
+            this.showPassDevice(gameState.currentPlayer);
+        }
+    }
+
+    /**
+     * 显示"交换设备"遮罩
+     * @param {string} seat - 轮到行动的座位
+     */
+    showPassDevice(seat) {
+        const name = this.gameEngine.getSeatName(seat);
+        const faction = this.gameEngine.getSeatFaction(seat);
+        const detail = faction ?
+            `${name}执${faction === 'dragon' ? '龙' : '虎'}阵营` : '阵营由第一张翻开的卡牌决定';
+
+        this.clearSelection();
+        this.updateGameStatus(this.getTurnStatus(seat), 'playing');
+        this.passDeviceScreen.show(name, null, detail);
+    }
+
+    /**
+     * 回合状态文本
+     * @param {string} seat - 当前行动的座位
+     * @returns {string} 人机对战为"你的回合/AI的回合"，在线对战为"你的回合/对手的回合"，双人对战和观战为"玩家1的回合"等
+     */
+    getTurnStatus(seat) {
+        if (seat === 'player' && !this.gameEngine.isHotSeat() && this.gameEngine.isHumanSeat('player')) {
+            return '你的回合';
+        }
+        return `${this.gameEngine.getSeatName(seat)}的回合`;
     }
 
     /**
@@ -544,7 +767,7 @@ export class UIManager {
         // 简单的提示实现
         const gameState = this.gameEngine.gameState;
         
-        if (gameState.phase !== 'playing' || gameState.currentPlayer !== 'player') {
+        if (gameState.phase !== 'playing' || !this.gameEngine.isHumanSeat(gameState.currentPlayer)) {
             return;
         }
         
@@ -555,7 +778,7 @@ export class UIManager {
         } else if (gameState.selectedPosition) {
             hint = '点击绿色高亮区域移动卡牌，或点击其他己方卡牌改变选择';
         } else {
-            const playerCards = gameState.getRevealedCards('player');
+            const playerCards = gameState.getRevealedCards(gameState.currentPlayer);
             if (playerCards.length > 0) {
                 hint = '点击己方卡牌选择后移动，或翻开更多卡牌';
             } else {
@@ -634,6 +857,97 @@ export class UIManager {
         }
     }
 
+    /**
+     * 开始刷新计时显示，对局不计时则隐藏
+     */
+    startClockDisplay() {
+        this.stopClockDisplay();
+        const timed = Boolean(this.gameEngine.getClock?.());
+
+        ['playerClock', 'aiClock'].forEach(key => {
+            if (timed) {
+                this.showElement(key);
+            } else {
+                this.hideElement(key);
+            }
+        });
+        if (timed) {
+            this.updateClockDisplay();
+            this.clockInterval = setInterval(() => this.updateClockDisplay(), CLOCK_REFRESH_INTERVAL);
+        }
+    }
+
+    /**
+     * 停止刷新计时显示（保留最后的读数）
+     */
+    stopClockDisplay() {
+        if (this.clockInterval) {
+            this.updateClockDisplay();
+            clearInterval(this.clockInterval);
+            this.clockInterval = null;
+        }
+    }
+
+    /**
+     * 更新双方的计时显示：有棋钟时显示棋钟余量，行动方另受每步限时约束时取较小者
+     */
+    updateClockDisplay() {
+        const clock = this.gameEngine.getClock?.();
+        if (!clock) return;
+
+        ['player', 'ai'].forEach(seat => {
+            const element = this.elements[`${seat}Clock`];
+            if (!element) return;
+
+            const active = seat === clock.seat;
+            const limits = [clock.remaining[seat], active ? clock.moveRemaining : null].filter(value => value !== null);
+            const remaining = limits.length > 0 ? Math.min(...limits) : null;
+
+            element.textContent = TimeControl.format(remaining);
+            element.classList.toggle('active', active && clock.running);
+            element.classList.toggle('low', active && remaining !== null && remaining < CLOCK_LOW_TIME);
+        });
+    }
+
+    /**
+     * 在线对战收到新局面（观战者进入时为完整局面）
+     * @param {Object} data - 事件数据
+     */
+    onStateChanged(data) {
+        const { gameState } = data;
+        if (gameState.phase === 'setup') return;
+
+        this.showElement('gameMain');
+        this.renderBoard();
+        this.updatePlayerInfo(gameState.playerFaction, gameState.aiFaction);
+        this.updateGameStatus(this.getTurnStatus(gameState.currentPlayer), gameState.phase);
+        this.syncGameLog(gameState);
+        if (gameState.phase === 'playing') {
+            this.startClockDisplay();
+        } else {
+            this.stopClockDisplay();
+        }
+    }
+
+    /**
+     * 把对局日志中尚未显示的条目加入日志面板
+     * @param {GameState} gameState - 当前局面
+     */
+    syncGameLog(gameState) {
+        const gameLog = gameState?.gameLog || [];
+        // 悔棋后日志变短，从新的末尾继续
+        if (gameLog.length < this.loggedEntries) {
+            this.loggedEntries = gameLog.length;
+            return;
+        }
+
+        LogFormatter.formatAll(gameLog.slice(this.loggedEntries), gameState, seat => this.gameEngine.getSeatName(seat))
+            .forEach(({ entry, text }) => {
+                this.addLogEntry({ type: entry.type, player: entry.player, action: text, timestamp: entry.timestamp });
+            });
+        this.loggedEntries = gameLog.length;
+    }
+
     /**
      * 添加游戏日志条目
      * @param {Object} logEntry - 日志条目
@@ -688,7 +1002,11 @@ export class UIManager {
         
         let title, icon, message;
         
-        if (winner === 'player') {
+        if (this.gameEngine.isHotSeat() && (winner === 'player' || winner === 'ai')) {
+            title = `${this.gameEngine.getSeatName(winner)}获胜！`;
+            icon = '🎉';
+            message = `恭喜${this.gameEngine.getSeatName(winner)}赢得对决！`;
+        } else if (winner === 'player') {
             title = '恭喜获胜！';
             icon = '🎉';
             message = '你战胜了AI对手！';
@@ -742,6 +1060,20 @@ export class UIManager {
         }
     }
 
+    /**
+     * 更新悔棋/重做按钮状态
+     */
+    updateUndoButtons() {
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !this.gameEngine.canUndo();
+            this.elements.undoBtn.classList.toggle('hidden', !this.gameEngine.isUndoAllowed());
+        }
+        if (this.elements.redoBtn) {
+            this.elements.redoBtn.disabled = !this.gameEngine.canRedo();
+            this.elements.redoBtn.classList.toggle('hidden', !this.gameEngine.isUndoAllowed());
+        }
+    }
+
     /**
      * 调整布局
      */
@@ -870,6 +1202,7 @@ export class UIManager {
     destroy() {
         // 移除所有事件监听器
         this.eventListeners.clear();
+        this.stopClockDisplay();
         
         // 重置状态
         this.selectedCell = null;
@@ -0,0 +1,55 @@
+/**
+ * EventEmitter类 - 事件监听基类
+ * 模拟、校准、在线对战和回放等模块继承它提供 on / off / emit，
+ * 监听器按注册顺序同步调用，单个监听器抛出的错误只记录日志，不影响其他监听器和触发方
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * 事件监听器
+     * @param {string} event - 事件名称
+     * @param {Function} callback - 回调函数
+     */
+    on(event, callback) {
+        if (!this.eventListeners.has(event)) {
+            this.eventListeners.set(event, []);
+        }
+        this.eventListeners.get(event).push(callback);
+    }
+
+    /**
+     * 移除事件监听器
+     * @param {string} event - 事件名称
+     * @param {Function} callback - 回调函数
+     */
+    off(event, callback) {
+        if (this.eventListeners.has(event)) {
+            const listeners = this.eventListeners.get(event);
+            const index = listeners.indexOf(callback);
+            if (index > -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * 触发事件
+     * @param {string} event - 事件名称
+     * @param {Object} data - 事件数据
+     */
+    emit(event, data) {
+        if (this.eventListeners.has(event)) {
+            this.eventListeners.get(event).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`${this.constructor.name} 事件处理器错误 [${event}]:`, error);
+                }
+            });
+        }
+    }
+}
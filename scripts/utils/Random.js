@@ -0,0 +1,118 @@
+/**
+ * SeededRandom类 - 可设定种子的伪随机数生成器
+ * 基于 mulberry32 算法，相同种子产生相同序列，用于复现发牌、猜拳和AI决策
+ */
+
+export class SeededRandom {
+    /**
+     * 构造函数
+     * @param {number|string} seed - 随机种子，不传则随机生成
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * 随机生成一个种子
+     * @returns {number} 32位无符号整数种子
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 将种子统一转换为32位无符号整数（纯数字字符串按数字处理，其他字符串使用FNV-1a哈希）
+     * @param {number|string} seed - 随机种子
+     * @returns {number} 32位无符号整数
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            seed = parseInt(seed, 10);
+        }
+
+        if (typeof seed === 'string') {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        if (!Number.isFinite(seed)) {
+            throw new Error(`Invalid seed: ${seed}`);
+        }
+        return Math.floor(seed) >>> 0;
+    }
+
+    /**
+     * 生成 [0, 1) 区间的随机数
+     * @returns {number} 随机数
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * 生成 [0, max) 区间的随机整数
+     * @param {number} max - 上限（不含）
+     * @returns {number} 随机整数
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 以指定概率返回true
+     * @param {number} probability - 概率，默认0.5
+     * @returns {boolean} 结果
+     */
+    chance(probability = 0.5) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 随机选择一个元素
+     * @param {Array} items - 候选数组
+     * @returns {*} 选中的元素，数组为空时返回null
+     */
+    pick(items) {
+        if (items.length === 0) return null;
+        return items[this.nextInt(items.length)];
+    }
+
+    /**
+     * Fisher-Yates洗牌，返回新数组
+     * @param {Array} items - 要洗牌的数组
+     * @returns {Array} 洗牌后的数组
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * 获取当前内部状态（以此状态为种子可继续产生相同序列）
+     * @returns {number} 内部状态
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * 恢复内部状态
+     * @param {number} state - 内部状态
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
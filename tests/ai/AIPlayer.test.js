@@ -4,9 +4,9 @@
  */
 
 import { AIPlayer } from '../../scripts/ai/AIPlayer.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
 import { GameEngine } from '../../scripts/core/GameEngine.js';
 import { GameState } from '../../scripts/core/GameState.js';
-import { Card } from '../../scripts/core/Card.js';
 
 describe('AIPlayer Class Tests', () => {
   
@@ -20,16 +20,34 @@ describe('AIPlayer Class Tests', () => {
     aiPlayer = new AIPlayer(gameEngine);
   });
 
+  // 开始新对局（新对局使用新的局面对象）
+  const startNewGame = () => {
+    gameEngine.startNewGame();
+    gameState = gameEngine.gameState;
+  };
+
+  // 开始新对局，玩家执龙，把指定卡牌翻开后放到棋盘上：[[id, owner, row, col]]
+  const placeRevealed = (cards) => {
+    startNewGame();
+    gameState.setPlayerFaction('dragon');
+    cards.forEach(([id, owner, row, col]) => {
+      const card = gameState.cardsData.find(entry => entry.id === id);
+      card.reveal(owner);
+      gameState.placeCard(card, row, col);
+    });
+  };
+
   test('应该正确初始化AI玩家', () => {
     expect(aiPlayer).toBeDefined();
-    expect(aiPlayer.gameEngine).toBe(gameEngine);
+    expect(aiPlayer.gameEngine).toBeInstanceOf(SeatEngine);
+    expect(aiPlayer.gameEngine.seat).toBe('ai');
     expect(aiPlayer.difficulty).toBe('medium');
     expect(aiPlayer.strategy).toBeDefined();
   });
 
   test('应该能正确分析游戏局面', () => {
     // 设置测试场景
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     
@@ -45,7 +63,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能正确选择翻牌位置', () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     gameState.currentPlayer = 'ai';
@@ -61,7 +79,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能正确评估移动选项', () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     
@@ -85,7 +103,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能正确制定AI策略', () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     gameState.currentPlayer = 'ai';
@@ -108,7 +126,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能正确执行AI回合', async () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     gameState.currentPlayer = 'ai';
@@ -122,18 +140,8 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该优先攻击能战胜的敌方卡牌', () => {
-    gameEngine.startNewGame();
-    gameState.setPlayerFaction('dragon');
-    
-    // 设置战斗场景：AI的5级虎卡攻击玩家的3级龙卡
-    const aiCard = new Card('tiger_5', 'tiger', 5);
-    const playerCard = new Card('dragon_3', 'dragon', 3);
-    
-    aiCard.reveal('ai');
-    playerCard.reveal('player');
-    
-    gameState.placeCard(aiCard, 0, 0);
-    gameState.placeCard(playerCard, 0, 1);
+    // 设置战斗场景：AI的5级虎卡攻击玩家的6级龙卡（等级越低越强）
+    placeRevealed([['tiger_5', 'ai', 0, 0], ['dragon_6', 'player', 0, 1]]);
     gameState.currentPlayer = 'ai';
     
     const attackMoves = aiPlayer.findWinningAttacks();
@@ -149,18 +157,8 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该避免无法获胜的攻击', () => {
-    gameEngine.startNewGame();
-    gameState.setPlayerFaction('dragon');
-    
-    // 设置场景：AI的3级虎卡面对玩家的5级龙卡
-    const aiCard = new Card('tiger_3', 'tiger', 3);
-    const playerCard = new Card('dragon_5', 'dragon', 5);
-    
-    aiCard.reveal('ai');
-    playerCard.reveal('player');
-    
-    gameState.placeCard(aiCard, 0, 0);
-    gameState.placeCard(playerCard, 0, 1);
+    // 设置场景：AI的5级虎卡面对玩家的3级龙卡
+    placeRevealed([['tiger_5', 'ai', 0, 0], ['dragon_3', 'player', 0, 1]]);
     gameState.currentPlayer = 'ai';
     
     const safeMoves = aiPlayer.findSafeMoves();
@@ -175,18 +173,8 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该正确识别特殊规则机会', () => {
-    gameEngine.startNewGame();
-    gameState.setPlayerFaction('dragon');
-    
     // 设置特殊规则场景：小王虎vs龙王
-    const kingTiger = new Card('tiger_8', 'tiger', 8);
-    const dragonKing = new Card('dragon_1', 'dragon', 1);
-    
-    kingTiger.reveal('ai');
-    dragonKing.reveal('player');
-    
-    gameState.placeCard(kingTiger, 0, 0);
-    gameState.placeCard(dragonKing, 0, 1);
+    placeRevealed([['tiger_8', 'ai', 0, 0], ['dragon_1', 'player', 0, 1]]);
     gameState.currentPlayer = 'ai';
     
     const specialMoves = aiPlayer.findSpecialRuleOpportunities();
@@ -201,13 +189,13 @@ describe('AIPlayer Class Tests', () => {
     const easyAI = new AIPlayer(gameEngine, 'easy');
     const hardAI = new AIPlayer(gameEngine, 'hard');
     
-    expect(easyAI.strategy.exploration).toBeGreaterThan(hardAI.strategy.exploration);
-    expect(hardAI.strategy.calculation_depth).toBeGreaterThan(easyAI.strategy.calculation_depth);
-    expect(hardAI.strategy.risk_assessment).toBeGreaterThan(easyAI.strategy.risk_assessment);
+    expect(easyAI.strategy.config.exploration).toBeGreaterThan(hardAI.strategy.config.exploration);
+    expect(hardAI.strategy.config.calculation_depth).toBeGreaterThan(easyAI.strategy.config.calculation_depth);
+    expect(hardAI.strategy.config.risk_assessment).toBeGreaterThan(easyAI.strategy.config.risk_assessment);
   });
 
   test('应该能正确计算位置价值', () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     
@@ -225,7 +213,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能处理无可用操作的情况', () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameState.phase = 'ended';
     gameState.currentPlayer = 'ai';
     
@@ -236,17 +224,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能正确模拟移动结果', () => {
-    gameEngine.startNewGame();
-    gameState.setPlayerFaction('dragon');
-    
-    const aiCard = new Card('tiger_5', 'tiger', 5);
-    const playerCard = new Card('dragon_3', 'dragon', 3);
-    
-    aiCard.reveal('ai');
-    playerCard.reveal('player');
-    
-    gameState.placeCard(aiCard, 0, 0);
-    gameState.placeCard(playerCard, 0, 1);
+    placeRevealed([['tiger_5', 'ai', 0, 0], ['dragon_6', 'player', 0, 1]]);
     
     const simulation = aiPlayer.simulateMove(
       { row: 0, col: 0 }, 
@@ -261,7 +239,7 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能生成思考日志', () => {
-    gameEngine.startNewGame();
+    startNewGame();
     gameEngine.playRockPaperScissors('rock');
     gameEngine.initializeBoard();
     gameState.currentPlayer = 'ai';
@@ -282,22 +260,8 @@ describe('AIPlayer Class Tests', () => {
   });
 
   test('应该能正确评估局面优势', () => {
-    gameEngine.startNewGame();
-    gameState.setPlayerFaction('dragon');
-    
     // 设置AI优势场景
-    const aiCard1 = new Card('tiger_7', 'tiger', 7);
-    const aiCard2 = new Card('tiger_6', 'tiger', 6);
-    const playerCard = new Card('dragon_3', 'dragon', 3);
-    
-    [aiCard1, aiCard2, playerCard].forEach(card => card.reveal());
-    aiCard1.owner = 'ai';
-    aiCard2.owner = 'ai';
-    playerCard.owner = 'player';
-    
-    gameState.placeCard(aiCard1, 0, 0);
-    gameState.placeCard(aiCard2, 0, 1);
-    gameState.placeCard(playerCard, 1, 0);
+    placeRevealed([['tiger_2', 'ai', 0, 0], ['tiger_3', 'ai', 0, 1], ['dragon_6', 'player', 1, 0]]);
     
     const advantage = aiPlayer.evaluatePositionAdvantage();
     
@@ -0,0 +1,129 @@
+/**
+ * MCTSAIPlayer 类测试
+ * 验收标准：按难度限制迭代次数，可用 EnhancedStrategy.scoreMove 作为模拟策略，并公开每个候选行动的访问次数和胜率
+ */
+
+import { MCTSAIPlayer } from '../../scripts/ai/MCTSAIPlayer.js';
+import { EnhancedStrategy } from '../../scripts/ai/EnhancedStrategy.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { HIDDEN } from '../../scripts/core/Position.js';
+import { startGame, setupPosition, playerFactory } from '../helpers/setup.js';
+
+// 翻开一张牌确定阵营，再轮到 ai 行动
+const flipOne = (engine, index = 0) => {
+  const hidden = engine.gameState.getCardsOnBoard()[index];
+  engine.flipCard(hidden.position.row, hidden.position.col);
+  engine.gameState.currentPlayer = 'ai';
+};
+
+// ai 执龙、轮到 ai 行动
+const AI_TO_MOVE = { playerFaction: 'tiger', currentPlayer: 'ai' };
+
+const createPlayer = playerFactory(MCTSAIPlayer, 'easy');
+
+const decide = player => {
+  const view = player.gameEngine.gameState;
+  const context = player.createSearchContext(view);
+  return player.toDecision(player.chooseAction(view, context), view, context);
+};
+
+describe('MCTSAIPlayer Class Tests', () => {
+
+  test('应该按难度配置迭代次数', () => {
+    const engine = startGame();
+
+    expect(createPlayer(engine, 'easy').getSettings().iterations).toBe(200);
+    expect(createPlayer(engine, 'hard').getSettings().iterations).toBe(2500);
+    expect(createPlayer(engine, 'hard', { iterations: 10 }).getSettings().iterations).toBe(10);
+    expect(createPlayer(engine, 'medium').getSettings().rolloutPolicy).toBe('random');
+  });
+
+  test('应该抓住能获胜的攻击', () => {
+    const engine = startGame();
+    setupPosition(engine.gameState, [['dragon_1', 0, 0], ['tiger_2', 0, 1], ['dragon_6', 4, 0], ['tiger_5', 4, 3]], AI_TO_MOVE);
+
+    const decision = decide(createPlayer(engine));
+
+    expect(decision.type).toBe('attack');
+    expect(decision.from).toEqual({ row: 0, col: 0 });
+    expect(decision.to).toEqual({ row: 0, col: 1 });
+  });
+
+  test('应该公开每个候选行动的访问次数和胜率', () => {
+    const engine = startGame();
+    flipOne(engine);
+    const player = createPlayer(engine, 'easy', { iterations: 120 });
+
+    const decision = decide(player);
+    const candidates = player.getCandidateStatistics();
+
+    expect(player.lastSearch.iterations).toBe(120);
+    expect(candidates.length).toBeGreaterThan(1);
+    expect(candidates[0].decision).toEqual(decision);
+    candidates.forEach((candidate, index) => {
+      expect(candidate.winRate).toBeGreaterThanOrEqual(0);
+      expect(candidate.winRate).toBeLessThanOrEqual(1);
+      expect(typeof candidate.decision.description).toBe('string');
+      if (index > 0) {
+        expect(candidate.visits).toBeLessThanOrEqual(candidates[index - 1].visits);
+      }
+    });
+    const visits = candidates.reduce((sum, candidate) => sum + candidate.visits, 0);
+    expect(visits).toBeLessThanOrEqual(120);
+  });
+
+  test('确定化只分配尚未出现的身份', () => {
+    const engine = startGame();
+    flipOne(engine);
+    const player = createPlayer(engine);
+    const view = player.gameEngine.gameState;
+    const state = player.createSearchState(view);
+
+    const determinized = player.determinize(state);
+    const assigned = Array.from(determinized.cells).filter(code => code >= 0 && !determinized.revealed[code]);
+
+    expect(assigned.length).toBe(15);
+    expect(new Set(assigned)).toEqual(new Set(state.getPool()));
+    expect(determinized.getPool()).toEqual([]);
+    expect(Array.from(state.cells).filter(code => code === HIDDEN)).toHaveLength(15);
+  });
+
+  test('可以用 EnhancedStrategy.scoreMove 作为模拟策略', () => {
+    const engine = startGame();
+    flipOne(engine, 3);
+    const scoreMove = jest.spyOn(EnhancedStrategy.prototype, 'scoreMove');
+    const player = createPlayer(engine, 'easy', { iterations: 20, rolloutPolicy: 'strategy' });
+
+    decide(player);
+
+    expect(scoreMove).toHaveBeenCalled();
+    expect(player.rolloutStrategy).toBeInstanceOf(EnhancedStrategy);
+    scoreMove.mockRestore();
+  });
+
+  test('不限时间时相同种子应该得到相同决策', () => {
+    const play = () => {
+      const engine = startGame();
+      flipOne(engine);
+      // AI的随机数由座位种子决定，与引擎的种子无关
+      return decide(createPlayer(new SeatEngine(engine, 'ai', { seed: 7 }), 'easy', { iterations: 60 }));
+    };
+
+    expect(play()).toEqual(play());
+  });
+
+  test('GameEngine 应该能选用 mcts 并在回合结果中带出分析', async () => {
+    const engine = startGame({ aiPlayer: 'mcts', aiDifficulty: 'easy' });
+    flipOne(engine);
+    expect(engine.aiPlayer).toBeInstanceOf(MCTSAIPlayer);
+    Object.assign(engine.aiPlayer, { thinkingDelay: false, options: { timeBudget: null, iterations: 50 } });
+    const completed = jest.fn();
+    engine.on('aiTurnCompleted', completed);
+
+    const result = await engine.executeAITurn();
+
+    expect(result.success).toBe(true);
+    expect(result.data.analysis.iterations).toBe(50);
+    expect(completed.mock.calls[0][0].analysis.candidates.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * SearchAIPlayer 类测试
+ * 验收标准：翻牌作为机会节点、走子带Alpha-Beta剪枝搜索到配置深度，遵守预算，并可替换 GameEngine 的默认AI
+ */
+
+import { SearchAIPlayer } from '../../scripts/ai/SearchAIPlayer.js';
+import { EnhancedAIPlayer } from '../../scripts/ai/EnhancedAIPlayer.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { startGame, setupPosition, playerFactory } from '../helpers/setup.js';
+
+// ai 执龙、轮到 ai 行动
+const AI_TO_MOVE = { playerFaction: 'tiger', currentPlayer: 'ai' };
+
+const createPlayer = playerFactory(SearchAIPlayer);
+
+const decide = player => {
+  const view = player.gameEngine.gameState;
+  const context = player.createSearchContext(view);
+  return player.toDecision(player.chooseAction(view, context), view, context);
+};
+
+describe('SearchAIPlayer Class Tests', () => {
+
+  test('应该按难度配置搜索深度', () => {
+    const engine = startGame();
+
+    expect(createPlayer(engine, 'easy').getSettings().maxDepth).toBe(2);
+    expect(createPlayer(engine, 'hard').getMaxDepth()).toBe(4);
+    expect(createPlayer(engine, 'hard', { maxDepth: 1 }).getSettings().maxDepth).toBe(1);
+  });
+
+  test('应该抓住能获胜的攻击', () => {
+    const engine = startGame();
+    setupPosition(engine.gameState, [['dragon_1', 0, 0], ['tiger_2', 0, 1], ['dragon_6', 4, 0], ['tiger_5', 4, 3]], AI_TO_MOVE);
+
+    const decision = decide(createPlayer(engine));
+
+    expect(decision.type).toBe('attack');
+    expect(decision.from).toEqual({ row: 0, col: 0 });
+    expect(decision.to).toEqual({ row: 0, col: 1 });
+  });
+
+  test('应该避开对手下一步的吃子', () => {
+    const engine = startGame();
+    setupPosition(engine.gameState, [['dragon_4', 1, 1], ['tiger_2', 0, 1], ['dragon_7', 4, 0], ['tiger_8', 4, 3]], AI_TO_MOVE);
+
+    const decision = decide(createPlayer(engine, 'medium'));
+
+    expect(decision.type).toBe('move');
+    expect(decision.from).toEqual({ row: 1, col: 1 });
+    const { row, col } = decision.to;
+    expect(Math.abs(row - 0) + Math.abs(col - 1)).toBeGreaterThan(1);
+  });
+
+  test('翻牌应该按尚未出现的身份求期望', () => {
+    const engine = startGame();
+    const hidden = engine.gameState.getCardsOnBoard()[0];
+    engine.flipCard(hidden.position.row, hidden.position.col);
+    engine.gameState.currentPlayer = 'ai';
+
+    const player = createPlayer(engine);
+    const view = player.gameEngine.gameState;
+    const context = player.createSearchContext(view);
+    const state = player.createSearchState(view);
+    const flip = player.generateActions(state, context).find(action => action.type === 'flip');
+
+    const pool = state.getPool();
+    const expected = pool.reduce((sum, identity) => {
+      const record = state.apply(flip, identity);
+      const score = player.evaluate(state, context);
+      state.unapply(record);
+      return sum + score;
+    }, 0) / pool.length;
+
+    expect(pool.length).toBe(15);
+    expect(player.searchAction(state, flip, 1, -Infinity, Infinity, 0, context)).toBeCloseTo(expected);
+    // 搜索结束后局面已还原
+    expect(state.getPool()).toEqual(pool);
+  });
+
+  test('战斗结果应该来自 simulateBattle 且不写入战斗历史', () => {
+    const engine = startGame();
+    setupPosition(engine.gameState, [['dragon_8', 0, 0], ['tiger_1', 0, 1], ['dragon_3', 4, 0], ['tiger_4', 4, 3]], AI_TO_MOVE);
+    const player = createPlayer(engine);
+    const simulate = jest.spyOn(player.gameEngine.battleResolver, 'simulateBattle');
+
+    const decision = decide(player);
+
+    expect(simulate).toHaveBeenCalled();
+    // 特殊规则：变形龙击败虎王
+    expect(decision.type).toBe('attack');
+    expect(decision.to).toEqual({ row: 0, col: 1 });
+    expect(engine.battleResolver.getBattleHistory().length).toBe(0);
+  });
+
+  test('应该遵守节点预算并退回上一层的结果', () => {
+    const engine = startGame();
+    const hidden = engine.gameState.getCardsOnBoard()[5];
+    engine.flipCard(hidden.position.row, hidden.position.col);
+    engine.gameState.currentPlayer = 'ai';
+
+    const player = createPlayer(engine, 'hard', { maxNodes: 50 });
+    const decision = decide(player);
+
+    expect(['flip', 'move']).toContain(decision.type);
+    expect(player.lastSearch.nodes).toBeLessThanOrEqual(51);
+    expect(player.lastSearch.depth).toBeLessThan(4);
+  });
+
+  test('根节点会立即触发无进展平局的走子应该按平局计分', () => {
+    const engine = startGame();
+    setupPosition(engine.gameState, [['dragon_4', 1, 1], ['tiger_2', 0, 1], ['dragon_7', 4, 0], ['tiger_8', 4, 3]], AI_TO_MOVE);
+    const player = createPlayer(engine);
+    const view = player.gameEngine.gameState;
+    const context = player.createSearchContext(view);
+    const state = player.createSearchState(view);
+    const move = player.generateActions(state, context).find(action => action.type === 'move');
+    const attack = player.generateActions(state, context).find(action => action.type === 'attack');
+
+    expect(player.isDrawingMove(state, move, context)).toBe(false);
+
+    // 走子后的局面已经出现过两次
+    const record = state.apply(move);
+    const key = state.getKey();
+    state.unapply(record);
+    const repeated = { ...context, positionHistory: [key, key] };
+    expect(player.isDrawingMove(state, move, repeated)).toBe(true);
+
+    const limit = { ...context, noCaptureMoves: engine.ruleSet.winConditions.noCaptureLimit - 1 };
+    expect(player.isDrawingMove(state, move, limit)).toBe(true);
+    expect(player.isDrawingMove(state, attack, limit)).toBe(false);
+
+    // 还有未翻开的卡牌时不判平
+    const unrevealed = state.clone();
+    unrevealed.hiddenCount = 1;
+    expect(player.isDrawingMove(unrevealed, move, repeated)).toBe(false);
+    expect(player.isDrawingMove(unrevealed, move, limit)).toBe(false);
+  });
+
+  test('搜索局面的局面键应该与 GameState 一致', () => {
+    const engine = startGame();
+    setupPosition(engine.gameState, [['dragon_4', 1, 1], ['tiger_2', 0, 1]], AI_TO_MOVE);
+    engine.gameState.recordAction('player', false);
+    const player = createPlayer(engine);
+    const view = player.gameEngine.gameState;
+    const context = player.createSearchContext(view);
+
+    expect(player.createSearchState(view).getKey()).toBe(engine.gameState.getPositionKey());
+  });
+
+  test('不限时间时相同种子应该得到相同决策', () => {
+    // AI的随机数由座位种子决定，与引擎的种子无关
+    const first = decide(createPlayer(new SeatEngine(startGame(), 'ai', { seed: 7 })));
+    const second = decide(createPlayer(new SeatEngine(startGame(), 'ai', { seed: 7 })));
+
+    expect(second).toEqual(first);
+  });
+
+  test('应该能替换 GameEngine 的默认AI并完成回合', async () => {
+    expect(new GameEngine().aiPlayer).toBeInstanceOf(EnhancedAIPlayer);
+    expect(() => new GameEngine({ aiPlayer: 'unknown' })).toThrow();
+
+    const engine = startGame({ aiPlayer: 'search', aiDifficulty: 'easy' });
+    expect(engine.aiPlayer).toBeInstanceOf(SearchAIPlayer);
+    expect(engine.aiPlayer.difficulty).toBe('easy');
+    engine.aiPlayer.thinkingDelay = false;
+
+    const result = await engine.executeAITurn();
+    expect(result.success).toBe(true);
+    expect(engine.gameState.currentPlayer).toBe('player');
+
+    engine.setAIPlayer('enhanced');
+    expect(engine.aiPlayer).toBeInstanceOf(EnhancedAIPlayer);
+    expect(engine.aiPlayer.difficulty).toBe('easy');
+  });
+
+  test('引擎快照应该还原AI类型、难度和搜索记忆', async () => {
+    const engine = startGame({ aiPlayer: 'search', aiDifficulty: 'easy' });
+    engine.aiPlayer.thinkingDelay = false;
+    await engine.executeAITurn();
+
+    const restored = GameEngine.restore(JSON.parse(JSON.stringify(engine.snapshot())));
+
+    expect(restored.aiPlayer).toBeInstanceOf(SearchAIPlayer);
+    expect(restored.aiPlayer.difficulty).toBe('easy');
+    expect(restored.aiPlayer.getStats()).toEqual(engine.aiPlayer.getStats());
+    expect([...restored.aiPlayer.outcomeCache]).toEqual([...engine.aiPlayer.outcomeCache]);
+  });
+});
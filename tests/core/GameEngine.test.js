@@ -4,6 +4,11 @@
  */
 
 import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { replayActions } from '../../scripts/core/GameReducer.js';
+import { EnhancedAIPlayer } from '../../scripts/ai/EnhancedAIPlayer.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { RuleSet } from '../../scripts/core/RuleSet.js';
+import { startGame, setupPosition } from '../helpers/setup.js';
 
 describe('GameEngine Class Tests', () => {
   
@@ -258,6 +263,748 @@ describe('GameEngine Class Tests', () => {
     expect(loaded).toBe(true);
     expect(gameEngine.gameState.phase).toBe('playing');
   });
+
+  describe('存档', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    test('开启自动存档后每次行动都保存到自动存档位', () => {
+      const engine = new GameEngine({ seed: 3, autoSave: true });
+      engine.startNewGame();
+      engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+      engine.initializeBoard();
+      expect(engine.listSaves()).toEqual([]);
+
+      engine.flipCard(0, 0, 'player');
+      expect(engine.listSaves()).toEqual([expect.objectContaining({ slot: 'auto', summary: expect.objectContaining({ turn: 1 }) })]);
+
+      // 浏览器回收标签页后，新页面从自动存档继续
+      const restored = new GameEngine();
+      const loaded = jest.fn();
+      restored.on('gameLoaded', loaded);
+      expect(restored.loadGame().success).toBe(true);
+      expect(restored.gameState.getCardAt(0, 0).isRevealed).toBe(true);
+      expect(restored.gameState.currentPlayer).toBe('ai');
+      expect(loaded).toHaveBeenCalledWith(expect.objectContaining({ slot: 'auto' }));
+    });
+
+    test('命名存档位互不覆盖，读取损坏的存档不改变当前对局', () => {
+      gameEngine.startNewGame();
+      gameEngine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+      gameEngine.initializeBoard();
+      expect(gameEngine.saveGame('opening', { name: '开局' }).data.name).toBe('开局');
+      gameEngine.flipCard(0, 0, 'player');
+      gameEngine.saveGame('later');
+
+      expect(gameEngine.loadGame('opening').success).toBe(true);
+      expect(gameEngine.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+
+      localStorage.setItem(`${gameEngine.saveKey}:later`, '{"version":2,"gameState":');
+      const before = gameEngine.gameState;
+      const result = gameEngine.loadGame('later');
+      expect(result.error.code).toBe('SAVE_CORRUPTED');
+      expect(gameEngine.gameState).toBe(before);
+
+      expect(gameEngine.deleteSave('later')).toBe(true);
+      expect(gameEngine.listSaves().map(save => save.slot)).toEqual(['opening']);
+    });
+
+    test('读档和还原快照时改用存档中的规则集', () => {
+      const engine = new GameEngine({ seed: 5, ruleSet: RuleSet.classic({ name: 'tie_defender', battle: { tieRule: 'defender' } }) });
+      engine.startNewGame();
+      engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+      engine.initializeBoard();
+      engine.saveGame('variant');
+
+      const loaded = new GameEngine();
+      const seat = new SeatEngine(loaded, 'ai');
+      expect(seat.battleResolver.ruleSet.battle.tieRule).toBe('mutual');
+      expect(loaded.loadGame('variant').success).toBe(true);
+      expect(loaded.ruleSet.battle.tieRule).toBe('defender');
+      expect(loaded.battleResolver.ruleSet).toBe(loaded.ruleSet);
+      expect(loaded.gameState.ruleSet).toBe(loaded.ruleSet);
+      expect(seat.battleResolver.ruleSet).toBe(loaded.ruleSet);
+
+      const restored = new GameEngine();
+      restored.loadSnapshot(engine.snapshot());
+      expect(restored.ruleSet.name).toBe('tie_defender');
+      expect(restored.battleResolver.ruleSet).toBe(restored.ruleSet);
+
+      // 读档后的新对局同样按存档的规则进行
+      loaded.startNewGame();
+      expect(loaded.gameState.ruleSet.battle.tieRule).toBe('defender');
+    });
+  });
+
+  describe('快照', () => {
+    const createAI = (engine, difficulty) => new EnhancedAIPlayer(engine, difficulty, { thinkingDelay: false, thinkingLog: false });
+
+    const startSeeded = () => startGame({ seed: 'snapshot', aiPlayer: createAI, firstPlayer: 'player' });
+
+    // 玩家用引擎的随机数在所有可行的翻牌和移动中任选一个，AI正常思考
+    const playPlies = async (engine, plies) => {
+      for (let i = 0; i < plies && engine.gameState.phase === 'playing'; i++) {
+        if (engine.gameState.currentPlayer === 'ai') {
+          expect((await engine.executeAITurn()).success).toBe(true);
+          continue;
+        }
+
+        const options = [];
+        engine.gameState.cardsData.forEach(({ position: { row, col }, isRevealed, faction }) => {
+          if (row < 0) return;
+          if (!isRevealed) {
+            options.push(() => engine.flipCard(row, col, 'player'));
+          } else if (faction === engine.gameState.playerFaction) {
+            engine.getValidMoves(row, col).forEach(to => options.push(() => engine.moveCard(row, col, to.row, to.col, 'player')));
+          }
+        });
+        expect(engine.rng.pick(options)().success).toBe(true);
+      }
+    };
+
+
+    test('从快照还原的对局与原对局按相同的随机序列继续', async () => {
+      const original = startSeeded();
+      await playPlies(original, 12);
+
+      const snapshot = JSON.parse(JSON.stringify(original.snapshot()));
+      const restored = GameEngine.restore(snapshot, { aiPlayer: createAI });
+      expect(restored.gameId).toBe(original.gameId);
+      expect(restored.aiPlayer.snapshotMemory()).toEqual(original.aiPlayer.snapshotMemory());
+
+      await playPlies(original, 40);
+      await playPlies(restored, 40);
+
+      expect(restored.exportGameRecord().moves).toEqual(original.exportGameRecord().moves);
+      expect(restored.exportGameRecord().moves.length).toBeGreaterThan(20);
+      expect(restored.gameState.phase).toBe(original.gameState.phase);
+      expect(restored.gameState.winner).toBe(original.gameState.winner);
+      expect(restored.battleResolver.getBattleStats()).toEqual(original.battleResolver.getBattleStats());
+      expect(restored.aiPlayer.stats.totalMoves).toBe(original.aiPlayer.stats.totalMoves);
+      expect(restored.rng.getState()).toBe(original.rng.getState());
+    });
+
+    test('快照包含选中位置和悔棋栈，且不与引擎共享对象', async () => {
+      const engine = startSeeded();
+      await playPlies(engine, 4);
+      const card = engine.gameState.cardsData.find(c => c.isRevealed && c.faction === engine.gameState.playerFaction && c.position.row >= 0);
+      if (card) engine.selectCard(card.position.row, card.position.col);
+
+      const snapshot = engine.snapshot();
+      const restored = GameEngine.restore(snapshot, { aiPlayer: createAI });
+
+      expect(restored.gameState.selectedPosition).toEqual(engine.gameState.selectedPosition);
+      expect(restored.undoStack.length).toBe(engine.undoStack.length);
+      expect(restored.undo().data.gameState.toJSON()).toEqual(engine.undo().data.gameState.toJSON());
+
+      // 修改还原后的局面不影响快照
+      restored.gameState.cardsData[0].position.row = 4;
+      restored.gameState.gameLog[0].details.marker = true;
+      expect(snapshot.gameState.cardsData[0].position.row).not.toBe(4);
+      expect(snapshot.gameState.gameLog[0].details.marker).toBeUndefined();
+    });
+
+    test('读档恢复AI记忆，无效的快照不改变当前对局', async () => {
+      localStorage.clear();
+      const engine = startSeeded();
+      await playPlies(engine, 6);
+      engine.saveGame('memory');
+
+      const loaded = new GameEngine({ aiPlayer: createAI });
+      expect(loaded.loadGame('memory').success).toBe(true);
+      expect(loaded.aiPlayer.snapshotMemory()).toEqual(engine.aiPlayer.snapshotMemory());
+      localStorage.clear();
+
+      const before = engine.snapshot();
+      expect(() => engine.loadSnapshot({ ...before, version: 99 })).toThrow('不支持的快照版本');
+      expect(() => engine.loadSnapshot({ ...before, gameState: { ...before.gameState, phase: 'bogus' } })).toThrow('局面数据无效');
+      expect(engine.snapshot()).toEqual(before);
+    });
+
+    test('版本1的快照（没有行动日志）迁移后从保存的局面继续', async () => {
+      const engine = startSeeded();
+      await playPlies(engine, 12);
+      const { actions, undoStack, redoStack, ...current } = engine.snapshot();
+      const v1 = {
+        ...current,
+        version: 1,
+        battleHistory: JSON.parse(JSON.stringify(engine.battleResolver.battleHistory)),
+        undoStack: [{ actor: 'player', gameState: current.gameState, battleHistory: [], rngState: current.rngState }],
+        redoStack: []
+      };
+
+      const restored = GameEngine.restore(v1, { aiPlayer: createAI });
+
+      expect(v1.version).toBe(1);
+      expect(restored.actions.map(action => action.type)).toEqual(['position']);
+      expect(restored.gameState.toJSON()).toEqual(engine.gameState.toJSON());
+      expect(restored.battleResolver.getBattleStats()).toEqual(engine.battleResolver.getBattleStats());
+      expect(restored.rng.getState()).toBe(engine.rng.getState());
+      expect(restored.canUndo()).toBe(false);
+      expect(restored.auditActions().success).toBe(true);
+      expect(restored.snapshot().version).toBe(2);
+
+      await playPlies(restored, 2);
+      expect(restored.auditActions().success).toBe(true);
+    });
+
+    test('没有行动日志的旧自动存档读档后从保存的局面继续', async () => {
+      localStorage.clear();
+      const engine = startSeeded();
+      await playPlies(engine, 12);
+      const { actions, ...saveData } = engine.createSaveData();
+      engine.saveManager.save('auto', { ...saveData, battleHistory: engine.battleResolver.battleHistory });
+
+      const loaded = new GameEngine({ aiPlayer: createAI });
+      expect(loaded.loadGame().success).toBe(true);
+      expect(loaded.actions.map(action => action.type)).toEqual(['position']);
+      expect(loaded.gameState.toJSON()).toEqual(engine.gameState.toJSON());
+      expect(loaded.battleResolver.getBattleStats()).toEqual(engine.battleResolver.getBattleStats());
+      expect(loaded.auditActions().success).toBe(true);
+      localStorage.clear();
+    });
+
+    test('快照保存行动日志，重放结果与局面不符时不能还原', async () => {
+      const engine = startSeeded();
+      await playPlies(engine, 8);
+      const snapshot = engine.snapshot();
+
+      expect(snapshot.actions.slice(0, 3).map(action => action.type)).toEqual(['start', 'rps', 'layout']);
+      expect(snapshot.undoStack.every(entry => entry.index < snapshot.actions.length)).toBe(true);
+      expect(() => engine.loadSnapshot({ ...snapshot, actions: snapshot.actions.slice(0, -1) }))
+        .toThrow('行动日志与局面不符');
+      expect(engine.snapshot()).toEqual(snapshot);
+    });
+  });
+
+  describe('随机种子', () => {
+    const deal = (engine) => engine.gameState.board.map(row =>
+      row.map(card => (card ? card.id : '.')).join(' ')
+    ).join('/');
+
+    const startWithSeed = (seed) => {
+      const engine = new GameEngine({ seed });
+      engine.startNewGame();
+      const rps = engine.playRockPaperScissors('rock');
+      engine.initializeBoard();
+      return { engine, rps };
+    };
+
+    test('相同种子应该产生相同的发牌和猜拳结果', () => {
+      const first = startWithSeed(2024);
+      const second = startWithSeed(2024);
+
+      expect(deal(second.engine)).toBe(deal(first.engine));
+      expect(second.rps.data.aiChoice).toBe(first.rps.data.aiChoice);
+      expect(second.rps.data.firstPlayer).toBe(first.rps.data.firstPlayer);
+    });
+
+    test('不同种子应该产生不同的发牌', () => {
+      expect(deal(startWithSeed(1).engine)).not.toBe(deal(startWithSeed(2).engine));
+    });
+
+    test('统计信息应该记录本局种子，并可用该种子复现对局', () => {
+      const engine = new GameEngine({ seed: 7 });
+      engine.startNewGame();
+      expect(engine.getGameStats().seed).toBe(7);
+
+      // 重新开始后使用新的种子，且该种子可以单独复现本局
+      engine.restartGame();
+      engine.playRockPaperScissors('rock');
+      engine.initializeBoard();
+      const seed = engine.getGameStats().seed;
+      expect(seed).not.toBe(7);
+      expect(deal(startWithSeed(seed).engine)).toBe(deal(engine));
+    });
+
+    test('统计信息和档案记录按行动日志统计相同的回合数', () => {
+      const { engine } = startWithSeed(11);
+      for (let ply = 0; ply < 30 && engine.gameState.phase === 'playing'; ply++) {
+        const seat = engine.gameState.currentPlayer;
+        const action = engine.rng.pick(engine.getLegalActions(seat));
+        if (action.type === 'flip') {
+          engine.flipCard(action.position.row, action.position.col, seat);
+        } else {
+          engine.moveCard(action.from.row, action.from.col, action.to.row, action.to.col, seat);
+        }
+      }
+      engine.resign(engine.gameState.currentPlayer);
+
+      const played = engine.actions.filter(action => action.type === 'flip' || action.type === 'move').length;
+      expect(played).toBeGreaterThan(0);
+      expect(engine.getGameStats().turns).toBe(played);
+      expect(engine.createGameResult().turns).toBe(played);
+    });
+
+    test('克隆游戏状态不应该消耗随机序列', () => {
+      const { engine } = startWithSeed(5);
+      const state = engine.rng.getState();
+
+      engine.gameState.clone();
+      expect(engine.rng.getState()).toBe(state);
+    });
+
+    test('存档应该记录种子和随机数状态', () => {
+      const { engine } = startWithSeed(11);
+      engine.saveGameState();
+      const saved = JSON.parse(localStorage.getItem(engine.saveKey));
+      expect(saved.seed).toBe(11);
+      expect(saved.rngState).toBe(engine.rng.getState());
+
+      const expected = engine.rng.next();
+      engine.loadGameState();
+      expect(engine.rng.next()).toBe(expected);
+    });
+  });
+
+  describe('悔棋与重做', () => {
+    const startPlayerTurn = (engine) => {
+      engine.startNewGame();
+      engine.decideFirstPlayer('player');
+      engine.initializeBoard();
+    };
+
+    const setupBattle = (engine) => {
+      startPlayerTurn(engine);
+      setupPosition(engine.gameState, [['dragon_2', 0, 0], ['tiger_5', 0, 1], ['tiger_7', 4, 3]]);
+      engine.recordPosition();
+    };
+
+    test('没有操作时不能悔棋', () => {
+      startPlayerTurn(gameEngine);
+
+      const result = gameEngine.undo();
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('NOTHING_TO_UNDO');
+      expect(gameEngine.redo().error.code).toBe('NOTHING_TO_REDO');
+    });
+
+    test('单步悔棋应该恢复翻牌前的状态', () => {
+      const engine = new GameEngine({ undo: { scope: 'single' } });
+      startPlayerTurn(engine);
+
+      expect(engine.flipCard(0, 0).success).toBe(true);
+      expect(engine.gameState.playerFaction).not.toBe(null);
+
+      const result = engine.undo();
+      expect(result.success).toBe(true);
+      expect(result.data.steps).toBe(1);
+      expect(engine.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+      expect(engine.gameState.playerFaction).toBe(null);
+      expect(engine.gameState.currentPlayer).toBe('player');
+      expect(engine.canRedo()).toBe(true);
+
+      const redo = engine.redo();
+      expect(redo.success).toBe(true);
+      expect(engine.gameState.getCardAt(0, 0).isRevealed).toBe(true);
+      expect(engine.gameState.currentPlayer).toBe('ai');
+    });
+
+    test('按回合悔棋应该同时撤销玩家操作和AI应对', () => {
+      startPlayerTurn(gameEngine);
+
+      gameEngine.flipCard(0, 0);
+      gameEngine.flipCard(0, 1, 'ai');
+      expect(gameEngine.gameState.currentPlayer).toBe('player');
+
+      const result = gameEngine.undo();
+      expect(result.data.steps).toBe(2);
+      expect(gameEngine.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+      expect(gameEngine.gameState.getCardAt(0, 1).isRevealed).toBe(false);
+      expect(gameEngine.gameState.currentPlayer).toBe('player');
+      expect(gameEngine.canUndo()).toBe(false);
+
+      const redo = gameEngine.redo();
+      expect(redo.data.steps).toBe(2);
+      expect(gameEngine.gameState.getCardAt(0, 1).isRevealed).toBe(true);
+      expect(gameEngine.gameState.currentPlayer).toBe('player');
+    });
+
+    test('悔棋应该同时恢复战斗历史', () => {
+      setupBattle(gameEngine);
+
+      const result = gameEngine.moveCard(0, 0, 0, 1);
+      expect(result.data.moveType).toBe('battle');
+      expect(gameEngine.battleResolver.getBattleHistory().length).toBe(1);
+
+      gameEngine.undo();
+      expect(gameEngine.battleResolver.getBattleHistory().length).toBe(0);
+      expect(gameEngine.gameState.getCardAt(0, 0).id).toBe('dragon_2');
+      expect(gameEngine.gameState.getCardAt(0, 1).id).toBe('tiger_5');
+
+      gameEngine.redo();
+      expect(gameEngine.battleResolver.getBattleHistory().length).toBe(1);
+      expect(gameEngine.gameState.getCardAt(0, 1).id).toBe('dragon_2');
+    });
+
+    test('测试中摆出的局面由 recordPosition 记入行动日志，悔棋重放后仍保留', () => {
+      setupBattle(gameEngine);
+      gameEngine.moveCard(0, 0, 0, 1);
+
+      expect(gameEngine.actions.map(action => action.type).slice(-3)).toEqual(['position', 'move', 'end']);
+      expect(gameEngine.auditActions().success).toBe(true);
+
+      gameEngine.undo();
+      expect(gameEngine.actions.map(action => action.type).slice(-4)).toEqual(['position', 'move', 'end', 'undo']);
+      expect(gameEngine.gameState.getCardAt(4, 3).id).toBe('tiger_7');
+      expect(gameEngine.auditActions().data.actions).toBe(gameEngine.actions.length);
+    });
+
+    test('悔棋和重做记为行动，行动日志只追加不删除', () => {
+      startPlayerTurn(gameEngine);
+      gameEngine.flipCard(0, 0);
+      gameEngine.flipCard(0, 1, 'ai');
+      const played = gameEngine.actions.slice();
+
+      gameEngine.undo();
+      expect(gameEngine.actions.slice(0, played.length)).toEqual(played);
+      expect(gameEngine.actions.slice(played.length).map(action => action.type)).toEqual(['undo', 'undo']);
+      expect(gameEngine.getGameStats().turns).toBe(0);
+
+      gameEngine.redo();
+      expect(gameEngine.actions.slice(-2).map(action => action.type)).toEqual(['redo', 'redo']);
+      expect(gameEngine.getGameStats().turns).toBe(2);
+
+      // 重放整个日志得到同样的局面
+      const { gameState } = replayActions(JSON.parse(JSON.stringify(gameEngine.actions)));
+      expect(gameState.toJSON()).toEqual(gameEngine.gameState.toJSON());
+      expect(gameEngine.auditActions().success).toBe(true);
+    });
+
+    test('在行动之外修改局面不会自动补记，核对行动日志时报告不一致', () => {
+      startPlayerTurn(gameEngine);
+      const length = gameEngine.actions.length;
+      gameEngine.gameState.currentPlayer = 'ai';
+
+      expect(gameEngine.actions).toHaveLength(length);
+      expect(gameEngine.auditActions().error).toMatchObject({ code: 'ACTION_LOG_MISMATCH', details: { field: 'currentPlayer' } });
+
+      expect(gameEngine.recordPosition().success).toBe(true);
+      expect(gameEngine.actions[length].type).toBe('position');
+      expect(gameEngine.auditActions().success).toBe(true);
+    });
+
+    test('新的操作应该清空重做栈', () => {
+      startPlayerTurn(gameEngine);
+
+      gameEngine.flipCard(0, 0);
+      gameEngine.undo();
+      expect(gameEngine.canRedo()).toBe(true);
+
+      gameEngine.flipCard(0, 1);
+      expect(gameEngine.canRedo()).toBe(false);
+    });
+
+    test('悔棋应该受设置限制', () => {
+      const practiceOnly = new GameEngine({ undo: { mode: 'practice' } });
+      startPlayerTurn(practiceOnly);
+      practiceOnly.flipCard(0, 0);
+      expect(practiceOnly.undo().error.code).toBe('UNDO_DISABLED');
+
+      practiceOnly.practiceMode = true;
+      expect(practiceOnly.undo().success).toBe(true);
+
+      practiceOnly.setUndoSettings({ mode: 'never' });
+      expect(practiceOnly.isUndoAllowed()).toBe(false);
+    });
+
+    test('悔棋和重做应该触发事件', () => {
+      startPlayerTurn(gameEngine);
+      const events = [];
+      gameEngine.on('undo', data => events.push(['undo', data.steps]));
+      gameEngine.on('redo', data => events.push(['redo', data.steps]));
+
+      gameEngine.flipCard(0, 0);
+      gameEngine.undo();
+      gameEngine.redo();
+
+      expect(events).toEqual([['undo', 1], ['redo', 1]]);
+    });
+  });
+
+  describe('双人对战', () => {
+    const startHotSeat = (firstPlayer = 'player') => startGame({ mode: 'hotseat', seed: 7, firstPlayer });
+
+    // 把一张指定阵营的卡牌换到 (row, col) 并翻开
+    const revealAt = (engine, faction, row, col) => {
+      const card = engine.gameState.cardsData.find(item => item.faction === faction && !item.isRevealed);
+      const occupant = engine.gameState.getCardAt(row, col);
+      if (occupant !== card) {
+        const from = { ...card.position };
+        engine.gameState.removeCardAt(from.row, from.col);
+        engine.gameState.removeCardAt(row, col);
+        engine.gameState.placeCard(card, row, col);
+        engine.gameState.placeCard(occupant, from.row, from.col);
+      }
+      engine.flipCard(row, col);
+      return card;
+    };
+
+    test('应该拒绝无效的对局模式', () => {
+      expect(() => new GameEngine({ mode: 'online' })).toThrow('无效的对局模式');
+      expect(new GameEngine().mode).toBe('ai');
+    });
+
+    test('两个座位都由人类操作，并使用玩家1/玩家2称呼', () => {
+      const engine = startHotSeat();
+
+      expect(engine.isHotSeat()).toBe(true);
+      expect(engine.isHumanSeat('player')).toBe(true);
+      expect(engine.isHumanSeat('ai')).toBe(true);
+      expect(engine.getSeatName('player')).toBe('玩家1');
+      expect(engine.getSeatName('ai')).toBe('玩家2');
+      expect(gameEngine.isHumanSeat('ai')).toBe(false);
+      expect(gameEngine.getSeatName('ai')).toBe('AI');
+    });
+
+    test('双方都可以用 selectCard/moveCard 操作自己的卡牌', () => {
+      const engine = startHotSeat();
+      const first = revealAt(engine, 'dragon', 1, 0);
+      const second = revealAt(engine, 'tiger', 3, 1);
+      expect(first.owner).toBe('player');
+      expect(second.owner).toBe('ai');
+      expect(engine.gameState.currentPlayer).toBe('player');
+
+      expect(engine.selectCard(1, 0).success).toBe(true);
+      expect(engine.selectCard(3, 1).error.code).toBe('CANNOT_MOVE_OPPONENT_CARD');
+      expect(engine.moveCard(1, 0, 2, 0).success).toBe(true);
+
+      expect(engine.gameState.currentPlayer).toBe('ai');
+      expect(engine.selectCard(2, 0).error.code).toBe('CANNOT_MOVE_OPPONENT_CARD');
+      const selected = engine.selectCard(3, 1);
+      expect(selected.success).toBe(true);
+      expect(selected.data.selectedCard.faction).toBe('tiger');
+      expect(engine.moveCard(3, 1, 2, 1).success).toBe(true);
+      expect(engine.gameState.getCardAt(2, 1)).toBe(second);
+      expect(engine.gameState.currentPlayer).toBe('player');
+    });
+
+    test('双人对战不能执行AI回合', async () => {
+      const engine = startHotSeat('ai');
+
+      const result = await engine.executeAITurn();
+
+      expect(result.success).toBe(false);
+      expect(result.error.code).toBe('NO_AI_IN_HOTSEAT');
+    });
+
+    test('按回合悔棋每次只撤销上一位玩家的一步', () => {
+      const engine = startHotSeat();
+
+      engine.flipCard(0, 0);
+      engine.flipCard(0, 1);
+      expect(engine.gameState.currentPlayer).toBe('player');
+
+      const result = engine.undo();
+      expect(result.data.steps).toBe(1);
+      expect(engine.gameState.getCardAt(0, 1).isRevealed).toBe(false);
+      expect(engine.gameState.currentPlayer).toBe('ai');
+
+      expect(engine.redo().data.steps).toBe(1);
+      expect(engine.gameState.currentPlayer).toBe('player');
+    });
+  });
+
+  describe('计时', () => {
+    const startTimed = timeControl => startGame({ mode: 'hotseat', seed: 7, timeControl, firstPlayer: 'player' });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('默认不计时，无效的计时配置会被拒绝', () => {
+      expect(gameEngine.getClock()).toBe(null);
+      expect(() => new GameEngine({ timeControl: 'classical' })).toThrow('未知的计时预设');
+      expect(() => new GameEngine({ timeControl: { perMove: 1000, onTimeout: 'draw' } })).toThrow('无效的超时处理');
+    });
+
+    test('布好棋盘后开始计时，行动后扣除用时并加秒', () => {
+      const engine = startTimed({ initial: 10000, increment: 2000 });
+      expect(engine.getClock()).toMatchObject({ seat: 'player', running: true, remaining: { player: 10000, ai: 10000 } });
+
+      jest.advanceTimersByTime(3000);
+      engine.flipCard(0, 0);
+
+      expect(engine.getClock()).toMatchObject({ seat: 'ai', remaining: { player: 9000, ai: 10000 } });
+      expect(engine.gameState.phase).toBe('playing');
+    });
+
+    test('棋钟用完判负', () => {
+      const engine = startTimed('bullet');
+      const expired = jest.fn();
+      engine.on('clockExpired', expired);
+
+      jest.advanceTimersByTime(60000);
+
+      expect(engine.gameState.phase).toBe('ended');
+      expect(engine.gameState.winner).toBe('ai');
+      expect(expired).toHaveBeenCalledWith(expect.objectContaining({ seat: 'player', action: 'loss' }));
+      expect(engine.gameState.gameLog.some(entry => entry.type === 'timeout')).toBe(true);
+    });
+
+    test('每步限时用完且配置为 auto 时代为行动', () => {
+      const engine = startTimed({ perMove: 5000, onTimeout: 'auto' });
+      const expired = jest.fn();
+      engine.on('clockExpired', expired);
+
+      jest.advanceTimersByTime(5000);
+
+      expect(expired).toHaveBeenCalledWith(expect.objectContaining({ seat: 'player', action: 'auto' }));
+      expect(engine.gameState.phase).toBe('playing');
+      expect(engine.gameState.currentPlayer).toBe('ai');
+      expect(engine.gameState.cardsData.filter(card => card.isRevealed).length).toBe(1);
+      expect(engine.getClock().moveRemaining).toBe(5000);
+    });
+
+    test('暂停期间不计时，结束后不再触发超时', () => {
+      const engine = startTimed({ perMove: 5000 });
+
+      jest.advanceTimersByTime(2000);
+      engine.pauseClock();
+      jest.advanceTimersByTime(10000);
+      expect(engine.getClock()).toMatchObject({ running: false, moveRemaining: 3000 });
+
+      engine.resumeClock();
+      jest.advanceTimersByTime(2000);
+      engine.endGame('draw', '测试');
+      jest.advanceTimersByTime(10000);
+      expect(engine.gameState.winner).toBe('draw');
+    });
+
+    test('存档包含计时状态，读档后从剩余时间继续', () => {
+      const engine = startTimed({ initial: 30000 });
+      jest.advanceTimersByTime(4000);
+      engine.flipCard(0, 0);
+      jest.advanceTimersByTime(1000);
+
+      expect(engine.saveGameState()).toBe(true);
+      expect(JSON.parse(localStorage.getItem(engine.saveKey)).gameState.clock)
+        .toMatchObject({ remaining: { player: 26000, ai: 30000 }, moveElapsed: 1000 });
+
+      const loaded = new GameEngine({ mode: 'hotseat' });
+      expect(loaded.loadGameState()).toBe(true);
+      expect(loaded.getClock()).toMatchObject({ seat: 'ai', running: true, remaining: { player: 26000, ai: 29000 } });
+      expect(loaded.timeControl).toMatchObject({ initial: 30000 });
+
+      engine.pauseClock();
+      jest.advanceTimersByTime(29000);
+      expect(loaded.gameState.winner).toBe('player');
+      localStorage.clear();
+    });
+  });
+
+  describe('认输与和棋', () => {
+    const start = (options = {}) => startGame({ seed: 'draw', firstPlayer: 'player', ...options });
+
+    test('认输后对方获胜，gameEnded 带有认输原因', () => {
+      const engine = start({ mode: 'hotseat' });
+      const ended = jest.fn();
+      engine.on('gameEnded', ended);
+
+      expect(engine.resign('dragon').error.code).toBe('INVALID_SEAT');
+      const result = engine.resign('ai');
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('玩家2认输，玩家1获胜');
+      expect(engine.gameState.phase).toBe('ended');
+      expect(engine.gameState.winner).toBe('player');
+      expect(ended).toHaveBeenCalledWith(expect.objectContaining({ winner: 'player', reason: '玩家2认输' }));
+      expect(engine.gameState.gameLog.slice(-2).map(entry => entry.type)).toEqual(['resign', 'game_end']);
+      expect(engine.resign('player').error.code).toBe('INVALID_GAME_PHASE');
+      expect(engine.auditActions().success).toBe(true);
+    });
+
+    test('双人对战中提议和棋等待对方答复，对方行动即视为拒绝', () => {
+      const engine = start({ mode: 'hotseat' });
+      const ended = jest.fn();
+      engine.on('gameEnded', ended);
+
+      expect(engine.respondToDraw('ai', true).error.code).toBe('NO_DRAW_OFFER');
+      expect(engine.offerDraw('player').data.response).toBe(null);
+      expect(engine.offerDraw('player').error.code).toBe('DRAW_ALREADY_OFFERED');
+      expect(engine.respondToDraw('player', true).error.code).toBe('NO_DRAW_OFFER');
+
+      // 提议方自己行动后提议仍然有效，对方行动后失效
+      engine.flipCard(0, 0);
+      expect(engine.getDrawOffer()).toMatchObject({ seat: 'player' });
+      const flipNext = seat => {
+        const [{ position }] = engine.getLegalActions(seat);
+        engine.flipCard(position.row, position.col);
+      };
+      flipNext('ai');
+      expect(engine.getDrawOffer()).toBe(null);
+
+      // 只能在己方回合提议，被拒绝后本回合不能再提
+      expect(engine.offerDraw('ai').error.code).toBe('DRAW_NOT_YOUR_TURN');
+      flipNext('player');
+      engine.offerDraw('ai');
+      expect(engine.respondToDraw('player', false).data.accept).toBe(false);
+      expect(engine.gameState.phase).toBe('playing');
+      expect(engine.offerDraw('ai').error.code).toBe('DRAW_OFFER_LIMIT');
+
+      flipNext('ai');
+      flipNext('player');
+      engine.offerDraw('ai');
+      expect(engine.respondToDraw('player', true).success).toBe(true);
+      expect(engine.gameState.winner).toBe('draw');
+      expect(ended).toHaveBeenCalledWith(expect.objectContaining({ winner: 'draw', reason: '双方同意和棋' }));
+      expect(engine.getDrawOffer()).toBe(null);
+      expect(engine.auditActions().success).toBe(true);
+    });
+
+    test('不猜拳直接决定先手，行动方无法行动时放弃回合，都记为行动', () => {
+      const engine = new GameEngine({ seed: 'first' });
+      engine.startNewGame();
+      expect(engine.decideFirstPlayer('dragon').error.code).toBe('INVALID_SEAT');
+      const decided = engine.decideFirstPlayer();
+      expect(decided.success).toBe(true);
+      expect(engine.gameState.phase).toBe('playing');
+      expect(engine.gameState.currentPlayer).toBe(decided.data.firstPlayer);
+      expect(engine.decideFirstPlayer('player').error.code).toBe('INVALID_GAME_PHASE');
+      engine.initializeBoard();
+
+      const first = engine.gameState.currentPlayer;
+      const second = first === 'player' ? 'ai' : 'player';
+      expect(engine.passTurn(second).error.code).toBe('NOT_YOUR_TURN');
+      expect(engine.passTurn(first, 'AI执行失败').success).toBe(true);
+      expect(engine.gameState.currentPlayer).toBe(second);
+      expect(engine.actions.map(action => action.type)).toEqual(['start', 'first_player', 'layout', 'pass']);
+      expect(engine.gameState.gameLog.find(entry => entry.type === 'pass'))
+        .toMatchObject({ player: first, details: { reason: 'AI执行失败' } });
+      expect(engine.auditActions().success).toBe(true);
+    });
+
+    test('AI根据局面评估答复和棋提议', () => {
+      // 搜索AI子力落后时同意
+      const behind = start({ aiPlayer: 'search' });
+      setupPosition(behind.gameState, [['dragon_1', 0, 0], ['dragon_2', 0, 1], ['tiger_8', 4, 3]]);
+      const accepted = behind.offerDraw('player');
+      expect(accepted.data.response.data).toMatchObject({ seat: 'ai', accept: true, evaluation: { accept: true } });
+      expect(accepted.data.response.data.evaluation.score).toBeLessThan(0);
+      expect(behind.gameState.winner).toBe('draw');
+
+      // 默认AI子力领先时拒绝，对局继续（被消灭的卡牌同样是翻开的，不算作子力）
+      const ahead = start();
+      setupPosition(ahead.gameState, [['dragon_8', 0, 0], ['tiger_1', 4, 2], ['tiger_2', 4, 3]]);
+      const declined = ahead.offerDraw('player');
+      expect(declined.data.response.data).toMatchObject({ accept: false, evaluation: { accept: false } });
+      expect(declined.message).toBe('AI拒绝了和棋提议');
+      expect(ahead.gameState.phase).toBe('playing');
+      expect(ahead.getDrawOffer()).toBe(null);
+
+      // 阵营未确定时拒绝
+      expect(start({ aiPlayer: 'search' }).offerDraw('player').data.response.data.accept).toBe(false);
+    });
+  });
 });
 
 // 扩展测试框架以支持beforeEach
@@ -0,0 +1,120 @@
+/**
+ * GameReducer 测试
+ * 验收标准：引擎的行动日志能重放出相同的局面和战斗历史；执行行动不依赖时钟和随机数，reduceGame 不修改输入；
+ * 行动与局面不符时报告出错的行动
+ */
+
+import { applyGameAction, reduceGame, replayActions, findStateDifference } from '../../scripts/core/GameReducer.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { RuleSet } from '../../scripts/core/RuleSet.js';
+
+// 手写的开局行动：不洗牌，按规则集的可放置位置依次布局
+const openingActions = (timeControl = null) => {
+  const ruleSet = RuleSet.classic();
+  const cards = ruleSet.roster.map(({ faction, level }) => `${faction}_${level}`);
+  const positions = ruleSet.getPlacementPositions();
+  return [
+    { type: 'start', at: 0, gameId: 'reducer', seed: 1, mode: 'ai', timeControl, ruleSet: ruleSet.toJSON(), cards },
+    { type: 'rps', at: 500, playerChoice: 'rock', aiChoice: 'scissors', winner: 'player', firstPlayer: 'player' },
+    { type: 'layout', at: 1000, layout: cards.map((cardId, index) => ({ cardId, position: positions[index] })) }
+  ];
+};
+
+describe('GameReducer Tests', () => {
+
+  test('重放引擎的行动日志得到相同的局面和战斗历史', () => {
+    const engine = new GameEngine({ seed: 'reducer' });
+    engine.startNewGame();
+    engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+    engine.initializeBoard();
+    for (let ply = 0; ply < 120 && engine.gameState.phase === 'playing'; ply++) {
+      const seat = engine.gameState.currentPlayer;
+      const action = engine.rng.pick(engine.getLegalActions(seat));
+      if (action.type === 'flip') {
+        engine.flipCard(action.position.row, action.position.col, seat);
+      } else {
+        engine.moveCard(action.from.row, action.from.col, action.to.row, action.to.col, seat);
+      }
+    }
+
+    const { gameState, battles } = replayActions(JSON.parse(JSON.stringify(engine.actions)));
+
+    expect(battles.length).toBeGreaterThan(0);
+    expect(JSON.parse(JSON.stringify(battles))).toEqual(JSON.parse(JSON.stringify(engine.battleResolver.battleHistory)));
+    expect(findStateDifference(engine.gameState.toJSON(), gameState.toJSON())).toBe(null);
+    expect(gameState.gameLog).toEqual(engine.gameState.gameLog);
+    expect(engine.auditActions().success).toBe(true);
+  });
+
+  test('时间戳取自行动：棋钟和日志由行动推导', () => {
+    const actions = [
+      ...openingActions({ initial: 60000, increment: 1000, perMove: null, onTimeout: 'loss' }),
+      { type: 'flip', at: 4000, seat: 'player', position: { row: 0, col: 0 } },
+      { type: 'pause', at: 6000 },
+      { type: 'resume', at: 9000 },
+      { type: 'flip', at: 10000, seat: 'ai', position: { row: 0, col: 1 } }
+    ];
+
+    const first = replayActions(actions).gameState;
+    const second = replayActions(actions).gameState;
+
+    expect(first.clock.remaining).toEqual({ player: 58000, ai: 58000 });
+    expect(first.clock.runningSince).toBe(10000);
+    expect(first.gameLog[0].timestamp).toBe(new Date(0).toISOString());
+    expect(first.gameLog.find(entry => entry.type === 'flip').id).toBe(second.gameLog.find(entry => entry.type === 'flip').id);
+    expect(first.toJSON()).toEqual(second.toJSON());
+    expect(first.toJSON().clock).toMatchObject({ moveElapsed: 0, running: true });
+  });
+
+  test('reduceGame 不修改传入的局面', () => {
+    const { gameState } = replayActions(openingActions());
+    const before = JSON.stringify(gameState.toJSON());
+
+    const { state, card, factionAssigned } = reduceGame(gameState, { type: 'flip', at: 2000, seat: 'player', position: { row: 0, col: 0 } });
+
+    expect(JSON.stringify(gameState.toJSON())).toBe(before);
+    expect(state).not.toBe(gameState);
+    expect(state.getCardAt(0, 0)).toBe(card);
+    expect(card.isRevealed).toBe(true);
+    expect(factionAssigned).toBe(true);
+    expect(state.playerFaction).toBe(card.faction);
+    expect(state.currentPlayer).toBe('ai');
+  });
+
+  test('行动与局面不符时报告出错的行动', () => {
+    const flip = { type: 'flip', at: 2000, seat: 'player', position: { row: 0, col: 0 } };
+
+    expect(() => replayActions([...openingActions(), flip, { ...flip, seat: 'ai' }]))
+      .toThrow('第5个行动 flip 无法执行');
+    expect(() => replayActions([{ type: 'flip', at: 0, seat: 'player', position: { row: 0, col: 0 } }]))
+      .toThrow('对局尚未开始');
+    expect(() => applyGameAction(replayActions(openingActions()).gameState, { type: 'castle', at: 0 }))
+      .toThrow('未知的行动类型');
+    expect(() => replayActions([...openingActions(), { type: 'undo', at: 2000, to: 9 }]))
+      .toThrow('第4个行动 undo 无法执行: 无效的悔棋位置: 9');
+  });
+
+  test('反复悔棋和重做时每个行动只执行一次，重放时间不随悔棋次数成倍增长', () => {
+    const engine = new GameEngine({ seed: 'rewind', undo: { scope: 'single' } });
+    engine.startNewGame();
+    engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+    engine.initializeBoard();
+
+    const started = Date.now();
+    for (let cycle = 0; cycle < 40; cycle++) {
+      expect(engine.flipCard(0, cycle % 4, 'player').success).toBe(true);
+      expect(engine.undo().success).toBe(true);
+      if (cycle % 3 === 0) {
+        expect(engine.redo().success).toBe(true);
+        expect(engine.undo().success).toBe(true);
+      }
+    }
+    expect(engine.auditActions().success).toBe(true);
+    const { gameState } = replayActions(engine.actions);
+    expect(Date.now() - started).toBeLessThan(3000);
+
+    expect(engine.actions.filter(action => action.type === 'undo')).toHaveLength(54);
+    expect(gameState.cardsData.every(card => !card.isRevealed)).toBe(true);
+    expect(findStateDifference(engine.gameState.toJSON(), gameState.toJSON())).toBe(null);
+  });
+});
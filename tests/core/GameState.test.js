@@ -4,6 +4,7 @@
  */
 
 import { GameState } from '../../scripts/core/GameState.js';
+import { SeededRandom } from '../../scripts/utils/Random.js';
 
 describe('GameState Class Tests', () => {
   
@@ -166,6 +167,94 @@ describe('GameState Class Tests', () => {
     expect(cloned).not.toBe(gameState); // 应该是不同的对象
     expect(cloned.cardsData).not.toBe(gameState.cardsData); // 深拷贝
   });
+
+  test('应该记录无进展步数和局面历史并随克隆和序列化保留', () => {
+    const gameState = new GameState({ shuffle: false });
+    gameState.setPlayerFaction('dragon');
+    const dragon = gameState.cardsData[0];
+    dragon.reveal('player');
+    gameState.placeCard(dragon, 0, 0);
+    gameState.recordAction('player', true);
+
+    gameState.removeCardAt(0, 0);
+    gameState.placeCard(dragon, 1, 0);
+    gameState.recordAction('player', false);
+
+    expect(gameState.lastMover).toBe('player');
+    expect(gameState.noCaptureMoves).toBe(1);
+    expect(gameState.positionHistory.length).toBe(2);
+    expect(gameState.getPositionKey()).toBe('dragon|.,.,.,./dragon_1,.,.,./.,.,.,./.,.,.,./.,.,.,.');
+    expect(gameState.getRepetitionCount()).toBe(1);
+
+    const cloned = gameState.clone();
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState.toJSON())));
+    [cloned, restored].forEach(copy => {
+      expect(copy.lastMover).toBe('player');
+      expect(copy.noCaptureMoves).toBe(1);
+      expect(copy.positionHistory).toEqual(gameState.positionHistory);
+    });
+    cloned.recordAction('ai', false);
+    expect(gameState.positionHistory.length).toBe(2);
+
+    // 战斗或翻牌会清空局面历史
+    gameState.recordAction('ai', true);
+    expect(gameState.noCaptureMoves).toBe(0);
+    expect(gameState.positionHistory.length).toBe(1);
+  });
+
+  test('使用相同种子时洗牌结果应该相同', () => {
+    const order = (gameState) => gameState.cardsData.map(card => card.id).join(',');
+    const first = new GameState({ rng: new SeededRandom(123) });
+    const second = new GameState({ rng: new SeededRandom(123) });
+
+    expect(order(second)).toBe(order(first));
+    expect(order(new GameState({ shuffle: false }))).toBe(
+      'dragon_1,dragon_2,dragon_3,dragon_4,dragon_5,dragon_6,dragon_7,dragon_8,' +
+      'tiger_1,tiger_2,tiger_3,tiger_4,tiger_5,tiger_6,tiger_7,tiger_8'
+    );
+  });
+
+  test('损坏的局面数据应该报告问题而不是恢复出错误的局面', () => {
+    const gameState = new GameState({ rng: new SeededRandom(5) });
+    gameState.placeCard(gameState.cardsData[0], 0, 0);
+    gameState.placeCard(gameState.cardsData[1], 0, 1);
+    const json = JSON.parse(JSON.stringify(gameState.toJSON()));
+    expect(GameState.validateJSON(json)).toEqual([]);
+
+    json.cardsData[1].position = { ...json.cardsData[0].position };
+    json.phase = 'unknown';
+    const errors = GameState.validateJSON(json);
+    expect(errors).toHaveLength(2);
+    expect(() => GameState.fromJSON(json)).toThrow('局面数据无效');
+
+    expect(GameState.validateJSON(null)).toEqual(['局面数据不是对象']);
+    expect(GameState.validateJSON({ phase: 'setup' })).toEqual(['缺少卡牌数据']);
+  });
+
+  test('序列化与恢复的局面不与JSON共享对象', () => {
+    const gameState = new GameState({ shuffle: false });
+    gameState.placeCard(gameState.cardsData[0], 0, 0);
+    gameState.selectedPosition = { row: 0, col: 0 };
+    gameState.addLogEntry('flip', 'player', '翻牌', { row: 0, col: 0 });
+
+    const json = gameState.toJSON();
+    json.cardsData[0].position.row = 1;
+    json.selectedPosition.col = 1;
+    json.gameLog[0].details.row = 1;
+    expect(gameState.cardsData[0].position).toEqual({ row: 0, col: 0 });
+    expect(gameState.selectedPosition).toEqual({ row: 0, col: 0 });
+    expect(gameState.gameLog[0].details.row).toBe(0);
+
+    const source = gameState.toJSON();
+    const restored = GameState.fromJSON(source);
+    expect(restored.getCardAt(0, 0).id).toBe(gameState.cardsData[0].id);
+    restored.cardsData[0].position.row = 2;
+    restored.selectedPosition.row = 2;
+    restored.gameLog[0].details.row = 2;
+    expect(source.cardsData[0].position.row).toBe(0);
+    expect(source.selectedPosition.row).toBe(0);
+    expect(source.gameLog[0].details.row).toBe(0);
+  });
 });
 
 // 扩展测试运行器
@@ -0,0 +1,142 @@
+/**
+ * LegalActions 测试
+ * 验收标准：引擎、各AI和界面共用同一个合法行动生成器，生成的每个行动都能被引擎执行，攻击附带战斗结果；
+ * applyAction 与引擎执行结果一致，unapplyAction 完整还原局面且不写日志
+ */
+
+import {
+  generateLegalActions, generateCardActions, toStrategyMove, applyAction, unapplyAction
+} from '../../scripts/core/LegalActions.js';
+import { GameState } from '../../scripts/core/GameState.js';
+import { RuleSet } from '../../scripts/core/RuleSet.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { EnhancedAIPlayer } from '../../scripts/ai/EnhancedAIPlayer.js';
+import { startGame, setupPosition } from '../helpers/setup.js';
+
+// 在新的局面上摆局（见 setupPosition）
+const positionOf = (placements, ruleSet = RuleSet.classic()) =>
+  setupPosition(new GameState({ ruleSet, shuffle: false }), placements);
+
+const describeAction = action => (action.type === 'flip' ?
+  `F${action.position.row}${action.position.col}` :
+  `${action.type}${action.from.row}${action.from.col}${action.to.row}${action.to.col}`);
+
+describe('LegalActions Tests', () => {
+
+  test('生成翻牌、走子和攻击，不能进入未翻开或己方卡牌所在的格子', () => {
+    const gameState = positionOf([
+      ['dragon_3', 1, 1], ['dragon_6', 0, 1], ['tiger_5', 1, 2], ['tiger_1', 2, 1], ['tiger_7', 1, 0, false]
+    ]);
+
+    const actions = generateLegalActions(gameState, 'player');
+
+    expect(actions.map(describeAction).sort()).toEqual([
+      'F10', 'attack1112', 'attack1121', 'move0100', 'move0102'
+    ].sort());
+    const attack = actions.find(action => action.type === 'attack' && action.to.col === 2);
+    expect(attack.card.id).toBe('dragon_3');
+    expect(attack.target.id).toBe('tiger_5');
+    expect(attack.outcome).toEqual(gameState.ruleSet.getBattleOutcome(attack.card, attack.target));
+    expect(attack.outcome.winner).toBe('attacker');
+
+    // 攻击同样由规则集裁决：3级攻击1级会输
+    const losing = actions.find(action => action.type === 'attack' && action.target.id === 'tiger_1');
+    expect(losing.outcome).toMatchObject({ winner: 'defender', eliminated: ['attacker'] });
+    expect(generateCardActions(gameState, gameState.getCardAt(1, 0))).toEqual([]);
+  });
+
+  test('攻击附带特殊规则的战斗结果，规则集禁止攻击时不生成攻击', () => {
+    const placements = [['tiger_8', 3, 3], ['dragon_1', 2, 3]];
+    const [special] = generateLegalActions(positionOf(placements), 'ai')
+      .filter(action => action.type === 'attack');
+
+    expect(special.outcome).toMatchObject({ winner: 'attacker', basis: 'special' });
+    expect(toStrategyMove(special)).toMatchObject({ canWin: true, isSpecialRule: true, targetLevel: 1 });
+
+    const noAttack = positionOf(placements, RuleSet.classic({ movement: { allowAttack: false } }));
+    expect(generateLegalActions(noAttack, 'ai').map(action => action.type)).toEqual(['move', 'move']);
+  });
+
+  test('引擎的 getValidMoves、isValidMove 和座位视图都使用同一份合法行动', () => {
+    const engine = startGame({ seed: 23, firstPlayer: 'player' });
+    expect(engine.getLegalActions('player')).toHaveLength(16);
+    expect(engine.getLegalActions('player').every(action => action.type === 'flip')).toBe(true);
+
+    // 翻开若干张牌后比较真实局面和 ai 座位的观察视图
+    for (let i = 0; i < 8; i++) {
+      const [flip] = engine.getLegalActions().filter(action => action.type === 'flip');
+      engine.flipCard(flip.position.row, flip.position.col);
+    }
+    const seat = new SeatEngine(engine, 'ai');
+    expect(generateLegalActions(seat.gameState, 'ai').map(describeAction).sort())
+      .toEqual(engine.getLegalActions('ai').map(describeAction).sort());
+
+    engine.gameState.getRevealedCards('ai').forEach(card => {
+      const { row, col } = card.position;
+      const expected = generateCardActions(engine.gameState, card).map(action => ({
+        row: action.to.row, col: action.to.col, type: action.type === 'attack' ? 'battle' : 'move'
+      }));
+      expect(engine.getValidMoves(row, col)).toEqual(expected);
+      expected.forEach(move => expect(engine.isValidMove(row, col, move.row, move.col)).toBe(true));
+    });
+    expect(engine.isValidMove(0, 0, 2, 0)).toBe(false);
+  });
+
+  test('随机对局中生成的每个行动都能被引擎执行', () => {
+    const engine = startGame({ seed: 'legal', firstPlayer: 'player' });
+
+    for (let ply = 0; ply < 120 && engine.gameState.phase === 'playing'; ply++) {
+      const seat = engine.gameState.currentPlayer;
+      const actions = engine.getLegalActions(seat);
+      const action = engine.rng.pick(actions);
+      const result = action.type === 'flip' ?
+        engine.flipCard(action.position.row, action.position.col, seat) :
+        engine.moveCard(action.from.row, action.from.col, action.to.row, action.to.col, seat);
+      expect(result.success).toBe(true);
+    }
+  });
+
+  test('applyAction 与引擎执行结果一致，逐步 unapplyAction 后完整还原且不写日志', () => {
+    const engine = startGame({ seed: 'undo', firstPlayer: 'ai' });
+    const state = engine.gameState.clone();
+    const initial = JSON.stringify(state.toJSON());
+    const records = [];
+
+    for (let ply = 0; ply < 120 && engine.gameState.phase === 'playing'; ply++) {
+      const seat = engine.gameState.currentPlayer;
+      const action = engine.rng.pick(engine.getLegalActions(seat));
+      records.push(applyAction(state, action));
+      if (action.type === 'flip') {
+        engine.flipCard(action.position.row, action.position.col, seat);
+      } else {
+        engine.moveCard(action.from.row, action.from.col, action.to.row, action.to.col, seat);
+      }
+
+      expect(state.getPositionKey()).toBe(engine.gameState.getPositionKey());
+      expect(state.noCaptureMoves).toBe(engine.gameState.noCaptureMoves);
+      if (engine.gameState.phase === 'playing') {
+        expect(state.currentPlayer).toBe(engine.gameState.currentPlayer);
+      }
+    }
+
+    expect(records.length).toBeGreaterThan(20);
+    records.reverse().forEach(record => unapplyAction(state, record));
+    expect(JSON.stringify(state.toJSON())).toBe(initial);
+  });
+
+  test('EnhancedAIPlayer 的候选着法都来自合法行动', () => {
+    const engine = startGame({ seed: 5, firstPlayer: 'ai' });
+    for (let i = 0; i < 10; i++) {
+      const [flip] = engine.getLegalActions().filter(action => action.type === 'flip');
+      engine.flipCard(flip.position.row, flip.position.col);
+    }
+
+    const player = new EnhancedAIPlayer(engine, 'medium', { thinkingDelay: false, thinkingLog: false });
+    const legal = engine.getLegalActions('ai').map(describeAction);
+    const moves = player.getAvailableMoves();
+
+    expect(moves.length).toBeGreaterThan(0);
+    moves.forEach(move => expect(legal).toContain(describeAction(move)));
+    expect(moves.filter(move => move.type === 'attack').every(move => move.canWin)).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Notation 类测试
+ * 验收标准：着法记法可以互相转换，对局记录可以导出并通过重放还原同一局面
+ */
+
+import { Notation, RECORD_FORMAT } from '../../scripts/core/Notation.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { RuleSet } from '../../scripts/core/RuleSet.js';
+
+// 按固定规则推进若干步：优先移动已翻开的己方卡牌，否则翻开第一张背面卡牌
+const playTurns = (engine, count) => {
+  for (let i = 0; i < count && engine.gameState.phase === 'playing'; i++) {
+    const gameState = engine.gameState;
+    const faction = gameState.currentPlayer === 'player' ? gameState.playerFaction : gameState.aiFaction;
+    const movable = gameState.getCardsOnBoard()
+      .filter(card => card.isRevealed && card.faction === faction)
+      .map(card => ({ card, moves: engine.getValidMoves(card.position.row, card.position.col) }))
+      .find(entry => entry.moves.length > 0);
+    const hidden = gameState.getCardsOnBoard().find(card => !card.isRevealed);
+
+    if (movable && (i % 3 === 2 || !hidden)) {
+      const { card, moves } = movable;
+      engine.moveCard(card.position.row, card.position.col, moves[0].row, moves[0].col);
+    } else if (hidden) {
+      engine.flipCard(hidden.position.row, hidden.position.col);
+    } else {
+      break;
+    }
+  }
+};
+
+const startGame = (options = {}) => {
+  const engine = new GameEngine(options);
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'scissors' });
+  engine.initializeBoard();
+  return engine;
+};
+
+const boardSignature = (engine) => engine.gameState.board.map(row =>
+  row.map(card => (card ? `${card.id}${card.isRevealed ? '+' : ''}` : '.')).join(' ')
+).join('/');
+
+describe('Notation Class Tests', () => {
+
+  test('应该正确转换坐标和卡牌记法', () => {
+    expect(Notation.toSquare({ row: 3, col: 1 })).toBe('b4');
+    expect(Notation.fromSquare('a1')).toEqual({ row: 0, col: 0 });
+    expect(Notation.toCardCode({ faction: 'dragon', level: 3 })).toBe('D3');
+    expect(Notation.fromCardCode('T8')).toBe('tiger_8');
+    expect(() => Notation.fromSquare('z')).toThrow();
+    expect(() => Notation.fromCardCode('X1')).toThrow();
+  });
+
+  test('应该正确生成和解析着法', () => {
+    expect(Notation.formatFlip({ row: 3, col: 1 }, { faction: 'dragon', level: 3 })).toBe('F b4=D3');
+    expect(Notation.formatMove({ row: 3, col: 1 }, { row: 3, col: 2 })).toBe('b4-c4');
+    expect(Notation.formatMove({ row: 3, col: 1 }, { row: 3, col: 2 }, true)).toBe('b4xc4');
+
+    expect(Notation.parseMove('F b4=D3')).toEqual({
+      type: 'flip', from: { row: 3, col: 1 }, to: null, cardId: 'dragon_3'
+    });
+    expect(Notation.parseMove('b4xc4').type).toBe('attack');
+    expect(Notation.parseMove('b4-c4').to).toEqual({ row: 3, col: 2 });
+    expect(() => Notation.parseMove('b4c4')).toThrow();
+  });
+
+  test('布局文本应该可以往返转换', () => {
+    const engine = startGame();
+    const layout = engine.exportGameRecord().layout;
+    const text = Notation.stringifyLayout(layout);
+
+    expect(text.split('/').length).toBe(5);
+    expect(text.split('/')[2]).toBe('-,-,-,-');
+    expect(Notation.parseLayout(text)).toEqual(layout);
+  });
+
+  test('导出的对局记录应该包含布局、猜拳结果和着法', () => {
+    const engine = startGame();
+    playTurns(engine, 8);
+
+    const record = engine.exportGameRecord();
+    expect(record.format).toBe(RECORD_FORMAT);
+    expect(record.ruleSet).toBe('classic');
+    expect(Object.keys(record.layout).length).toBe(16);
+    expect(record.rps).toEqual({ playerChoice: 'rock', aiChoice: 'scissors', winner: 'player' });
+    expect(record.firstPlayer).toBe('player');
+    expect(record.moves.length).toBe(8);
+    expect(record.moves[0].player).toBe('player');
+    expect(record.moves[0].notation).toMatch(/^F [a-d][1-5]=[DT][1-8]$/);
+  });
+
+  test('重放对局记录应该还原相同的局面', () => {
+    const engine = startGame();
+    playTurns(engine, 20);
+
+    const replayed = GameEngine.fromRecord(engine.exportGameRecord());
+
+    expect(boardSignature(replayed)).toBe(boardSignature(engine));
+    expect(replayed.gameState.currentPlayer).toBe(engine.gameState.currentPlayer);
+    expect(replayed.gameState.playerFaction).toBe(engine.gameState.playerFaction);
+    expect(replayed.battleResolver.getBattleHistory().length)
+      .toBe(engine.battleResolver.getBattleHistory().length);
+    expect(replayed.exportGameRecord().moves).toEqual(engine.exportGameRecord().moves);
+  });
+
+  test('文本棋谱应该可以导出并重放', () => {
+    const engine = startGame();
+    playTurns(engine, 12);
+
+    const text = engine.exportGameRecord('text');
+    expect(text).toContain('[FirstPlayer "player"]');
+    expect(text).toMatch(/^1\. F [a-d][1-5]=[DT][1-8] F /m);
+
+    const record = Notation.parseRecord(text);
+    expect(record.moves).toEqual(engine.exportGameRecord().moves);
+    expect(boardSignature(GameEngine.fromRecord(text))).toBe(boardSignature(engine));
+  });
+
+  test('自定义规则集的文本棋谱应该带上规则配置，不依赖注册名重放', () => {
+    const ruleSet = RuleSet.classic({ name: 'house', battle: { tieRule: 'defender' }, winConditions: { noCaptureLimit: 20 } });
+    const engine = startGame({ ruleSet });
+    playTurns(engine, 12);
+
+    const text = engine.exportGameRecord('text');
+    expect(text).toContain('[RuleSet "house"]');
+    expect(text).toContain('[RuleSetConfig "{');
+
+    const replayed = GameEngine.fromRecord(text);
+    expect(replayed.ruleSet.toJSON()).toEqual(ruleSet.toJSON());
+    expect(boardSignature(replayed)).toBe(boardSignature(engine));
+    expect(() => Notation.parseRecord(text.replace('[RuleSetConfig "{', '[RuleSetConfig "{{'))).toThrow('无效的规则集配置');
+  });
+
+  test('没有猜拳记录时应该按先手信息重放', () => {
+    const engine = new GameEngine();
+    engine.startNewGame();
+    engine.gameState.phase = 'playing';
+    engine.gameState.currentPlayer = 'ai';
+    engine.initializeBoard();
+    playTurns(engine, 4);
+
+    const record = engine.exportGameRecord();
+    expect(record.rps).toBe(null);
+    expect(record.firstPlayer).toBe('ai');
+    expect(boardSignature(GameEngine.fromRecord(record))).toBe(boardSignature(engine));
+  });
+
+  test('无效或被篡改的对局记录应该抛出错误', () => {
+    const engine = startGame();
+    playTurns(engine, 2);
+    const record = engine.exportGameRecord();
+
+    expect(() => GameEngine.fromRecord({ ...record, format: 'other' })).toThrow();
+    expect(() => GameEngine.fromRecord({ ...record, moves: [{ player: 'player', notation: 'zz' }] })).toThrow();
+
+    // 翻牌结果与布局不符
+    const [first, ...rest] = record.moves;
+    const code = first.notation.slice(-2);
+    const forged = code === 'D1' ? 'D2' : 'D1';
+    const tampered = { ...record, moves: [{ ...first, notation: first.notation.replace(code, forged) }, ...rest] };
+    expect(() => GameEngine.fromRecord(tampered)).toThrow(/与初始布局不符/);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * ObservationView 类测试
+ * 验收标准：观察视图只包含该方合法可知的信息，所有AI只能通过观察视图读取局面，无法得知未翻开卡牌的身份
+ */
+
+import { ObservationView, HiddenCard } from '../../scripts/core/ObservationView.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { AIPlayer } from '../../scripts/ai/AIPlayer.js';
+import { StrategyPlayer } from '../../scripts/sim/StrategyPlayer.js';
+import { MatchRunner, PLAYER_FACTORIES } from '../../scripts/sim/MatchRunner.js';
+import { SeededRandom } from '../../scripts/utils/Random.js';
+
+const startGame = (seed = 11, firstPlayer = 'ai') => {
+  const engine = new GameEngine({ seed });
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer });
+  engine.initializeBoard();
+  return engine;
+};
+
+// 真实局面中仍未翻开的卡牌：id -> 位置
+const hiddenIdentities = engine => new Map(engine.gameState.getCardsOnBoard()
+  .filter(card => !card.isRevealed)
+  .map(card => [card.id, card.position]));
+
+// 在对象图中查找 "身份 + 未翻开时的位置" 同时出现的对象，即泄露了底牌的卡牌
+const findLeaks = (root, hidden) => {
+  const leaks = [];
+  const seen = new WeakSet();
+  const visit = value => {
+    if (!value || typeof value !== 'object' || seen.has(value)) return;
+    seen.add(value);
+
+    const position = hidden.get(value.id);
+    if (position && value.position &&
+        value.position.row === position.row && value.position.col === position.col) {
+      leaks.push(value.id);
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(root);
+  return leaks;
+};
+
+describe('ObservationView Class Tests', () => {
+
+  test('未翻开的卡牌只保留位置', () => {
+    const engine = startGame();
+    const flipped = engine.gameState.getCardsOnBoard()[0];
+    engine.flipCard(flipped.position.row, flipped.position.col);
+
+    const view = ObservationView.fromGameState(engine.gameState, 'ai');
+    const hiddenCards = view.getCardsOnBoard().filter(card => !card.isRevealed);
+
+    expect(hiddenCards.length).toBe(15);
+    hiddenCards.forEach(card => {
+      expect(card).toBeInstanceOf(HiddenCard);
+      expect(card.faction).toBe(null);
+      expect(card.level).toBe(null);
+      expect(card.owner).toBe(null);
+      expect(card.getImagePath()).toBe('assets/cards/card_back.png');
+      expect(view.getCardAt(card.position.row, card.position.col)).toBe(card);
+    });
+
+    // 已翻开的卡牌完整可见
+    const revealed = view.getCardAt(flipped.position.row, flipped.position.col);
+    expect(revealed.id).toBe(flipped.id);
+    expect(revealed.faction).toBe(flipped.faction);
+    expect(view.getUnrevealedPositions()).toEqual(engine.gameState.getUnrevealedPositions());
+  });
+
+  test('应该提供尚未出现的卡牌身份集合', () => {
+    const engine = startGame();
+    const flipped = engine.gameState.getCardsOnBoard()[3];
+    engine.flipCard(flipped.position.row, flipped.position.col);
+
+    const view = ObservationView.fromGameState(engine.gameState, 'player');
+    const unseen = view.getUnseenCards();
+
+    expect(unseen.map(card => card.id).sort()).toEqual([...hiddenIdentities(engine).keys()].sort());
+    expect(unseen.map(card => card.id)).not.toContain(flipped.id);
+    // 身份集合不携带位置
+    unseen.forEach(card => expect(card.position).toEqual({ row: -1, col: -1 }));
+    expect(view.getOwnFaction()).toBe(engine.gameState.playerFaction);
+  });
+
+  test('日志和序列化结果中不应包含种子与布局', () => {
+    const engine = startGame();
+    const view = ObservationView.fromGameState(engine.gameState, 'ai');
+
+    view.gameLog.forEach(entry => {
+      expect(entry.details).not.toHaveProperty('seed');
+      expect(entry.details).not.toHaveProperty('layout');
+    });
+    expect(engine.gameState.gameLog.some(entry => entry.details.layout)).toBe(true);
+
+    const json = JSON.stringify(view);
+    expect(findLeaks(JSON.parse(json), hiddenIdentities(engine))).toEqual([]);
+  });
+
+  test('座位引擎、AI和观察视图拿不到引擎的随机数状态', () => {
+    const engine = startGame();
+    const seat = new SeatEngine(engine, 'ai');
+    const players = Object.values(PLAYER_FACTORIES).map(factory => factory(seat, 'medium'));
+    const view = ObservationView.fromGameState(engine.gameState, 'player');
+
+    // 对象图中所有随机数生成器
+    const generators = [];
+    const seen = new WeakSet();
+    const visit = value => {
+      if (!value || typeof value !== 'object' || seen.has(value)) return;
+      seen.add(value);
+      if (value instanceof SeededRandom) generators.push(value);
+      Object.values(value).forEach(visit);
+    };
+    [seat, seat.gameState, view, view.clone(), engine.aiPlayer, ...players].forEach(visit);
+
+    expect(generators.length).toBeGreaterThan(0);
+    generators.forEach(rng => {
+      expect(rng).not.toBe(engine.rng);
+      expect(rng).not.toBe(engine.gameState.rng);
+      expect(rng.getState()).not.toBe(engine.rng.getState());
+      expect(rng.seed).not.toBe(engine.seed);
+    });
+
+    // 座位随机数的消耗不影响引擎
+    const state = engine.rng.getState();
+    seat.rng.next();
+    engine.aiPlayer.rng.next();
+    expect(engine.rng.getState()).toBe(state);
+  });
+
+  test('克隆的视图同样不含底牌信息', () => {
+    const engine = startGame();
+    const view = ObservationView.fromGameState(engine.gameState, 'ai');
+    const cloned = view.clone();
+
+    expect(cloned).toBeInstanceOf(ObservationView);
+    expect(cloned.side).toBe('ai');
+    expect(cloned.getUnseenCards().length).toBe(16);
+    expect(cloned.getCardsOnBoard().every(card => card instanceof HiddenCard)).toBe(true);
+    expect(() => cloned.getCardsOnBoard()[0].reveal('ai')).toThrow();
+  });
+
+  test('从JSON恢复的视图与原视图一致且仍不含底牌', () => {
+    const engine = startGame(17, 'player');
+    engine.flipCard(0, 0, 'player');
+    const view = ObservationView.fromGameState(engine.gameState, 'ai');
+    const restored = ObservationView.fromJSON(JSON.parse(JSON.stringify(view.toJSON())));
+
+    expect(restored).toBeInstanceOf(ObservationView);
+    expect(restored.toJSON()).toEqual(view.toJSON());
+    expect(restored.getCardAt(0, 0).isRevealed).toBe(true);
+    expect(restored.getCardAt(0, 1)).toBeInstanceOf(HiddenCard);
+    expect(restored.getUnseenCards()).toHaveLength(view.getUnseenCards().length);
+    expect(findLeaks(restored, hiddenIdentities(engine))).toEqual([]);
+  });
+
+  test('观战视图只包含公开信息，不属于任何一方', () => {
+    const engine = startGame(17, 'player');
+    engine.flipCard(0, 0, 'player');
+    const view = ObservationView.fromGameState(engine.gameState, 'spectator');
+
+    expect(view.side).toBe('spectator');
+    expect(view.getOwnFaction()).toBe(null);
+    expect(view.getCardAt(0, 0).owner).toBe(engine.gameState.getCardAt(0, 0).owner);
+    expect(view.getCardAt(0, 1)).toBeInstanceOf(HiddenCard);
+    expect(findLeaks(view, hiddenIdentities(engine))).toEqual([]);
+    expect(() => ObservationView.fromGameState(engine.gameState, 'nobody')).toThrow();
+  });
+
+  test('座位引擎不应暴露真实引擎', () => {
+    const engine = startGame();
+    const seat = new SeatEngine(engine, 'ai');
+    const hidden = engine.gameState.getCardsOnBoard()[0];
+
+    expect(seat.gameState).toBeInstanceOf(ObservationView);
+    expect(seat.gameState).toBe(seat.gameState);
+    expect(Object.values(seat)).not.toContain(engine);
+    expect(seat.battleResolver).not.toBe(engine.battleResolver);
+
+    // 操作结果中的局面同样替换为观察视图
+    const result = seat.flipCard(hidden.position.row, hidden.position.col);
+    expect(result.success).toBe(true);
+    expect(result.data.gameState).toBeInstanceOf(ObservationView);
+    expect(findLeaks(result, hiddenIdentities(engine))).toEqual([]);
+  });
+
+  test('所有AI实现都只能读取观察视图', () => {
+    const engine = startGame();
+
+    expect(engine.aiPlayer.gameEngine).toBeInstanceOf(SeatEngine);
+    expect(new AIPlayer(engine).gameEngine.gameState).toBeInstanceOf(ObservationView);
+    expect(new StrategyPlayer(engine).gameEngine.gameState).toBeInstanceOf(ObservationView);
+    Object.values(PLAYER_FACTORIES).forEach(factory => {
+      expect(factory(engine, 'medium').gameEngine.gameState).toBeInstanceOf(ObservationView);
+    });
+  });
+
+  test('AI对局过程中任何时刻都接触不到未翻开卡牌的身份', async () => {
+    const engine = startGame(23, 'ai');
+    const players = {
+      ai: PLAYER_FACTORIES.enhanced(new SeatEngine(engine, 'ai'), 'hard'),
+      player: PLAYER_FACTORIES.basic(new SeatEngine(engine, 'player'), 'medium')
+    };
+    const strategy = new StrategyPlayer(new SeatEngine(engine, 'ai'));
+
+    for (let turn = 0; turn < 30 && engine.gameState.phase === 'playing'; turn++) {
+      const side = engine.gameState.currentPlayer;
+      const result = await players[side].executeTurn();
+      expect(result.success).toBe(true);
+
+      const hidden = hiddenIdentities(engine);
+      expect(findLeaks(players.ai, hidden)).toEqual([]);
+      expect(findLeaks(players.player, hidden)).toEqual([]);
+      expect(findLeaks(strategy.getAvailableMoves(), hidden)).toEqual([]);
+      expect(findLeaks(result, hidden)).toEqual([]);
+    }
+  });
+
+  test('只读取观察视图时各AI实现仍能完成对局', async () => {
+    const runner = new MatchRunner({ competitors: ['enhanced', 'strategy'], games: 2, seed: 5, maxTurns: 40 });
+    const summary = await runner.run();
+
+    expect(summary.errors).toBe(0);
+  });
+});
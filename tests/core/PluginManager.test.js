@@ -0,0 +1,178 @@
+/**
+ * PluginManager 测试
+ * 验收标准：插件按注册顺序在翻牌、走子和战斗前后被调用，可以否决或修改行动、改写战斗结果、写入日志和提前结束对局；
+ * 插件的错误码注册到引擎，插件造成的改变都记录在行动日志中
+ */
+
+import { PluginManager } from '../../scripts/core/PluginManager.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { startGame, setupPosition } from '../helpers/setup.js';
+
+const startPluginGame = (plugins = []) => startGame({ seed: 'plugin', plugins, firstPlayer: 'player' });
+
+// 只留下龙2、虎5和虎7：龙2在(0,0)，虎5在(0,1)，虎7在(4,3)
+const setupBattle = (engine) => {
+  setupPosition(engine.gameState, [['dragon_2', 0, 0], ['tiger_5', 0, 1], ['tiger_7', 4, 3]]);
+  engine.recordPosition();
+};
+
+describe('PluginManager Tests', () => {
+
+  test('注册时检查名称、钩子和错误码，移除插件时一并移除错误码', () => {
+    const manager = new PluginManager();
+    expect(() => manager.add({ beforeFlip() {} })).toThrow('插件必须是带有名称的对象');
+    expect(() => manager.add({ name: 'typo', beforeFlips() {} })).toThrow('未知的插件钩子: beforeFlips');
+    expect(() => manager.add({ name: 'bad', afterBattle: true })).toThrow('插件钩子必须是函数');
+    manager.add({ name: 'ok' });
+    expect(() => manager.add({ name: 'ok' })).toThrow('插件已注册');
+
+    const engine = new GameEngine({ plugins: [{ name: 'tutorial', errorCodes: { TUTORIAL_WRONG_CARD: '请先翻开高亮的卡牌' } }] });
+    expect(engine.ERROR_CODES.TUTORIAL_WRONG_CARD).toBe('请先翻开高亮的卡牌');
+    expect(() => engine.use({ name: 'clash', errorCodes: { INVALID_MOVE: '覆盖' } })).toThrow('错误码已存在: INVALID_MOVE');
+    expect(engine.ERROR_CODES.INVALID_MOVE).toBe('无效的移动');
+
+    expect(engine.removePlugin('tutorial')).toBe(true);
+    expect(engine.ERROR_CODES.TUTORIAL_WRONG_CARD).toBeUndefined();
+    expect(engine.removePlugin('tutorial')).toBe(false);
+  });
+
+  test('before 钩子按注册顺序调用，否决后操作失败且局面不变', () => {
+    const calls = [];
+    const engine = startPluginGame([
+      {
+        name: 'tutorial',
+        errorCodes: { TUTORIAL_WRONG_CARD: '请先翻开高亮的卡牌' },
+        beforeFlip(context) {
+          calls.push(context.plugin);
+          if (context.action.position.col !== 3) {
+            context.log('tutorial_hint', context.seat, '提示', { expected: { row: 0, col: 3 } });
+            context.veto('TUTORIAL_WRONG_CARD', { expected: { row: 0, col: 3 } });
+          }
+        }
+      },
+      { name: 'analytics', beforeFlip: context => calls.push(context.plugin) }
+    ]);
+
+    const result = engine.flipCard(0, 0);
+    expect(result.error).toMatchObject({
+      code: 'TUTORIAL_WRONG_CARD',
+      message: '请先翻开高亮的卡牌',
+      details: { plugin: 'tutorial', expected: { row: 0, col: 3 } }
+    });
+    expect(calls).toEqual(['tutorial']);
+    expect(engine.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+    expect(engine.gameState.currentPlayer).toBe('player');
+    expect(engine.gameState.gameLog[engine.gameState.gameLog.length - 1])
+      .toMatchObject({ type: 'tutorial_hint', details: { plugin: 'tutorial' } });
+
+    expect(engine.flipCard(0, 3).success).toBe(true);
+    expect(calls).toEqual(['tutorial', 'tutorial', 'analytics']);
+  });
+
+  test('before 钩子修改的行动重新校验后执行', () => {
+    const engine = startPluginGame([{
+      name: 'redirect',
+      beforeFlip(context) {
+        context.action.position = { row: 0, col: 1 };
+      }
+    }]);
+
+    const result = engine.flipCard(0, 0);
+    expect(result.success).toBe(true);
+    expect(result.data.flippedCard.id).toBe(engine.gameState.getCardAt(0, 1).id);
+    expect(engine.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+    expect(engine.actions[engine.actions.length - 1].position).toEqual({ row: 0, col: 1 });
+
+    // 改成不能翻开的位置时按该位置报错
+    expect(engine.flipCard(0, 2, 'ai').error.code).toBe('CARD_ALREADY_REVEALED');
+  });
+
+  test('beforeBattle 改写的战斗结果记录在行动中，afterBattle 和 beforeTurnEnd 在之后调用', () => {
+    const order = [];
+    const engine = startPluginGame([{
+      name: 'house',
+      beforeBattle(context) {
+        order.push('beforeBattle');
+        expect(context.outcome).toEqual({ winner: 'attacker', eliminated: ['defender'], reason: null });
+        context.outcome = { winner: 'defender', eliminated: ['attacker'], reason: '房规：防守方占据地利' };
+      },
+      afterBattle(context) {
+        order.push('afterBattle');
+        context.log('achievement', context.seat, '获得成就', { battleId: context.battle.battleId });
+      },
+      beforeTurnEnd(context) {
+        order.push(`beforeTurnEnd:${context.action.type}`);
+      }
+    }]);
+    setupBattle(engine);
+
+    const result = engine.moveCard(0, 0, 0, 1);
+
+    expect(result.success).toBe(true);
+    expect(order).toEqual(['beforeBattle', 'afterBattle', 'beforeTurnEnd:move']);
+    expect(result.data.battleResult).toMatchObject({ winner: 'defender', reason: '房规：防守方占据地利' });
+    expect(engine.gameState.getCardAt(0, 0)).toBe(null);
+    expect(engine.gameState.getCardAt(0, 1).id).toBe('tiger_5');
+    expect(engine.gameState.phase).toBe('ended');
+    expect(engine.gameState.gameLog.map(entry => entry.type)).toContain('achievement');
+
+    // 重放不调用插件，仍得到相同的局面
+    const move = engine.actions.find(action => action.type === 'move');
+    expect(move.outcome).toEqual({ winner: 'defender', eliminated: ['attacker'], reason: '房规：防守方占据地利' });
+    expect(engine.auditActions().success).toBe(true);
+    expect(engine.undo().success).toBe(true);
+    expect(engine.gameState.getCardAt(0, 0).id).toBe('dragon_2');
+  });
+
+  test('改写的战斗结果只移除其中列出的卡牌', () => {
+    const outcomes = [
+      { winner: 'defender', eliminated: [], reason: '房规：攻击方撤退' },
+      { winner: 'draw', eliminated: [], reason: '房规：双方各自退回' }
+    ];
+    outcomes.forEach(outcome => {
+      const engine = startPluginGame([{
+        name: 'retreat',
+        beforeBattle(context) {
+          context.outcome = outcome;
+        }
+      }]);
+      setupBattle(engine);
+
+      const result = engine.moveCard(0, 0, 0, 1);
+
+      expect(result.success).toBe(true);
+      expect(result.data.battleResult).toMatchObject({ winner: outcome.winner, eliminatedCards: [] });
+      expect(engine.gameState.getCardAt(0, 0).id).toBe('dragon_2');
+      expect(engine.gameState.getCardAt(0, 1).id).toBe('tiger_5');
+      expect(engine.gameState.currentPlayer).toBe('ai');
+      expect(engine.auditActions().success).toBe(true);
+    });
+  });
+
+  test('beforeTurnEnd 可以提前结束对局，钩子抛出的错误使操作失败', () => {
+    const ended = jest.fn();
+    const engine = startPluginGame([{
+      name: 'sudden-death',
+      beforeTurnEnd(context) {
+        if (context.action.type === 'flip' && context.gameState.getCardAt(context.action.position.row, context.action.position.col).level === 1) {
+          context.endGame(context.seat, '房规：翻出王者');
+        }
+      }
+    }]);
+    engine.on('gameEnded', ended);
+
+    let result;
+    for (const { position } of engine.getLegalActions()) {
+      result = engine.flipCard(position.row, position.col);
+      if (engine.gameState.phase === 'ended') break;
+    }
+    expect(result.data).toMatchObject({ isGameOver: true });
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ reason: '房规：翻出王者' }));
+    expect(engine.auditActions().success).toBe(true);
+
+    const failing = startPluginGame([{ name: 'broken', beforeFlip() { throw new Error('插件出错'); } }]);
+    const failed = failing.flipCard(0, 0);
+    expect(failed.error).toMatchObject({ code: 'FLIP_CARD_FAILED', details: { originalError: '插件出错' } });
+    expect(failing.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Position 测试
+ * 验收标准：紧凑局面与 GameState 的走子规则和局面键一致，apply 返回撤销记录，unapply 完整还原局面
+ */
+
+import { Position, EMPTY, HIDDEN, ATTACKER_LOST, DEFENDER_LOST } from '../../scripts/core/Position.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { RuleSet } from '../../scripts/core/RuleSet.js';
+
+const startGame = seed => {
+  const engine = new GameEngine({ seed });
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+  engine.initializeBoard();
+  return engine;
+};
+
+// 合法行动转换为 Position 的行动格式
+const toIndexAction = (position, action) => (action.type === 'flip' ?
+  { type: 'flip', index: position.getIndex(action.position.row, action.position.col) } :
+  { type: action.type, from: position.getIndex(action.from.row, action.from.col), to: position.getIndex(action.to.row, action.to.col) });
+
+const describeAction = action => (action.type === 'flip' ? `F${action.index}` : `${action.type}${action.from}-${action.to}`);
+
+// 局面的全部内容（用于比较是否完整还原）
+const dump = position => ({
+  cells: Array.from(position.cells),
+  revealed: Array.from(position.revealed),
+  pool: position.getPool(),
+  alive: Array.from(position.alive),
+  revealedCount: Array.from(position.revealedCount),
+  hiddenCount: position.hiddenCount,
+  toMove: position.toMove,
+  factions: { ...position.factions }
+});
+
+describe('Position Tests', () => {
+
+  test('从观察视图编码：未翻开的格子身份未知，尚未出现的身份在 pool 中', () => {
+    const engine = startGame(7);
+    const [first] = engine.getLegalActions();
+    engine.flipCard(first.position.row, first.position.col);
+
+    const view = new SeatEngine(engine, 'ai').gameState;
+    const position = Position.fromState(view);
+    const flipped = engine.gameState.getCardAt(first.position.row, first.position.col);
+
+    expect(position.cells[position.getIndex(first.position.row, first.position.col)])
+      .toBe(position.cards.findIndex(card => card.id === flipped.id));
+    expect(Array.from(position.cells).filter(code => code === HIDDEN)).toHaveLength(15);
+    expect(position.getPool().map(code => position.cards[code].id).sort())
+      .toEqual(view.getUnseenCards().map(card => card.id).sort());
+    expect(position.hiddenCount).toBe(15);
+    expect(position.getAliveCount('dragon') + position.getAliveCount('tiger')).toBe(16);
+    expect(position.getRevealedCount(flipped.faction)).toBe(1);
+    expect(position.toMove).toBe('ai');
+
+    // 真实局面中未翻开的卡牌身份已知，pool 为空
+    const full = Position.fromState(engine.gameState);
+    expect(full.getPool()).toEqual([]);
+    expect(Array.from(full.cells).filter(code => code >= 0 && !full.revealed[code])).toHaveLength(15);
+    expect(full.getKey()).toBe(position.getKey());
+    expect(full.getKey()).toBe(engine.gameState.getPositionKey());
+  });
+
+  test('随机对局中与引擎保持一致，逐步撤销后回到初始局面', () => {
+    const engine = startGame('position');
+    const position = Position.fromState(engine.gameState);
+    const initial = dump(position);
+    const records = [];
+
+    for (let ply = 0; ply < 150 && engine.gameState.phase === 'playing'; ply++) {
+      const seat = engine.gameState.currentPlayer;
+      const legal = engine.getLegalActions(seat);
+      expect(position.generateActions().map(describeAction).sort())
+        .toEqual(legal.map(action => describeAction(toIndexAction(position, action))).sort());
+
+      const action = engine.rng.pick(legal);
+      const result = action.type === 'flip' ?
+        engine.flipCard(action.position.row, action.position.col, seat) :
+        engine.moveCard(action.from.row, action.from.col, action.to.row, action.to.col, seat);
+      expect(result.success).toBe(true);
+      records.push(position.apply(toIndexAction(position, action)));
+
+      const expected = Position.fromState(engine.gameState);
+      expect(Array.from(position.cells)).toEqual(Array.from(expected.cells));
+      expect(Array.from(position.alive)).toEqual(Array.from(expected.alive));
+      expect(Array.from(position.revealedCount)).toEqual(Array.from(expected.revealedCount));
+      expect(position.hiddenCount).toBe(expected.hiddenCount);
+      expect(position.factions).toEqual(expected.factions);
+      if (engine.gameState.phase === 'playing') {
+        expect(position.toMove).toBe(engine.gameState.currentPlayer);
+        expect(position.getKey()).toBe(engine.gameState.getPositionKey());
+      }
+    }
+
+    expect(records.length).toBeGreaterThan(20);
+    records.reverse().forEach(record => position.unapply(record));
+    expect(dump(position)).toEqual(initial);
+  });
+
+  test('翻开身份未知的格子时从 pool 中取出身份并保持其余顺序', () => {
+    const engine = startGame(11);
+    const position = Position.fromState(new SeatEngine(engine, 'ai').gameState);
+    const before = dump(position);
+    const pool = position.getPool();
+    const index = Array.from(position.cells).indexOf(HIDDEN);
+
+    const record = position.apply({ type: 'flip', index }, pool[3]);
+
+    expect(position.cells[index]).toBe(pool[3]);
+    expect(position.isRevealedAt(index)).toBe(true);
+    expect(position.getPool()).toEqual(pool.filter(code => code !== pool[3]));
+    expect(position.factions.player).toBe(position.cards[pool[3]].faction);
+    expect(position.toMove).toBe('ai');
+
+    position.unapply(record);
+    expect(dump(position)).toEqual(before);
+    expect(() => position.apply({ type: 'flip', index }, 99)).toThrow();
+  });
+
+  test('战斗结果按身份只计算一次，并与规则集一致', () => {
+    const ruleSet = RuleSet.classic();
+    const resolveOutcome = jest.fn((attacker, defender) => {
+      const outcome = ruleSet.getBattleOutcome(attacker, defender);
+      return {
+        winner: outcome.winner,
+        attackerEliminated: outcome.eliminated.includes('attacker'),
+        defenderEliminated: outcome.eliminated.includes('defender')
+      };
+    });
+    const position = new Position(ruleSet, { resolveOutcome });
+    const code = id => position.cards.findIndex(card => card.id === id);
+
+    // 特殊规则：变形龙击败虎王
+    expect(position.getOutcome(code('dragon_8'), code('tiger_1'))).toBe(DEFENDER_LOST);
+    expect(position.getOutcome(code('dragon_8'), code('tiger_1'))).toBe(DEFENDER_LOST);
+    expect(position.getOutcome(code('dragon_3'), code('tiger_1'))).toBe(ATTACKER_LOST);
+    expect(position.getOutcome(code('dragon_3'), code('tiger_3'))).toBe(ATTACKER_LOST | DEFENDER_LOST);
+    expect(resolveOutcome).toHaveBeenCalledTimes(3);
+
+    // 副本共享结果表
+    position.clone().getOutcome(code('dragon_8'), code('tiger_1'));
+    expect(resolveOutcome).toHaveBeenCalledTimes(3);
+    expect(Array.from(position.cells).every(cell => cell === EMPTY)).toBe(true);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * ProfileManager 类测试
+ * 验收标准：本地玩家档案记录每局已结束的人机对战，按阵营和难度统计胜率、连胜/连败和最常使用的卡牌
+ */
+
+import { ProfileManager, MAX_GAMES_PER_PROFILE } from '../../scripts/core/ProfileManager.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { Rating, DEFAULT_RATING } from '../../scripts/core/Rating.js';
+
+// 内存中的 Storage 实现
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+const game = (result, overrides = {}) => ({
+  gameId: `g${Math.random()}`,
+  finishedAt: '2024-01-01T00:00:00.000Z',
+  result,
+  faction: 'dragon',
+  difficulty: 'medium',
+  duration: 60000,
+  turns: 20,
+  battles: 3,
+  specialRuleKills: 0,
+  cardUsage: {},
+  ...overrides
+});
+
+describe('ProfileManager Class Tests', () => {
+
+  test('首次使用时创建默认档案，新建的档案成为当前档案并持久保存', () => {
+    const storage = createStorage();
+    const manager = new ProfileManager({ storage });
+
+    expect(manager.listProfiles()).toEqual([expect.objectContaining({ name: '玩家', games: 0, active: true })]);
+
+    const created = manager.createProfile(' 小明 ');
+    expect(created.success).toBe(true);
+    expect(created.data.name).toBe('小明');
+    expect(manager.createProfile('').error.code).toBe('INVALID_NAME');
+    expect(manager.switchProfile('missing').error.code).toBe('PROFILE_NOT_FOUND');
+
+    manager.recordGame(game('win'));
+    const reloaded = new ProfileManager({ storage });
+    expect(reloaded.getActiveProfile().name).toBe('小明');
+    expect(reloaded.getHistory()).toHaveLength(1);
+
+    const [first] = reloaded.listProfiles();
+    expect(reloaded.deleteProfile(created.data.id).success).toBe(true);
+    expect(reloaded.getActiveProfile().id).toBe(first.id);
+    expect(reloaded.deleteProfile(first.id).error.code).toBe('LAST_PROFILE');
+  });
+
+  test('按阵营和难度统计胜率，计算连胜/连败和最常使用的卡牌', () => {
+    const manager = new ProfileManager({ storage: null });
+    [
+      game('win', { cardUsage: { dragon_1: 3, dragon_2: 1 }, specialRuleKills: 1 }),
+      game('win', { cardUsage: { dragon_2: 1 } }),
+      game('win', { faction: 'tiger', difficulty: 'hard', cardUsage: { tiger_5: 4 } }),
+      game('loss', { faction: 'tiger', difficulty: 'hard' }),
+      game('draw'),
+      game('loss'),
+      game('loss', { duration: 120000 })
+    ].forEach(entry => manager.recordGame(entry));
+
+    const stats = manager.getStats();
+    expect(stats).toMatchObject({ total: 7, wins: 3, losses: 3, draws: 1, battles: 21, specialRuleKills: 1 });
+    expect(stats.winRate).toBeCloseTo(3 / 7);
+    expect(stats.byFaction.dragon).toEqual({ total: 5, wins: 2, losses: 2, draws: 1, winRate: 0.4 });
+    expect(stats.byDifficulty.hard).toEqual({ total: 2, wins: 1, losses: 1, draws: 0, winRate: 0.5 });
+    expect(stats.streaks).toEqual({ current: { result: 'loss', length: 2 }, longestWin: 3, longestLoss: 2 });
+    expect(stats.averageDuration).toBeCloseTo(480000 / 7);
+    expect(stats.mostUsedCards).toEqual([
+      { cardId: 'tiger_5', uses: 4 },
+      { cardId: 'dragon_1', uses: 3 },
+      { cardId: 'dragon_2', uses: 2 }
+    ]);
+  });
+
+  test('同一对局只保留最新结果，记录数有上限', () => {
+    const manager = new ProfileManager({ storage: null });
+    manager.recordGame(game('loss', { gameId: 'same' }));
+    manager.recordGame(game('win', { gameId: 'same' }));
+    expect(manager.getHistory().map(entry => entry.result)).toEqual(['win']);
+
+    for (let i = 0; i < MAX_GAMES_PER_PROFILE + 5; i++) {
+      manager.recordGame(game('draw', { gameId: `g${i}` }));
+    }
+    expect(manager.getHistory()).toHaveLength(MAX_GAMES_PER_PROFILE);
+    expect(manager.getHistory(undefined, { limit: 1 })[0].gameId).toBe(`g${MAX_GAMES_PER_PROFILE + 4}`);
+  });
+
+  test('对已校准的AI档位结束对局后更新等级分，重新记录同一对局不重复计分', () => {
+    const manager = new ProfileManager({ storage: null });
+    const first = manager.recordGame(game('win', { gameId: 'a', aiType: 'enhanced', difficulty: 'hard' })).data;
+
+    expect(first.ratingBefore).toEqual(Rating.create());
+    expect(first.opponentRating).toEqual(Rating.getTierRating('enhanced', 'hard'));
+    expect(first.ratingAfter.rating).toBeGreaterThan(DEFAULT_RATING);
+    expect(manager.getRating()).toEqual(first.ratingAfter);
+    expect(manager.listProfiles()[0].rating).toBe(Math.round(first.ratingAfter.rating));
+
+    // 终局后悔棋再结束：撤销上次结果后按新结果计分
+    const replaced = manager.recordGame(game('loss', { gameId: 'a', aiType: 'enhanced', difficulty: 'hard' })).data;
+    expect(replaced.ratingBefore).toEqual(Rating.create());
+    expect(manager.getRating().rating).toBeLessThan(DEFAULT_RATING);
+    expect(manager.getRating().games).toBe(1);
+
+    // 对手未校准（如自定义AI）时不计分
+    const unrated = manager.recordGame(game('win', { aiType: null })).data;
+    expect(unrated.ratingAfter).toBe(null);
+    expect(manager.getRating()).toEqual(replaced.ratingAfter);
+
+    const suggestion = manager.suggestDifficulty(undefined, { type: 'enhanced' });
+    expect(suggestion).toEqual(Rating.suggestDifficulty(manager.getRating(), { type: 'enhanced' }));
+  });
+
+  test('存储中的数据损坏时从空档案开始', () => {
+    const storage = createStorage();
+    storage.setItem('dragon_tiger_profiles', '{not json');
+
+    const manager = new ProfileManager({ storage });
+
+    expect(manager.listProfiles()).toHaveLength(1);
+    expect(manager.getStats().total).toBe(0);
+  });
+
+  test('人机对战结束后引擎记入当前档案，双人对战不记录', () => {
+    const storage = createStorage();
+    const engine = new GameEngine({ seed: 11, storage, recordProfile: true, aiDifficulty: 'hard' });
+    engine.startNewGame();
+    engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+    engine.initializeBoard();
+    engine.flipCard(0, 0, 'player');
+    const ended = [];
+    engine.on('gameEnded', data => ended.push(data));
+    engine.endGame('player', '测试');
+
+    const [record] = new ProfileManager({ storage }).getHistory();
+    expect(record).toMatchObject({
+      gameId: engine.gameId,
+      result: 'win',
+      reason: '测试',
+      mode: 'ai',
+      faction: engine.gameState.playerFaction,
+      difficulty: 'hard',
+      turns: 1,
+      battles: 0,
+      aiType: 'enhanced'
+    });
+    expect(ended[0].rating).toEqual({ before: record.ratingBefore, after: record.ratingAfter });
+    expect(record.ratingAfter.rating).toBeGreaterThan(DEFAULT_RATING);
+
+    const hotseat = new GameEngine({ seed: 11, storage, recordProfile: true, mode: 'hotseat' });
+    hotseat.startNewGame();
+    hotseat.endGame('ai', '测试');
+    expect(new ProfileManager({ storage }).getHistory()).toHaveLength(1);
+  });
+});
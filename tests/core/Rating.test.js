@@ -0,0 +1,72 @@
+/**
+ * Rating 类测试
+ * 验收标准：玩家和AI档位使用同一套 Glicko 等级分，胜负按对手强弱更新分数，按分数推荐胜负最接近的AI档位
+ */
+
+import { Rating, AI_TIER_RATINGS, DEFAULT_RATING, DEFAULT_RD } from '../../scripts/core/Rating.js';
+
+describe('Rating Class Tests', () => {
+
+  test('预期得分由分差决定，双方之和为1', () => {
+    const a = { rating: 1700, rd: 0 };
+    const b = { rating: 1300, rd: 0 };
+
+    expect(Rating.expectedScore(a, b)).toBeCloseTo(10 / 11);
+    expect(Rating.expectedScore(a, b) + Rating.expectedScore(b, a)).toBeCloseTo(1);
+    expect(Rating.expectedScore(a, { rating: 1700, rd: 0 })).toBeCloseTo(0.5);
+
+    // 对手评分偏差越大，预期得分越接近五五开
+    expect(Rating.expectedScore(a, { rating: 1300, rd: 300 })).toBeLessThan(Rating.expectedScore(a, b));
+  });
+
+  test('胜负更新分数并减小评分偏差，爆冷的变化更大', () => {
+    const player = Rating.create();
+    expect(player).toEqual({ rating: DEFAULT_RATING, rd: DEFAULT_RD, games: 0 });
+
+    const strong = { rating: 1800, rd: 50 };
+    const weak = { rating: 1200, rd: 50 };
+    const upset = Rating.update(player, strong, 1);
+    const expected = Rating.update(player, weak, 1);
+
+    expect(upset.rating).toBeGreaterThan(expected.rating);
+    expect(expected.rating).toBeGreaterThan(DEFAULT_RATING);
+    expect(upset.rd).toBeLessThan(DEFAULT_RD);
+    expect(upset.games).toBe(1);
+    expect(Rating.update(player, strong, 0).rating).toBeLessThan(DEFAULT_RATING);
+
+    // 平局时分数向对手靠拢
+    expect(Rating.update(player, strong, 0.5).rating).toBeGreaterThan(DEFAULT_RATING);
+    expect(Rating.update(player, weak, 0.5).rating).toBeLessThan(DEFAULT_RATING);
+  });
+
+  test('分数稳定后单局的变化变小，长时间不对局评分偏差回升', () => {
+    let player = Rating.create();
+    const opponent = { rating: 1500, rd: 50 };
+    const firstChange = Rating.update(player, opponent, 1).rating - player.rating;
+    for (let i = 0; i < 30; i++) {
+      player = Rating.update(player, opponent, i % 2);
+    }
+    expect(Rating.update(player, opponent, 1).rating - player.rating).toBeLessThan(firstChange / 3);
+
+    expect(Rating.decay(player, 0)).toEqual(player);
+    expect(Rating.decay(player, 30).rd).toBeGreaterThan(player.rd);
+    expect(Rating.decay(player, 10000).rd).toBe(DEFAULT_RD);
+  });
+
+  test('按分数推荐预期得分最接近五五开的AI档位', () => {
+    const player = { rating: 1620, rd: 80 };
+    const suggestion = Rating.suggestDifficulty(player);
+    const distance = score => Math.abs(score - 0.5);
+
+    Object.values(AI_TIER_RATINGS).forEach(tier => {
+      expect(distance(suggestion.expectedScore)).toBeLessThanOrEqual(distance(Rating.expectedScore(player, tier)));
+    });
+    expect(Rating.getTierRating(suggestion.type, suggestion.difficulty).rating).toBe(suggestion.rating);
+
+    expect(Rating.suggestDifficulty(player, { type: 'search' }).type).toBe('search');
+    expect(Rating.suggestDifficulty(player, { type: 'unknown' })).toBe(null);
+    expect(Rating.getTierRating('enhanced', 'godlike')).toBe(null);
+    expect(Rating.scoreOf('win')).toBe(1);
+    expect(Rating.scoreOf('draw')).toBe(0.5);
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * RuleSet 类测试
+ * 验收标准：规则集能描述棋盘、阵容、战斗和移动规则，GameEngine 能注入变体规则运行
+ */
+
+import { RuleSet } from '../../scripts/core/RuleSet.js';
+import { Card } from '../../scripts/core/Card.js';
+import { GameState } from '../../scripts/core/GameState.js';
+import { BattleResolver } from '../../scripts/core/BattleResolver.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { startGame, setupPosition } from '../helpers/setup.js';
+
+const revealed = (faction, level) => {
+  const card = new Card(`${faction}_${level}`, faction, level);
+  card.reveal();
+  return card;
+};
+
+describe('RuleSet Class Tests', () => {
+
+  test('经典规则应该与PRD默认规则一致', () => {
+    const ruleSet = RuleSet.classic();
+
+    expect(ruleSet.name).toBe('classic');
+    expect(ruleSet.board).toEqual({ rows: 5, cols: 4, emptyRows: [2] });
+    expect(ruleSet.roster.length).toBe(16);
+    expect(ruleSet.getPlacementPositions().length).toBe(16);
+    expect(ruleSet.battle.tieRule).toBe('mutual');
+  });
+
+  test('经典规则应该正确计算战斗结果', () => {
+    const ruleSet = RuleSet.classic();
+
+    expect(ruleSet.getBattleOutcome(revealed('dragon', 2), revealed('tiger', 5)).winner).toBe('attacker');
+    expect(ruleSet.getBattleOutcome(revealed('dragon', 5), revealed('tiger', 2)).winner).toBe('defender');
+    expect(ruleSet.getBattleOutcome(revealed('dragon', 3), revealed('tiger', 3)).eliminated).toEqual(['attacker', 'defender']);
+
+    // 1级不能吃8级
+    expect(ruleSet.getBattleOutcome(revealed('dragon', 1), revealed('tiger', 8)).basis).toBe('exception');
+
+    // 8级可主动击败对方1级
+    const special = ruleSet.getBattleOutcome(revealed('tiger', 8), revealed('dragon', 1));
+    expect(special.winner).toBe('attacker');
+    expect(special.specialRule.ruleType).toBe('king_tiger_vs_dragon_king');
+  });
+
+  test('同级规则变体应该改变同级战斗结果', () => {
+    const ruleSet = RuleSet.classic({ battle: { tieRule: 'defender' } });
+    const attacker = revealed('dragon', 4);
+    const defender = revealed('tiger', 4);
+
+    expect(ruleSet.getBattleOutcome(attacker, defender).eliminated).toEqual(['attacker']);
+    expect(attacker.battleWith(defender, ruleSet)).toBe('lose');
+    expect(attacker.battleWith(defender)).toBe('draw');
+
+    const result = new BattleResolver(ruleSet).resolveBattle(attacker, defender);
+    expect(result.winner).toBe('defender');
+    expect(result.eliminatedCards).toEqual([attacker]);
+  });
+
+  test('去掉王者克制的变体应该按等级比较', () => {
+    const ruleSet = RuleSet.classic({ battle: { specialRules: [], levelExceptions: [] } });
+
+    expect(ruleSet.getBattleOutcome(revealed('tiger', 8), revealed('dragon', 1)).winner).toBe('defender');
+    expect(ruleSet.getBattleOutcome(revealed('dragon', 1), revealed('tiger', 8)).winner).toBe('attacker');
+  });
+
+  test('应该根据棋盘几何计算相邻位置和放置位置', () => {
+    const ruleSet = new RuleSet({
+      board: { rows: 6, cols: 3, emptyRows: [2, 3] },
+      roster: RuleSet.createClassicRoster().filter(entry => entry.level <= 6)
+    });
+
+    expect(ruleSet.getPlacementPositions().length).toBe(12);
+    expect(ruleSet.getAdjacentPositions(0, 0)).toEqual([{ row: 1, col: 0 }, { row: 0, col: 1 }]);
+    expect(ruleSet.isAdjacent(0, 0, 1, 1)).toBe(false);
+
+    const board = ruleSet.createEmptyBoard();
+    expect(board.length).toBe(6);
+    expect(board[3][2]).toBe(null);
+    expect(board[4][2]).toBe(undefined);
+  });
+
+  test('阵容超过棋盘容量、有重复卡牌或同级规则无效时应该抛出错误', () => {
+    expect(() => new RuleSet({ board: { rows: 3, cols: 4, emptyRows: [1] } })).toThrow('超过棋盘');
+    expect(() => new RuleSet({ battle: { tieRule: 'random' } })).toThrow('无效的同级规则');
+    expect(() => new RuleSet({ roster: [{ faction: 'dragon', level: 1 }, { faction: 'dragon', level: 1 }] }))
+      .toThrow('阵容中有重复的卡牌: dragon_1');
+  });
+
+  test('应该能通过注册名、配置或实例解析规则集', () => {
+    RuleSet.register('tie_defender', () => RuleSet.classic({ name: 'tie_defender', battle: { tieRule: 'defender' } }));
+
+    expect(RuleSet.getRegisteredNames()).toEqual(expect.arrayContaining(['classic', 'tie_defender']));
+    expect(RuleSet.resolve('tie_defender').battle.tieRule).toBe('defender');
+    expect(RuleSet.resolve(null).name).toBe('classic');
+    expect(RuleSet.resolve({ name: 'small' }).name).toBe('small');
+
+    const ruleSet = RuleSet.classic();
+    expect(RuleSet.resolve(ruleSet)).toBe(ruleSet);
+    expect(() => RuleSet.resolve('unknown')).toThrow('未知的规则集: unknown');
+  });
+
+  test('规则集应该随GameState一起序列化', () => {
+    const gameState = new GameState({ ruleSet: RuleSet.classic({ battle: { tieRule: 'attacker' } }) });
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState.toJSON())));
+
+    expect(restored.ruleSet.battle.tieRule).toBe('attacker');
+    expect(gameState.clone().ruleSet).toBe(gameState.ruleSet);
+  });
+
+  test('GameEngine应该使用注入的规则集', () => {
+    const ruleSet = new RuleSet({
+      name: 'mini',
+      board: { rows: 3, cols: 4, emptyRows: [1] },
+      roster: RuleSet.createClassicRoster().filter(entry => entry.level <= 4)
+    });
+    const engine = new GameEngine({ ruleSet });
+
+    engine.startNewGame();
+    engine.playRockPaperScissors('rock');
+    expect(engine.gameState.ruleSet).toBe(ruleSet);
+    expect(engine.gameState.cardsData.length).toBe(8);
+
+    engine.initializeBoard();
+    expect(engine.gameState.getCardsOnBoard().length).toBe(8);
+    expect(engine.gameState.board.length).toBe(3);
+
+    // 翻开一张卡牌后，只能移动到规则集中的相邻空位
+    const card = engine.gameState.getCardAt(0, 0);
+    card.reveal();
+    engine.gameState.board[1][0] = null;
+    expect(engine.getValidMoves(0, 0)).toEqual([{ row: 1, col: 0, type: 'move' }]);
+  });
+
+  // 在新的局面上摆局（见 setupPosition）
+  const positionOf = (placements, ruleSet = RuleSet.classic()) =>
+    setupPosition(new GameState({ ruleSet, shuffle: false }), placements);
+
+  test('最终对决应该按战斗规则裁决', () => {
+    const duel = positionOf([['dragon_2', 0, 0], ['tiger_5', 4, 3]]);
+    const [dragon, tiger] = [duel.getCardAt(0, 0), duel.getCardAt(4, 3)];
+    expect(duel.checkWinCondition()).toEqual({
+      isGameOver: true, winner: 'player', reason: `最终对决：${dragon.name}克制${tiger.name}`
+    });
+
+    // 8级主动攻击能赢1级，1级攻击8级会输：无论谁先手都是8级胜
+    const special = positionOf([['dragon_1', 0, 0], ['tiger_8', 4, 3]]).checkWinCondition();
+    expect(special.winner).toBe('ai');
+
+    const sameLevel = positionOf([['dragon_4', 0, 0], ['tiger_4', 4, 3]]).checkWinCondition();
+    expect(sameLevel).toEqual({ isGameOver: true, winner: 'draw', reason: '最终对决：最后两张牌等级相同' });
+
+    // 同级时攻击方获胜的变体：谁先碰到谁赢，无法稳胜
+    const attackerTie = positionOf([['dragon_4', 0, 0], ['tiger_4', 4, 3]],
+      RuleSet.classic({ battle: { tieRule: 'attacker' } })).checkWinCondition();
+    expect(attackerTie.winner).toBe('draw');
+    expect(attackerTie.reason).toBe('最终对决：双方都无法稳胜');
+  });
+
+  test('行动方无可执行的动作时应该判平', () => {
+    const ruleSet = RuleSet.classic({ movement: { allowAttack: false } });
+    const gameState = positionOf([
+      ['dragon_1', 0, 0], ['tiger_2', 0, 1], ['tiger_3', 1, 0], ['dragon_5', 4, 3]
+    ], ruleSet);
+
+    expect(ruleSet.hasLegalAction(gameState, 'player')).toBe(true);
+    gameState.board[3][3] = gameState.cardsData.find(card => card.id === 'tiger_4');
+    gameState.board[4][2] = gameState.cardsData.find(card => card.id === 'tiger_5');
+    gameState.board[3][3].setPosition(3, 3);
+    gameState.board[4][2].setPosition(4, 2);
+    expect(ruleSet.hasLegalAction(gameState, 'player')).toBe(false);
+
+    expect(gameState.checkWinCondition().isGameOver).toBe(false);
+    gameState.recordAction('ai', false);
+    expect(gameState.checkWinCondition()).toEqual({ isGameOver: true, winner: 'draw', reason: '场上无法继续进行有效动作' });
+  });
+
+  test('同一局面重复出现或长时间没有战斗时应该判平', () => {
+    const gameState = positionOf([
+      ['dragon_1', 0, 0], ['dragon_2', 4, 0], ['tiger_1', 0, 3], ['tiger_2', 4, 3]
+    ]);
+    const shuttle = (card, to, player) => {
+      gameState.removeCardAt(card.position.row, card.position.col);
+      gameState.placeCard(card, to.row, to.col);
+      gameState.recordAction(player, false);
+      return gameState.checkWinCondition();
+    };
+    const dragon = gameState.getCardAt(0, 0);
+    const tiger = gameState.getCardAt(0, 3);
+
+    for (let round = 0; round < 2; round++) {
+      expect(shuttle(dragon, { row: 1, col: 0 }, 'player').isGameOver).toBe(false);
+      expect(shuttle(tiger, { row: 1, col: 3 }, 'ai').isGameOver).toBe(false);
+      expect(shuttle(dragon, { row: 0, col: 0 }, 'player').isGameOver).toBe(false);
+      expect(shuttle(tiger, { row: 0, col: 3 }, 'ai').isGameOver).toBe(false);
+    }
+    expect(gameState.getRepetitionCount()).toBe(2);
+    expect(shuttle(dragon, { row: 1, col: 0 }, 'player')).toEqual({
+      isGameOver: true, winner: 'draw', reason: '同一局面重复出现3次'
+    });
+
+    expect(gameState.noCaptureMoves).toBe(9);
+    gameState.ruleSet = RuleSet.classic({ winConditions: { repetition: 0, noCaptureLimit: 9 } });
+    expect(gameState.checkWinCondition()).toEqual({ isGameOver: true, winner: 'draw', reason: '连续9步没有战斗或翻牌' });
+    gameState.recordAction('ai', true);
+    expect(gameState.checkWinCondition().isGameOver).toBe(false);
+  });
+
+  test('还有未翻开的卡牌时局面重复或长时间没有战斗不判平', () => {
+    const gameState = positionOf([
+      ['dragon_1', 0, 0], ['dragon_2', 4, 0], ['tiger_1', 0, 3], ['tiger_2', 4, 3], ['tiger_5', 2, 2]
+    ]);
+    const hidden = gameState.getCardAt(2, 2);
+    hidden.isRevealed = false;
+    const shuttle = (card, to, player) => {
+      gameState.removeCardAt(card.position.row, card.position.col);
+      gameState.placeCard(card, to.row, to.col);
+      gameState.recordAction(player, false);
+      return gameState.checkWinCondition();
+    };
+    const dragon = gameState.getCardAt(0, 0);
+    const tiger = gameState.getCardAt(0, 3);
+
+    for (let round = 0; round < 4; round++) {
+      expect(shuttle(dragon, { row: 1, col: 0 }, 'player').isGameOver).toBe(false);
+      expect(shuttle(tiger, { row: 1, col: 3 }, 'ai').isGameOver).toBe(false);
+      expect(shuttle(dragon, { row: 0, col: 0 }, 'player').isGameOver).toBe(false);
+      expect(shuttle(tiger, { row: 0, col: 3 }, 'ai').isGameOver).toBe(false);
+    }
+    expect(gameState.getRepetitionCount()).toBeGreaterThanOrEqual(3);
+    gameState.ruleSet = RuleSet.classic({ winConditions: { noCaptureLimit: 9 } });
+    expect(gameState.noCaptureMoves).toBeGreaterThanOrEqual(9);
+    expect(gameState.checkWinCondition().isGameOver).toBe(false);
+
+    // 全部翻开后判平
+    hidden.isRevealed = true;
+    expect(gameState.checkWinCondition()).toEqual({
+      isGameOver: true, winner: 'draw', reason: '连续9步没有战斗或翻牌'
+    });
+  });
+
+  test('翻开最后一张牌进入最终对决时GameEngine应该结束对局', () => {
+    const engine = startGame({ seed: 7, firstPlayer: 'player' });
+
+    const gameState = engine.gameState;
+    const keep = ['dragon_3', 'tiger_6'];
+    gameState.cardsData.forEach(card => {
+      if (!keep.includes(card.id)) {
+        gameState.removeCardAt(card.position.row, card.position.col);
+        card.reveal();
+      }
+    });
+    gameState.setPlayerFaction('dragon');
+    const dragon = gameState.cardsData.find(card => card.id === 'dragon_3');
+    dragon.reveal('player');
+    const tiger = gameState.cardsData.find(card => card.id === 'tiger_6');
+
+    const result = engine.flipCard(tiger.position.row, tiger.position.col);
+
+    expect(result.success).toBe(true);
+    expect(result.data.isGameOver).toBe(true);
+    expect(gameState.phase).toBe('ended');
+    expect(gameState.winner).toBe('player');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * SaveManager 类测试
+ * 验收标准：支持多个命名存档位和自动存档，存档带摘要，旧版存档自动迁移，损坏的存档被识别而不会导致崩溃
+ */
+
+import { SaveManager, SAVE_VERSION, AUTO_SLOT } from '../../scripts/core/SaveManager.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+
+// 内存中的 Storage 实现
+const createStorage = () => {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: index => [...items.keys()][index] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+const startGame = storage => {
+  const engine = new GameEngine({ seed: 17, storage });
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+  engine.initializeBoard();
+  engine.flipCard(0, 0, 'player');
+  return engine;
+};
+
+describe('SaveManager Class Tests', () => {
+
+  test('保存到命名存档位并列出摘要', () => {
+    const storage = createStorage();
+    const manager = new SaveManager({ storage });
+    const engine = startGame(storage);
+
+    const result = manager.save('slot1', engine.createSaveData(), { name: '开局研究' });
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ slot: 'slot1', name: '开局研究', mode: 'ai', corrupted: false });
+
+    const { summary } = result.data;
+    const card = engine.gameState.getCardAt(0, 0);
+    expect(summary).toMatchObject({ phase: 'playing', turn: 1, currentPlayer: 'ai', playerFaction: card.faction });
+    expect(summary.material[card.faction]).toEqual({ cards: 8, revealed: 1 });
+    expect(summary.thumbnail[0][0]).toBe(`${card.faction === 'dragon' ? 'D' : 'T'}${card.level}`);
+    expect(summary.thumbnail[0][1]).toBe('?');
+    expect(summary.thumbnail[2]).toEqual([null, null, null, null]);
+
+    manager.save(AUTO_SLOT, engine.createSaveData());
+    expect(manager.list().map(save => save.slot).sort()).toEqual(['auto', 'slot1']);
+    expect(storage.getItem('dragon_tiger_save:slot1')).not.toBe(null);
+
+    // 再次保存沿用原来的名称
+    expect(manager.save('slot1', engine.createSaveData()).data.name).toBe('开局研究');
+    expect(manager.remove('slot1')).toBe(true);
+    expect(manager.load('slot1').error.code).toBe('SAVE_NOT_FOUND');
+  });
+
+  test('拒绝无效的存档位，存储不可用时返回错误', () => {
+    const manager = new SaveManager({ storage: createStorage() });
+    expect(manager.save('../x', { gameState: {} }).error.code).toBe('INVALID_SLOT');
+
+    const unavailable = new SaveManager({ storage: null });
+    expect(unavailable.save(AUTO_SLOT, {}).error.code).toBe('STORAGE_UNAVAILABLE');
+    expect(unavailable.list()).toEqual([]);
+  });
+
+  test('旧版存档迁移到当前版本', () => {
+    const storage = createStorage();
+    const engine = startGame(storage);
+    // 旧版存档：没有版本号、校验和与摘要
+    storage.setItem('dragon_tiger_save', JSON.stringify(engine.createSaveData()));
+
+    const result = new SaveManager({ storage }).load(AUTO_SLOT);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ version: SAVE_VERSION, name: '自动存档', summary: { turn: 1 } });
+  });
+
+  test('识别损坏的存档', () => {
+    const storage = createStorage();
+    const manager = new SaveManager({ storage });
+    const engine = startGame(storage);
+    manager.save('good', engine.createSaveData());
+
+    storage.setItem('dragon_tiger_save:truncated', storage.getItem('dragon_tiger_save:good').slice(0, 200));
+    const tampered = JSON.parse(storage.getItem('dragon_tiger_save:good'));
+    tampered.gameState.currentPlayer = 'player';
+    storage.setItem('dragon_tiger_save:tampered', JSON.stringify(tampered));
+    const legacy = engine.createSaveData();
+    legacy.gameState.cardsData[1].position = { row: 0, col: 0 };
+    storage.setItem('dragon_tiger_save:overlap', JSON.stringify(legacy));
+    const { checksum, ...future } = { ...JSON.parse(storage.getItem('dragon_tiger_save:good')), version: SAVE_VERSION + 1 };
+    storage.setItem('dragon_tiger_save:future', JSON.stringify({ ...future, checksum: SaveManager.checksum(JSON.stringify(future)) }));
+
+    expect(manager.load('truncated').error).toMatchObject({ code: 'SAVE_CORRUPTED', details: { reason: '无法解析存档' } });
+    expect(manager.load('tampered').error).toMatchObject({ code: 'SAVE_CORRUPTED', details: { reason: '校验和不符' } });
+    expect(manager.load('overlap').error.code).toBe('SAVE_CORRUPTED');
+    expect(manager.load('future').error.code).toBe('UNSUPPORTED_VERSION');
+
+    const corrupted = manager.list().filter(save => save.corrupted).map(save => save.slot).sort();
+    expect(corrupted).toEqual(['future', 'overlap', 'tampered', 'truncated']);
+  });
+
+  test('校验和对内容敏感', () => {
+    expect(SaveManager.checksum('abc')).toBe(SaveManager.checksum('abc'));
+    expect(SaveManager.checksum('abc')).not.toBe(SaveManager.checksum('abd'));
+    expect(SaveManager.checksum('')).toMatch(/^[0-9a-f]{8}$/);
+  });
+});
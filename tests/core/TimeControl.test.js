@@ -0,0 +1,70 @@
+/**
+ * TimeControl 类测试
+ * 验收标准：支持每步限时和棋钟加秒，计时状态可以序列化、恢复和按座位互换
+ */
+
+import { TimeControl, TIME_CONTROL_PRESETS } from '../../scripts/core/TimeControl.js';
+
+describe('TimeControl Class Tests', () => {
+
+  test('解析预设和自定义配置', () => {
+    expect(TimeControl.resolve(null)).toBe(null);
+    expect(TimeControl.resolve('none')).toBe(null);
+    expect(TimeControl.resolve('blitz')).toEqual({ ...TIME_CONTROL_PRESETS.blitz, perMove: null, onTimeout: 'loss' });
+    expect(TimeControl.resolve({ perMove: 30000, onTimeout: 'auto' }))
+      .toEqual({ initial: null, increment: 0, perMove: 30000, onTimeout: 'auto' });
+
+    expect(() => TimeControl.resolve({})).toThrow('至少需要 initial 或 perMove');
+    expect(() => TimeControl.resolve({ initial: -1 })).toThrow('必须是正数');
+    expect(() => TimeControl.resolve({ initial: 1000, increment: -1 })).toThrow('不能为负数');
+  });
+
+  test('行动完成后扣除用时并加秒，每步限时重新开始', () => {
+    const clock = TimeControl.createClock(TimeControl.resolve({ initial: 60000, increment: 2000, perMove: 20000 }));
+    TimeControl.start(clock, 1000);
+
+    expect(TimeControl.getStatus(clock, 'player', 6000))
+      .toEqual({ seat: 'player', running: true, remaining: { player: 55000, ai: 60000 }, moveRemaining: 15000 });
+    expect(TimeControl.getTimeLeft(clock, 'player', 6000)).toBe(15000);
+
+    TimeControl.completeMove(clock, 'player', 6000);
+    expect(clock.remaining).toEqual({ player: 57000, ai: 60000 });
+    expect(TimeControl.getStatus(clock, 'ai', 6000).moveRemaining).toBe(20000);
+  });
+
+  test('暂停后已用时间保留在这一步', () => {
+    const clock = TimeControl.createClock(TimeControl.resolve({ perMove: 10000 }));
+    TimeControl.start(clock, 0);
+    TimeControl.pause(clock, 4000);
+
+    expect(TimeControl.getStatus(clock, 'player', 100000)).toMatchObject({ running: false, moveRemaining: 6000 });
+    TimeControl.start(clock, 100000);
+    expect(TimeControl.getTimeLeft(clock, 'player', 106000)).toBe(0);
+    expect(TimeControl.isMoveTimeout(clock, 'player', 106000)).toBe(true);
+  });
+
+  test('序列化后以暂停状态恢复，互换座位时交换剩余时间', () => {
+    const clock = TimeControl.createClock(TimeControl.resolve('bullet'));
+    TimeControl.start(clock, 0);
+    TimeControl.completeMove(clock, 'player', 5000);
+
+    const json = TimeControl.toJSON(clock, 7000);
+    expect(json).toMatchObject({ remaining: { player: 55000, ai: 60000 }, moveElapsed: 2000, running: true });
+    // 不传时间时只折算到开始计时的时刻，结果与调用时刻无关
+    expect(TimeControl.toJSON(clock)).toMatchObject({ moveElapsed: 0, running: true });
+
+    const restored = TimeControl.fromJSON(JSON.parse(JSON.stringify(json)));
+    expect(restored.runningSince).toBe(null);
+    expect(TimeControl.getStatus(restored, 'ai').remaining).toEqual({ player: 55000, ai: 58000 });
+
+    expect(TimeControl.mirror(restored).remaining).toEqual({ player: 60000, ai: 55000 });
+    expect(TimeControl.fromJSON(null)).toBe(null);
+  });
+
+  test('格式化剩余时间', () => {
+    expect(TimeControl.format(600000)).toBe('10:00');
+    expect(TimeControl.format(61001)).toBe('1:02');
+    expect(TimeControl.format(9450)).toBe('0:09.4');
+    expect(TimeControl.format(null)).toBe('--:--');
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * 测试共用的开局、摆局和AI构造工具
+ */
+
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+
+/**
+ * 开始一局并发牌：猜拳出平手，由 firstPlayer 先手
+ * @param {Object} options - GameEngine 选项，另有 firstPlayer（默认 ai）；种子默认 99
+ * @returns {GameEngine} 已进入 playing 阶段的引擎
+ */
+export const startGame = ({ firstPlayer = 'ai', ...options } = {}) => {
+  const engine = new GameEngine({ seed: 99, ...options });
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer });
+  engine.initializeBoard();
+  return engine;
+};
+
+/**
+ * 摆出一个局面：棋盘上只留下 placements 中的卡牌，其余卡牌翻开并离开棋盘，视为已被消灭。
+ * 翻开的卡牌按阵营归属：playerFaction 一方归 player，另一方归 ai
+ * @param {GameState|ObservationView} gameState - 要摆局的局面
+ * @param {Array} placements - [[卡牌id, 行, 列, 是否翻开], ...]，默认翻开
+ * @param {Object} options - { playerFaction = 'dragon', currentPlayer }，不传 currentPlayer 时不改变行动方
+ * @returns {GameState} 摆好的局面
+ */
+export const setupPosition = (gameState, placements, { playerFaction = 'dragon', currentPlayer } = {}) => {
+  const hidden = new Set(placements.filter(([, , , revealed = true]) => !revealed).map(([id]) => id));
+  gameState.board = gameState.initBoard();
+  gameState.cardsData.forEach(card => {
+    card.setPosition(-1, -1);
+    if (!hidden.has(card.id)) {
+      card.reveal(card.faction === playerFaction ? 'player' : 'ai');
+    }
+  });
+  gameState.setPlayerFaction(playerFaction);
+  placements.forEach(([id, row, col]) => {
+    gameState.placeCard(gameState.cardsData.find(card => card.id === id), row, col);
+  });
+  if (currentPlayer) {
+    gameState.currentPlayer = currentPlayer;
+  }
+  gameState.phase = 'playing';
+  return gameState;
+};
+
+/**
+ * 生成AI构造函数：关闭思考延迟和时间预算，结果只取决于种子和局面
+ * @param {Function} PlayerClass - AI类
+ * @param {string} defaultDifficulty - 默认难度
+ * @returns {Function} (engine, difficulty, options) => AI实例
+ */
+export const playerFactory = (PlayerClass, defaultDifficulty = 'medium') =>
+  (engine, difficulty = defaultDifficulty, options = {}) =>
+    new PlayerClass(engine, difficulty, { thinkingDelay: false, timeBudget: null, ...options });
@@ -0,0 +1,389 @@
+/**
+ * GameRoom 测试
+ * 验收标准：服务器权威执行翻牌和移动，两位客户端各自只收到己方视角的局面差量
+ */
+
+import { GameRoom } from '../../scripts/online/GameRoom.js';
+import { RoomManager } from '../../scripts/online/RoomManager.js';
+import { Protocol } from '../../scripts/online/Protocol.js';
+
+// 记录收到的消息，并像浏览器客户端一样维护局面
+class FakeClient {
+  constructor() {
+    this.messages = [];
+    this.state = null;
+  }
+
+  send(message) {
+    this.messages.push(message);
+    if (message.type === 'state') {
+      this.state = Protocol.applyDiff(this.state, message.diff);
+    }
+  }
+
+  events(name) {
+    return this.messages.filter(message => message.type === 'event' && message.name === name);
+  }
+}
+
+const openRoom = (options = {}) => {
+  const room = new GameRoom('TEST01', { seed: 42, ...options });
+  const host = new FakeClient();
+  const guest = new FakeClient();
+  const tokens = [room.join(host), room.join(guest)].map(result => result.data.token);
+  return { room, host, guest, tokens };
+};
+
+// 客户端维护的局面与服务器上该座位的视图一致（计时中的已用时间随发送时刻变化）
+const expectSynced = (client, room, seat) => {
+  const { clock, ...state } = client.state;
+  const { clock: expected, ...view } = JSON.parse(JSON.stringify(room.getView(seat).toJSON()));
+  expect(state).toEqual(view);
+  expect(clock).toEqual({ ...expected, moveElapsed: expect.any(Number) });
+};
+
+// 当前行动方的客户端
+const clientToMove = ({ room, host, guest }) => (room.engine.gameState.currentPlayer === 'player' ? host : guest);
+
+describe('GameRoom Tests', () => {
+  test('先到的坐 player 座位，坐满后开局', () => {
+    const room = new GameRoom('TEST01', { seed: 42 });
+    const host = new FakeClient();
+    const guest = new FakeClient();
+
+    expect(room.join(host)).toEqual({ success: true, data: { code: 'TEST01', seat: 'player', token: expect.any(String) } });
+    expect(room.engine.gameState.phase).toBe('setup');
+    expect(room.join(guest)).toEqual({ success: true, data: { code: 'TEST01', seat: 'ai', token: expect.any(String) } });
+    expect(room.engine.gameState.phase).toBe('playing');
+    expect(room.join(new FakeClient()).error.code).toBe('ROOM_FULL');
+
+    expect(host.state.phase).toBe('playing');
+    expect(guest.events('boardInitialized')).toHaveLength(1);
+  });
+
+  test('客户端只收到己方视角，对手座位互换为 player', () => {
+    const context = openRoom();
+    const { room, host, guest } = context;
+    const mover = clientToMove(context);
+
+    room.handleMessage(mover, { type: 'action', action: 'flip', row: 0, col: 0 });
+
+    [host, guest].forEach(client => {
+      expect(client.state.cardsData.filter(card => !card.isRevealed).every(card => card.faction === null)).toBe(true);
+    });
+    expect(host.state.side).toBe('player');
+    expect(guest.state.side).toBe('player');
+
+    const flipped = room.engine.gameState.getCardAt(0, 0);
+    const guestCard = guest.state.cardsData.find(card => card.id === flipped.id);
+    expect(guestCard.owner).toBe(flipped.owner === 'player' ? 'ai' : 'player');
+    expect(guest.state.playerFaction).toBe(room.engine.gameState.aiFaction);
+    expect(guest.events('cardFlipped')[0].data.flippedCard.owner).toBe(guestCard.owner);
+    expect(guest.events('cardFlipped')[0].data).not.toHaveProperty('gameState');
+  });
+
+  test('服务器拒绝非本方回合的操作', () => {
+    const context = openRoom();
+    const { room, host, guest } = context;
+    const waiting = clientToMove(context) === host ? guest : host;
+    const received = waiting.messages.length;
+
+    const result = room.handleMessage(waiting, { type: 'action', action: 'flip', row: 0, col: 0 });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('NOT_YOUR_TURN');
+    expect(room.engine.gameState.getCardAt(0, 0).isRevealed).toBe(false);
+    expect(waiting.messages).toHaveLength(received);
+  });
+
+  test('认输不必轮到本方，由服务器结束对局并通知双方', () => {
+    const context = openRoom();
+    const { room, host, guest } = context;
+    const waiting = clientToMove(context) === host ? guest : host;
+    const other = waiting === host ? guest : host;
+
+    const result = room.handleMessage(waiting, { type: 'action', action: 'resign' });
+
+    expect(result.success).toBe(true);
+    expect(room.engine.gameState.phase).toBe('ended');
+    expect(waiting.events('gameEnded')[0].data.winner).toBe('ai');
+    expect(other.events('gameEnded')[0].data.winner).toBe('player');
+    expect(room.handleMessage(other, { type: 'action', action: 'resign' }).error.code).toBe('INVALID_GAME_PHASE');
+  });
+
+  test('和棋提议由服务器转告对手，对手同意后以和棋结束', () => {
+    const context = openRoom();
+    const { room, host, guest } = context;
+    const mover = clientToMove(context);
+    const other = mover === host ? guest : host;
+
+    expect(room.handleMessage(other, { type: 'action', action: 'offer_draw' }).error.code).toBe('DRAW_NOT_YOUR_TURN');
+    expect(room.handleMessage(mover, { type: 'action', action: 'offer_draw' }).success).toBe(true);
+    expect(mover.events('drawOffered')[0].data).toEqual({ seat: 'player' });
+    expect(other.events('drawOffered')[0].data).toEqual({ seat: 'ai' });
+    expect(room.handleMessage(mover, { type: 'action', action: 'offer_draw' }).error.code).toBe('DRAW_ALREADY_OFFERED');
+
+    expect(room.handleMessage(other, { type: 'action', action: 'respond_draw', accept: 'yes' }).error.code).toBe('INVALID_MESSAGE');
+    expect(room.handleMessage(mover, { type: 'action', action: 'respond_draw', accept: true }).error.code).toBe('NO_DRAW_OFFER');
+    expect(room.handleMessage(other, { type: 'action', action: 'respond_draw', accept: true }).success).toBe(true);
+
+    expect(room.engine.gameState.winner).toBe('draw');
+    expect(mover.events('drawResponded')[0].data).toEqual({ seat: 'ai', accept: true });
+    expect(other.events('drawResponded')[0].data).toEqual({ seat: 'player', accept: true });
+    expect(other.events('gameEnded')[0].data.winner).toBe('draw');
+  });
+
+  test('向AI座位提议和棋时由AI立即答复', async () => {
+    const room = new GameRoom('TEST03', { seed: 8, aiOptions: { thinkingDelay: false } });
+    const host = new FakeClient();
+    room.join(host);
+    room.addAIPlayer('easy');
+    for (let i = 0; i < 50 && (room.engine.gameState.currentPlayer !== 'player' || room.aiTurnInProgress); i++) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    expect(room.handleMessage(host, { type: 'action', action: 'offer_draw' }).success).toBe(true);
+
+    // 阵营尚未确定时AI拒绝，对局继续
+    expect(host.events('drawResponded')[0].data).toEqual({ seat: 'ai', accept: false });
+    expect(room.engine.gameState.phase).toBe('playing');
+    expect(room.handleMessage(host, { type: 'action', action: 'offer_draw' }).error.code).toBe('DRAW_OFFER_LIMIT');
+  });
+
+  test('非法消息返回错误', () => {
+    const { room, host } = openRoom();
+
+    expect(room.handleMessage(host, { type: 'action', action: 'teleport' }).error.code).toBe('INVALID_MESSAGE');
+    expect(room.handleMessage(new FakeClient(), { type: 'action' }).error.code).toBe('NOT_IN_ROOM');
+    expect(room.requestRematch('player').error.code).toBe('INVALID_GAME_PHASE');
+  });
+
+  test('坐标不是棋盘范围内的整数时返回错误，局面不变', () => {
+    const context = openRoom();
+    const { room } = context;
+    const mover = clientToMove(context);
+    const received = mover.messages.length;
+    const before = JSON.stringify(room.engine.gameState.toJSON());
+    const { rows, cols } = room.engine.ruleSet.board;
+
+    [
+      { action: 'flip', row: '0', col: 0 },
+      { action: 'flip', row: 0, col: 0.5 },
+      { action: 'flip', row: -1, col: 0 },
+      { action: 'flip', row: rows, col: 0 },
+      { action: 'flip', row: 0, col: cols },
+      { action: 'flip' },
+      { action: 'move', from: { row: 0, col: 0 } },
+      { action: 'move', from: { row: '1', col: 1 }, to: { row: 1, col: 2 } },
+      { action: 'move', from: { row: 1, col: 1 }, to: { row: 1.5, col: 2 } },
+      { action: 'move', from: { row: 1, col: 1 }, to: { row: 1, col: cols } }
+    ].forEach(message => {
+      expect(room.handleMessage(mover, { type: 'action', ...message }).error.code).toBe('INVALID_POSITION');
+    });
+
+    expect(JSON.stringify(room.engine.gameState.toJSON())).toBe(before);
+    expect(mover.messages).toHaveLength(received);
+  });
+
+  test('局面以差量推送，消息序号递增', () => {
+    const context = openRoom();
+    const { room, host } = context;
+    room.handleMessage(clientToMove(context), { type: 'action', action: 'flip', row: 0, col: 0 });
+
+    const states = host.messages.filter(message => message.type === 'state');
+    expect(states[0].diff).toHaveProperty('full');
+    expect(states[states.length - 1].diff).toHaveProperty('fields');
+    expect(host.messages.map(message => message.seq)).toEqual(host.messages.map((_, index) => index + 1));
+    expectSynced(host, room, 'player');
+  });
+
+  test('AI坐下的座位轮到时自动行动，客户端按真人对手同样收到推送', async () => {
+    const room = new GameRoom('TEST02', { seed: 8, aiOptions: { thinkingDelay: false } });
+    const host = new FakeClient();
+    room.join(host);
+
+    expect(room.addAIPlayer('easy').data.seat).toBe('ai');
+    expect(room.addAIPlayer('easy').error.code).toBe('ROOM_FULL');
+
+    // 由真人一方按固定策略行动，直到对局结束
+    for (let turn = 0; turn < 200 && room.engine.gameState.phase === 'playing'; turn++) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (room.engine.gameState.currentPlayer !== 'player' || room.aiTurnInProgress) continue;
+
+      const state = room.engine.gameState;
+      const hidden = state.cardsData.find(card => !card.isRevealed && card.position.row >= 0);
+      const mover = state.getCardsOnBoard().find(card => card.isRevealed && card.owner === 'player' &&
+        room.engine.getValidMoves(card.position.row, card.position.col).some(move => move.type !== 'blocked'));
+      // 先翻完暗牌：还有暗牌时重复局面不判平
+      if (hidden) {
+        room.handleMessage(host, { type: 'action', action: 'flip', ...hidden.position });
+      } else if (mover) {
+        const target = room.engine.getValidMoves(mover.position.row, mover.position.col).find(move => move.type !== 'blocked');
+        room.handleMessage(host, { type: 'action', action: 'move', from: mover.position, to: target });
+      }
+    }
+
+    expect(room.engine.gameState.phase).toBe('ended');
+    const opponentFlips = host.events('cardFlipped').filter(event => event.data.flippedCard.owner === 'ai');
+    expect(opponentFlips.length).toBeGreaterThan(0);
+    expectSynced(host, room, 'player');
+
+    // AI一方自动同意再来一局
+    expect(room.requestRematch('player').data.started).toBe(true);
+  });
+
+  test('观战者进入时收到当前局面和完整日志，看不到任何一方的底牌', () => {
+    const context = openRoom();
+    const { room } = context;
+    room.handleMessage(clientToMove(context), { type: 'action', action: 'flip', row: 0, col: 0 });
+
+    const spectator = new FakeClient();
+    expect(room.addSpectator(spectator)).toEqual({ success: true, data: { code: 'TEST01', seat: 'spectator' } });
+    expect(room.isFull()).toBe(true);
+
+    expect(spectator.messages[0].diff.full).toBeDefined();
+    expect(spectator.state.side).toBe('spectator');
+    expect(spectator.state.gameLog).toHaveLength(room.engine.gameState.gameLog.length);
+    expect(spectator.state.gameLog.some(entry => entry.type === 'flip')).toBe(true);
+    expect(spectator.state.cardsData.filter(card => !card.isRevealed)
+      .every(card => card.faction === null && card.owner === null)).toBe(true);
+
+    // 观战者看到的双方座位不互换
+    const flipped = room.engine.gameState.getCardAt(0, 0);
+    expect(spectator.state.cardsData.find(card => card.id === flipped.id).owner).toBe(flipped.owner);
+  });
+
+  test('观战者只读，之后的操作实时推送给观战者', () => {
+    const context = openRoom();
+    const { room, host } = context;
+    const spectator = new FakeClient();
+    room.addSpectator(spectator);
+
+    expect(room.handleMessage(spectator, { type: 'action', action: 'flip', row: 0, col: 0 }).error.code)
+      .toBe('SPECTATOR_READ_ONLY');
+    expect(room.handleMessage(spectator, { type: 'rematch' }).error.code).toBe('SPECTATOR_READ_ONLY');
+
+    room.handleMessage(clientToMove(context), { type: 'action', action: 'flip', row: 0, col: 0 });
+    expect(spectator.events('cardFlipped')).toHaveLength(1);
+    expect(spectator.state.cardsData).toEqual(JSON.parse(JSON.stringify(room.getView('spectator').toJSON().cardsData)));
+
+    // 观战人数变化通知所有人
+    expect(host.events('spectatorsChanged').map(message => message.data.count)).toEqual([1]);
+    room.leave(spectator);
+    expect(host.events('spectatorsChanged').map(message => message.data.count)).toEqual([1, 0]);
+    expect(room.getSpectatorCount()).toBe(0);
+  });
+
+  test('断线后座位保留，凭令牌重连补发错过的消息', () => {
+    const context = openRoom();
+    const { room, host, guest, tokens } = context;
+    const mover = clientToMove(context);
+    const dropped = mover === host ? guest : host;
+    const droppedSeat = dropped === host ? 'player' : 'ai';
+    const token = tokens[dropped === host ? 0 : 1];
+
+    room.disconnect(dropped);
+    expect(mover.messages[mover.messages.length - 1]).toMatchObject({ type: 'opponentDisconnected', data: { grace: 30000 } });
+    expect(room.engine.getClock().running).toBe(false);
+    expect(mover.state.clock.running).toBe(false);
+    expect(room.join(new FakeClient()).error.code).toBe('ROOM_FULL');
+
+    // 断线期间对手照常行动，消息缓存等待补发
+    const received = dropped.messages.length;
+    room.handleMessage(mover, { type: 'action', action: 'flip', row: 0, col: 0 });
+    expect(dropped.messages).toHaveLength(received);
+
+    const reconnected = new FakeClient();
+    reconnected.state = dropped.state;
+    expect(room.resume(reconnected, 'wrong-token', 0).error.code).toBe('SESSION_NOT_FOUND');
+    const result = room.resume(reconnected, token, dropped.messages[received - 1].seq);
+
+    expect(result.data).toEqual({ code: 'TEST01', seat: droppedSeat, token });
+    expect(reconnected.messages[0].seq).toBe(dropped.messages[received - 1].seq + 1);
+    expect(reconnected.events('cardFlipped')).toHaveLength(1);
+    expectSynced(reconnected, room, droppedSeat);
+    expect(mover.messages.some(message => message.type === 'opponentReconnected')).toBe(true);
+    expect(room.engine.getClock().running).toBe(true);
+    expect(mover.state.clock.running).toBe(true);
+    room.close();
+  });
+
+  test('刷新页面后从完整局面恢复', () => {
+    const { room, host, tokens } = openRoom();
+    room.disconnect(host);
+
+    const refreshed = new FakeClient();
+    room.resume(refreshed, tokens[0], 0);
+
+    expect(refreshed.messages[0].diff).toHaveProperty('full');
+    expectSynced(refreshed, room, 'player');
+    expect(refreshed.state.clock).toMatchObject({ config: { perMove: 60000 }, running: true });
+    room.close();
+  });
+
+  test('宽限期内未重连判负，超时判负', () => {
+    jest.useFakeTimers();
+    try {
+      const graced = openRoom({ gracePeriod: 1000, timeControl: { perMove: 5000 } });
+      graced.room.disconnect(graced.guest);
+      jest.advanceTimersByTime(5000);
+      expect(graced.room.engine.gameState.winner).toBe('player');
+      expect(graced.host.events('gameEnded')[0].data.reason).toBe('断线超时判负');
+      expect(graced.host.messages[graced.host.messages.length - 1]).toMatchObject({ type: 'opponentLeft', data: { seat: 'ai' } });
+
+      const timed = openRoom({ timeControl: { perMove: 1000 } });
+      const seat = timed.room.engine.gameState.currentPlayer;
+      jest.advanceTimersByTime(999);
+      expect(timed.room.engine.gameState.phase).toBe('playing');
+      jest.advanceTimersByTime(1);
+      expect(timed.room.engine.gameState.winner).toBe(seat === 'player' ? 'ai' : 'player');
+      expect(timed.host.events('gameEnded')[0].data.reason).toBe('超时判负');
+      expect(timed.guest.events('clockExpired')[0].data).toMatchObject({ action: 'loss' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('邀请码和会话令牌不受种子影响，种子只决定对局', () => {
+    const first = new RoomManager({ seed: 3 });
+    const second = new RoomManager({ seed: 3 });
+    const roomA = first.createRoom();
+    const roomB = second.createRoom();
+
+    expect(roomA.code).toMatch(/^[A-Z2-9]{6}$/);
+    expect(roomA.code).not.toBe(roomB.code);
+    expect(roomA.engine.seed).toBe(roomB.engine.seed);
+
+    const clientA = new FakeClient();
+    const clientB = new FakeClient();
+    roomA.join(clientA);
+    roomB.join(clientB);
+    const tokenA = roomA.clients.get(clientA).token;
+    const tokenB = roomB.clients.get(clientB).token;
+    expect(tokenA).toMatch(/^[0-9a-f]{32}$/);
+    expect(tokenA).not.toBe(tokenB);
+  });
+
+  test('离开房间时通知对手，房间空了由管理器回收', () => {
+    const manager = new RoomManager({ seed: 3 });
+    const room = manager.createRoom();
+    const host = new FakeClient();
+    const guest = new FakeClient();
+    room.join(host);
+    room.join(guest);
+
+    expect(manager.getRoom(room.code.toLowerCase())).toBe(room);
+
+    const spectator = new FakeClient();
+    room.addSpectator(spectator);
+
+    room.leave(host);
+    expect(guest.messages[guest.messages.length - 1]).toMatchObject({ type: 'opponentLeft', data: { seat: 'ai' } });
+    expect(spectator.messages[spectator.messages.length - 1]).toMatchObject({ type: 'opponentLeft', data: { seat: 'player' } });
+    expect(manager.getRoom(room.code)).toBe(room);
+
+    room.leave(guest);
+    room.leave(spectator);
+    expect(manager.getRoom(room.code)).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * GameServer 测试
+ * 验收标准：只提供游戏页面和 scripts、styles、assets 中的静态文件，异常的请求路径不会让服务器出错
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GameServer } from '../../scripts/online/GameServer.js';
+
+// 按仓库结构建一个临时根目录：游戏文件加上不应被提供的文件
+const createRoot = () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'game-server-'));
+  const files = {
+    'index.html': '<!DOCTYPE html>',
+    'scripts/core/GameEngine.js': 'export class GameEngine {}',
+    'scripts/.hidden': 'secret',
+    'styles/main.css': 'body {}',
+    '.git/config': '[core]',
+    'design.md': '# 设计',
+    'tests/online/GameServer.test.js': ''
+  };
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  });
+  return root;
+};
+
+// 不经过网络，直接把请求交给 handleRequest，等待响应结束
+const request = (server, url, method = 'GET') => new Promise(resolve => {
+  const response = {
+    status: null,
+    writeHead(status) { this.status = status; },
+    end(body) { resolve({ status: this.status, body }); }
+  };
+  server.handleRequest({ method, url }, response);
+});
+
+describe('GameServer 静态文件', () => {
+  let root;
+  let server;
+
+  beforeEach(() => {
+    root = createRoot();
+    server = new GameServer({ root, timeControl: null });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('提供游戏页面和脚本文件', async () => {
+    expect((await request(server, '/')).status).toBe(200);
+    expect((await request(server, '/index.html')).status).toBe(200);
+    expect((await request(server, '/scripts/core/GameEngine.js')).status).toBe(200);
+    expect((await request(server, '/styles/main.css')).status).toBe(200);
+    expect((await request(server, '/scripts/core/NotExist.js')).status).toBe(404);
+  });
+
+  test('无法解码的路径返回400，服务器继续工作', async () => {
+    expect((await request(server, '/%')).status).toBe(400);
+    expect((await request(server, '/scripts/%E0%A4%A')).status).toBe(400);
+    expect((await request(server, '/index.html')).status).toBe(200);
+  });
+
+  test('不提供以点开头的文件和公开目录以外的文件', async () => {
+    expect((await request(server, '/.git/config')).status).toBe(403);
+    expect((await request(server, '/%2Egit/config')).status).toBe(403);
+    expect((await request(server, '/scripts/.hidden')).status).toBe(403);
+    expect((await request(server, '/design.md')).status).toBe(403);
+    expect((await request(server, '/tests/online/GameServer.test.js')).status).toBe(403);
+    expect((await request(server, '/scripts/..%2F.git/config')).status).toBe(403);
+    expect((await request(server, '/scripts%5C..%5Cdesign.md')).status).toBe(403);
+  });
+
+  test('只接受 GET 和 HEAD 请求', async () => {
+    expect((await request(server, '/index.html', 'POST')).status).toBe(405);
+    const head = await request(server, '/index.html', 'HEAD');
+    expect(head.status).toBe(200);
+    expect(head.body).toBeUndefined();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Matchmaker 测试
+ * 验收标准：排队玩家按积分两两配对，10秒内没有对手时由AI坐下对手座位，客户端得到的结果与真人对局相同
+ */
+
+import { Matchmaker } from '../../scripts/online/Matchmaker.js';
+import { RoomManager } from '../../scripts/online/RoomManager.js';
+import { EnhancedAIPlayer } from '../../scripts/ai/EnhancedAIPlayer.js';
+
+const createClient = () => ({ messages: [], send(message) { this.messages.push(message); } });
+
+describe('Matchmaker Tests', () => {
+  let roomManager;
+  let matchmaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    roomManager = new RoomManager({ seed: 5, aiOptions: { thinkingDelay: false } });
+    matchmaker = new Matchmaker(roomManager);
+  });
+
+  afterEach(() => {
+    matchmaker.stop();
+    jest.useRealTimers();
+  });
+
+  test('两位玩家排队后立即配对到同一房间', async () => {
+    const first = matchmaker.enqueue(createClient());
+    const second = matchmaker.enqueue(createClient());
+
+    const [a, b] = await Promise.all([first, second]);
+
+    expect(a).toEqual({ success: true, data: { code: b.data.code, seat: 'player', token: expect.any(String) } });
+    expect(b.data.seat).toBe('ai');
+    expect(roomManager.getRoom(a.data.code).engine.gameState.phase).toBe('playing');
+    expect(matchmaker.size()).toBe(0);
+  });
+
+  test('优先配对积分最接近的对手', async () => {
+    const strong = createClient();
+    const close = createClient();
+    const pending = matchmaker.enqueue(createClient(), { rating: 1500 });
+    matchmaker.enqueue(strong, { rating: 1900 });
+
+    expect(matchmaker.size()).toBe(2);
+
+    const matched = matchmaker.enqueue(close, { rating: 1550 });
+    const [a, b] = await Promise.all([pending, matched]);
+
+    expect(a.data.code).toBe(b.data.code);
+    expect(matchmaker.isQueued(strong)).toBe(true);
+  });
+
+  test('等待越久可接受的积分差越大', async () => {
+    const low = matchmaker.enqueue(createClient(), { rating: 1200 });
+    const high = matchmaker.enqueue(createClient(), { rating: 1500 });
+
+    // 初始可接受100分差，每秒放宽50分，4秒后才能接受300分差
+    jest.advanceTimersByTime(3000);
+    expect(matchmaker.size()).toBe(2);
+
+    jest.advanceTimersByTime(1000);
+    const [a, b] = await Promise.all([low, high]);
+
+    expect(a.data.code).toBe(b.data.code);
+  });
+
+  test('超时后由所选难度的AI坐下对手座位', async () => {
+    const client = createClient();
+    const pending = matchmaker.enqueue(client, { difficulty: 'hard' });
+
+    jest.advanceTimersByTime(9999);
+    expect(matchmaker.isQueued(client)).toBe(true);
+
+    jest.advanceTimersByTime(1);
+    const result = await pending;
+    const room = roomManager.getRoom(result.data.code);
+
+    expect(result).toEqual({ success: true, data: { code: room.code, seat: 'player', token: expect.any(String) } });
+    expect(room.seats.ai).toBeInstanceOf(EnhancedAIPlayer);
+    expect(room.seats.ai.difficulty).toBe('hard');
+    expect(room.engine.gameState.phase).toBe('playing');
+    // 客户端收到的开局消息与真人对局相同
+    expect(client.messages.some(message => message.name === 'boardInitialized')).toBe(true);
+  });
+
+  test('取消匹配后不再安排对手', async () => {
+    const client = createClient();
+    const pending = matchmaker.enqueue(client);
+
+    expect(matchmaker.cancel(client)).toBe(true);
+    expect((await pending).error.code).toBe('MATCH_CANCELLED');
+
+    jest.advanceTimersByTime(10000);
+    expect(roomManager.rooms.size).toBe(0);
+    expect(matchmaker.cancel(client)).toBe(false);
+  });
+
+  test('重复排队和无效难度返回错误', async () => {
+    const client = createClient();
+    matchmaker.enqueue(client);
+
+    expect((await matchmaker.enqueue(client)).error.code).toBe('ALREADY_QUEUED');
+    expect((await matchmaker.enqueue(createClient(), { difficulty: 'godlike' })).error.code).toBe('INVALID_DIFFICULTY');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Protocol 测试
+ * 验收标准：局面差量应用后与完整局面一致，发给 ai 座位的事件数据双方身份互换
+ */
+
+import { Protocol } from '../../scripts/online/Protocol.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { ObservationView } from '../../scripts/core/ObservationView.js';
+
+const viewJSON = (engine, side = 'player') =>
+  JSON.parse(JSON.stringify(ObservationView.fromGameState(engine.gameState, side).toJSON()));
+
+describe('Protocol Tests', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new GameEngine({ seed: 31, mode: 'hotseat' });
+    engine.startNewGame();
+    engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+    engine.initializeBoard();
+  });
+
+  test('没有基准局面时发送完整局面', () => {
+    const state = viewJSON(engine);
+    const diff = Protocol.diffState(null, state);
+
+    expect(diff).toEqual({ full: state });
+    expect(Protocol.applyDiff(null, diff)).toEqual(state);
+  });
+
+  test('差量只包含变化的字段、卡牌和新增日志', () => {
+    const before = viewJSON(engine);
+    engine.flipCard(0, 0, 'player');
+    const after = viewJSON(engine);
+
+    const diff = Protocol.diffState(before, after);
+
+    expect(diff.fields).toHaveProperty('currentPlayer', 'ai');
+    expect(diff.fields).not.toHaveProperty('phase');
+    expect(diff.cards).toHaveLength(1);
+    expect(diff.removedCards).toEqual(['hidden_0_0']);
+    expect(diff.logReset).toBe(false);
+    expect(diff.log).toEqual(after.gameLog.slice(before.gameLog.length));
+    expect(Protocol.applyDiff(before, diff)).toEqual(after);
+  });
+
+  test('连续应用差量后与服务器局面一致', () => {
+    let clientState = null;
+    let serverState = viewJSON(engine);
+    clientState = Protocol.applyDiff(clientState, Protocol.diffState(null, serverState));
+
+    [[0, 0, 'player'], [4, 3, 'ai'], [0, 1, 'player'], [4, 2, 'ai']].forEach(([row, col, seat]) => {
+      engine.flipCard(row, col, seat);
+      const next = viewJSON(engine);
+      clientState = Protocol.applyDiff(clientState, Protocol.diffState(serverState, next));
+      serverState = next;
+    });
+
+    expect(clientState).toEqual(serverState);
+  });
+
+  test('新开一局时日志整体替换', () => {
+    engine.flipCard(0, 0, 'player');
+    const before = viewJSON(engine);
+    engine.startNewGame();
+    const after = viewJSON(engine);
+
+    const diff = Protocol.diffState(before, after);
+
+    expect(diff.logReset).toBe(true);
+    expect(Protocol.applyDiff(before, diff)).toEqual(after);
+  });
+
+  test('事件数据中的座位和成对字段互换', () => {
+    const mirrored = Protocol.mirrorPayload({
+      winner: 'player',
+      flippedCard: { owner: 'ai', faction: 'dragon' },
+      playerFaction: 'dragon',
+      aiFaction: 'tiger',
+      playerChoice: 'rock',
+      aiChoice: 'paper',
+      reason: 'draw'
+    });
+
+    expect(mirrored).toEqual({
+      winner: 'ai',
+      flippedCard: { owner: 'player', faction: 'dragon' },
+      playerFaction: 'tiger',
+      aiFaction: 'dragon',
+      playerChoice: 'paper',
+      aiChoice: 'rock',
+      reason: 'draw'
+    });
+  });
+
+  test('错误对象格式与引擎一致', () => {
+    expect(Protocol.createError('ROOM_NOT_FOUND', { code: 'X' })).toEqual({
+      success: false,
+      error: { code: 'ROOM_NOT_FOUND', message: '房间不存在', details: { code: 'X' } }
+    });
+  });
+});
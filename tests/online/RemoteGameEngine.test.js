@@ -0,0 +1,315 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * RemoteGameEngine 测试
+ * 验收标准：客户端引擎与 GameEngine 接口一致，操作经服务器校验执行，两个客户端的局面保持同步
+ */
+
+import { RemoteGameEngine } from '../../scripts/online/RemoteGameEngine.js';
+import { GameServer } from '../../scripts/online/GameServer.js';
+
+// 不经过网络，直接把浏览器端 WebSocket 接到服务器上的模拟连接
+const createLoopback = server => class LoopbackSocket {
+  constructor() {
+    this.readyState = 0;
+    this.listeners = {};
+    this.serverSide = {
+      handlers: {},
+      on: (event, callback) => { this.serverSide.handlers[event] = callback; },
+      send: message => this.fire('message', { data: JSON.stringify(message) }),
+      close: () => this.close()
+    };
+    queueMicrotask(() => {
+      this.readyState = 1;
+      server.addConnection(this.serverSide);
+      this.fire('open', {});
+    });
+  }
+
+  addEventListener(event, callback) {
+    (this.listeners[event] = this.listeners[event] || []).push(callback);
+  }
+
+  fire(event, data) {
+    (this.listeners[event] || []).forEach(callback => callback(data));
+  }
+
+  send(text) {
+    this.serverSide.handlers.message(JSON.parse(text));
+  }
+
+  close() {
+    if (this.readyState === 3) return;
+    this.readyState = 3;
+    this.serverSide.handlers.close();
+    this.fire('close', {});
+  }
+};
+
+// 模拟 sessionStorage
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+};
+
+// 测试结束后关闭房间，停止走棋计时
+const servers = [];
+const createServer = (options = { seed: 9 }) => {
+  const server = new GameServer(options);
+  servers.push(server);
+  return server;
+};
+
+const connectPair = async (options = {}) => {
+  const server = createServer();
+  const WebSocket = createLoopback(server);
+  const host = new RemoteGameEngine({ url: 'ws://test/ws', WebSocket, ...options });
+  const guest = new RemoteGameEngine({ url: 'ws://test/ws', WebSocket, ...options });
+  await host.connect();
+  await guest.connect();
+  const created = await host.createRoom();
+  await guest.joinRoom(created.data.code);
+  return { server, host, guest };
+};
+
+describe('RemoteGameEngine Tests', () => {
+  afterEach(() => {
+    servers.splice(0).forEach(server => server.roomManager.closeAll());
+  });
+
+  test('通过邀请码加入房间后双方以 player 自居开始对局', async () => {
+    const { host, guest } = await connectPair();
+
+    expect(host.seat).toBe('player');
+    expect(guest.seat).toBe('ai');
+    expect(host.gameState.phase).toBe('playing');
+    expect(guest.gameState.phase).toBe('playing');
+    expect(host.gameState.side).toBe('player');
+    expect(guest.gameState.side).toBe('player');
+    // 同一时刻只有一方轮到行动
+    expect([host, guest].filter(engine => engine.gameState.currentPlayer === 'player')).toHaveLength(1);
+  });
+
+  test('翻牌由服务器执行，双方局面同步且对手看不到底牌', async () => {
+    const { host, guest } = await connectPair();
+    const mover = host.gameState.currentPlayer === 'player' ? host : guest;
+    const other = mover === host ? guest : host;
+    const flipped = jest.fn();
+    other.on('cardFlipped', flipped);
+
+    const result = mover.flipCard(0, 0);
+    await Promise.resolve();
+
+    expect(result).toMatchObject({ success: true, pending: true });
+    expect(mover.gameState.getCardAt(0, 0).isRevealed).toBe(true);
+    expect(other.gameState.getCardAt(0, 0).name).toBe(mover.gameState.getCardAt(0, 0).name);
+    expect(other.gameState.currentPlayer).toBe('player');
+    expect(mover.gameState.currentPlayer).toBe('ai');
+    expect(flipped).toHaveBeenCalledWith(expect.objectContaining({ factionAssigned: true }));
+    expect(other.gameState.getCardAt(0, 1).faction).toBeNull();
+  });
+
+  test('不是本方回合时本地直接拒绝', async () => {
+    const { host, guest } = await connectPair();
+    const waiting = host.gameState.currentPlayer === 'player' ? guest : host;
+
+    expect(waiting.flipCard(0, 0).error.code).toBe('NOT_YOUR_TURN');
+    expect(waiting.undo().error.code).toBe('UNDO_DISABLED');
+    expect((await waiting.executeAITurn()).error.code).toBe('NOT_AVAILABLE_ONLINE');
+  });
+
+  test('认输交给服务器执行，双方收到对局结束', async () => {
+    const { host, guest } = await connectPair();
+    const waiting = host.gameState.currentPlayer === 'player' ? guest : host;
+    const other = waiting === host ? guest : host;
+    const ended = jest.fn();
+    other.on('gameEnded', ended);
+
+    const result = waiting.resign();
+    await Promise.resolve();
+
+    expect(result).toMatchObject({ success: true, pending: true });
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ winner: 'player' }));
+    expect(waiting.gameState.winner).toBe('ai');
+    expect(waiting.resign().error.code).toBe('INVALID_GAME_PHASE');
+  });
+
+  test('和棋提议经服务器转告对手，对手在本地同意后双方以和棋结束', async () => {
+    const { host, guest } = await connectPair();
+    const mover = host.gameState.currentPlayer === 'player' ? host : guest;
+    const other = mover === host ? guest : host;
+    const offered = jest.fn();
+    other.on('drawOffered', offered);
+
+    expect(other.offerDraw().error.code).toBe('NOT_YOUR_TURN');
+    expect(other.respondToDraw('player', true).error.code).toBe('NO_DRAW_OFFER');
+    expect(mover.offerDraw()).toMatchObject({ success: true, pending: true });
+    await Promise.resolve();
+
+    expect(offered).toHaveBeenCalledWith(expect.objectContaining({ seat: 'ai' }));
+    expect(other.getDrawOffer()).toMatchObject({ seat: 'ai' });
+    expect(mover.getDrawOffer()).toMatchObject({ seat: 'player' });
+    expect(mover.offerDraw().error.code).toBe('DRAW_ALREADY_OFFERED');
+    expect(mover.respondToDraw('player', true).error.code).toBe('NO_DRAW_OFFER');
+
+    expect(other.respondToDraw('player', true)).toMatchObject({ success: true, pending: true });
+    await Promise.resolve();
+
+    expect(mover.gameState.winner).toBe('draw');
+    expect(other.gameState.winner).toBe('draw');
+  });
+
+  test('选牌和可走位置在本地视图上计算', async () => {
+    const { host, guest } = await connectPair();
+    const first = host.gameState.currentPlayer === 'player' ? host : guest;
+    const second = first === host ? guest : host;
+
+    // 第一张翻开的卡牌决定翻牌方的阵营
+    first.flipCard(0, 0);
+    second.flipCard(4, 0);
+    const selected = jest.fn();
+    first.on('cardSelected', selected);
+
+    expect(first.gameState.getCardAt(0, 0).faction).toBe(first.gameState.playerFaction);
+    expect(first.selectCard(0, 0).success).toBe(true);
+    expect(selected).toHaveBeenCalled();
+    expect(first.getValidMoves(0, 0)).toEqual(first.localEngine.getValidMoves(0, 0));
+    expect(first.moveCard(0, 0, 4, 3).error.code).toBe('INVALID_MOVE');
+    expect(second.selectCard(4, 0).error.code).toBe('NOT_YOUR_TURN');
+  });
+
+  test('加入不存在的房间返回错误', async () => {
+    const server = createServer({ seed: 1 });
+    const engine = new RemoteGameEngine({ url: 'ws://test/ws', WebSocket: createLoopback(server) });
+    await engine.connect();
+
+    const result = await engine.joinRoom('NOPE99');
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('ROOM_NOT_FOUND');
+    expect(engine.seat).toBeNull();
+  });
+
+  test('快速匹配：两人排队时配对，无人时由AI对手代替且客户端无从区分', async () => {
+    const server = createServer({ seed: 4, matchTimeout: 20, aiOptions: { thinkingDelay: false } });
+    const WebSocket = createLoopback(server);
+    const [a, b, solo] = [0, 1, 2].map(() => new RemoteGameEngine({ url: 'ws://test/ws', WebSocket }));
+    await Promise.all([a.connect(), b.connect(), solo.connect()]);
+
+    const [ra, rb] = await Promise.all([a.findMatch(), b.findMatch()]);
+    expect(ra.data.code).toBe(rb.data.code);
+    expect(a.gameState.phase).toBe('playing');
+
+    const result = await solo.findMatch({ difficulty: 'easy' });
+    expect(result).toMatchObject({ success: true, data: { seat: 'player' } });
+    expect(solo.gameState.phase).toBe('playing');
+    expect(solo.getSeatName('ai')).toBe('对手');
+    expect(server.roomManager.getRoom(result.data.code).aiSeats.has('ai')).toBe(true);
+
+    // 对手先手时AI会自动行动
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(solo.gameState.currentPlayer).toBe('player');
+    solo.disconnect();
+  });
+
+  test('观战者看到双方对局但不能操作', async () => {
+    const { server, host, guest } = await connectPair();
+    const mover = host.gameState.currentPlayer === 'player' ? host : guest;
+    await mover.flipCard(0, 0);
+
+    const watcher = new RemoteGameEngine({ url: 'ws://test/ws', WebSocket: createLoopback(server) });
+    await watcher.connect();
+    const result = await watcher.spectate(host.roomCode.toLowerCase());
+
+    expect(result.data.seat).toBe('spectator');
+    expect(watcher.isSpectator()).toBe(true);
+    expect(watcher.gameState.getCardAt(0, 0).isRevealed).toBe(true);
+    expect(watcher.gameState.gameLog.some(entry => entry.type === 'flip')).toBe(true);
+    expect(watcher.getSeatName('player')).toBe('玩家1');
+    expect(watcher.isHumanSeat(watcher.gameState.currentPlayer)).toBe(false);
+
+    const { row, col } = watcher.gameState.getUnrevealedPositions()[0];
+    expect(watcher.flipCard(row, col).error.code).toBe('SPECTATOR_READ_ONLY');
+
+    const flipped = jest.fn();
+    watcher.on('cardFlipped', flipped);
+    const next = host.gameState.currentPlayer === 'player' ? host : guest;
+    await next.flipCard(row, col);
+    expect(flipped).toHaveBeenCalled();
+    expect(watcher.gameState.getCardAt(row, col).isRevealed).toBe(true);
+
+    [host, guest, watcher].forEach(engine => engine.disconnect());
+  });
+
+  test('连接意外断开后自动重连，补上断线期间的对局', async () => {
+    const { host, guest } = await connectPair({ reconnectDelays: [5] });
+    const mover = host.gameState.currentPlayer === 'player' ? host : guest;
+    const dropped = mover === host ? guest : host;
+    const events = [];
+    ['opponentDisconnected', 'opponentReconnected'].forEach(name => mover.on(name, () => events.push(name)));
+    const reconnecting = jest.fn();
+    dropped.on('reconnecting', reconnecting);
+
+    dropped.socket.close();
+    expect(reconnecting).toHaveBeenCalledWith({ attempt: 1, delay: 5 });
+    expect(events).toEqual(['opponentDisconnected']);
+    expect(mover.getClock().running).toBe(false);
+
+    await mover.flipCard(0, 0);
+    const reconnected = await new Promise(resolve => dropped.on('reconnected', resolve));
+
+    expect(reconnected.seat).toBe(dropped.seat);
+    expect(events).toEqual(['opponentDisconnected', 'opponentReconnected']);
+    expect(dropped.gameState.getCardAt(0, 0).isRevealed).toBe(true);
+    expect(dropped.gameState.currentPlayer).toBe('player');
+    expect(dropped.getClock()).toMatchObject({ seat: 'player', running: true, moveRemaining: expect.any(Number) });
+
+    [host, guest].forEach(engine => engine.disconnect());
+  });
+
+  test('刷新页面后凭保存的会话回到对局', async () => {
+    const storage = createStorage();
+    const { server, host, guest } = await connectPair({ storage });
+    expect(RemoteGameEngine.loadSession(storage)).toMatchObject({ code: host.roomCode, seat: 'ai' });
+
+    // 模拟刷新：旧页面的连接直接断开（不再自动重连），新页面只有保存的会话
+    guest.leaving = true;
+    guest.socket.close();
+    const refreshed = new RemoteGameEngine({ url: 'ws://test/ws', WebSocket: createLoopback(server), storage });
+    await refreshed.connect();
+    const result = await refreshed.resume();
+
+    expect(result.data.seat).toBe('ai');
+    expect(refreshed.gameState.cardsData).toHaveLength(host.gameState.cardsData.length);
+    expect(refreshed.gameState.phase).toBe('playing');
+    expect(refreshed.gameState.currentPlayer).toBe(host.gameState.currentPlayer === 'player' ? 'ai' : 'player');
+
+    refreshed.disconnect();
+    expect(RemoteGameEngine.loadSession(storage)).toBeNull();
+    host.disconnect();
+    expect(server.roomManager.rooms.size).toBe(0);
+  });
+
+  test('对手断开后收到通知，本方断开后房间回收', async () => {
+    const { server, host, guest } = await connectPair();
+    const left = jest.fn();
+    const disconnected = jest.fn();
+    host.on('opponentLeft', left);
+    guest.on('disconnected', disconnected);
+
+    guest.disconnect();
+
+    expect(left).toHaveBeenCalled();
+    expect(disconnected).toHaveBeenCalled();
+    expect((await guest.createRoom()).error.code).toBe('NOT_CONNECTED');
+
+    host.disconnect();
+    expect(server.roomManager.rooms.size).toBe(0);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * WebSocketConnection 测试
+ * 验收标准：按 RFC 6455 完成握手，正确解析带掩码、分片和分包到达的帧
+ */
+
+import { EventEmitter } from 'events';
+import { WebSocketConnection } from '../../scripts/online/WebSocketConnection.js';
+
+// 模拟TCP连接，记录写出的数据
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.written = [];
+    this.ended = false;
+  }
+
+  write(data) {
+    this.written.push(data);
+  }
+
+  end(data) {
+    if (data) this.written.push(data);
+    this.ended = true;
+  }
+
+  setNoDelay() {}
+}
+
+// 按浏览器的方式编码客户端帧（必须带掩码）
+const clientFrame = (text, { opcode = 0x1, fin = true } = {}) => {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+  const masked = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+  const header = payload.length < 126 ?
+    Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]) :
+    Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xFF]);
+  return Buffer.concat([header, mask, masked]);
+};
+
+const openConnection = () => {
+  const socket = new FakeSocket();
+  const connection = WebSocketConnection.accept({
+    headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+  }, socket);
+  const messages = [];
+  connection.on('message', message => messages.push(message));
+  return { socket, connection, messages };
+};
+
+describe('WebSocketConnection Tests', () => {
+  test('握手应答使用 RFC 6455 示例中的 Accept 值', () => {
+    const { socket } = openConnection();
+
+    expect(WebSocketConnection.computeAcceptKey('dGhlIHNhbXBsZSBub25jZQ==')).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    expect(socket.written[0]).toContain('HTTP/1.1 101 Switching Protocols');
+    expect(socket.written[0]).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  test('缺少升级头的请求被拒绝', () => {
+    const socket = new FakeSocket();
+
+    expect(WebSocketConnection.accept({ headers: {} }, socket)).toBeNull();
+    expect(socket.ended).toBe(true);
+  });
+
+  test('解析带掩码的JSON消息，包括分包到达的长消息', () => {
+    const { connection, messages } = openConnection();
+    const long = JSON.stringify({ type: 'action', padding: 'x'.repeat(300) });
+    const frame = clientFrame(long);
+
+    connection.handleData(Buffer.concat([clientFrame('{"type":"createRoom","id":1}'), frame.subarray(0, 5)]));
+    expect(messages).toEqual([{ type: 'createRoom', id: 1 }]);
+
+    connection.handleData(frame.subarray(5));
+    expect(messages[1]).toEqual(JSON.parse(long));
+  });
+
+  test('拼接分片消息', () => {
+    const { connection, messages } = openConnection();
+
+    connection.handleData(clientFrame('{"type":', { fin: false }));
+    connection.handleData(clientFrame('"rematch"}', { opcode: 0x0 }));
+
+    expect(messages).toEqual([{ type: 'rematch' }]);
+  });
+
+  test('分片累计超过上限时以1009关闭连接', () => {
+    const { socket, connection, messages } = openConnection();
+    const piece = 'x'.repeat(8000);
+
+    connection.handleData(clientFrame(piece, { fin: false }));
+    for (let i = 0; i < 8; i++) {
+      connection.handleData(clientFrame(piece, { opcode: 0x0, fin: false }));
+    }
+
+    expect(connection.isOpen).toBe(false);
+    expect(connection.fragments).toEqual([]);
+    const frame = WebSocketConnection.decodeFrame(socket.written[socket.written.length - 1]);
+    expect(frame.opcode).toBe(0x8);
+    expect(frame.payload.readUInt16BE(0)).toBe(1009);
+    expect(messages).toEqual([]);
+  });
+
+  test('发送的帧可以被解码', () => {
+    const { socket, connection } = openConnection();
+
+    connection.send({ type: 'state', seq: 1 });
+    const frame = WebSocketConnection.decodeFrame(socket.written[1]);
+
+    expect(frame.fin).toBe(true);
+    expect(frame.opcode).toBe(0x1);
+    expect(JSON.parse(frame.payload.toString('utf8'))).toEqual({ type: 'state', seq: 1 });
+  });
+
+  test('无法解析的消息不会作为 message 抛出', () => {
+    const { connection, messages } = openConnection();
+    const invalid = [];
+    connection.on('invalidMessage', data => invalid.push(data));
+
+    connection.handleData(clientFrame('not json'));
+
+    expect(messages).toEqual([]);
+    expect(invalid).toEqual([{ text: 'not json' }]);
+  });
+
+  test('收到关闭帧后关闭连接并只触发一次 close', () => {
+    const { socket, connection } = openConnection();
+    const closed = jest.fn();
+    connection.on('close', closed);
+
+    connection.handleData(clientFrame('', { opcode: 0x8 }));
+    socket.emit('close');
+
+    expect(connection.isOpen).toBe(false);
+    expect(socket.ended).toBe(true);
+    expect(closed).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * MatchRunner 类测试
+ * 验收标准：任意两个AI实现可以在无DOM、无思考延时的情况下批量对战，并输出胜率、对局长度和先手优势
+ */
+
+import { MatchRunner, PLAYER_FACTORIES } from '../../scripts/sim/MatchRunner.js';
+import { SeatEngine } from '../../scripts/ai/SeatEngine.js';
+import { StrategyPlayer } from '../../scripts/sim/StrategyPlayer.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { ObservationView } from '../../scripts/core/ObservationView.js';
+
+const startGame = (firstPlayer = 'player') => {
+  const engine = new GameEngine({ seed: 7 });
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer });
+  engine.initializeBoard();
+  return engine;
+};
+
+describe('MatchRunner Class Tests', () => {
+
+  test('坐在player一方的座位应该看到互换身份的镜像局面', () => {
+    const engine = startGame('player');
+    const hidden = engine.gameState.getCardsOnBoard().find(card => !card.isRevealed);
+    engine.flipCard(hidden.position.row, hidden.position.col);
+
+    const seat = new SeatEngine(engine, 'player');
+    const view = seat.gameState;
+
+    expect(view.currentPlayer).toBe('player');
+    expect(view.aiFaction).toBe(engine.gameState.playerFaction);
+    expect(view.playerFaction).toBe(engine.gameState.aiFaction);
+    expect(view.getCardAt(hidden.position.row, hidden.position.col).owner).toBe('ai');
+
+    // 镜像局面是副本，真实局面不受影响
+    expect(engine.gameState.getCardAt(hidden.position.row, hidden.position.col).owner).toBe('player');
+    expect(new SeatEngine(engine, 'ai').gameState).toBeInstanceOf(ObservationView);
+    expect(view).toBeInstanceOf(ObservationView);
+    expect(view.side).toBe('ai');
+    expect(() => new SeatEngine(engine, 'spectator')).toThrow();
+  });
+
+  test('座位引擎应该以本座位身份执行操作', () => {
+    const engine = startGame('player');
+    const seat = new SeatEngine(engine, 'player');
+    const hidden = engine.gameState.getCardsOnBoard().find(card => !card.isRevealed);
+
+    // AI实现总是以ai身份调用，座位引擎映射回真实座位
+    const result = seat.flipCard(hidden.position.row, hidden.position.col, 'ai');
+    expect(result.success).toBe(true);
+    expect(engine.gameState.gameLog.filter(entry => entry.type === 'flip')[0].player).toBe('player');
+    expect(engine.gameState.currentPlayer).toBe('ai');
+    // 镜像视角中轮到对手（在镜像里是 player）
+    expect(seat.gameState.currentPlayer).toBe('player');
+  });
+
+  test('纯策略AI应该从合法着法中选择并执行', async () => {
+    const engine = startGame('ai');
+    const player = new StrategyPlayer(new SeatEngine(engine, 'ai'));
+
+    expect(player.getAvailableMoves().every(move => move.type === 'flip')).toBe(true);
+
+    const result = await player.executeTurn();
+    expect(result.success).toBe(true);
+    expect(result.action).toBe('flip');
+    expect(engine.gameState.currentPlayer).toBe('player');
+  });
+
+  test('应该解析参赛者配置', () => {
+    expect(MatchRunner.parseCompetitor('enhanced:hard')).toEqual({
+      type: 'enhanced', difficulty: 'hard', name: 'enhanced:hard#1'
+    });
+    expect(MatchRunner.parseCompetitor({ type: 'strategy', name: 'baseline' }, 1)).toEqual({
+      type: 'strategy', difficulty: 'medium', name: 'baseline'
+    });
+    expect(() => MatchRunner.parseCompetitor('unknown')).toThrow();
+    expect(() => new MatchRunner({ competitors: ['enhanced'] })).toThrow();
+  });
+
+  test('应该轮换座位与先手并输出统计', async () => {
+    const runner = new MatchRunner({ competitors: ['enhanced', 'strategy'], games: 4, seed: 42, maxTurns: 60 });
+    const completed = [];
+    runner.on('gameCompleted', ({ index }) => completed.push(index));
+
+    const summary = await runner.run();
+
+    expect(completed).toEqual([0, 1, 2, 3]);
+    expect(runner.results.map(result => result.seating.player)).toEqual([0, 1, 0, 1]);
+    expect(runner.results.map(result => result.firstPlayer)).toEqual(['player', 'player', 'ai', 'ai']);
+    expect(summary.competitors.map(competitor => competitor.firstMoveGames)).toEqual([2, 2]);
+
+    summary.competitors.forEach(competitor => {
+      expect(competitor.wins + competitor.draws + competitor.losses).toBe(4);
+      expect(competitor.winRate + competitor.drawRate + competitor.lossRate).toBeCloseTo(1);
+    });
+    expect(summary.competitors[0].wins).toBe(summary.competitors[1].losses);
+    expect(summary.averageTurns).toBeGreaterThan(0);
+    expect(summary.averageTurns).toBeLessThanOrEqual(60);
+  });
+
+  test('每种AI都应该能下完整局，不因无法行动而判负', async () => {
+    for (const type of Object.keys(PLAYER_FACTORIES)) {
+      const runner = new MatchRunner({ competitors: [`${type}:easy`, 'enhanced:easy'], games: 4, seed: 7, maxTurns: 150 });
+      const summary = await runner.run();
+
+      expect({ type, errors: summary.errors }).toEqual({ type, errors: 0 });
+    }
+  });
+
+  test('相同种子应该复现整批对局', async () => {
+    const options = { competitors: ['strategy', 'enhanced:easy'], games: 2, seed: 'repro', maxTurns: 40 };
+    const first = await new MatchRunner(options).run();
+    const second = await new MatchRunner(options).run();
+
+    expect(second).toEqual(first);
+  });
+
+  test('超过回合上限应该判为平局', async () => {
+    const runner = new MatchRunner({ competitors: ['strategy', 'strategy'], games: 1, seed: 1, maxTurns: 3 });
+    const summary = await runner.run();
+
+    expect(runner.results[0].turns).toBe(3);
+    expect(runner.results[0].winner).toBe(null);
+    expect(runner.results[0].reason).toContain('回合上限');
+    expect(summary.draws).toBe(1);
+  });
+
+  test('应该统计先手优势', () => {
+    const results = [
+      { first: 0, winner: 0, turns: 10, battles: 2, error: null },
+      { first: 1, winner: 1, turns: 20, battles: 4, error: null },
+      { first: 0, winner: 1, turns: 30, battles: 0, error: null },
+      { first: 1, winner: null, turns: 40, battles: 2, error: null }
+    ];
+    const summary = MatchRunner.summarize(results, [{ name: 'A' }, { name: 'B' }]);
+
+    expect(summary.averageTurns).toBe(25);
+    expect(summary.averageBattles).toBe(2);
+    expect(summary.firstMover).toEqual({ wins: 2, draws: 1, losses: 1, winRate: 0.5, advantage: 0.25 });
+    expect(summary.competitors[1].wins).toBe(2);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * RatingCalibrator 类测试
+ * 验收标准：各AI档位两两自我对弈后按全部对局拟合等级分，以基准档位为1500分
+ */
+
+import { RatingCalibrator } from '../../scripts/sim/RatingCalibrator.js';
+import { Rating } from '../../scripts/core/Rating.js';
+
+describe('RatingCalibrator Class Tests', () => {
+
+  test('拟合的分差与对局得分率一致', () => {
+    const ratings = RatingCalibrator.fit(['a', 'b'], [{ a: 'a', b: 'b', wins: 28, draws: 0, losses: 9 }], 'b');
+
+    expect(ratings.b.rating).toBe(1500);
+    // 计入一局虚拟平局后 a 的得分率为 3/4
+    expect(Rating.expectedScore({ rating: ratings.a.rating }, { rating: ratings.b.rating })).toBeCloseTo(0.75, 2);
+    expect(ratings.a).toMatchObject({ games: 37 });
+    expect(ratings.a.score).toBeCloseTo(28 / 37);
+    expect(ratings.a.rd).toBeGreaterThan(0);
+  });
+
+  test('全胜的档位分数不发散，排序与实力一致', () => {
+    const ratings = RatingCalibrator.fit(['weak', 'middle', 'strong'], [
+      { a: 'weak', b: 'middle', wins: 2, draws: 2, losses: 6 },
+      { a: 'weak', b: 'strong', wins: 0, draws: 0, losses: 10 },
+      { a: 'middle', b: 'strong', wins: 3, draws: 1, losses: 6 }
+    ], 'middle');
+
+    expect(ratings.middle.rating).toBe(1500);
+    expect(ratings.weak.rating).toBeLessThan(ratings.middle.rating);
+    expect(ratings.strong.rating).toBeGreaterThan(ratings.middle.rating);
+    expect(Number.isFinite(ratings.strong.rating)).toBe(true);
+    expect(ratings.strong.rating - ratings.weak.rating).toBeLessThan(1000);
+  });
+
+  test('运行各对档位的对局并报告进度', async () => {
+    const calibrator = new RatingCalibrator({ tiers: ['strategy:easy', 'enhanced:easy'], gamesPerPair: 2, seed: 5 });
+    const progress = [];
+    calibrator.on('pairCompleted', data => progress.push(data));
+
+    const result = await calibrator.run();
+
+    expect(progress).toEqual([expect.objectContaining({ a: 'strategy:easy', b: 'enhanced:easy', completed: 1, total: 1 })]);
+    expect(result.pairs[0].wins + result.pairs[0].draws + result.pairs[0].losses).toBe(2);
+    expect(result.ratings['strategy:easy'].rating).toBe(1500);
+    expect(result.ratings['enhanced:easy'].games).toBe(2);
+    expect(() => new RatingCalibrator({ tiers: ['enhanced:easy'] })).toThrow();
+  }, 60000);
+});
@@ -0,0 +1,95 @@
+/**
+ * AIAnalysisOverlay 类测试
+ * 验收标准：列出AI比较过的候选行动（访问次数和胜率），在棋盘上标出目标格子，隐藏时清理干净
+ */
+
+import { AIAnalysisOverlay } from '../../scripts/ui/AIAnalysisOverlay.js';
+
+const createCells = () => Array.from({ length: 20 }, (_, index) => {
+  const cell = document.createElement('div');
+  cell.className = 'board-cell';
+  cell.dataset.row = Math.floor(index / 4);
+  cell.dataset.col = index % 4;
+  return cell;
+});
+
+const createUIManager = cells => ({
+  document,
+  elements: { gameContainer: document.body },
+  boardRenderer: {
+    getCellByPosition: jest.fn((row, col) => cells[row * 4 + col])
+  }
+});
+
+const analysis = {
+  iterations: 200,
+  elapsed: 12,
+  candidates: [
+    { decision: { type: 'attack', from: { row: 0, col: 0 }, to: { row: 0, col: 1 }, description: '龙王攻击虎二' }, visits: 120, winRate: 0.734 },
+    { decision: { type: 'flip', position: { row: 3, col: 2 }, description: '翻开(3,2)的卡牌' }, visits: 50, winRate: 0.41 },
+    { decision: { type: 'move', from: { row: 0, col: 0 }, to: { row: 0, col: 1 }, description: '移动龙王到(0,1)' }, visits: 30, winRate: 0.2 }
+  ]
+};
+
+describe('AIAnalysisOverlay Class Tests', () => {
+
+  let cells;
+  let overlay;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    cells = createCells();
+    overlay = new AIAnalysisOverlay(createUIManager(cells));
+  });
+
+  test('应该列出候选行动的访问次数和胜率', () => {
+    overlay.show(analysis);
+
+    const panel = document.getElementById('ai-analysis');
+    const items = panel.querySelectorAll('.ai-analysis-item');
+    expect(overlay.isVisible()).toBe(true);
+    expect(panel.querySelector('.ai-analysis-title').textContent).toBe('AI考虑了…');
+    expect(items.length).toBe(3);
+    expect(items[0].classList.contains('chosen')).toBe(true);
+    expect(items[0].querySelector('.ai-analysis-move').textContent).toBe('龙王攻击虎二');
+    expect(items[0].querySelector('.ai-analysis-visits').textContent).toBe('120次');
+    expect(items[0].querySelector('.ai-analysis-rate').textContent).toBe('73%');
+  });
+
+  test('应该在棋盘上标出目标格子，同一格子保留最高排名', () => {
+    overlay.show(analysis);
+
+    expect(cells[1].classList.contains('ai-candidate')).toBe(true);
+    expect(cells[1].dataset.aiRank).toBe('1');
+    expect(cells[14].dataset.aiRank).toBe('2');
+    expect(cells.filter(cell => cell.classList.contains('ai-candidate')).length).toBe(2);
+  });
+
+  test('棋盘重新渲染后应该能重新标记', () => {
+    overlay.show(analysis);
+    cells.forEach(cell => { cell.className = 'board-cell'; });
+
+    overlay.markCells();
+
+    expect(cells[1].classList.contains('ai-candidate')).toBe(true);
+    expect(cells[14].classList.contains('ai-candidate')).toBe(true);
+  });
+
+  test('隐藏时应该移除浮层和标记', () => {
+    overlay.show(analysis);
+    overlay.hide();
+
+    expect(overlay.isVisible()).toBe(false);
+    expect(document.getElementById('ai-analysis')).toBeNull();
+    expect(cells.some(cell => cell.classList.contains('ai-candidate'))).toBe(false);
+    expect(cells[1].dataset.aiRank).toBeUndefined();
+  });
+
+  test('没有候选行动时不显示', () => {
+    overlay.show({ iterations: 0, candidates: [] });
+    overlay.show(null);
+
+    expect(overlay.isVisible()).toBe(false);
+    expect(document.getElementById('ai-analysis')).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * LogFormatter 类测试
+ * 验收标准：界面日志由对局日志生成，中途进入的观战者能看到与玩家相同的完整历史
+ */
+
+import { LogFormatter } from '../../scripts/ui/LogFormatter.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+import { ObservationView } from '../../scripts/core/ObservationView.js';
+
+const seatNames = seat => ({ player: '玩家1', ai: '玩家2' })[seat];
+
+const startGame = () => {
+  const engine = new GameEngine({ seed: 17 });
+  engine.startNewGame();
+  engine.playRockPaperScissors('rock', { aiChoice: 'rock', firstPlayer: 'player' });
+  engine.initializeBoard();
+  return engine;
+};
+
+describe('LogFormatter Class Tests', () => {
+
+  test('描述翻牌、阵营确定和对局结束', () => {
+    const engine = startGame();
+    engine.flipCard(0, 0, 'player');
+    const card = engine.gameState.getCardAt(0, 0);
+
+    const texts = LogFormatter.formatAll(engine.gameState.gameLog, engine.gameState, seatNames)
+      .map(({ text }) => text);
+
+    expect(texts).toContain(`玩家1翻开了${card.name}`);
+    expect(texts.some(text => text.startsWith('阵营确定：玩家1执'))).toBe(true);
+
+    expect(LogFormatter.format({ type: 'game_end', details: { winner: 'ai', reason: '对方无子可走' } }, engine.gameState, seatNames))
+      .toBe('游戏结束，玩家2获胜（对方无子可走）');
+    expect(LogFormatter.format({ type: 'game_end', details: { winner: 'draw' } }, engine.gameState, seatNames))
+      .toBe('游戏结束，平局');
+  });
+
+  test('移动和攻击按卡牌名称描述，系统条目不显示', () => {
+    const engine = startGame();
+    const card = engine.gameState.getCardAt(0, 0);
+
+    expect(LogFormatter.format({ type: 'move', player: 'ai', details: { cardId: card.id, moveType: 'move' } }, engine.gameState, seatNames))
+      .toBe(`玩家2移动了${card.name}`);
+    expect(LogFormatter.format({ type: 'move', player: 'player', details: { cardId: card.id, moveType: 'battle' } }, engine.gameState, seatNames))
+      .toBe(`玩家1的${card.name}发起攻击`);
+    expect(LogFormatter.format({ type: 'turn_switch', details: {} }, engine.gameState, seatNames)).toBe(null);
+    expect(LogFormatter.formatAll([{ type: 'turn_switch' }], engine.gameState, seatNames)).toEqual([]);
+  });
+
+  test('观战视图上生成的日志与真实局面相同', () => {
+    const engine = startGame();
+    engine.flipCard(0, 0, 'player');
+    engine.flipCard(1, 1, 'ai');
+    const view = ObservationView.fromGameState(engine.gameState, 'spectator');
+
+    expect(LogFormatter.formatAll(view.gameLog, view, seatNames).map(({ text }) => text))
+      .toEqual(LogFormatter.formatAll(engine.gameState.gameLog, engine.gameState, seatNames).map(({ text }) => text));
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * PassDeviceScreen 类测试
+ * 验收标准：双人对战回合之间遮住棋盘，提示下一位玩家，确认后移除遮罩并通知调用方
+ */
+
+import { PassDeviceScreen } from '../../scripts/ui/PassDeviceScreen.js';
+
+describe('PassDeviceScreen Class Tests', () => {
+
+  let screen;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="game-board"></div>';
+    screen = new PassDeviceScreen(document);
+  });
+
+  test('应该显示交给下一位玩家的提示', () => {
+    screen.show('玩家2', null, '玩家2执虎阵营');
+
+    const element = document.getElementById('pass-device-screen');
+    expect(screen.isVisible()).toBe(true);
+    expect(element.querySelector('.pass-device-title').textContent).toBe('请把设备交给玩家2');
+    expect(element.querySelector('.pass-device-detail').textContent).toBe('玩家2执虎阵营');
+    expect(element.querySelector('.pass-device-ready').textContent).toBe('玩家2，我准备好了');
+  });
+
+  test('点击准备好后应该移除遮罩并回调', () => {
+    const onReady = jest.fn();
+    screen.show('玩家1', onReady);
+
+    document.getElementById('pass-device-ready').click();
+
+    expect(onReady).toHaveBeenCalledTimes(1);
+    expect(screen.isVisible()).toBe(false);
+    expect(document.getElementById('pass-device-screen')).toBeNull();
+  });
+
+  test('再次显示应该替换旧的遮罩，隐藏时不触发回调', () => {
+    const first = jest.fn();
+    screen.show('玩家1', first);
+    screen.show('玩家2');
+    expect(document.querySelectorAll('.pass-device-screen').length).toBe(1);
+
+    screen.hide();
+
+    expect(first).not.toHaveBeenCalled();
+    expect(screen.isVisible()).toBe(false);
+  });
+
+  test('可以挂载到指定容器', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    screen = new PassDeviceScreen(document, container);
+
+    screen.show('玩家1');
+
+    expect(container.querySelector('.pass-device-screen')).not.toBeNull();
+  });
+});
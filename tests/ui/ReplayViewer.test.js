@@ -0,0 +1,169 @@
+/**
+ * ReplayViewer 类测试
+ * 验收标准：能按对局记录逐步前进/后退、自动播放、调速并跳转到任意一场战斗
+ */
+
+import { ReplayViewer } from '../../scripts/ui/ReplayViewer.js';
+import { GameEngine } from '../../scripts/core/GameEngine.js';
+
+// 按固定规则推进对局：优先用已翻开的己方卡牌攻击，其次移动，否则翻牌
+const playUntilBattles = (engine, battles, maxTurns = 200) => {
+  for (let i = 0; i < maxTurns && engine.gameState.phase === 'playing'; i++) {
+    if (engine.battleResolver.getBattleHistory().length >= battles) break;
+
+    const gameState = engine.gameState;
+    const faction = gameState.currentPlayer === 'player' ? gameState.playerFaction : gameState.aiFaction;
+    const options = gameState.getCardsOnBoard()
+      .filter(card => card.isRevealed && card.faction === faction)
+      .flatMap(card => engine.getValidMoves(card.position.row, card.position.col)
+        .map(move => ({ from: card.position, move })));
+    const attack = options.find(option => option.move.type === 'battle');
+    const hidden = gameState.getCardsOnBoard().find(card => !card.isRevealed);
+    const choice = attack || (!hidden || i % 4 === 3 ? options[0] : null);
+
+    if (choice) {
+      engine.moveCard(choice.from.row, choice.from.col, choice.move.row, choice.move.col);
+    } else if (hidden) {
+      engine.flipCard(hidden.position.row, hidden.position.col);
+    } else {
+      break;
+    }
+  }
+};
+
+const createUIManager = () => ({
+  document,
+  elements: { gameContainer: document.body },
+  boardRenderer: {
+    renderBoard: jest.fn(),
+    getCellByPosition: jest.fn(() => document.createElement('div'))
+  },
+  animationController: {
+    playFlipAnimation: jest.fn(() => Promise.resolve()),
+    playMoveAnimation: jest.fn(() => Promise.resolve()),
+    playBattleAnimation: jest.fn(() => Promise.resolve())
+  }
+});
+
+describe('ReplayViewer Class Tests', () => {
+
+  let engine;
+  let uiManager;
+  let viewer;
+
+  beforeEach(() => {
+    engine = new GameEngine({ seed: 20240601 });
+    engine.startNewGame();
+    engine.playRockPaperScissors('rock', { aiChoice: 'scissors' });
+    engine.initializeBoard();
+    playUntilBattles(engine, 2);
+
+    uiManager = createUIManager();
+    viewer = new ReplayViewer(uiManager, engine.exportGameRecord());
+  });
+
+  afterEach(() => {
+    viewer.close();
+    jest.useRealTimers();
+  });
+
+  test('应该为每一步生成局面帧', () => {
+    const record = engine.exportGameRecord();
+
+    expect(viewer.frames.length).toBe(record.moves.length + 1);
+    expect(viewer.frames[0].type).toBe('start');
+    expect(viewer.frames[1].type).toBe('flip');
+
+    // 最后一帧与实际对局局面一致
+    const last = viewer.frames[viewer.frames.length - 1].gameState;
+    expect(last.board.map(row => row.map(card => (card ? card.id : null))))
+      .toEqual(engine.gameState.board.map(row => row.map(card => (card ? card.id : null))));
+  });
+
+  test('战斗帧应该记录战斗双方及结果', () => {
+    const battles = viewer.getBattleFrames();
+
+    expect(battles.length).toBe(engine.battleResolver.getBattleHistory().length);
+    battles.forEach(frame => {
+      expect(frame.battle.attackerCard.position).toEqual(frame.from);
+      expect(frame.battle.defenderCard.position).toEqual(frame.to);
+      expect(['attacker', 'defender', 'draw']).toContain(frame.battle.winner);
+      expect(frame.battle.eliminatedCards.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('应该能单步前进和后退', async () => {
+    viewer.open();
+    expect(viewer.currentIndex).toBe(0);
+    expect(uiManager.boardRenderer.renderBoard).toHaveBeenLastCalledWith(viewer.frames[0].gameState);
+
+    expect(await viewer.stepForward()).toBe(true);
+    expect(viewer.currentIndex).toBe(1);
+    expect(uiManager.animationController.playFlipAnimation).toHaveBeenCalledTimes(1);
+
+    expect(viewer.stepBackward()).toBe(true);
+    expect(viewer.currentIndex).toBe(0);
+    expect(viewer.stepBackward()).toBe(false);
+
+    viewer.goTo(viewer.frames.length - 1);
+    expect(viewer.isAtEnd()).toBe(true);
+    expect(await viewer.stepForward()).toBe(false);
+  });
+
+  test('应该能跳转到任意一场战斗并播放战斗动画', async () => {
+    const [, second] = viewer.getBattleFrames();
+    viewer.open();
+
+    expect(await viewer.jumpToBattle(second.index)).toBe(true);
+    expect(viewer.currentIndex).toBe(second.index);
+    expect(uiManager.animationController.playBattleAnimation).toHaveBeenCalledWith(second.battle);
+
+    expect(await viewer.jumpToBattle(1)).toBe(false);
+  });
+
+  test('自动播放应该按速度推进并在终局停止', async () => {
+    jest.useFakeTimers();
+    viewer.open();
+    viewer.setSpeed(2);
+    viewer.play();
+    expect(viewer.isPlaying).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(viewer.config.stepInterval / 2);
+    expect(viewer.currentIndex).toBe(1);
+
+    viewer.pause();
+    await jest.advanceTimersByTimeAsync(viewer.config.stepInterval * 2);
+    expect(viewer.currentIndex).toBe(1);
+
+    viewer.setSpeed(4);
+    viewer.play();
+    await jest.advanceTimersByTimeAsync(viewer.config.stepInterval * viewer.frames.length);
+    expect(viewer.isAtEnd()).toBe(true);
+    expect(viewer.isPlaying).toBe(false);
+  });
+
+  test('控制栏应该显示进度并响应按钮', async () => {
+    viewer.open();
+    const controls = document.getElementById('replay-controls');
+    expect(controls).not.toBe(null);
+    expect(controls.querySelector('.replay-progress').textContent).toBe(`0 / ${viewer.frames.length - 1}`);
+
+    controls.querySelector('[data-action="last"]').click();
+    expect(viewer.isAtEnd()).toBe(true);
+
+    let closed = false;
+    viewer.on('closed', () => { closed = true; });
+    controls.querySelector('[data-action="exit"]').click();
+    expect(closed).toBe(true);
+    expect(document.getElementById('replay-controls')).toBe(null);
+  });
+
+  test('显示底牌时应该渲染全部翻开的局面而不修改帧', () => {
+    viewer.open();
+    viewer.setRevealAll(true);
+
+    const rendered = uiManager.boardRenderer.renderBoard.mock.calls.pop()[0];
+    expect(rendered.getCardsOnBoard().every(card => card.isRevealed)).toBe(true);
+    expect(viewer.frames[0].gameState.getCardsOnBoard().some(card => !card.isRevealed)).toBe(true);
+  });
+});
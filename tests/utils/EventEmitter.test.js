@@ -0,0 +1,39 @@
+/**
+ * EventEmitter 测试
+ * 验收标准：监听器按注册顺序调用，可以移除；单个监听器出错不影响其他监听器
+ */
+
+import { EventEmitter } from '../../scripts/utils/EventEmitter.js';
+
+describe('EventEmitter Tests', () => {
+
+  test('监听器按注册顺序收到事件数据，移除后不再调用', () => {
+    const emitter = new EventEmitter();
+    const calls = [];
+    const first = data => calls.push(['first', data]);
+    emitter.on('tick', first);
+    emitter.on('tick', data => calls.push(['second', data]));
+
+    emitter.emit('tick', 1);
+    emitter.off('tick', first);
+    emitter.off('missing', first);
+    emitter.emit('tick', 2);
+    emitter.emit('missing', 3);
+
+    expect(calls).toEqual([['first', 1], ['second', 1], ['second', 2]]);
+  });
+
+  test('监听器抛出的错误只记录日志，不影响其他监听器', () => {
+    class Runner extends EventEmitter {}
+    const runner = new Runner();
+    const after = jest.fn();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    runner.on('done', () => { throw new Error('监听器出错'); });
+    runner.on('done', after);
+
+    expect(() => runner.emit('done', { ok: true })).not.toThrow();
+    expect(after).toHaveBeenCalledWith({ ok: true });
+    expect(consoleError).toHaveBeenCalledWith('Runner 事件处理器错误 [done]:', expect.any(Error));
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * SeededRandom 类测试
+ * 验收标准：相同种子产生相同序列，状态可以保存和恢复
+ */
+
+import { SeededRandom } from '../../scripts/utils/Random.js';
+
+describe('SeededRandom Class Tests', () => {
+
+  test('相同种子应该产生相同序列', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    const c = new SeededRandom(43);
+
+    const sequenceA = Array.from({ length: 10 }, () => a.next());
+    const sequenceB = Array.from({ length: 10 }, () => b.next());
+    const sequenceC = Array.from({ length: 10 }, () => c.next());
+
+    expect(sequenceA).toEqual(sequenceB);
+    expect(sequenceA).not.toEqual(sequenceC);
+    sequenceA.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('应该支持字符串种子', () => {
+    expect(new SeededRandom('bug-123').seed).toBe(new SeededRandom('bug-123').seed);
+    expect(new SeededRandom('12345').seed).toBe(12345);
+    expect(() => new SeededRandom(NaN)).toThrow();
+  });
+
+  test('洗牌应该返回新数组且结果可复现', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = new SeededRandom(7).shuffle(items);
+
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect([...shuffled].sort()).toEqual(items);
+    expect(new SeededRandom(7).shuffle(items)).toEqual(shuffled);
+  });
+
+  test('应该正确生成整数和随机选择', () => {
+    const rng = new SeededRandom(1);
+
+    for (let i = 0; i < 50; i++) {
+      const value = rng.nextInt(3);
+      expect([0, 1, 2]).toContain(value);
+    }
+    expect(rng.pick([])).toBe(null);
+    expect(['a', 'b']).toContain(rng.pick(['a', 'b']));
+    expect(typeof rng.chance()).toBe('boolean');
+  });
+
+  test('恢复状态后应该继续产生相同序列', () => {
+    const rng = new SeededRandom(99);
+    rng.next();
+    const state = rng.getState();
+    const expected = [rng.next(), rng.next()];
+
+    rng.setState(state);
+    expect([rng.next(), rng.next()]).toEqual(expected);
+    expect(new SeededRandom(state).next()).toBe(expected[0]);
+  });
+});